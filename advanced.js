@@ -8,6 +8,10 @@ const fs = require('fs').promises;
 const path = require('path');
 const cron = require('node-cron');
 const nodemailer = require('nodemailer');
+const { extractCitations } = require('./citation-extractor');
+const { tagViolation, categorizeViolation } = require('./violation-taxonomy');
+const { SourceRegistry } = require('./source-registry');
+const { addressesInText, placeLabel } = require('./facility-registry');
 
 const app = express();
 const parser = new Parser({
@@ -33,70 +37,8 @@ const CRL_FILE = path.join(DATA_DIR, 'crl_letters.json');
 const FORM_483_FILE = path.join(DATA_DIR, 'form_483.json');
 const ALL_ITEMS_FILE = path.join(DATA_DIR, 'all_items.json');
 
-// Enhanced Feed Sources with SEC
-const FEED_SOURCES = {
-  fda_official: [
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/press-releases/rss.xml',
-      name: 'FDA Press Announcements',
-      category: 'official',
-      priority: 1
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/whats-new-drugs/rss.xml',
-      name: 'FDA CDER Updates',
-      category: 'official',
-      priority: 1
-    }
-  ],
-  
-  trade_press: [
-    {
-      url: 'https://www.fiercepharma.com/rss/xml',
-      name: 'FiercePharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.fiercebiotech.com/rss/xml',
-      name: 'FierceBiotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/pharma/feed/',
-      name: 'STAT News Pharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.raps.org/rss/regulatory-focus',
-      name: 'RAPS Regulatory Focus',
-      category: 'trade',
-      priority: 2
-    }
-  ],
-  
-  google_news: [
-    {
-      url: 'https://news.google.com/rss/search?q=%22Complete%20Response%20Letter%22%20FDA&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - CRLs',
-      category: 'google',
-      type: 'crl',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=FDA%20%22Form%20483%22%20observations&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Form 483',
-      category: 'google',
-      type: '483',
-      priority: 3
-    }
-  ],
-  
-  // SEC 8-K filings for CRL disclosures
-  sec_feeds: []  // Dynamically populated based on tracked companies
-};
+// Feed sources come from the registry the main server manages (data/sources.json)
+const sourceRegistry = new SourceRegistry(path.join(DATA_DIR, 'sources.json'));
 
 // Enhanced Classification with severity scoring
 const CLASSIFIERS = {
@@ -236,6 +178,7 @@ class CompanyIntelligence {
       manufacturing: [], // Manufacturing-related issues
       clinical: [],      // Clinical trial issues
       promotional: [],   // Marketing/promotional issues
+      taxonomy: {},      // Violation taxonomy branch -> tagged violations
       repeat_offenders: [] // Companies with history
     };
 
@@ -267,20 +210,10 @@ class CompanyIntelligence {
         }
       }
 
-      // Categorize by issue type
+      // Categorize by violation taxonomy; the legacy buckets are its branches
       company.violations.forEach(v => {
-        if (v.summary) {
-          const summary = v.summary.toLowerCase();
-          if (summary.includes('manufactur') || summary.includes('cgmp') || summary.includes('quality')) {
-            patterns.manufacturing.push({ company: name, violation: v });
-          }
-          if (summary.includes('clinical') || summary.includes('trial') || summary.includes('study')) {
-            patterns.clinical.push({ company: name, violation: v });
-          }
-          if (summary.includes('promot') || summary.includes('market') || summary.includes('advertis')) {
-            patterns.promotional.push({ company: name, violation: v });
-          }
-        }
+        const text = `${v.title || ''}\n${v.summary || ''}`;
+        categorizeViolation(patterns, name, v, tagViolation({ text, citations: extractCitations(text) }));
       });
 
       // Repeat offenders
@@ -362,17 +295,15 @@ class CompanyIntelligence {
   extractCompanyDetails(company, text) {
     if (!text) return;
 
-    // Extract facility locations
-    const facilityPattern = /(?:facility|plant|site|location)\s+(?:in|at|located)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?),?\s+([A-Z]{2})/gi;
-    let match;
-    while ((match = facilityPattern.exec(text)) !== null) {
-      const facility = `${match[1]}, ${match[2]}`;
+    // Sites the text names, read like facility registry addresses
+    addressesInText(text).map(address => placeLabel(address)).filter(Boolean).forEach(facility => {
       if (!company.facilities.includes(facility)) {
         company.facilities.push(facility);
       }
-    }
+    });
 
     // Extract product names (simplified)
+    let match;
     const productPattern = /(?:drug|product|medication|device|treatment)\s+([A-Z][a-z]+(?:\s+[A-Z]?[a-z]+)?)/gi;
     while ((match = productPattern.exec(text)) !== null) {
       const product = match[1];
@@ -591,6 +522,7 @@ async function initStorage() {
 
     await companyIntel.initialize();
     await alertSystem.initialize();
+    await sourceRegistry.initialize();
   } catch (error) {
     console.error('Storage init error:', error);
   }
@@ -719,11 +651,8 @@ async function aggregateAllSources() {
   allItems.push(...warningLetters);
   
   // 2. Fetch all RSS feeds
-  const allFeeds = [
-    ...FEED_SOURCES.fda_official,
-    ...FEED_SOURCES.trade_press,
-    ...FEED_SOURCES.google_news
-  ];
+  // The FOIA reading room isn't a news feed; only the main server reads it
+  const allFeeds = sourceRegistry.feedSources();
   
   // Add dynamic SEC feeds for watched companies
   alertSystem.watchlist.forEach(watch => {
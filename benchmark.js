@@ -0,0 +1,320 @@
+// benchmark.js — Peer benchmarking of companies
+// A company is compared with firms like it: the same product category, the
+// same issuing center and a similar volume of recorded violations. When that
+// group has fewer than MIN_PEERS members the criteria are relaxed one at a time
+// (volume first, then center, then product). Every metric is oriented so that
+// a higher value is worse, and percentiles are the share of peers the company
+// exceeds (ties count half): 90 means worse than 90% of its peers.
+
+const { normalizeOffice } = require('./citation-extractor');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_YEARS = 3;
+const MIN_PEERS = 5;
+const MIN_LIFT = 1.5;
+
+const PEER_CRITERIA = ['productType', 'office', 'volume'];
+
+const PRODUCT_CATEGORIES = [
+  ['tobacco', /tobacco|cigar|e-?cig|vap(?:e|ing)|nicotine/i],
+  ['biologics', /biolog|vaccine|blood|tissue|cellular|gene therap/i],
+  ['devices', /device|radiation|radiolog|diagnostic|implant/i],
+  ['veterinary', /animal|veterinary/i],
+  ['drugs', /drug|pharma|compound|outsourcing/i],
+  ['food', /food|beverage|supplement|cosmetic|dietary|seafood|produce|juice/i]
+];
+
+// Center that regulates each product category, for companies whose letters
+// don't name an issuing office
+const CENTER_BY_PRODUCT = {
+  drugs: 'CDER',
+  devices: 'CDRH',
+  biologics: 'CBER',
+  food: 'HFP',
+  veterinary: 'CVM',
+  tobacco: 'CTP'
+};
+
+// Lifetime violation counts; the last band is open-ended
+const VOLUME_BANDS = [
+  { band: '1', max: 1 },
+  { band: '2-4', max: 4 },
+  { band: '5-14', max: 14 },
+  { band: '15+', max: Infinity }
+];
+
+const METRICS = [
+  { key: 'violation_rate', description: 'Violations per year over the last three years' },
+  { key: 'severity', description: 'Mean severity (1-10) of the last three years\' violations' },
+  { key: 'citations_per_letter', description: 'Distinct 21 CFR sections cited per letter or 483 with citations' },
+  { key: 'days_to_closeout', description: 'Median days from warning letter to close-out; letters still open count their age so far' }
+];
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Most frequent non-null value, ties going to the first seen
+function mode(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+// Category of a product type field or free text; the agency's own name says nothing
+function productCategory(text) {
+  const cleaned = (text || '').replace(/(?:U\.S\.\s+)?Food\s+(?:and|&)\s+Drug\s+Administration|\bFDA\b/gi, ' ');
+  const match = PRODUCT_CATEGORIES.find(([, pattern]) => pattern.test(cleaned));
+  return match ? match[0] : null;
+}
+
+function volumeBand(count) {
+  return VOLUME_BANDS.find(({ max }) => count <= max).band;
+}
+
+function percentileRank(value, values) {
+  if (value === null || values.length === 0) return null;
+  const below = values.filter(v => v < value).length;
+  const equal = values.filter(v => v === value).length;
+  return Math.round(((below + equal / 2) / values.length) * 100);
+}
+
+function cfrSection(citation) {
+  return citation.type === 'cfr' ? `21 CFR ${citation.section || citation.part}` : null;
+}
+
+// ---------------------------
+// Profiles
+// ---------------------------
+
+// What a company is benchmarked on. Options: `evidenceOf(violation)` returns
+// { office, productType, text } from the violation's item or letter (`text` is
+// read for the product category when there's no product type field),
+// `citationsOf(violation)` its extracted citations, `now` the as-of date.
+function companyProfile(company, { evidenceOf = () => ({}), citationsOf = () => [], now = new Date() } = {}) {
+  const time = now.getTime();
+  const violations = (company.violations || []).filter(v => new Date(v.date).getTime() <= time);
+  const recent = violations.filter(v => time - new Date(v.date).getTime() <= WINDOW_YEARS * 365 * DAY_MS);
+  const evidence = violations.map(v => evidenceOf(v) || {});
+
+  const offices = [
+    ...violations.map(v => v.issuingOffice),
+    ...evidence.map(e => e.office)
+  ].filter(Boolean).map(normalizeOffice).filter(office => office !== 'Unknown');
+  const products = [
+    ...evidence.map(e => productCategory(e.productType) || productCategory(e.text)),
+    ...Array.from(company.products || []).map(productCategory)
+  ];
+  const productType = mode(products);
+  const office = mode(offices);
+
+  // Section (and part) -> documents citing it, counted once per document
+  const sections = new Map();
+  const parts = new Map();
+  let citedDocuments = 0;
+  let citedSections = 0;
+  recent.forEach(v => {
+    const cited = new Set((citationsOf(v) || []).map(cfrSection).filter(Boolean));
+    if (cited.size === 0) return;
+    citedDocuments++;
+    citedSections += cited.size;
+    cited.forEach(section => sections.set(section, (sections.get(section) || 0) + 1));
+    new Set(Array.from(cited).map(section => section.replace(/\..*$/, '')))
+      .forEach(part => parts.set(part, (parts.get(part) || 0) + 1));
+  });
+
+  const letters = violations.filter(v => v.type === 'warning_letter');
+  const closeoutDays = letters.map(v => {
+    const end = v.status === 'closed_out' ? (v.closeoutDate ? new Date(v.closeoutDate).getTime() : null) : time;
+    const days = end === null ? NaN : (end - new Date(v.date).getTime()) / DAY_MS;
+    return isNaN(days) || days < 0 ? null : Math.round(days);
+  }).filter(days => days !== null);
+
+  return {
+    name: company.name,
+    productType,
+    office: office || CENTER_BY_PRODUCT[productType] || null,
+    officeInferred: !office && !!CENTER_BY_PRODUCT[productType],
+    volume: volumeBand(violations.length),
+    violations: violations.length,
+    sections,
+    parts,
+    citedDocuments,
+    metrics: {
+      violation_rate: round(recent.length / WINDOW_YEARS),
+      severity: recent.length > 0 ? round(recent.reduce((sum, v) => sum + (v.severity || 5), 0) / recent.length, 1) : null,
+      citations_per_letter: citedDocuments > 0 ? round(citedSections / citedDocuments, 1) : null,
+      days_to_closeout: median(closeoutDays)
+    }
+  };
+}
+
+// ---------------------------
+// Peer groups
+// ---------------------------
+
+// Peers matching `profile` on `criteria`, relaxed from the end of the list
+// until at least `minPeers` remain. Criteria the company has no value for are
+// skipped.
+function selectPeers(profile, profiles, { criteria = PEER_CRITERIA, minPeers = MIN_PEERS } = {}) {
+  const usable = criteria.filter(criterion => profile[criterion]);
+
+  for (let n = usable.length; n >= 0; n--) {
+    const active = usable.slice(0, n);
+    const peers = profiles.filter(p =>
+      p.name !== profile.name && active.every(criterion => p[criterion] === profile[criterion])
+    );
+    if (peers.length >= minPeers || n === 0) {
+      return {
+        criteria: Object.fromEntries(active.map(criterion => [criterion, profile[criterion]])),
+        relaxed: usable.slice(n),
+        peers
+      };
+    }
+  }
+}
+
+// Every product/office/volume combination with its size and median metrics
+function peerGroups(profiles, { minSize = 1 } = {}) {
+  const groups = new Map();
+  profiles.forEach(profile => {
+    const key = PEER_CRITERIA.map(criterion => profile[criterion] || 'unknown').join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(profile);
+  });
+
+  return Array.from(groups.entries())
+    .filter(([, members]) => members.length >= minSize)
+    .map(([key, members]) => {
+      const [productType, office, volume] = key.split('|');
+      return {
+        productType,
+        office,
+        volume,
+        companies: members.length,
+        medians: Object.fromEntries(METRICS.map(({ key: metric }) => [
+          metric,
+          median(members.map(m => m.metrics[metric]).filter(v => v !== null))
+        ]))
+      };
+    })
+    .sort((a, b) => b.companies - a.companies);
+}
+
+// ---------------------------
+// Benchmark
+// ---------------------------
+
+// CFR sections the company is cited for noticeably more often than its peers
+function overRepresentedCitations(profile, peers, limit = 10) {
+  const peerSections = new Map();
+  let peerDocuments = 0;
+  peers.forEach(peer => {
+    peerDocuments += peer.citedDocuments;
+    peer.sections.forEach((count, section) => peerSections.set(section, (peerSections.get(section) || 0) + count));
+  });
+  if (profile.citedDocuments === 0) return [];
+
+  return Array.from(profile.sections.entries())
+    .map(([section, documents]) => {
+      const share = documents / profile.citedDocuments;
+      // Add-one smoothing keeps a section no peer was cited for from an infinite lift
+      const peerShare = ((peerSections.get(section) || 0) + 1) / (peerDocuments + 2);
+      return {
+        section,
+        documents,
+        share: round(share),
+        peerDocuments: peerSections.get(section) || 0,
+        peerShare: round(peerShare, 3),
+        lift: round(share / peerShare, 1)
+      };
+    })
+    .filter(entry => entry.lift >= MIN_LIFT)
+    .sort((a, b) => b.lift - a.lift || b.documents - a.documents)
+    .slice(0, limit);
+}
+
+// Share of cited documents per 21 CFR part, company against peers
+function citationMix(profile, peers) {
+  const peerParts = new Map();
+  let peerDocuments = 0;
+  peers.forEach(peer => {
+    peerDocuments += peer.citedDocuments;
+    peer.parts.forEach((count, part) => peerParts.set(part, (peerParts.get(part) || 0) + count));
+  });
+
+  return Array.from(new Set([...profile.parts.keys(), ...peerParts.keys()]))
+    .map(part => ({
+      part,
+      share: profile.citedDocuments > 0 ? round((profile.parts.get(part) || 0) / profile.citedDocuments) : 0,
+      peerShare: peerDocuments > 0 ? round((peerParts.get(part) || 0) / peerDocuments) : 0
+    }))
+    .sort((a, b) => b.share - a.share || b.peerShare - a.peerShare)
+    .slice(0, 10);
+}
+
+// Percentile ranks and over-represented citations of `profile` within `profiles`
+function benchmarkCompany(profile, profiles, options = {}) {
+  const { criteria, relaxed, peers } = selectPeers(profile, profiles, options);
+
+  const metrics = Object.fromEntries(METRICS.map(({ key, description }) => {
+    const value = profile.metrics[key];
+    const peerValues = peers.map(p => p.metrics[key]).filter(v => v !== null);
+    return [key, {
+      description,
+      value,
+      peerMedian: median(peerValues),
+      percentile: percentileRank(value, peerValues),
+      peersWithValue: peerValues.length
+    }];
+  }));
+
+  return {
+    company: profile.name,
+    profile: {
+      productType: profile.productType,
+      office: profile.office,
+      officeInferred: profile.officeInferred,
+      volume: profile.volume,
+      violations: profile.violations
+    },
+    peerGroup: {
+      criteria,
+      relaxed,
+      size: peers.length,
+      members: peers.map(p => p.name).sort().slice(0, 25)
+    },
+    metrics,
+    citations: {
+      citedDocuments: profile.citedDocuments,
+      mix: citationMix(profile, peers),
+      overRepresented: overRepresentedCitations(profile, peers)
+    }
+  };
+}
+
+module.exports = {
+  PEER_CRITERIA,
+  METRICS,
+  MIN_PEERS,
+  productCategory,
+  companyProfile,
+  selectPeers,
+  peerGroups,
+  benchmarkCompany
+};
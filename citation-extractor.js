@@ -0,0 +1,353 @@
+// citation-extractor.js — Structured regulation citations from FDA letter text
+// Parses 21 CFR part/section/paragraph references, FD&C Act sections (including
+// their 21 U.S.C. equivalents) and PHS Act sections, flags citations that appear
+// next to repeat-observation language, and summarizes citation frequency across
+// letters by period, company, issuing office or product type.
+
+// ---------------------------
+// Patterns
+// ---------------------------
+const PARAGRAPH = String.raw`\([a-zA-Z0-9]{1,4}\)`;
+// Bare part numbers need 2+ digits so "and 2 other" isn't read as part 2
+const CFR_REF = String.raw`(?:\d{1,4}\.\d+[a-z]?|\d{2,4})(?:\s*${PARAGRAPH})*`;
+const CFR_NEXT = String.raw`(?:§+\s*)?${CFR_REF}|(?:${PARAGRAPH}\s*)+`;
+const CFR_PATTERN = new RegExp(
+  String.raw`\b21\s*C\.?\s*F\.?\s*R\.?\s*(?:§+\s*|(?:parts?|sections?|subparts?)\s+)?(${CFR_REF}(?:\s*(?:,|and|or|&|-)\s*(?:${CFR_NEXT}))*)`,
+  'gi'
+);
+const CFR_TOKEN = new RegExp(String.raw`(\d{1,4}(?:\.\d+[a-z]?)?)((?:\s*${PARAGRAPH})*)|((?:${PARAGRAPH}\s*)+)`, 'g');
+
+const ACT_REF = String.raw`\d{3}[A-Za-z]{0,3}(?:${PARAGRAPH})*`;
+const ACT_PATTERN = new RegExp(
+  String.raw`\bsections?\s+(${ACT_REF}(?:\s*(?:,|and|or)\s*(?:${ACT_REF}|(?:${PARAGRAPH})+))*)`,
+  'gi'
+);
+const ACT_TOKEN = new RegExp(String.raw`(\d{3}[A-Za-z]{0,3})((?:${PARAGRAPH})*)|((?:${PARAGRAPH})+)`, 'g');
+const PHS_ACT = /^[^.;]{0,40}?\b(?:Public Health Service Act|PHS Act)\b/i;
+
+const USC_PATTERN = new RegExp(String.raw`\b21\s*U\.?\s*S\.?\s*C\.?\s*§*\s*(\d{3}[a-z]{0,3})((?:${PARAGRAPH})*)`, 'gi');
+
+const REPEAT_MARKERS = [
+  /\brepeat(?:ed)?\s+(?:observations?|violations?|findings?|citations?|deficienc(?:y|ies))\b/i,
+  /\bpreviously\s+(?:cited|observed|identified|reported)\b/i,
+  /\bsimilar\s+(?:violations?|observations?|CGMP\s+violations?)\b[^.]*\b(?:previous|prior|earlier)\b/i,
+  /\b(?:previous|prior)\s+(?:inspections?|warning\s+letters?)\b[^.]*\b(?:same|similar)\b/i
+];
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function compact(str) {
+  return (str || '').replace(/\s+/g, '');
+}
+
+// 21 U.S.C. 321-359 and 371-399 map directly onto FD&C Act 201-509 and 701-909
+// (351 -> 501, 355 -> 505, 381 -> 801). Device sections under 360 do not.
+function uscToFdca(uscSection) {
+  if (!/^\d{3}$/.test(uscSection)) return null;
+  const n = parseInt(uscSection, 10);
+  if ((n >= 321 && n <= 359) || (n >= 371 && n <= 399)) {
+    const tens = Math.floor((n - 300) / 10);
+    const ones = n % 10;
+    return String(tens * 100 + ones);
+  }
+  return null;
+}
+
+function cfrCitation(section, part, paragraph) {
+  return {
+    type: 'cfr',
+    title: 21,
+    part,
+    section,
+    paragraph: paragraph || null,
+    citation: `21 CFR ${section || part}${paragraph || ''}`
+  };
+}
+
+function actCitation(type, section, paragraph) {
+  const act = type === 'phsa' ? 'PHS Act' : type === 'usc' ? '21 U.S.C.' : 'FD&C Act';
+  return {
+    type,
+    part: null,
+    section,
+    paragraph: paragraph || null,
+    citation: `${act} ${section}${paragraph || ''}`
+  };
+}
+
+// Expand "211.22(a) and (d), 211.100" into individual references. Bare
+// paragraphs inherit the preceding section.
+function parseCfrList(list) {
+  const refs = [];
+  let last = null;
+  let match;
+  CFR_TOKEN.lastIndex = 0;
+
+  while ((match = CFR_TOKEN.exec(list)) !== null) {
+    if (match[1]) {
+      const number = match[1];
+      const part = number.split('.')[0];
+      const section = number.includes('.') ? number : null;
+      last = { part, section };
+      refs.push(cfrCitation(section, part, compact(match[2])));
+    } else if (match[3] && last && last.section) {
+      refs.push(cfrCitation(last.section, last.part, compact(match[3])));
+    }
+  }
+
+  return refs;
+}
+
+function parseActList(list, type) {
+  const refs = [];
+  let lastSection = null;
+  let match;
+  ACT_TOKEN.lastIndex = 0;
+
+  while ((match = ACT_TOKEN.exec(list)) !== null) {
+    if (match[1]) {
+      lastSection = match[1];
+      refs.push(actCitation(type, match[1], compact(match[2])));
+    } else if (match[3] && lastSection) {
+      refs.push(actCitation(type, lastSection, compact(match[3])));
+    }
+  }
+
+  return refs;
+}
+
+function splitParagraphs(text) {
+  return (text || '')
+    .split(/\n\s*\n|(?=\bObservation\s+\d+\b)/)
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+function hasRepeatMarker(text) {
+  return REPEAT_MARKERS.some(pattern => pattern.test(text));
+}
+
+function findInParagraph(paragraph) {
+  const found = [];
+  let match;
+
+  CFR_PATTERN.lastIndex = 0;
+  while ((match = CFR_PATTERN.exec(paragraph)) !== null) {
+    found.push(...parseCfrList(match[1]));
+  }
+
+  ACT_PATTERN.lastIndex = 0;
+  while ((match = ACT_PATTERN.exec(paragraph)) !== null) {
+    const after = paragraph.slice(match.index + match[0].length);
+    found.push(...parseActList(match[1], PHS_ACT.test(after) ? 'phsa' : 'fdca'));
+  }
+
+  USC_PATTERN.lastIndex = 0;
+  while ((match = USC_PATTERN.exec(paragraph)) !== null) {
+    const fdca = uscToFdca(match[1]);
+    found.push(actCitation(fdca ? 'fdca' : 'usc', fdca || match[1], compact(match[2])));
+  }
+
+  return found;
+}
+
+// ---------------------------
+// Extraction
+// ---------------------------
+
+// All regulation references in a letter, one entry per distinct citation with
+// the number of times it appears and whether any mention sits in a paragraph
+// that calls out a repeat observation.
+function extractCitations(text) {
+  const byCitation = new Map();
+
+  splitParagraphs(text).forEach(paragraph => {
+    const repeat = hasRepeatMarker(paragraph);
+
+    findInParagraph(paragraph).forEach(ref => {
+      const existing = byCitation.get(ref.citation);
+      if (existing) {
+        existing.count++;
+        existing.repeat = existing.repeat || repeat;
+      } else {
+        byCitation.set(ref.citation, { ...ref, count: 1, repeat });
+      }
+    });
+  });
+
+  return Array.from(byCitation.values());
+}
+
+// Snippets of repeat-observation language, for display alongside citations
+function extractRepeatMarkers(text) {
+  return splitParagraphs(text)
+    .filter(hasRepeatMarker)
+    .map(p => p.substring(0, 300));
+}
+
+// ---------------------------
+// Analytics
+// ---------------------------
+const OFFICE_CODES = /\b(CDER|CDRH|CBER|CFSAN|CVM|CTP|ORA|OII|OPDP|HFP)\b/;
+const OFFICE_NAMES = [
+  [/drug evaluation and research/i, 'CDER'],
+  [/devices and radiological health/i, 'CDRH'],
+  [/biologics evaluation and research/i, 'CBER'],
+  [/food safety and applied nutrition/i, 'CFSAN'],
+  [/veterinary medicine/i, 'CVM'],
+  [/tobacco products/i, 'CTP']
+];
+
+function normalizeOffice(office) {
+  if (!office) return 'Unknown';
+  const code = office.match(OFFICE_CODES);
+  if (code) return code[1];
+  const named = OFFICE_NAMES.find(([pattern]) => pattern.test(office));
+  return named ? named[1] : office.trim();
+}
+
+function periodKey(date, period) {
+  const d = new Date(date);
+  if (isNaN(d)) return 'Unknown';
+  const year = d.getUTCFullYear();
+  if (period === 'year') return String(year);
+  if (period === 'month') return `${year}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+  return `${year}-Q${Math.floor(d.getUTCMonth() / 3) + 1}`;
+}
+
+// Label a citation at the requested level of detail
+function citationLabel(citation, level) {
+  if (citation.type === 'cfr') {
+    if (level === 'part' || !citation.section) return `21 CFR ${citation.part}`;
+    if (level === 'paragraph') return citation.citation;
+    return `21 CFR ${citation.section}`;
+  }
+  if (level === 'paragraph') return citation.citation;
+  return citation.citation.replace(/\(.*$/, '');
+}
+
+function groupKey(record, groupBy, period) {
+  switch (groupBy) {
+    case 'period': return periodKey(record.date, period);
+    case 'company': return record.company || 'Unknown Company';
+    case 'office': return normalizeOffice(record.office);
+    case 'productType': return record.productType || 'Not specified';
+    default: return 'all';
+  }
+}
+
+function tally(records, level, filter) {
+  const counts = new Map();
+
+  records.forEach(record => {
+    const seen = new Map();
+    (record.citations || []).filter(filter).forEach(citation => {
+      const label = citationLabel(citation, level);
+      const entry = seen.get(label) || { occurrences: 0, repeat: false };
+      entry.occurrences += citation.count || 1;
+      entry.repeat = entry.repeat || !!citation.repeat;
+      seen.set(label, entry);
+    });
+
+    seen.forEach((entry, label) => {
+      const total = counts.get(label) || { citation: label, letters: 0, occurrences: 0, repeat_letters: 0 };
+      total.letters++;
+      total.occurrences += entry.occurrences;
+      if (entry.repeat) total.repeat_letters++;
+      counts.set(label, total);
+    });
+  });
+
+  return Array.from(counts.values())
+    .sort((a, b) => b.letters - a.letters || b.occurrences - a.occurrences);
+}
+
+// records: [{ date, company, office, productType, citations }]
+function summarizeCitations(records, options = {}) {
+  const {
+    groupBy,
+    period = 'quarter',
+    level = 'section',
+    type,
+    part,
+    from,
+    to,
+    limit = 25
+  } = options;
+
+  const fromDate = from ? new Date(from) : null;
+  const toDate = to ? new Date(to) : null;
+  // Undated letters (date null) can't be placed in a date range
+  const inRange = records.filter(r => {
+    const d = new Date(r.date || NaN);
+    if (fromDate && !(d >= fromDate)) return false;
+    if (toDate && !(d <= toDate)) return false;
+    return true;
+  });
+
+  const filter = c =>
+    (!type || c.type === type) &&
+    (!part || (c.type === 'cfr' && String(c.part) === String(part)));
+
+  const withCitations = inRange.filter(r => (r.citations || []).some(filter));
+  const top = tally(withCitations, level, filter).slice(0, limit).map(c => ({
+    ...c,
+    share: withCitations.length ? Math.round((c.letters / withCitations.length) * 1000) / 10 : 0
+  }));
+
+  const summary = {
+    total_letters: inRange.length,
+    letters_with_citations: withCitations.length,
+    top
+  };
+
+  if (groupBy) {
+    const groups = new Map();
+    // Undated letters are counted apart rather than as a period of their own
+    const grouped = groupBy === 'period' ? withCitations.filter(r => r.date) : withCitations;
+    if (groupBy === 'period') summary.undated = withCitations.length - grouped.length;
+    grouped.forEach(record => {
+      const key = groupKey(record, groupBy, period);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    });
+
+    summary.groups = Array.from(groups.entries())
+      .map(([key, groupRecords]) => ({
+        key,
+        letters: groupRecords.length,
+        citations: tally(groupRecords, level, filter).slice(0, limit)
+      }))
+      .sort((a, b) => groupBy === 'period' ? b.key.localeCompare(a.key) : b.letters - a.letters);
+
+    // Latest period against the one before it
+    if (groupBy === 'period' && summary.groups.length >= 2) {
+      const [current, previous] = summary.groups;
+      const previousCounts = new Map(previous.citations.map(c => [c.citation, c.letters]));
+      summary.trending = {
+        current: current.key,
+        previous: previous.key,
+        citations: current.citations
+          .map(c => ({
+            citation: c.citation,
+            current: c.letters,
+            previous: previousCounts.get(c.citation) || 0,
+            change: c.letters - (previousCounts.get(c.citation) || 0)
+          }))
+          .sort((a, b) => b.change - a.change)
+      };
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  extractCitations,
+  extractRepeatMarkers,
+  summarizeCitations,
+  normalizeOffice,
+  periodKey,
+  uscToFdca
+};
@@ -0,0 +1,407 @@
+// classifier-rules.js — Rule-based item classifier with an evaluation harness
+// Each rule adds its weight to one type's score when its pattern matches the
+// rule's field (title, summary, the whole text, or the feed's source type). A
+// type is assigned when its score reaches MATCH_THRESHOLD. Phrases match on word
+// boundaries, and a match right after a negation ("not a recall", "no warning
+// letter") doesn't count. Negative weights make exclusion rules. Rules live in a
+// JSON file so they can be edited at runtime; evaluate() scores any rule set
+// against a labeled evaluation set before it is saved.
+
+const fs = require('fs').promises;
+
+const MATCH_THRESHOLD = 2;
+const FALLBACK_TYPE = 'regulatory_news';
+
+const FIELDS = ['text', 'title', 'summary', 'sourceType'];
+const EDITABLE_FIELDS = ['type', 'pattern', 'field', 'weight', 'regex', 'caseSensitive', 'negatable', 'severity', 'enabled', 'note'];
+
+// A negation cue up to three words before the match, in the same sentence
+const NEGATION = /\b(?:not|no|never|without|isn't|wasn't|aren't|weren't|won't|didn't|doesn't|denie[sd]|avoid(?:s|ed)?|rather than|no longer)\b(?:[^\S\n]+[^\s.;:!?]+){0,3}[^\S\n]*$/i;
+
+// Seeded on first run. `severity` adjusts the type's base severity when the rule matches.
+const DEFAULT_RULES = [
+  // Warning letters
+  { id: 'wl-phrase', type: 'warning_letter', pattern: 'warning letters?', regex: true, weight: 2 },
+  { id: 'wl-title', type: 'warning_letter', pattern: 'warning letters?', regex: true, field: 'title', weight: 1 },
+  { id: 'wl-fda-warns', type: 'warning_letter', pattern: 'FDA (?:again )?warns', regex: true, weight: 2 },
+  { id: 'wl-regulatory-warning', type: 'warning_letter', pattern: 'regulatory warning', weight: 2 },
+  { id: 'wl-source', type: 'warning_letter', pattern: 'warning_letter', field: 'sourceType', weight: 1 },
+  { id: 'wl-closeout', type: 'warning_letter', pattern: 'close-?out letter', regex: true, weight: -2, note: 'A close-out ends an existing letter rather than issuing one' },
+  // Complete response letters
+  { id: 'crl-phrase', type: 'crl', pattern: 'complete response letters?', regex: true, weight: 3 },
+  { id: 'crl-acronym', type: 'crl', pattern: 'CRLs?', regex: true, caseSensitive: true, weight: 2 },
+  { id: 'crl-rejects', type: 'crl', pattern: 'FDA (?:rejects|declines to approve|turns down)', regex: true, weight: 2 },
+  { id: 'crl-denial', type: 'crl', pattern: 'approval denial|deficiency letter', regex: true, weight: 2 },
+  { id: 'crl-source', type: 'crl', pattern: 'crl', field: 'sourceType', weight: 1 },
+  // Form 483s
+  { id: '483-form', type: 'form_483', pattern: 'Form (?:FDA[- ])?483s?|FDA[- ]483s?|483s|483 observations?', regex: true, weight: 2 },
+  { id: '483-observations', type: 'form_483', pattern: 'inspection(?:al)? observations', regex: true, weight: 2 },
+  { id: '483-inspection', type: 'form_483', pattern: 'FDA inspection', weight: 1 },
+  { id: '483-observation-count', type: 'form_483', pattern: '(?:\\d+|one|single|two|three|four|five|six|seven|eight|nine|ten) (?:(?:US ?)?FDA |USFDA )?observations?', regex: true, weight: 1 },
+  { id: '483-clean', type: 'form_483', pattern: 'clears? (?:(?:US ?)?FDA |USFDA )?inspection|(?:no|zero|nil) observations', regex: true, negatable: false, weight: -2, note: 'Inspections that ended without a 483' },
+  { id: '483-source', type: 'form_483', pattern: 'form_483', field: 'sourceType', weight: 1 },
+  // OPDP / promotional
+  { id: 'opdp-acronym', type: 'opdp', pattern: 'OPDP', caseSensitive: true, weight: 2 },
+  { id: 'opdp-untitled', type: 'opdp', pattern: 'untitled letters?', regex: true, weight: 2 },
+  { id: 'opdp-misleading', type: 'opdp', pattern: '(?:false or )?misleading (?:claims|promotion|promotional|advertising)', regex: true, weight: 2 },
+  { id: 'opdp-false-advertising', type: 'opdp', pattern: 'false advertising', weight: 2 },
+  { id: 'opdp-promotional', type: 'opdp', pattern: 'promotional (?:materials?|claims|labeling|video|website)', regex: true, weight: 1 },
+  { id: 'opdp-source', type: 'opdp', pattern: 'opdp', field: 'sourceType', weight: 1 },
+  // Import alerts
+  { id: 'ia-phrase', type: 'import_alert', pattern: 'import alerts?', regex: true, weight: 3 },
+  { id: 'ia-dwpe', type: 'import_alert', pattern: 'DWPE|detention without physical examination', regex: true, weight: 2 },
+  { id: 'ia-ban', type: 'import_alert', pattern: 'import ban', weight: 2 },
+  { id: 'ia-source', type: 'import_alert', pattern: 'import_alert', field: 'sourceType', weight: 1 },
+  // Consent decrees
+  { id: 'cd-phrase', type: 'consent_decree', pattern: 'consent decrees?', regex: true, weight: 3 },
+  { id: 'cd-injunction', type: 'consent_decree', pattern: 'permanent injunction', weight: 2 },
+  { id: 'cd-court-order', type: 'consent_decree', pattern: 'court order', weight: 1 },
+  { id: 'cd-source', type: 'consent_decree', pattern: 'consent_decree', field: 'sourceType', weight: 1 },
+  // Recalls
+  { id: 'recall-word', type: 'recall', pattern: 'recall(?:s|ed|ing)?', regex: true, weight: 2 },
+  { id: 'recall-withdrawal', type: 'recall', pattern: 'market withdrawal', weight: 2 },
+  { id: 'recall-safety-alert', type: 'recall', pattern: 'safety alert', weight: 1 },
+  { id: 'recall-class-i', type: 'recall', pattern: 'Class I recall', caseSensitive: true, weight: 1, severity: 2 },
+  { id: 'recall-class-iii', type: 'recall', pattern: 'Class III recall', caseSensitive: true, weight: 0, severity: -3 },
+  { id: 'recall-memoir', type: 'recall', pattern: 'recalls? (?:that|how|when|the day|his|her|their)', regex: true, weight: -2, note: 'Someone recalling something, not a product recall' },
+  { id: 'recall-source', type: 'recall', pattern: 'safety', field: 'sourceType', weight: 1 },
+  // Clinical holds
+  { id: 'hold-phrase', type: 'clinical_hold', pattern: '(?:partial |full )?clinical holds?', regex: true, weight: 3 },
+  { id: 'hold-suspension', type: 'clinical_hold', pattern: 'study halt|trial suspension', regex: true, weight: 2 },
+  { id: 'hold-halt', type: 'clinical_hold', pattern: '(?:halts?|pauses?|suspends?) (?:the |a |its )?(?:trial|study|dosing)', regex: true, weight: 2 }
+];
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function validateRule(rule, types) {
+  if (!rule.type || (types && !types.includes(rule.type))) {
+    throw new Error(`Rule type must be one of ${(types || []).join(', ')}`);
+  }
+  if (!rule.pattern || typeof rule.pattern !== 'string') {
+    throw new Error('Rule pattern is required');
+  }
+  if (rule.field !== undefined && !FIELDS.includes(rule.field)) {
+    throw new Error(`Rule field must be one of ${FIELDS.join(', ')}`);
+  }
+  if (typeof rule.weight !== 'number' || !isFinite(rule.weight)) {
+    throw new Error('Rule weight must be a number');
+  }
+  if (rule.severity !== undefined && rule.severity !== null && typeof rule.severity !== 'number') {
+    throw new Error('Rule severity must be a number');
+  }
+  if (rule.field !== 'sourceType') compilePattern(rule);
+}
+
+// Phrases match as whole words with flexible whitespace; `regex` rules are
+// used as written, still anchored to word boundaries
+function compilePattern(rule) {
+  const source = rule.regex ? rule.pattern : escapeRegex(rule.pattern).replace(/\s+/g, '\\s+');
+  try {
+    return new RegExp(`(?<![\\w-])(?:${source})(?![\\w-])`, rule.caseSensitive ? 'g' : 'gi');
+  } catch (error) {
+    throw new Error(`Invalid rule pattern: ${error.message}`);
+  }
+}
+
+// First match of a rule in its field that isn't negated, or null
+function findMatch(rule, compiled, input) {
+  if (rule.field === 'sourceType') {
+    return input.sourceType && input.sourceType === rule.pattern ? rule.pattern : null;
+  }
+
+  const text = rule.field === 'title' ? input.title
+    : rule.field === 'summary' ? input.summary
+      : `${input.title || ''}\n${input.summary || ''}`;
+  if (!text) return null;
+
+  compiled.lastIndex = 0;
+  let match;
+  while ((match = compiled.exec(text)) !== null) {
+    const before = text.slice(Math.max(0, match.index - 60), match.index);
+    if (rule.negatable === false || !NEGATION.test(before)) return match[0];
+    if (match[0].length === 0) compiled.lastIndex++;
+  }
+  return null;
+}
+
+// ---------------------------
+// Classification
+// ---------------------------
+
+// Classify { title, summary, sourceType } with `rules`. `severities` maps each
+// type to its base severity. Returns { types, severity, scores, matches }.
+function classify(input, rules, { severities = {}, threshold = MATCH_THRESHOLD } = {}) {
+  const scores = {};
+  const adjustments = {};
+  const matches = [];
+
+  rules.filter(rule => rule.enabled !== false).forEach(rule => {
+    const compiled = rule.field === 'sourceType' ? null : (rule.compiled || compilePattern(rule));
+    const matched = findMatch(rule, compiled, input);
+    if (matched === null) return;
+
+    scores[rule.type] = (scores[rule.type] || 0) + rule.weight;
+    adjustments[rule.type] = (adjustments[rule.type] || 0) + (rule.severity || 0);
+    matches.push({ rule: rule.id, type: rule.type, weight: rule.weight, matched });
+  });
+
+  const types = Object.entries(scores)
+    .filter(([, score]) => score >= threshold)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type]) => type);
+
+  const severity = types.reduce((max, type) => {
+    const base = severities[type] ?? 5;
+    return Math.max(max, Math.min(10, Math.max(1, base + (adjustments[type] || 0))));
+  }, 0);
+
+  return {
+    types: types.length > 0 ? types : [FALLBACK_TYPE],
+    severity,
+    scores,
+    matches
+  };
+}
+
+// ---------------------------
+// Evaluation
+// ---------------------------
+
+// Per-class precision/recall/F1 of `rules` over `examples` ({ title, summary,
+// sourceType, types }); an example labeled [] expects no class. Returns the
+// report with the misclassified examples.
+function evaluate(rules, examples, { severities = {}, classes = null } = {}) {
+  const compiled = rules.map(rule => ({ ...rule, compiled: rule.field === 'sourceType' ? null : compilePattern(rule) }));
+  const labels = classes || Array.from(new Set([
+    ...rules.map(rule => rule.type),
+    ...examples.flatMap(example => example.types)
+  ])).sort();
+
+  const counts = Object.fromEntries(labels.map(label => [label, { tp: 0, fp: 0, fn: 0 }]));
+  const errors = [];
+
+  examples.forEach((example, index) => {
+    const predicted = classify(example, compiled, { severities }).types.filter(type => type !== FALLBACK_TYPE);
+    const expected = example.types || [];
+
+    labels.forEach(label => {
+      const p = predicted.includes(label);
+      const e = expected.includes(label);
+      if (p && e) counts[label].tp++;
+      else if (p) counts[label].fp++;
+      else if (e) counts[label].fn++;
+    });
+
+    const missed = expected.filter(type => !predicted.includes(type));
+    const extra = predicted.filter(type => !expected.includes(type));
+    if (missed.length > 0 || extra.length > 0) {
+      errors.push({ index, title: example.title, expected, predicted, missed, extra });
+    }
+  });
+
+  const metrics = ({ tp, fp, fn }) => {
+    const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+    const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+    const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : (precision === 0 || recall === 0 ? 0 : null);
+    return {
+      precision: precision === null ? null : round(precision),
+      recall: recall === null ? null : round(recall),
+      f1: f1 === null ? null : round(f1),
+      support: tp + fn,
+      tp,
+      fp,
+      fn
+    };
+  };
+
+  const total = Object.values(counts).reduce((sum, c) => ({ tp: sum.tp + c.tp, fp: sum.fp + c.fp, fn: sum.fn + c.fn }), { tp: 0, fp: 0, fn: 0 });
+
+  return {
+    examples: examples.length,
+    exactMatch: round((examples.length - errors.length) / (examples.length || 1)),
+    micro: metrics(total),
+    classes: Object.fromEntries(labels.map(label => [label, metrics(counts[label])])),
+    errors
+  };
+}
+
+// Per-class change from `baseline` to `candidate` reports
+function compareReports(baseline, candidate) {
+  const delta = (a, b) => (a === null || b === null ? null : round(b - a));
+  return {
+    micro: {
+      precision: delta(baseline.micro.precision, candidate.micro.precision),
+      recall: delta(baseline.micro.recall, candidate.micro.recall),
+      f1: delta(baseline.micro.f1, candidate.micro.f1)
+    },
+    classes: Object.fromEntries(Object.keys(candidate.classes).map(label => {
+      const before = baseline.classes[label] || { precision: null, recall: null, f1: null };
+      const after = candidate.classes[label];
+      return [label, {
+        precision: delta(before.precision, after.precision),
+        recall: delta(before.recall, after.recall),
+        f1: delta(before.f1, after.f1)
+      }];
+    })),
+    fixed: baseline.errors.filter(e => !candidate.errors.some(c => c.index === e.index)).map(e => e.title),
+    broken: candidate.errors.filter(e => !baseline.errors.some(b => b.index === e.index)).map(e => e.title)
+  };
+}
+
+// ---------------------------
+// Rule set
+// ---------------------------
+class ClassifierRules {
+  constructor(file, { types = null, defaults = DEFAULT_RULES } = {}) {
+    this.file = file;
+    this.types = types;       // allowed rule types (the classifier's classes)
+    this.defaults = defaults; // seeded on first run
+    this.rules = new Map();   // id -> rule
+    this.compiled = null;
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(rule => this.rules.set(rule.id, rule));
+    } catch {
+      // No rule file yet - seeded below
+    }
+
+    if (this.rules.size === 0) {
+      this.defaults.forEach(rule => this.add(rule));
+      await this.save();
+      console.log(`🌱 Seeded classifier with ${this.rules.size} default rules`);
+    }
+
+    console.log(`✅ Classifier rules initialized: ${this.list({ enabled: true }).length} of ${this.rules.size} rules enabled`);
+  }
+
+  get(id) {
+    return this.rules.get(id) || null;
+  }
+
+  list({ type, enabled } = {}) {
+    return Array.from(this.rules.values())
+      .filter(rule => !type || rule.type === type)
+      .filter(rule => enabled === undefined || (rule.enabled !== false) === enabled)
+      .sort((a, b) => a.type.localeCompare(b.type) || b.weight - a.weight || a.id.localeCompare(b.id));
+  }
+
+  // A rule record from API input, validated; `id` is derived when missing
+  build(rule) {
+    const record = {
+      id: rule.id,
+      type: rule.type,
+      pattern: rule.pattern,
+      field: rule.field || 'text',
+      weight: rule.weight ?? 1,
+      regex: !!rule.regex,
+      caseSensitive: !!rule.caseSensitive,
+      negatable: rule.negatable !== false,
+      severity: rule.severity ?? null,
+      enabled: rule.enabled !== false,
+      note: rule.note || null
+    };
+    validateRule(record, this.types);
+    return record;
+  }
+
+  add(rule) {
+    const record = this.build(rule);
+    const base = slugify(rule.id || `${rule.type}-${rule.pattern}`).slice(0, 60);
+    let id = base;
+    for (let n = 2; this.rules.has(id); n++) id = `${base}-${n}`;
+
+    const now = new Date().toISOString();
+    Object.assign(record, { id, createdAt: now, updatedAt: now });
+    this.rules.set(id, record);
+    this.compiled = null;
+    return record;
+  }
+
+  update(id, changes) {
+    const rule = this.get(id);
+    if (!rule) return null;
+
+    const updated = { ...rule };
+    EDITABLE_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => { updated[field] = changes[field]; });
+    validateRule(updated, this.types);
+
+    updated.updatedAt = new Date().toISOString();
+    this.rules.set(id, updated);
+    this.compiled = null;
+    return updated;
+  }
+
+  remove(id) {
+    const rule = this.get(id);
+    if (rule) {
+      this.rules.delete(id);
+      this.compiled = null;
+    }
+    return rule;
+  }
+
+  // The rule set with `{ add, update, remove }` applied, without saving it.
+  // Throws on invalid rules.
+  preview({ add = [], update = {}, remove = [] } = {}) {
+    const rules = new Map(Array.from(this.rules.values()).map(rule => [rule.id, { ...rule }]));
+    remove.forEach(id => rules.delete(id));
+    Object.entries(update).forEach(([id, changes]) => {
+      if (!rules.has(id)) throw new Error(`Unknown rule: ${id}`);
+      const updated = { ...rules.get(id) };
+      EDITABLE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => { updated[field] = changes[field]; });
+      validateRule(updated, this.types);
+      rules.set(id, updated);
+    });
+    add.forEach((rule, index) => {
+      const record = this.build(rule);
+      record.id = rule.id || `candidate-${index + 1}`;
+      rules.set(record.id, record);
+    });
+    return Array.from(rules.values());
+  }
+
+  classify(input, options) {
+    if (!this.compiled) {
+      this.compiled = this.list({ enabled: true }).map(rule => ({
+        ...rule,
+        compiled: rule.field === 'sourceType' ? null : compilePattern(rule)
+      }));
+    }
+    return classify(input, this.compiled, options);
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Array.from(this.rules.values()), null, 2));
+  }
+}
+
+module.exports = {
+  ClassifierRules,
+  DEFAULT_RULES,
+  MATCH_THRESHOLD,
+  FALLBACK_TYPE,
+  classify,
+  evaluate,
+  compareReports
+};
@@ -0,0 +1,367 @@
+// company-admin.js — Merge, split, alias and delete operations on company records
+// Operations don't touch storage. Each one is planned against the current state
+// and returns a change: before/after values for every company record, item,
+// contact record, watchlist entry, facility and parent relation it affects. Applying the change
+// makes the edit; applying its inverse undoes it, so the change itself is what
+// goes into the audit log.
+
+const UNKNOWN_COMPANY = 'Unknown Company';
+const MAX_VIOLATIONS = 100;
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function clone(value) {
+  return value === undefined || value === null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function emptyCompany(name) {
+  const now = new Date().toISOString();
+  return {
+    name,
+    aliases: [],
+    violations: [],
+    products: [],
+    facilities: [],
+    executives: [],
+    risk_score: 0,
+    compliance_score: 100,
+    response_times: [],
+    last_updated: now,
+    first_seen: now
+  };
+}
+
+function unionBy(a, b, keyOf = value => JSON.stringify(value)) {
+  a = a || [];
+  const seen = new Set(a.map(keyOf));
+  return [...a, ...(b || []).filter(value => {
+    const key = keyOf(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  })];
+}
+
+function sortViolations(violations) {
+  return violations
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, MAX_VIOLATIONS);
+}
+
+function earliest(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return new Date(a) <= new Date(b) ? a : b;
+}
+
+function requireCompany(state, name) {
+  if (!name || typeof name !== 'string') throw new Error('Company name is required');
+  if (!state.companies.has(name)) throw new Error(`Company not found: ${name}`);
+  return state.companies.get(name);
+}
+
+function withScores(state, record) {
+  record.last_updated = new Date().toISOString();
+  return { ...record, ...state.score(record) };
+}
+
+function mergeContacts(target, source, name) {
+  if (!source) return target;
+  if (!target) return { ...clone(source), company: name };
+  return {
+    ...target,
+    emails: unionBy(target.emails, source.emails, e => (typeof e === 'string' ? e : e.email)),
+    executives: unionBy(target.executives, source.executives, e => e.email || e.name),
+    regulatory_contacts: unionBy(target.regulatory_contacts, source.regulatory_contacts, e => e.email || e.name),
+    general_email: target.general_email || source.general_email,
+    phone: target.phone || source.phone,
+    address: target.address || source.address,
+    last_updated: new Date().toISOString()
+  };
+}
+
+// Company fields of an item; admin assignments are final, so later extraction
+// runs (which only replace less confident companies) leave them alone
+function itemCompany(item) {
+  return {
+    company: item.company,
+    companyConfidence: item.companyConfidence ?? null,
+    companyMethod: item.companyMethod ?? null
+  };
+}
+
+function assignedCompany(company) {
+  return { company, companyConfidence: 1, companyMethod: 'admin' };
+}
+
+function emptyChange() {
+  return { companies: [], items: [], contacts: [], watchers: [], facilities: [], relations: [] };
+}
+
+// Parent, grandparent, ... of `name` in a child -> relation map
+function ancestorsIn(relations, name) {
+  const ancestors = [];
+  let current = relations.get(name)?.parent;
+  while (current && !ancestors.includes(current) && ancestors.length < 20) {
+    ancestors.push(current);
+    current = relations.get(current)?.parent;
+  }
+  return ancestors;
+}
+
+// Relation changes for companies that go away: their own relations are dropped
+// and their subsidiaries move to `heir`, or are detached when there is none
+// (or when moving them would make a cycle)
+function planRelations(state, removed, heir) {
+  const relations = state.relations || new Map();
+  const heirAncestors = heir ? ancestorsIn(relations, heir) : [];
+  const now = new Date().toISOString();
+  const changes = [];
+
+  relations.forEach(relation => {
+    if (removed.includes(relation.child)) {
+      changes.push({ child: relation.child, before: clone(relation), after: null });
+    } else if (relation.parent && removed.includes(relation.parent)) {
+      const rewire = heir && heir !== relation.child && !heirAncestors.includes(relation.child);
+      changes.push({
+        child: relation.child,
+        before: clone(relation),
+        after: rewire ? { child: relation.child, parent: heir, source: 'admin', updatedAt: now } : null
+      });
+    }
+  });
+  return changes;
+}
+
+// Items filed under any of `names` (directly or through an alias)
+function itemsOf(state, names) {
+  const set = new Set(names);
+  return state.items.filter(item => {
+    const filed = state.isPlaceholder(item.company) ? UNKNOWN_COMPANY : item.company;
+    return set.has(filed) || set.has(state.canonicalize(filed));
+  });
+}
+
+// ---------------------------
+// Operations
+// ---------------------------
+// `state`: { companies: Map, items: [], contacts: Map, watchers: [{ userId, entry }],
+// facilities: [{ fei, company }], relations: Map (child -> { child, parent, source }),
+// canonicalize(name), isPlaceholder(name), score(record) }
+
+// Fold `sources` into `target`. The target is created when it doesn't exist,
+// which makes a one-source merge a rename.
+function planMerge(state, { target, sources } = {}) {
+  if (!target || typeof target !== 'string') throw new Error('Target company is required');
+  if (!Array.isArray(sources) || sources.length === 0) throw new Error('At least one source company is required');
+  if (sources.includes(target)) throw new Error('A company cannot be merged into itself');
+  if (sources.includes(UNKNOWN_COMPANY)) throw new Error(`${UNKNOWN_COMPANY} cannot be merged; split its violations out instead`);
+  const sourceRecords = sources.map(name => requireCompany(state, name));
+
+  const before = clone(state.companies.get(target));
+  const merged = before ? clone(before) : emptyCompany(target);
+  sourceRecords.forEach(source => {
+    merged.violations = unionBy(merged.violations, clone(source.violations), v => v.link);
+    merged.aliases = unionBy(merged.aliases, [source.name, ...(source.aliases || [])]);
+    merged.products = unionBy(merged.products, clone(source.products));
+    merged.facilities = unionBy(merged.facilities, clone(source.facilities));
+    merged.executives = unionBy(merged.executives, clone(source.executives));
+    merged.response_times = [...(merged.response_times || []), ...(source.response_times || [])];
+    merged.first_seen = earliest(merged.first_seen, source.first_seen);
+    ['ticker', 'domain', 'cik'].forEach(field => {
+      if (!merged[field] && source[field]) merged[field] = source[field];
+    });
+  });
+  merged.aliases = merged.aliases.filter(alias => alias !== target);
+  merged.violations = sortViolations(merged.violations);
+
+  const change = emptyChange();
+  change.companies.push({ name: target, before, after: withScores(state, merged) });
+  sourceRecords.forEach(source => change.companies.push({ name: source.name, before: clone(source), after: null }));
+
+  itemsOf(state, sources).forEach(item => {
+    change.items.push({ id: item.id, before: itemCompany(item), after: assignedCompany(target) });
+  });
+
+  let contacts = clone(state.contacts.get(target));
+  const contactsBefore = clone(contacts);
+  sources.forEach(name => {
+    const source = state.contacts.get(name);
+    if (!source) return;
+    contacts = mergeContacts(contacts, source, target);
+    change.contacts.push({ name, before: clone(source), after: null });
+  });
+  if (change.contacts.length > 0) {
+    change.contacts.push({ name: target, before: contactsBefore, after: contacts });
+  }
+
+  // A user watching both the target and a source keeps one entry
+  const watching = new Map();
+  state.watchers.forEach(({ userId, entry }) => {
+    const canonical = state.canonicalize(entry.name);
+    if (canonical === target || entry.name === target) watching.set(userId, true);
+  });
+  state.watchers.forEach(({ userId, entry }) => {
+    const canonical = state.canonicalize(entry.name);
+    if (!sources.includes(entry.name) && !sources.includes(canonical)) return;
+    if (watching.has(userId)) {
+      change.watchers.push({ userId, before: clone(entry), after: null });
+    } else {
+      watching.set(userId, true);
+      change.watchers.push({ userId, before: clone(entry), after: { ...clone(entry), name: target } });
+    }
+  });
+
+  state.facilities
+    .filter(f => sources.includes(f.company))
+    .forEach(f => change.facilities.push({ fei: f.fei, before: f.company, after: target }));
+
+  // Subsidiaries of the sources move to the target. A target without a parent
+  // takes a source's, so a renamed subsidiary stays in its group.
+  const relations = state.relations || new Map();
+  change.relations = planRelations(state, sources, target);
+  const inherited = sources
+    .map(name => relations.get(name)?.parent)
+    .find(parent => parent && parent !== target && !sources.includes(parent) &&
+      !ancestorsIn(relations, parent).includes(target));
+  const targetChange = change.relations.find(r => r.child === target);
+  const targetParent = targetChange ? targetChange.after?.parent : relations.get(target)?.parent;
+  if (!targetParent && inherited) {
+    const after = { child: target, parent: inherited, source: 'admin', updatedAt: new Date().toISOString() };
+    if (targetChange) targetChange.after = after;
+    else change.relations.push({ child: target, before: clone(relations.get(target)), after });
+  }
+
+  return change;
+}
+
+// Move the violations with the given links (and optionally some aliases) from
+// `source` to `target`, creating the target if needed
+function planSplit(state, { source, target, links, aliases = [] } = {}) {
+  const record = requireCompany(state, source);
+  if (!target || typeof target !== 'string') throw new Error('Target company is required');
+  if (target === source) throw new Error('Split target must differ from the source');
+  if (!Array.isArray(links) || links.length === 0) throw new Error('links must list the violations to move');
+
+  const linkSet = new Set(links);
+  const missing = links.filter(link => !record.violations.some(v => v.link === link));
+  if (missing.length > 0) throw new Error(`Not violations of ${source}: ${missing.join(', ')}`);
+  const unknownAliases = aliases.filter(alias => !(record.aliases || []).includes(alias));
+  if (unknownAliases.length > 0) throw new Error(`Not aliases of ${source}: ${unknownAliases.join(', ')}`);
+
+  const remaining = clone(record);
+  remaining.violations = remaining.violations.filter(v => !linkSet.has(v.link));
+  remaining.aliases = (remaining.aliases || []).filter(alias => !aliases.includes(alias));
+
+  const before = clone(state.companies.get(target));
+  const split = before ? clone(before) : emptyCompany(target);
+  split.violations = sortViolations(unionBy(split.violations, clone(record.violations.filter(v => linkSet.has(v.link))), v => v.link));
+  split.aliases = unionBy(split.aliases, aliases);
+  if (split.violations.length > 0) {
+    split.first_seen = earliest(split.first_seen, split.violations[split.violations.length - 1].date);
+  }
+
+  const change = emptyChange();
+  change.companies.push({ name: source, before: clone(record), after: withScores(state, remaining) });
+  change.companies.push({ name: target, before, after: withScores(state, split) });
+
+  state.items
+    .filter(item => linkSet.has(item.link))
+    .forEach(item => change.items.push({ id: item.id, before: itemCompany(item), after: assignedCompany(target) }));
+
+  return change;
+}
+
+// Add or remove aliases. An alias that already resolves to another company is refused.
+function planAliases(state, { company, add = [], remove = [] } = {}) {
+  const record = requireCompany(state, company);
+  if (add.length === 0 && remove.length === 0) throw new Error('Nothing to change: pass add and/or remove');
+
+  const conflicts = add.filter(alias => {
+    const owner = state.companies.has(alias) ? alias : state.canonicalize(alias);
+    return owner !== company && state.companies.has(owner);
+  });
+  if (conflicts.length > 0) throw new Error(`Already names another company: ${conflicts.join(', ')}`);
+
+  const updated = clone(record);
+  updated.aliases = unionBy(updated.aliases, add.filter(alias => alias && alias !== company))
+    .filter(alias => !remove.includes(alias));
+
+  const change = emptyChange();
+  change.companies.push({ name: company, before: clone(record), after: { ...updated, last_updated: new Date().toISOString() } });
+  return change;
+}
+
+// Remove a junk entity. Its violations go to "Unknown Company", its items back
+// to TBD, and watchlist entries, contacts and facility ownership are dropped.
+function planDelete(state, { company } = {}) {
+  const record = requireCompany(state, company);
+  if (company === UNKNOWN_COMPANY) throw new Error(`${UNKNOWN_COMPANY} cannot be deleted`);
+
+  const change = emptyChange();
+  change.companies.push({ name: company, before: clone(record), after: null });
+
+  if (record.violations.length > 0) {
+    const unknownBefore = clone(state.companies.get(UNKNOWN_COMPANY));
+    const unknown = unknownBefore ? clone(unknownBefore) : emptyCompany(UNKNOWN_COMPANY);
+    unknown.violations = sortViolations(unionBy(unknown.violations, clone(record.violations), v => v.link));
+    change.companies.push({ name: UNKNOWN_COMPANY, before: unknownBefore, after: withScores(state, unknown) });
+  }
+
+  itemsOf(state, [company]).forEach(item => {
+    change.items.push({ id: item.id, before: itemCompany(item), after: assignedCompany('TBD') });
+  });
+
+  if (state.contacts.has(company)) {
+    change.contacts.push({ name: company, before: clone(state.contacts.get(company)), after: null });
+  }
+
+  state.watchers
+    .filter(({ entry }) => entry.name === company || state.canonicalize(entry.name) === company)
+    .forEach(({ userId, entry }) => change.watchers.push({ userId, before: clone(entry), after: null }));
+
+  state.facilities
+    .filter(f => f.company === company)
+    .forEach(f => change.facilities.push({ fei: f.fei, before: f.company, after: null }));
+
+  // Its subsidiaries move up to its own parent
+  change.relations = planRelations(state, [company], state.relations?.get(company)?.parent || null);
+
+  return change;
+}
+
+// The change that undoes `change`
+function invertChange(change) {
+  const swap = entries => (entries || []).map(entry => ({ ...entry, before: entry.after, after: entry.before })).reverse();
+  return {
+    companies: swap(change.companies),
+    items: swap(change.items),
+    contacts: swap(change.contacts),
+    watchers: swap(change.watchers),
+    facilities: swap(change.facilities),
+    relations: swap(change.relations)
+  };
+}
+
+// Short counts for responses and audit entries
+function summarizeChange(change) {
+  return {
+    companies: change.companies.length,
+    items: change.items.length,
+    contacts: change.contacts.length,
+    watchers: change.watchers.length,
+    facilities: change.facilities.length,
+    relations: (change.relations || []).length
+  };
+}
+
+module.exports = {
+  UNKNOWN_COMPANY,
+  planMerge,
+  planSplit,
+  planAliases,
+  planDelete,
+  invertChange,
+  summarizeChange
+};
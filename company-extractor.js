@@ -0,0 +1,318 @@
+// company-extractor.js — Rule-based company name extraction with a confidence score
+// Candidates come from the warning letter recipient block, the warning letter
+// URL slug, per-source title patterns, known company names and names ending in
+// a legal suffix. Each candidate is validated (no dates, diseases, agency
+// headlines) and scored; the best one wins if it clears MIN_CONFIDENCE,
+// otherwise the item stays "TBD" for the AI fallback.
+
+const MIN_CONFIDENCE = 0.6;
+
+const UNKNOWN_COMPANY = 'Unknown Company';
+
+// Company methods of names taken from FDA or SEC records, or set by a person.
+// They are used as given; the plausibility checks are for extracted names.
+const STRUCTURED_METHODS = new Set(['structured', 'pdf_header', 'sec_cik', 'admin', 'analyst']);
+
+// Legal suffixes and how they are written in a display name
+const LEGAL_SUFFIXES = {
+  'inc': 'Inc.',
+  'incorporated': 'Incorporated',
+  'llc': 'LLC',
+  'ltd': 'Ltd.',
+  'limited': 'Limited',
+  'corp': 'Corp.',
+  'corporation': 'Corporation',
+  'co': 'Co.',
+  'company': 'Company',
+  'plc': 'plc',
+  'lp': 'LP',
+  'llp': 'LLP',
+  'pllc': 'PLLC',
+  'gmbh': 'GmbH',
+  'ag': 'AG',
+  'sa': 'S.A.',
+  'srl': 'S.r.l.',
+  'spa': 'S.p.A.',
+  'bv': 'B.V.',
+  'nv': 'N.V.',
+  'ab': 'AB',
+  'kg': 'KG',
+  'pvt': 'Pvt.',
+  'pty': 'Pty',
+  'pte': 'Pte.'
+};
+
+const INDUSTRY_WORDS = new Set([
+  'pharmaceuticals', 'pharmaceutical', 'pharma', 'therapeutics', 'biosciences', 'bioscience',
+  'biotech', 'biologics', 'biopharma', 'laboratories', 'labs', 'medical', 'healthcare',
+  'sciences', 'devices', 'diagnostics', 'compounding', 'pharmacy', 'foods', 'nutrition'
+]);
+
+// Lowercase words in title-cased names
+const MINOR_WORDS = new Set(['and', 'of', 'the', 'dba', 'de', 'du', 'la', 'for']);
+
+const SINGLE_WORD_REJECTS = new Set([
+  'unknown', 'tbd', 'breaking', 're', 'board', 'none', 'fda', 'hhs', 'cder', 'cber',
+  'cdrh', 'ora', 'oii', 'doj', 'usda', 'cdc', 'nih', 'update', 'updated', 'statement',
+  'the', 'at', 'treat', 'direct', 'manufacturer', 'compliance', 'covid', 'untitled',
+  'reported', 'extended', 'japanese', 'stat', 'mdma'
+]);
+
+const NOT_A_COMPANY = /\b(fda|food and drug administration|hhs|commissioner|statement|agency|department of|announces?|launches|approves?|guidance|disease|syndrome|disorder|cancer|melanoma|carcinoma|lymphoma|leukemia|patients?|treatment|therapy for|drug approval|warning letters?|complete response|recalls?|nda|bla|anda|compounders?|firms|companies|retailers|manufacturers|makers|sellers|distributors|websites|untitled|letters?|close-?out|newsletter|brief summary|observations?|import alert|scrutiny|gets|hit with|facility|plant|unit|correction|evaluation and research|glioma|dlbcl|cardiomyopathy|says|reports|names|expects|kicks off|reveals|trumpets|adds|suffers|punished|ordered|reintroduces|shares|investors|outbreak|directory|registration of|constituent updates|label|pending analysis)\b/i;
+
+// Words from a recipient's job title that precede the company in a letter header
+const ROLE_WORDS = /^(?:director|president|officer|manager|associate|affairs|assurance|regulatory|operations|compliance|safety|owner|founder|ceo|coo|cfo|md|mph|phd|rph|contamination)$/i;
+
+// Facility words that follow a company in headlines: "Sun Pharma plant",
+// "Laurus Labs' US arm", "Viatris says India plant ..."
+const FACILITY = '(?:plant|facility|unit|site|arm|subsidiary|factory)';
+const POSSESSIVE_TAIL = new RegExp(`(?:'s|’s|(?<=s)'|(?<=s)’)\\s+(?:[\\w.-]+\\s+){0,3}${FACILITY}\\b.*$`, 'i');
+const FACILITY_TAIL = new RegExp(`\\s+(?:says\\b.*|${FACILITY}\\b.*)$`, 'i');
+
+// "India's Zydus", "China facility" - a place, not the company
+const PLACES = 'India|China|Japan|Korea|South Korea|Taiwan|Germany|Switzerland|Israel|Canada|Europe|Ireland|Denmark|France|Britain|UK|US|U\\.S\\.';
+const PLACE_POSSESSIVE = new RegExp(`^(?:${PLACES})(?:'s|’s)\\s+`);
+const PLACE_ONLY = new RegExp(`^(?:${PLACES})$`, 'i');
+
+const DATE_LIKE = [
+  /^\d{1,2}[/-]\d{1,2}[/-]\d{2,4}$/,
+  /^\d{4}-\d{2}-\d{2}/,
+  /^(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4}$/i,
+  /^\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{4}$/i
+];
+
+// Title patterns per kind of source. Group 1 is the company.
+const TITLE_PATTERNS = [
+  // FOIA reading room: "QuVa Pharma, Inc. Sugar Land, TX. 483 issued 06/18/2025"
+  { method: 'title:foia', confidence: 0.9, pattern: /^(.+?)\.\s+[A-Z][A-Za-z .'-]+,\s*[A-Z]{2}\.\s+(?:483|Untitled Letter|Warning Letter|EIR)\b/ },
+  // Device recalls: "Applicator Recall: Integra LifeSciences Removes Extended Tip ..."
+  { method: 'title:recall', confidence: 0.85, pattern: /\bRecall:\s+(.+?)\s+(?:Removes|Recalls|Corrects|Updates|Issues)\b/ },
+  // Warning letter listing mirrored by news search: "CytoDyn, Inc. - 626957 - 02/11/2022"
+  { method: 'title:listing', confidence: 0.85, pattern: /^(.+?)\s+-\s+\d{5,7}\s+-\s+\d{2}\/\d{2}\/\d{4}$/ },
+  // Device corrections: "Infusion Pump Correction: ICU Medical, Inc. Issues Correction for ..."
+  { method: 'title:recall', confidence: 0.85, pattern: /\bCorrection:\s+(.+?)\s+(?:Issues|Corrects|Updates|Removes)\b/ },
+  // Recall notices: "Middlefield Original Cheese Co-Op Recalls Organic Gouda ..."
+  { method: 'title:recall', confidence: 0.75, pattern: /^(.+?)\s+(?:(?:Issues|Expands|Announces) (?:a )?(?:Voluntary )?(?:Nationwide |Worldwide )?(?:Medical Device )?(?:Recall|Correction)|Voluntarily Recalls|Recalls)\b/i },
+  // "Saol Therapeutics Receives Complete Response Letter ...", "Dexcom receives warning letter ..."
+  { method: 'title:subject', confidence: 0.75, pattern: /^(.+?)\s+(?:receives?|gets|got|announces receipt of|submits|resubmits|responds to|is hit with|hit with|hit by|slapped with|enters?|faces)\b.*\b(?:complete response|crl|warning letter|form 483|483|consent decree|import alert|untitled letter|injunction)/i },
+  // "Injunction Against Boosted LLC"
+  { method: 'title:object', confidence: 0.75, pattern: /\b(?:injunction|consent decree|action|complaint)\s+against\s+(.+?)(?:\s+(?:for|over|to|after|in)\b|$)/i },
+  // "FDA Issues Complete Response Letter to Outlook Therapeutics for ..."
+  { method: 'title:object', confidence: 0.7, pattern: /\b(?:complete response letter|crl|warning letter|untitled letter|form 483)s?\s+to\s+(.+?)(?:\s+(?:for|over|on|citing|after|regarding|about)\b|$)/i },
+  // "FDA hits Unicycive with manufacturing ..." - often a product, so weaker
+  { method: 'title:object', confidence: 0.6, pattern: /\bFDA\s+(?:hits|slaps|warns|cites|rebukes|blasts|scolds)\s+(.+?)(?:\s+(?:with|for|over|after|on|in)\b|$)/i },
+  // "FDA Issues CRL for RP1 ..." names a product more often than a company
+  { method: 'title:object', confidence: 0.45, pattern: /\b(?:complete response letter|crl)\s+for\s+(.+?)(?:\s+(?:for|in|over|as|to)\b|$)/i }
+];
+
+// Capitalized words ending in a legal suffix: "Wisconsin Pharmacal Company, LLC"
+const SUFFIX_WORD = '(?:Inc|LLC|L\\.L\\.C|Ltd|Limited|Corp|Corporation|Co|Company|GmbH|AG|plc|S\\.A|S\\.p\\.A|B\\.V|N\\.V|Pvt\\.? Ltd)(?![\\w-])\\.?';
+const SUFFIXED_NAME = new RegExp(`((?:[A-Z0-9][\\w&'.-]*,?\\s+){0,5}[A-Z0-9][\\w&'.-]*,?\\s+${SUFFIX_WORD}(?:,?\\s+${SUFFIX_WORD})?)`, 'g');
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function stripHeadlineNoise(title) {
+  return (title || '')
+    .replace(/\s+\|\s+[^-–|]{2,30}$/, '')          // " | RAPS"
+    .replace(/\s+[-–|]\s+[^-–|]{2,60}$/, '')        // " - Publisher"
+    .replace(/^(?:STAT\+|BREAKING|UPDATE|EXCLUSIVE):\s*/i, '')
+    .trim();
+}
+
+// "Nada Glavan Senior Director, Regulatory Eisai Inc." -> "Eisai Inc."
+function dropLeadingRoles(name) {
+  const words = name.split(' ');
+  let start = 0;
+  words.forEach((word, i) => {
+    if (ROLE_WORDS.test(word.replace(/[,.]/g, ''))) start = i + 1;
+  });
+  return start > 0 && start < words.length ? words.slice(start).join(' ') : name;
+}
+
+function cleanCandidate(name) {
+  const cleaned = (name || '').replace(/\s+/g, ' ').trim()
+    .replace(/^(.+?),?\s+\1$/, '$1')                          // repeated header lines
+    .replace(/^(?:the|an?)\s+/i, '')
+    .replace(PLACE_POSSESSIVE, '')
+    .replace(/^[A-Z][a-z]+-based\s+(?=[A-Z])/, '')             // "China-based ..."
+    .replace(POSSESSIVE_TAIL, '')
+    .replace(FACILITY_TAIL, '')
+    .replace(/(?:'s|’s)$/, '')
+    .replace(/[\s,;:'"’-]+$/, '');
+
+  // Keep the period of an abbreviated suffix ("Inc.") but not a sentence stop
+  const withoutStop = cleaned.replace(/\.+$/, '');
+  return /\b(?:Inc|Ltd|Corp|Co|Pvt|Pte|S\.A|S\.p\.A|S\.r\.l|B\.V|N\.V)$/.test(withoutStop) ? `${withoutStop}.` : withoutStop;
+}
+
+function isDomainName(name) {
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)*\.(com|net|org|co|us|shop|store|biz|io)$/i.test(name);
+}
+
+function isPlausibleCompanyName(name) {
+  if (!name || typeof name !== 'string') return false;
+  const trimmed = name.trim();
+  if (trimmed.length < 2 || trimmed.length > 80) return false;
+  if (!/[a-z]/i.test(trimmed)) return false;
+  if (trimmed.split(/\s+/).length > 8) return false;
+  if (DATE_LIKE.some(pattern => pattern.test(trimmed))) return false;
+  if (/\b\d{5,}\b/.test(trimmed)) return false; // MARCS-CMS or FEI numbers left in by slug parsing
+  if (SINGLE_WORD_REJECTS.has(trimmed.toLowerCase()) || PLACE_ONLY.test(trimmed)) return false;
+  if (NOT_A_COMPANY.test(trimmed)) return false;
+  if (isDomainName(trimmed)) return true;
+  if (!/^[A-Z0-9]/.test(trimmed)) return false;
+  // Company names are capitalized throughout; headline fragments are not
+  return trimmed.split(/\s+/).every(word => /^[^a-z]/.test(word) || MINOR_WORDS.has(word) || LEGAL_SUFFIXES[word.replace(/\./g, '')]);
+}
+
+function lastWord(name) {
+  const words = name.toLowerCase().replace(/[.,]/g, '').split(/\s+/);
+  return words[words.length - 1];
+}
+
+function hasLegalSuffix(name) {
+  return Object.prototype.hasOwnProperty.call(LEGAL_SUFFIXES, lastWord(name));
+}
+
+function hasIndustryWord(name) {
+  return name.toLowerCase().split(/[\s,]+/).some(word => INDUSTRY_WORDS.has(word));
+}
+
+function normalizeKey(name) {
+  return (name || '').toLowerCase().replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// "wisconsin-pharmacal-company-llc" -> "Wisconsin Pharmacal Company LLC"
+function titleCaseSlug(slug) {
+  return slug.split('-').filter(Boolean).map((word, i) => {
+    if (LEGAL_SUFFIXES[word] && i > 0) return LEGAL_SUFFIXES[word];
+    if (MINOR_WORDS.has(word) && i > 0) return word;
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }).join(' ');
+}
+
+// Company from a warning letter URL: .../warning-letters/<company>-<MARCS>-<MMDDYYYY>
+function companyFromWarningLetterUrl(url) {
+  const match = (url || '').match(/\/warning-letters\/([a-z0-9-]+?)-(\d{5,7})-(\d{8})\/?(?:[?#].*)?$/i);
+  return match ? titleCaseSlug(match[1].toLowerCase()) : null;
+}
+
+// ---------------------------
+// Extraction
+// ---------------------------
+function collectCandidates({ title, content, link, source, recipient, knownCompanies }) {
+  const candidates = [];
+  const add = (name, confidence, method) => {
+    const cleaned = cleanCandidate(method === 'legal_suffix' ? dropLeadingRoles(name.replace(/\s+/g, ' ')) : name);
+    if (isPlausibleCompanyName(cleaned)) candidates.push({ name: cleaned, confidence, method });
+  };
+
+  if (recipient?.company) add(recipient.company, 0.95, 'recipient');
+
+  const headline = stripHeadlineNoise(title);
+
+  // The slug loses punctuation ("ejuicescom"); prefer the title when it's the same name
+  const fromSlug = companyFromWarningLetterUrl(link);
+  if (fromSlug) {
+    const sameAsTitle = normalizeKey(fromSlug).replace(/\s/g, '') === normalizeKey(headline).replace(/\s/g, '');
+    add(sameAsTitle ? headline : fromSlug, 0.8, 'url_slug');
+  }
+
+  // The FDA warning letter listing uses the company as the link text
+  if (/^FDA (?:Website )?Direct$/.test(source) && headline) add(headline, 0.85, 'title:listing');
+
+  TITLE_PATTERNS.forEach(({ pattern, confidence, method }) => {
+    const match = headline.match(pattern);
+    if (match) add(match[1], confidence, method);
+  });
+
+  // Names with a legal suffix anywhere in the title or opening text
+  const text = `${headline}\n${(content || '').slice(0, 2000)}`;
+  let match;
+  SUFFIXED_NAME.lastIndex = 0;
+  while ((match = SUFFIXED_NAME.exec(text)) !== null) {
+    add(match[1], 0.7, 'legal_suffix');
+  }
+
+  // Known companies named in the headline
+  const foldedHeadline = ` ${normalizeKey(headline)} `;
+  Object.entries(knownCompanies || {}).forEach(([key, info]) => {
+    if (foldedHeadline.includes(` ${key} `)) add(info.canonical || key, 0.8, 'known_company');
+  });
+
+  return candidates;
+}
+
+function scoreCandidates(candidates) {
+  const byKey = new Map();
+
+  candidates.forEach(candidate => {
+    let confidence = candidate.confidence;
+    if (hasLegalSuffix(candidate.name)) confidence += 0.1;
+    else if (hasIndustryWord(candidate.name)) confidence += 0.05;
+    if (candidate.name.split(/\s+/).length > 6) confidence -= 0.2;
+
+    const key = normalizeKey(candidate.name)
+      .replace(/\b(inc|llc|ltd|corp|corporation|co|company|limited|plc)\b/g, '')
+      .trim();
+    const existing = byKey.get(key);
+    if (!existing) {
+      byKey.set(key, { ...candidate, confidence, methods: [candidate.method] });
+    } else {
+      // Independent sources agreeing raise confidence; keep the fuller spelling
+      if (!existing.methods.includes(candidate.method)) {
+        existing.methods.push(candidate.method);
+        existing.confidence = Math.max(existing.confidence, confidence) + 0.05;
+      }
+      if (candidate.name.length > existing.name.length && confidence >= existing.confidence - 0.1) {
+        existing.name = candidate.name;
+      }
+    }
+  });
+
+  return Array.from(byKey.values())
+    .map(c => ({ ...c, confidence: Math.round(Math.min(0.99, c.confidence) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// { name, confidence, method, candidates }. `name` is "TBD" when nothing clears
+// MIN_CONFIDENCE. `knownCompanies` maps normalized names to { canonical }.
+function extractCompany({ title = '', content = '', link = '', source = '', recipient = null, knownCompanies = {} } = {}) {
+  const candidates = scoreCandidates(collectCandidates({ title, content, link, source, recipient, knownCompanies }))
+    .map(({ methods, ...candidate }) => ({ ...candidate, method: methods.join('+') }));
+  const best = candidates[0];
+
+  if (!best || best.confidence < MIN_CONFIDENCE) {
+    return {
+      name: 'TBD',
+      confidence: best ? best.confidence : 0,
+      method: null,
+      candidates: candidates.slice(0, 3)
+    };
+  }
+
+  return {
+    name: best.name,
+    confidence: best.confidence,
+    method: best.method,
+    candidates: candidates.slice(0, 3)
+  };
+}
+
+// Name of the company record an item's violation is filed under
+function companyRecordName(item) {
+  const name = (item.company || '').trim();
+  if (!name || name === 'TBD') return UNKNOWN_COMPANY;
+  if (STRUCTURED_METHODS.has(item.companyMethod)) return name;
+  return isPlausibleCompanyName(name) ? name : UNKNOWN_COMPANY;
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  STRUCTURED_METHODS,
+  extractCompany,
+  isPlausibleCompanyName,
+  companyRecordName,
+  companyFromWarningLetterUrl
+};
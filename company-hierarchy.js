@@ -0,0 +1,170 @@
+// company-hierarchy.js — Parent/subsidiary relations between companies
+// Warning letters go to legal entities and sites ("Pfizer Ireland Pharmaceuticals"),
+// customers think in groups ("Pfizer Inc."). Each company has at most one
+// parent, and parents can have parents of their own. Relations are seeded from
+// the subsidiary names listed in the known companies table and edited through
+// the API; edits always win over seeding, and a seeded relation that was
+// removed stays removed. Company merges and deletions rewire relations through
+// company-admin.js.
+
+const fs = require('fs').promises;
+
+const MAX_DEPTH = 20; // guards walks over a hand-edited file
+
+function normalize(name) {
+  return (name || '').toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class CompanyHierarchy {
+  constructor(file) {
+    this.file = file;
+    this.relations = new Map(); // child -> { child, parent, source, updatedAt }
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(r => this.relations.set(r.child, r));
+    } catch {
+      // No file yet - starts empty
+    }
+    console.log(`✅ Company hierarchy initialized: ${this.childRelations().length} subsidiary links`);
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Array.from(this.relations.values()), null, 2));
+  }
+
+  // Relations with a parent (removed seeded relations are kept without one)
+  childRelations() {
+    return Array.from(this.relations.values()).filter(r => r.parent);
+  }
+
+  parentOf(name) {
+    return this.relations.get(name)?.parent || null;
+  }
+
+  // Parent, grandparent, ... up to the group's root
+  ancestorsOf(name) {
+    const ancestors = [];
+    let current = this.parentOf(name);
+    while (current && !ancestors.includes(current) && ancestors.length < MAX_DEPTH) {
+      ancestors.push(current);
+      current = this.parentOf(current);
+    }
+    return ancestors;
+  }
+
+  rootOf(name) {
+    const ancestors = this.ancestorsOf(name);
+    return ancestors.length ? ancestors[ancestors.length - 1] : name;
+  }
+
+  childrenOf(name) {
+    return this.childRelations().filter(r => r.parent === name).map(r => r.child);
+  }
+
+  // Every subsidiary below `name`, at any depth
+  descendantsOf(name) {
+    const found = [];
+    const queue = [name];
+    while (queue.length > 0 && found.length < 10000) {
+      this.childrenOf(queue.shift()).forEach(child => {
+        if (child === name || found.includes(child)) return;
+        found.push(child);
+        queue.push(child);
+      });
+    }
+    return found;
+  }
+
+  // True when `name` is `ancestor` or one of its subsidiaries
+  isWithin(name, ancestor) {
+    return name === ancestor || this.ancestorsOf(name).includes(ancestor);
+  }
+
+  setParent(child, parent, source = 'api') {
+    if (!child || typeof child !== 'string') throw new Error('Company name is required');
+    if (!parent || typeof parent !== 'string') throw new Error('Parent company is required');
+    if (child === parent) throw new Error('A company cannot be its own parent');
+    if (this.isWithin(parent, child)) {
+      throw new Error(`${parent} is already a subsidiary of ${child}`);
+    }
+
+    const relation = { child, parent, source, updatedAt: new Date().toISOString() };
+    this.relations.set(child, relation);
+    return relation;
+  }
+
+  // Detach `child` from its parent. Returns the previous parent.
+  removeParent(child) {
+    const previous = this.parentOf(child);
+    if (!previous) return null;
+    this.relations.set(child, { child, parent: null, source: 'api', updatedAt: new Date().toISOString() });
+    return previous;
+  }
+
+  // Link companies to the known group whose subsidiary names they carry:
+  // "Pfizer Ireland Pharmaceuticals" -> "Pfizer Inc.". `knownCompanies` maps a
+  // key to { canonical, subsidiaries }, where subsidiaries lists the name
+  // prefixes of the group's legal entities. Only listed prefixes link, since a
+  // shared first word doesn't make a subsidiary ("Merck KGaA" is not part of
+  // "Merck & Co., Inc."). Companies with an API relation (including a removed
+  // one) are left alone; seeded links the table no longer supports are dropped.
+  // Returns { added, removed }.
+  seed(knownCompanies, companyNames) {
+    const prefixes = Object.values(knownCompanies || {})
+      .flatMap(info => (info.subsidiaries || []).map(prefix => ({ prefix: normalize(prefix), canonical: info.canonical })))
+      .filter(({ prefix }) => prefix.length >= 3)
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+    const groupOf = name => {
+      const normalized = normalize(name);
+      const match = prefixes.find(({ prefix, canonical }) =>
+        canonical !== name && (normalized === prefix || normalized.startsWith(`${prefix} `))
+      );
+      return match ? match.canonical : null;
+    };
+
+    let removed = 0;
+    this.childRelations()
+      .filter(relation => relation.source === 'seed' && groupOf(relation.child) !== relation.parent)
+      .forEach(relation => {
+        this.relations.delete(relation.child);
+        removed++;
+      });
+
+    let added = 0;
+    companyNames.forEach(name => {
+      if (this.relations.has(name)) return;
+      const group = groupOf(name);
+      if (!group || this.isWithin(group, name)) return;
+      this.setParent(name, group, 'seed');
+      added++;
+    });
+    return { added, removed };
+  }
+
+  // Nested view of a group: { name, subsidiaries: [{ name, subsidiaries }] }
+  tree(name, depth = 0) {
+    return {
+      name,
+      subsidiaries: depth >= MAX_DEPTH
+        ? []
+        : this.childrenOf(name).sort().map(child => this.tree(child, depth + 1))
+    };
+  }
+
+  // Top-level groups that have subsidiaries
+  groups() {
+    const roots = new Set(this.childRelations().map(r => this.rootOf(r.child)));
+    return Array.from(roots).sort().map(root => ({
+      ...this.tree(root),
+      size: this.descendantsOf(root).length
+    }));
+  }
+}
+
+module.exports = { CompanyHierarchy };
@@ -0,0 +1,375 @@
+// escalation-model.js — Probability that a company or facility escalates
+// A subject (company or FEI site) escalates when it receives a warning letter,
+// is put on an import alert or enters a consent decree. The model is a logistic
+// regression over the features in FEATURES, read from the subject's history as
+// of a date. Training examples are monthly snapshots of that history whose
+// outcome window has fully passed. Weights are pulled towards PRIOR_WEIGHTS,
+// so with little history the model stays close to the prior and moves away
+// from it only as far as the data supports.
+
+const ESCALATION_TYPES = ['warning_letter', 'import_alert', 'consent_decree'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SNAPSHOT_STEP_DAYS = 30;
+const AT_RISK_DAYS = 730;          // only subjects with an event in the last two years are scored
+const DUPLICATE_WINDOW_DAYS = 30;  // the same action reported by several sources is one event
+const TRAINING_YEARS = 8;          // snapshots further back aren't used for training
+const CALIBRATION_BINS = 10;
+
+const FEATURES = [
+  { key: 'open_483s', description: 'Form 483s from the last year not yet followed by an escalation (log scale)' },
+  { key: 'repeat_citations', description: '21 CFR sections cited in more than one document or flagged as repeat observations (log scale)' },
+  { key: 'recent_signals', description: 'News, CRLs, clinical holds and SEC disclosures in the last 90 days (log scale)' },
+  { key: 'recent_recalls', description: 'Recalls in the last year (log scale)' },
+  { key: 'prior_warning_letters', description: 'Warning letters in the last five years (log scale)' },
+  { key: 'prior_import_alert_or_decree', description: 'Import alert or consent decree in the last five years' },
+  { key: 'office_cder', description: 'Most recent issuing office is CDER' },
+  { key: 'office_cdrh', description: 'Most recent issuing office is CDRH' },
+  { key: 'office_cber', description: 'Most recent issuing office is CBER' },
+  { key: 'office_food', description: 'Most recent issuing office is a foods or veterinary center' },
+  { key: 'product_drug', description: 'Drug products' },
+  { key: 'product_device', description: 'Medical devices' },
+  { key: 'product_biologic', description: 'Biologics' },
+  { key: 'product_food', description: 'Food, supplements or cosmetics' }
+];
+
+// Log-odds before any training: about a 3% yearly base rate, raised by open
+// 483s, prior letters and repeat citations
+const PRIOR_WEIGHTS = {
+  intercept: -3.5,
+  open_483s: 1.5,
+  repeat_citations: 0.8,
+  recent_signals: 0.4,
+  recent_recalls: 0.5,
+  prior_warning_letters: 1.0,
+  prior_import_alert_or_decree: 0.8,
+  office_cder: 0,
+  office_cdrh: 0,
+  office_cber: 0,
+  office_food: 0,
+  product_drug: 0,
+  product_device: 0,
+  product_biologic: 0,
+  product_food: 0
+};
+
+// ---------------------------
+// Timelines
+// ---------------------------
+function toTime(date) {
+  const time = new Date(date).getTime();
+  return isNaN(time) ? null : time;
+}
+
+function officeKey(office) {
+  const text = (office || '').toUpperCase();
+  if (/CDER|DRUG EVALUATION/.test(text)) return 'office_cder';
+  if (/CDRH|DEVICES AND RADIOLOGICAL/.test(text)) return 'office_cdrh';
+  if (/CBER|BIOLOGICS EVALUATION/.test(text)) return 'office_cber';
+  if (/CFSAN|HFP|CVM|FOOD SAFETY|VETERINARY|HUMAN FOODS/.test(text)) return 'office_food';
+  return null;
+}
+
+function productKey(productType) {
+  const text = (productType || '').toLowerCase();
+  if (/biolog|vaccine|blood|tissue/.test(text)) return 'product_biologic';
+  if (/device|radiation/.test(text)) return 'product_device';
+  if (/drug|pharma/.test(text)) return 'product_drug';
+  if (/food|supplement|cosmetic|dietary|animal|veterinary/.test(text)) return 'product_food';
+  return null;
+}
+
+// Group event records ({ kind, key, name, type, date, office, productType,
+// citations, repeatCitations }; citations are "21 CFR 211.192" sections) into
+// per-subject timelines, oldest event first. `type` is an escalation type,
+// 'form_483', 'recall' or 'signal'. Reports of the same action within
+// DUPLICATE_WINDOW_DAYS are merged.
+function buildTimelines(records) {
+  const timelines = new Map();
+
+  records
+    .map(record => ({ ...record, time: toTime(record.date) }))
+    .filter(record => record.time !== null && record.key)
+    .sort((a, b) => a.time - b.time)
+    .forEach(record => {
+      const id = `${record.kind}:${record.key}`;
+      if (!timelines.has(id)) {
+        timelines.set(id, { id, kind: record.kind, key: record.key, name: record.name || record.key, events: [] });
+      }
+      const timeline = timelines.get(id);
+
+      const duplicate = timeline.events.find(event =>
+        event.type === record.type && record.time - event.time <= DUPLICATE_WINDOW_DAYS * DAY_MS
+      );
+      if (duplicate) {
+        duplicate.office = duplicate.office || record.office || null;
+        duplicate.productType = duplicate.productType || record.productType || null;
+        duplicate.citations = Array.from(new Set([...duplicate.citations, ...(record.citations || [])]));
+        duplicate.repeatCitations = Array.from(new Set([...duplicate.repeatCitations, ...(record.repeatCitations || [])]));
+        return;
+      }
+
+      timeline.events.push({
+        type: record.type,
+        time: record.time,
+        office: record.office || null,
+        productType: record.productType || null,
+        citations: Array.from(new Set(record.citations || [])),
+        repeatCitations: Array.from(new Set(record.repeatCitations || [])),
+        link: record.link || null
+      });
+    });
+
+  return timelines;
+}
+
+// ---------------------------
+// Features and labels
+// ---------------------------
+function isAtRisk(timeline, asOf) {
+  return timeline.events.some(e => e.time < asOf && asOf - e.time <= AT_RISK_DAYS * DAY_MS);
+}
+
+// Feature values for a subject from the events before `asOf` (ms)
+function featuresAt(timeline, asOf) {
+  const past = timeline.events.filter(e => e.time < asOf);
+  const within = (e, days) => asOf - e.time <= days * DAY_MS;
+  const escalations = past.filter(e => ESCALATION_TYPES.includes(e.type));
+
+  const open483s = past.filter(e =>
+    e.type === 'form_483' && within(e, 365) && !escalations.some(x => x.time >= e.time)
+  ).length;
+
+  const sections = new Map();
+  past.forEach(e => e.citations.forEach(section => {
+    const entry = sections.get(section) || { documents: 0, repeat: false };
+    entry.documents++;
+    entry.repeat = entry.repeat || e.repeatCitations.includes(section);
+    sections.set(section, entry);
+  }));
+  const repeated = Array.from(sections.values()).filter(s => s.documents > 1 || s.repeat).length;
+
+  const latest = key => [...past].reverse().map(e => key(e)).find(Boolean) || null;
+  const office = latest(e => officeKey(e.office));
+  const product = latest(e => productKey(e.productType));
+
+  const values = {
+    open_483s: Math.log1p(open483s),
+    repeat_citations: Math.log1p(repeated),
+    recent_signals: Math.log1p(past.filter(e => e.type === 'signal' && within(e, 90)).length),
+    recent_recalls: Math.log1p(past.filter(e => e.type === 'recall' && within(e, 365)).length),
+    prior_warning_letters: Math.log1p(past.filter(e => e.type === 'warning_letter' && within(e, 5 * 365)).length),
+    prior_import_alert_or_decree: past.some(e => ['import_alert', 'consent_decree'].includes(e.type) && within(e, 5 * 365)) ? 1 : 0
+  };
+  ['office_cder', 'office_cdrh', 'office_cber', 'office_food'].forEach(key => { values[key] = office === key ? 1 : 0; });
+  ['product_drug', 'product_device', 'product_biologic', 'product_food'].forEach(key => { values[key] = product === key ? 1 : 0; });
+
+  return {
+    values,
+    facts: { open483s, repeatedSections: repeated, office, product }
+  };
+}
+
+// 1 when the subject escalates in [asOf, asOf + horizon)
+function labelAt(timeline, asOf, horizonDays) {
+  const end = asOf + horizonDays * DAY_MS;
+  return timeline.events.some(e => ESCALATION_TYPES.includes(e.type) && e.time >= asOf && e.time < end) ? 1 : 0;
+}
+
+// Monthly snapshots of every at-risk subject between `from` and `to` (ms)
+function buildExamples(timelines, { from, to, horizonDays }) {
+  const examples = [];
+  for (let asOf = from; asOf <= to; asOf += SNAPSHOT_STEP_DAYS * DAY_MS) {
+    timelines.forEach(timeline => {
+      if (!isAtRisk(timeline, asOf)) return;
+      examples.push({
+        id: timeline.id,
+        asOf,
+        values: featuresAt(timeline, asOf).values,
+        label: labelAt(timeline, asOf, horizonDays)
+      });
+    });
+  }
+  return examples;
+}
+
+// ---------------------------
+// Model
+// ---------------------------
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function linear(weights, values) {
+  return FEATURES.reduce((sum, { key }) => sum + (weights[key] || 0) * (values[key] || 0), weights.intercept || 0);
+}
+
+// MAP logistic regression: log loss plus `priorStrength` / 2 * |w - prior|^2
+function trainModel(examples, { horizonDays, prior = PRIOR_WEIGHTS, priorStrength = 5, iterations = 300, learningRate = 0.5 } = {}) {
+  const keys = ['intercept', ...FEATURES.map(f => f.key)];
+  const weights = { ...prior };
+  const n = examples.length;
+
+  if (n > 0) {
+    for (let i = 0; i < iterations; i++) {
+      const gradient = Object.fromEntries(keys.map(key => [key, 0]));
+      examples.forEach(example => {
+        const error = sigmoid(linear(weights, example.values)) - example.label;
+        gradient.intercept += error;
+        FEATURES.forEach(({ key }) => { gradient[key] += error * (example.values[key] || 0); });
+      });
+      keys.forEach(key => {
+        const penalty = priorStrength * (weights[key] - prior[key]);
+        weights[key] -= learningRate * (gradient[key] + penalty) / n;
+      });
+    }
+  }
+
+  return {
+    horizonDays,
+    weights: Object.fromEntries(keys.map(key => [key, Math.round(weights[key] * 1000) / 1000])),
+    examples: n,
+    positives: examples.filter(e => e.label === 1).length,
+    trainedAt: new Date().toISOString()
+  };
+}
+
+// Date (ms) of the newest event; outcome windows can only be judged up to it
+function historyEnd(timelines, now = Date.now()) {
+  let end = 0;
+  timelines.forEach(timeline => timeline.events.forEach(event => { end = Math.max(end, event.time); }));
+  return Math.min(end || now, now);
+}
+
+// Fit on every snapshot of the last TRAINING_YEARS whose outcome window closed by `dataEnd`
+function fitModel(timelines, { horizonDays, dataEnd = historyEnd(timelines) }) {
+  const examples = buildExamples(timelines, {
+    from: dataEnd - TRAINING_YEARS * 365 * DAY_MS,
+    to: dataEnd - horizonDays * DAY_MS,
+    horizonDays
+  });
+  return {
+    ...trainModel(examples, { horizonDays }),
+    dataEnd: new Date(dataEnd).toISOString().slice(0, 10)
+  };
+}
+
+// Probability with each feature's contribution to the log-odds
+function predict(model, values) {
+  const contributions = FEATURES
+    .map(({ key }) => ({ feature: key, value: Math.round(values[key] * 100) / 100, contribution: Math.round(model.weights[key] * values[key] * 100) / 100 }))
+    .filter(c => c.contribution !== 0)
+    .sort((a, b) => b.contribution - a.contribution);
+  return {
+    probability: Math.round(sigmoid(linear(model.weights, values)) * 1000) / 1000,
+    contributions
+  };
+}
+
+// ---------------------------
+// Evaluation
+// ---------------------------
+function auc(scored) {
+  const positives = scored.filter(s => s.label === 1).length;
+  const negatives = scored.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Mann-Whitney U with tied scores sharing their average rank
+  const sorted = [...scored].sort((a, b) => a.probability - b.probability);
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].probability === sorted[i].probability) j++;
+    const rank = (i + j + 1) / 2;
+    for (let k = i; k < j; k++) if (sorted[k].label === 1) rankSum += rank;
+    i = j;
+  }
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+// Brier score, log loss, AUC and a reliability table over `scored` ({ probability, label })
+function calibrationReport(scored, baseRate) {
+  const n = scored.length;
+  const clamp = p => Math.min(1 - 1e-6, Math.max(1e-6, p));
+  const brier = scored.reduce((sum, s) => sum + (s.probability - s.label) ** 2, 0) / (n || 1);
+  const logLoss = -scored.reduce((sum, s) => sum + (s.label ? Math.log(clamp(s.probability)) : Math.log(1 - clamp(s.probability))), 0) / (n || 1);
+
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    range: `${(i / CALIBRATION_BINS).toFixed(1)}-${((i + 1) / CALIBRATION_BINS).toFixed(1)}`,
+    count: 0,
+    predicted: 0,
+    observed: 0
+  }));
+  scored.forEach(s => {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(s.probability * CALIBRATION_BINS))];
+    bin.count++;
+    bin.predicted += s.probability;
+    bin.observed += s.label;
+  });
+  const reliability = bins
+    .filter(bin => bin.count > 0)
+    .map(bin => ({
+      range: bin.range,
+      count: bin.count,
+      meanPredicted: Math.round(bin.predicted / bin.count * 1000) / 1000,
+      observedRate: Math.round(bin.observed / bin.count * 1000) / 1000
+    }));
+  // Expected calibration error: the count-weighted gap between predicted and observed
+  const ece = reliability.reduce((sum, bin) => sum + bin.count * Math.abs(bin.meanPredicted - bin.observedRate), 0) / (n || 1);
+  const baselineBrier = baseRate === null ? null : scored.reduce((sum, s) => sum + (baseRate - s.label) ** 2, 0) / (n || 1);
+
+  const round = value => (value === null ? null : Math.round(value * 10000) / 10000);
+  return {
+    examples: n,
+    positives: scored.filter(s => s.label === 1).length,
+    observedRate: round(scored.filter(s => s.label === 1).length / (n || 1)),
+    meanPredicted: round(scored.reduce((sum, s) => sum + s.probability, 0) / (n || 1)),
+    brier: round(brier),
+    baselineBrier: round(baselineBrier),
+    logLoss: round(logLoss),
+    auc: round(auc(scored)),
+    ece: round(ece),
+    reliability
+  };
+}
+
+// Train on snapshots whose outcome window closed before `testFrom` and score
+// the snapshots from `testFrom` on whose window closed by `dataEnd`. Nothing
+// from after a training snapshot's window leaks into its label or features.
+function backtest(timelines, { horizonDays, testFrom, dataEnd }) {
+  const horizon = horizonDays * DAY_MS;
+  const trainFrom = testFrom - TRAINING_YEARS * 365 * DAY_MS;
+  const training = buildExamples(timelines, { from: trainFrom, to: testFrom - horizon, horizonDays });
+  const testing = buildExamples(timelines, { from: testFrom, to: dataEnd - horizon, horizonDays });
+
+  const model = trainModel(training, { horizonDays });
+  const baseRate = training.length > 0 ? model.positives / training.length : null;
+  const scored = testing.map(example => ({ probability: predict(model, example.values).probability, label: example.label }));
+  const priorScored = testing.map(example => ({
+    probability: predict({ weights: PRIOR_WEIGHTS }, example.values).probability,
+    label: example.label
+  }));
+
+  return {
+    horizonDays,
+    testFrom: new Date(testFrom).toISOString().slice(0, 10),
+    dataEnd: new Date(dataEnd).toISOString().slice(0, 10),
+    training: { examples: training.length, positives: model.positives, baseRate: baseRate === null ? null : Math.round(baseRate * 10000) / 10000 },
+    model: model.weights,
+    test: calibrationReport(scored, baseRate),
+    priorOnly: calibrationReport(priorScored, baseRate)
+  };
+}
+
+module.exports = {
+  ESCALATION_TYPES,
+  FEATURES,
+  PRIOR_WEIGHTS,
+  buildTimelines,
+  isAtRisk,
+  featuresAt,
+  historyEnd,
+  fitModel,
+  predict,
+  backtest
+};
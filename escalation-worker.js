@@ -0,0 +1,45 @@
+// escalation-worker.js — Escalation model fitting and backtests off the main thread
+// Fitting and backtesting walk every subject's monthly snapshots and take tens
+// of seconds on a full history, so they run in a worker thread and the server
+// keeps answering requests meanwhile. Timelines are copied to the worker; the
+// result (plain JSON) is copied back.
+
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { fitModel, backtest } = require('./escalation-model');
+
+const TASKS = { fit: fitModel, backtest };
+
+// Run `task` ('fit' or 'backtest') on `timelines` in a new worker thread
+function runEscalationTask(task, timelines, options) {
+  if (!TASKS[task]) return Promise.reject(new Error(`Unknown escalation task: ${task}`));
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { task, timelines, options } });
+    let settled = false;
+    worker.once('message', message => {
+      settled = true;
+      if (message.error) reject(new Error(message.error));
+      else resolve(message.result);
+    });
+    worker.once('error', error => {
+      settled = true;
+      reject(error);
+    });
+    worker.once('exit', code => {
+      if (!settled) reject(new Error(`Escalation worker stopped with exit code ${code}`));
+    });
+  });
+}
+
+if (!isMainThread && workerData?.task) {
+  const { task, timelines, options } = workerData;
+  try {
+    parentPort.postMessage({ result: TASKS[task](timelines, options) });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+}
+
+module.exports = {
+  runEscalationTask
+};
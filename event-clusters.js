@@ -0,0 +1,139 @@
+// event-clusters.js — Group items that report the same regulatory action
+// The FDA press release, the trade press write-up and the Google News pickup of
+// one consent decree arrive as separate items. Items are clustered into events
+// by title similarity, company and date proximity; each event keeps every
+// source that covered it.
+
+const crypto = require('crypto');
+const stringSimilarity = require('string-similarity');
+
+const DEFAULTS = {
+  threshold: 0.55,         // title similarity to join an event
+  sameCompanyThreshold: 0.35, // lower bar when both name the same known company
+  windowDays: 5,           // max days between an item and the event's latest item
+  maxCompareTitles: 5      // titles per event compared against each candidate
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Official sources first, then by source priority
+const CATEGORY_RANK = { official: 0, sec: 1, trade: 2, google: 3 };
+
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'to', 'for', 'in', 'on', 'and', 'with', 'at', 'by', 'from', 'over', 'after', 'its', 'fda']);
+
+function isKnownCompany(name) {
+  return !!name && name !== 'TBD' && name !== 'Unknown Company';
+}
+
+// Lowercased title without the " - Publisher" suffix news aggregators append
+function normalizeTitle(title) {
+  return (title || '')
+    .replace(/\s+[-–|]\s+[^-–|]{2,60}$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .join(' ');
+}
+
+function itemKey(item) {
+  return item.dedupeKey || item.link;
+}
+
+function rankItem(item) {
+  return (CATEGORY_RANK[item.sourceCategory] ?? 4) * 10 + (item.priority || 5);
+}
+
+function buildEvent(members) {
+  const sorted = [...members].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const primary = [...members].sort((a, b) => rankItem(a) - rankItem(b))[0];
+  const companies = members.map(m => m.company).filter(isKnownCompany);
+
+  return {
+    // Stable while the earliest member stays the same
+    id: crypto.createHash('sha1').update(itemKey(sorted[0])).digest('hex').slice(0, 16),
+    title: primary.title,
+    date: sorted[0].date,
+    lastDate: sorted[sorted.length - 1].date,
+    company: primary.company && isKnownCompany(primary.company) ? primary.company : (companies[0] || primary.company),
+    types: Array.from(new Set(members.flatMap(m => m.types || []))),
+    severity: Math.max(...members.map(m => m.severity || 0)),
+    primaryItemId: primary.id,
+    sourceCount: new Set(members.map(m => m.source)).size,
+    categories: Array.from(new Set(members.map(m => m.sourceCategory))),
+    itemIds: members.map(m => m.id),
+    sources: sorted.map(m => ({
+      itemId: m.id,
+      title: m.title,
+      source: m.source,
+      sourceCategory: m.sourceCategory,
+      link: m.link,
+      date: m.date
+    }))
+  };
+}
+
+// Cluster items into events. `canonicalize` maps company names to a canonical
+// form so aliases compare equal. Returns events newest first, singletons included.
+function clusterItems(items, options = {}) {
+  const { threshold, sameCompanyThreshold, windowDays, maxCompareTitles } = { ...DEFAULTS, ...options };
+  const canonicalize = options.canonicalize || (name => name);
+  const window = windowDays * DAY_MS;
+
+  const sorted = items
+    .filter(item => !isNaN(new Date(item.date)))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const clusters = [];
+  let active = [];
+
+  sorted.forEach(item => {
+    const time = new Date(item.date).getTime();
+    const title = normalizeTitle(item.title);
+    const company = isKnownCompany(item.company) ? canonicalize(item.company) : null;
+
+    active = active.filter(cluster => time - cluster.lastTime <= window);
+
+    let best = null;
+    let bestScore = 0;
+    active.forEach(cluster => {
+      const score = title
+        ? Math.max(0, ...cluster.titles.filter(Boolean).map(t => stringSimilarity.compareTwoStrings(title, t)))
+        : 0;
+      const sameCompany = company && cluster.companies.has(company);
+      const otherCompany = company && cluster.companies.size > 0 && !sameCompany;
+      // Different named companies only merge on near-identical titles
+      const needed = sameCompany ? sameCompanyThreshold : otherCompany ? 0.8 : threshold;
+
+      if (score >= needed && score > bestScore) {
+        best = cluster;
+        bestScore = score;
+      }
+    });
+
+    if (best) {
+      best.members.push(item);
+      best.lastTime = Math.max(best.lastTime, time);
+      if (title && best.titles.length < maxCompareTitles) best.titles.push(title);
+      if (company) best.companies.add(company);
+    } else {
+      const cluster = {
+        members: [item],
+        titles: [title],
+        companies: new Set(company ? [company] : []),
+        lastTime: time
+      };
+      clusters.push(cluster);
+      active.push(cluster);
+    }
+  });
+
+  return clusters
+    .map(cluster => buildEvent(cluster.members))
+    .sort((a, b) => new Date(b.lastDate) - new Date(a.lastDate));
+}
+
+module.exports = {
+  clusterItems,
+  normalizeTitle
+};
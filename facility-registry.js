@@ -0,0 +1,318 @@
+// facility-registry.js — Manufacturing sites keyed by FDA Establishment Identifier (FEI)
+// Every item or letter that names an FEI (Form 483s, warning letters, import
+// alerts, recalls) is attached to a Facility record with a normalized address,
+// its country and owning company, so individual sites can be tracked rather
+// than only parent company names.
+
+const fs = require('fs').promises;
+
+const COUNTRY_ALIASES = {
+  'us': 'United States',
+  'usa': 'United States',
+  'u.s.': 'United States',
+  'u.s.a.': 'United States',
+  'united states of america': 'United States',
+  'uk': 'United Kingdom',
+  'great britain': 'United Kingdom',
+  'korea, republic of': 'South Korea',
+  'republic of korea': 'South Korea',
+  "china, people's republic of": 'China',
+  'prc': 'China',
+  'korea': 'South Korea',
+  'the netherlands': 'Netherlands',
+  'czechia': 'Czech Republic',
+  'viet nam': 'Vietnam'
+};
+
+// Countries recognized at the end of a free-text address, with their ISO
+// 3166 alpha-3 codes. Two-letter codes are left out: most are also US states.
+const COUNTRY_CODES = {
+  'Argentina': 'ARG', 'Australia': 'AUS', 'Austria': 'AUT', 'Bangladesh': 'BGD',
+  'Belgium': 'BEL', 'Brazil': 'BRA', 'Bulgaria': 'BGR', 'Canada': 'CAN',
+  'Chile': 'CHL', 'China': 'CHN', 'Colombia': 'COL', 'Croatia': 'HRV',
+  'Cyprus': 'CYP', 'Czech Republic': 'CZE', 'Denmark': 'DNK', 'Egypt': 'EGY',
+  'Finland': 'FIN', 'France': 'FRA', 'Germany': 'DEU', 'Greece': 'GRC',
+  'Hong Kong': 'HKG', 'Hungary': 'HUN', 'Iceland': 'ISL', 'India': 'IND',
+  'Indonesia': 'IDN', 'Ireland': 'IRL', 'Israel': 'ISR', 'Italy': 'ITA',
+  'Japan': 'JPN', 'Jordan': 'JOR', 'Malaysia': 'MYS', 'Malta': 'MLT',
+  'Mexico': 'MEX', 'Netherlands': 'NLD', 'New Zealand': 'NZL', 'Norway': 'NOR',
+  'Pakistan': 'PAK', 'Peru': 'PER', 'Philippines': 'PHL', 'Poland': 'POL',
+  'Portugal': 'PRT', 'Romania': 'ROU', 'Singapore': 'SGP', 'Slovakia': 'SVK',
+  'Slovenia': 'SVN', 'South Africa': 'ZAF', 'South Korea': 'KOR', 'Spain': 'ESP',
+  'Sri Lanka': 'LKA', 'Sweden': 'SWE', 'Switzerland': 'CHE', 'Taiwan': 'TWN',
+  'Thailand': 'THA', 'Turkey': 'TUR', 'United Arab Emirates': 'ARE',
+  'United Kingdom': 'GBR', 'United States': 'USA', 'Vietnam': 'VNM'
+};
+
+// lower-case name, alias or code -> country
+const KNOWN_COUNTRIES = new Map([
+  ...Object.entries(COUNTRY_ALIASES),
+  ...Object.keys(COUNTRY_CODES).map(name => [name.toLowerCase(), name]),
+  ...Object.entries(COUNTRY_CODES).map(([name, code]) => [code.toLowerCase(), name])
+]);
+
+const US_STATE = /^[A-Z]{2}$/;
+const US_STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+]);
+
+// "facility in Halol, Gujarat, India", "plant located at 1 Main St, Rockville, MD"
+const SITE_PHRASE = /\b(?:facility|plant|site|location)\s+(?:located\s+)?(?:in|at)\s+([^.;:()\n]+)/gi;
+
+// Event lists kept per facility, by item type
+const EVENT_LISTS = {
+  inspection: 'inspections',
+  form_483: 'form483s',
+  warning_letter: 'warningLetters',
+  import_alert: 'importAlerts',
+  recall: 'recalls'
+};
+
+// ---------------------------
+// Normalization
+// ---------------------------
+function isValidFei(fei) {
+  return typeof fei === 'string' && /^\d{7,10}$/.test(fei);
+}
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+}
+
+// The country `text` names, if it is one we know
+function knownCountry(text) {
+  return KNOWN_COUNTRIES.get((text || '').replace(/\s+/g, ' ').trim().toLowerCase()) || null;
+}
+
+function normalizeCountry(country) {
+  if (!country) return null;
+  const trimmed = country.replace(/\s+/g, ' ').trim();
+  const known = knownCountry(trimmed);
+  if (known) return known;
+  return trimmed === trimmed.toUpperCase() ? titleCase(trimmed) : trimmed;
+}
+
+// Structured address from parts ({ street, city, state, zip, country }) or a
+// single "street, city, ST 12345" line
+function normalizeAddress(address) {
+  if (!address) return null;
+
+  let parts = address;
+  if (typeof address === 'string') {
+    const segments = address.split(',').map(s => s.trim()).filter(Boolean);
+    // A trailing country ("..., Shanghai, CHINA") would otherwise be read as
+    // the city; some names have a comma of their own ("Korea, Republic of")
+    let country = null;
+    if (segments.length > 2 && knownCountry(segments.slice(-2).join(', '))) {
+      country = knownCountry(segments.splice(-2).join(', '));
+    } else if (segments.length > 1 && knownCountry(segments[segments.length - 1])) {
+      country = knownCountry(segments.pop());
+    }
+
+    const last = segments[segments.length - 1] || '';
+    // "ST 12345", or a bare state code ("Rockville, MD")
+    const match = segments.length > 1 && last.match(/^([A-Z]{2})(?:\s+(\d{5}(?:-\d{4})?))?$/);
+    const stateZip = match && (match[2] || US_STATE_CODES.has(match[1])) ? match : null;
+    parts = stateZip
+      ? {
+        street: segments.slice(0, -2).join(', '),
+        city: segments[segments.length - 2],
+        state: stateZip[1],
+        zip: stateZip[2] || null,
+        country: country || 'United States'
+      }
+      : { street: segments.slice(0, -1).join(', '), city: last, country };
+  }
+
+  const normalized = {
+    street: (parts.street || '').replace(/\s+/g, ' ').trim() || null,
+    city: parts.city ? titleCase(parts.city.trim()) : null,
+    state: (parts.state || '').trim().toUpperCase() || null,
+    postalCode: (parts.zip || parts.postalCode || '').trim() || null,
+    country: normalizeCountry(parts.country) || (US_STATE.test((parts.state || '').trim()) ? 'United States' : null)
+  };
+
+  normalized.full = [
+    normalized.street,
+    normalized.city,
+    [normalized.state, normalized.postalCode].filter(Boolean).join(' '),
+    normalized.country
+  ].filter(Boolean).join(', ');
+
+  return normalized.full ? normalized : null;
+}
+
+// Addresses of the sites a free text names ("manufactured at our facility in
+// Halol, Gujarat, India"). Each phrase runs to the first segment that doesn't
+// start with a capital or number.
+function addressesInText(text) {
+  const addresses = [];
+  let match;
+  SITE_PHRASE.lastIndex = 0;
+  while ((match = SITE_PHRASE.exec(text || '')) !== null) {
+    const segments = [];
+    for (const segment of match[1].split(',')) {
+      const place = segment.trim().match(/^(?:[A-Z0-9][\w.&'-]*\s*)+/);
+      if (!place) break;
+      segments.push(place[0].trim());
+      if (place[0].trim() !== segment.trim()) break;
+    }
+    let address = normalizeAddress(segments.join(', '));
+    // Without a street, a foreign place reads city first ("Halol, Gujarat, India")
+    if (address?.street && !/\d/.test(address.street) && address.country && address.country !== 'United States') {
+      address = normalizeAddress({ city: segments[0], country: address.country });
+    }
+    if (address) addresses.push(address);
+  }
+  return addresses;
+}
+
+// "City, ST" (or "City, Country") of an address
+function placeLabel(address, country = null) {
+  return [address?.city, address?.state || country || address?.country].filter(Boolean).join(', ');
+}
+
+// Short label used in company.facilities lists
+function facilityLabel(facility) {
+  const place = placeLabel(facility.address, facility.country);
+  return place ? `${place} (FEI ${facility.fei})` : `FEI ${facility.fei}`;
+}
+
+// ---------------------------
+// Registry
+// ---------------------------
+class FacilityRegistry {
+  constructor(file) {
+    this.file = file;
+    this.facilities = new Map(); // fei -> facility
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(f => {
+        // Addresses saved before trailing countries were recognized have the country as their city
+        if (knownCountry(f.address?.city) && f.address.full) {
+          f.address = normalizeAddress(f.address.full) || f.address;
+          f.country = f.country || f.address.country;
+        }
+        this.facilities.set(f.fei, f);
+      });
+    } catch {
+      // No registry yet - first run
+    }
+    console.log(`✅ Facility registry initialized: ${this.facilities.size} facilities`);
+  }
+
+  get(fei) {
+    return this.facilities.get(fei) || null;
+  }
+
+  forCompany(companyName) {
+    return Array.from(this.facilities.values()).filter(f => f.company === companyName);
+  }
+
+  list({ company, country, q, limit = 50, offset = 0 } = {}) {
+    let facilities = Array.from(this.facilities.values());
+
+    if (company) {
+      const needle = company.toLowerCase();
+      facilities = facilities.filter(f => (f.company || '').toLowerCase().includes(needle));
+    }
+    if (country) {
+      const needle = normalizeCountry(country).toLowerCase();
+      facilities = facilities.filter(f => (f.country || '').toLowerCase() === needle);
+    }
+    if (q) {
+      const needle = q.toLowerCase();
+      facilities = facilities.filter(f =>
+        f.fei.includes(needle) ||
+        f.names.some(name => name.toLowerCase().includes(needle)) ||
+        (f.address?.full || '').toLowerCase().includes(needle)
+      );
+    }
+
+    facilities.sort((a, b) => new Date(b.lastActivity || 0) - new Date(a.lastActivity || 0));
+
+    return {
+      total: facilities.length,
+      facilities: facilities.slice(offset, offset + limit).map(f => ({
+        fei: f.fei,
+        name: f.name,
+        company: f.company,
+        country: f.country,
+        address: f.address,
+        counts: Object.fromEntries(Object.values(EVENT_LISTS).map(list => [list, f[list].length])),
+        lastActivity: f.lastActivity
+      }))
+    };
+  }
+
+  // Create or update the facility for `fei` and attach an event to it.
+  // `site` carries what the source knows about the site: name, company, address, country.
+  record(fei, site, event) {
+    if (!isValidFei(fei)) return null;
+
+    const now = new Date().toISOString();
+    let facility = this.facilities.get(fei);
+    if (!facility) {
+      facility = {
+        fei,
+        name: null,
+        names: [],
+        company: null,
+        address: null,
+        country: null,
+        ...Object.fromEntries(Object.values(EVENT_LISTS).map(list => [list, []])),
+        firstSeen: now,
+        lastActivity: null,
+        updatedAt: now
+      };
+      this.facilities.set(fei, facility);
+    }
+
+    if (site.name && !facility.names.includes(site.name)) {
+      facility.names.push(site.name);
+    }
+    facility.name = facility.name || site.name || null;
+    if (site.company && site.company !== 'TBD' && site.company !== 'Unknown Company') {
+      facility.company = site.company;
+    }
+
+    const address = normalizeAddress(site.address);
+    // A structured address beats a free-text one
+    if (address && (!facility.address || (!facility.address.postalCode && address.postalCode))) {
+      facility.address = address;
+    }
+    facility.country = normalizeCountry(site.country) || facility.address?.country || facility.country;
+
+    const list = EVENT_LISTS[event?.type];
+    if (list && event.key && !facility[list].some(e => e.key === event.key)) {
+      facility[list].push(event);
+      facility[list].sort((a, b) => new Date(b.date) - new Date(a.date));
+      if (!facility.lastActivity || new Date(event.date) > new Date(facility.lastActivity)) {
+        facility.lastActivity = event.date;
+      }
+    }
+
+    facility.updatedAt = now;
+    return facility;
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Array.from(this.facilities.values()), null, 2));
+  }
+}
+
+module.exports = {
+  FacilityRegistry,
+  normalizeAddress,
+  normalizeCountry,
+  knownCountry,
+  addressesInText,
+  placeLabel,
+  facilityLabel,
+  isValidFei
+};
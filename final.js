@@ -14,6 +14,68 @@ const OpenAI = require('openai');
 const stringSimilarity = require('string-similarity');
 const moment = require('moment-timezone');
 const crypto = require('crypto');
+const { LetterArchive } = require('./letter-archive');
+const { extractCitations, extractRepeatMarkers, summarizeCitations, normalizeOffice, periodKey } = require('./citation-extractor');
+const { PdfDocumentStore, isPdfLink, summarizeDocument } = require('./pdf-documents');
+const {
+  marcsFromUrl,
+  detectLetterKind,
+  extractReferencedMarcs,
+  extractDocumentDate,
+  applyLifecycleEvent,
+  lifecycleEventsForItem,
+  summarizeLifecycle,
+  lifecycleMetrics
+} = require('./letter-lifecycle');
+const {
+  ImportAlertStore,
+  DEFAULT_TRACKED_ALERTS,
+  fetchImportAlertIndex,
+  fetchImportAlert
+} = require('./import-alerts');
+const { FacilityRegistry, facilityLabel } = require('./facility-registry');
+const { SourceRegistry } = require('./source-registry');
+const { LinkResolver, isGoogleNewsLink } = require('./news-links');
+const { clusterItems } = require('./event-clusters');
+const { mergeItemSets, parseRetention } = require('./item-store');
+const { createRepository } = require('./repository');
+const { SearchIndex, itemDocument, letterDocument, scopedQuery, parseQuery } = require('./search-index');
+const {
+  extractCompany,
+  isPlausibleCompanyName,
+  companyRecordName,
+  STRUCTURED_METHODS: STRUCTURED_COMPANY_METHODS,
+  MIN_CONFIDENCE: COMPANY_MIN_CONFIDENCE
+} = require('./company-extractor');
+const { planMerge, planSplit, planAliases, planDelete, invertChange, summarizeChange } = require('./company-admin');
+const { CompanyHierarchy } = require('./company-hierarchy');
+const { CikRegistry, createEdgarClient, detectDisclosures, COMPANY_TICKERS_URL } = require('./sec-edgar');
+const { assessRisk, RiskHistory, RISK_FACTORS, RISK_LEVELS, RISK_MODEL_VERSION, MAX_HISTORY } = require('./risk-model');
+const {
+  ESCALATION_TYPES,
+  FEATURES: ESCALATION_FEATURES,
+  PRIOR_WEIGHTS: ESCALATION_PRIOR_WEIGHTS,
+  buildTimelines,
+  isAtRisk,
+  featuresAt,
+  historyEnd: escalationHistoryEnd,
+  predict
+} = require('./escalation-model');
+const { runEscalationTask } = require('./escalation-worker');
+const { ClassifierRules, evaluate: evaluateClassifier, compareReports } = require('./classifier-rules');
+const { ItemOverrides, OVERRIDE_FIELDS, RELEVANCE_LEVELS, VISIBLE_QUERY, isVisible: isVisibleItem } = require('./item-overrides');
+const { PEER_CRITERIA, METRICS: BENCHMARK_METRICS, companyProfile, peerGroups, benchmarkCompany } = require('./benchmark');
+const {
+  TAXONOMY_VERSION,
+  getNode: getTaxonomyNode,
+  lineage: taxonomyLineage,
+  atDepth: taxonomyAtDepth,
+  taxonomyTree,
+  tagViolation,
+  mergeTags,
+  tagIds: taxonomyIds,
+  matchesTaxonomy
+} = require('./violation-taxonomy');
 
 const app = express();
 const parser = new Parser({
@@ -82,6 +144,29 @@ const wluserleafSchema = new mongoose.Schema({
     alertLevel: { type: String, enum: ['all', 'critical', 'custom'] },
     customRules: Object
   }],
+  // /api/search queries re-run against new items after every aggregation
+  savedSearches: [{
+    name: { type: String, required: true },
+    query: { type: String, required: true },
+    delivery: { type: String, enum: ['instant', 'digest'], default: 'instant' },
+    paused: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+    lastRunAt: Date,
+    lastMatchAt: Date,
+    matchCount: { type: Number, default: 0 },
+    // Matches waiting for the next daily or weekly digest
+    pendingMatches: [{
+      itemId: String,
+      title: String,
+      link: String,
+      company: String,
+      type: { type: String },
+      date: Date,
+      severity: Number,
+      matchedAt: { type: Date, default: Date.now }
+    }]
+  }],
   apiKeys: {
     hunter: { type: String, select: false },
     apollo: { type: String, select: false }
@@ -122,10 +207,13 @@ const AuditLog = mongoose.model('AuditLog', auditLogSchema);
 const DATA_DIR = './data';
 const CACHE_DIR = './cache';
 const BACKUP_DIR = './backups';
+const LETTERS_DIR = path.join(DATA_DIR, 'letters');
+const DOCUMENTS_DIR = path.join(DATA_DIR, 'documents');
+const IMPORT_ALERTS_DIR = path.join(DATA_DIR, 'import_alerts');
 
 // Ensure directories exist
 const ensureDirectories = async () => {
-  for (const dir of [DATA_DIR, CACHE_DIR, BACKUP_DIR]) {
+  for (const dir of [DATA_DIR, CACHE_DIR, BACKUP_DIR, LETTERS_DIR, DOCUMENTS_DIR, IMPORT_ALERTS_DIR]) {
     await fs.mkdir(dir, { recursive: true });
   }
 };
@@ -144,11 +232,37 @@ const DATA_FILES = {
   CRL_LETTERS: path.join(DATA_DIR, 'crl_letters.json'),
   FORM_483: path.join(DATA_DIR, 'form_483.json'),
   ALL_ITEMS: path.join(DATA_DIR, 'all_items.json'),
+  BACKFILL_CHECKPOINTS: path.join(DATA_DIR, 'backfill_checkpoints.json'),
+  OPENFDA_STATE: path.join(DATA_DIR, 'openfda_state.json'),
+  FACILITIES: path.join(DATA_DIR, 'facilities.json'),
+  COMPANY_HIERARCHY: path.join(DATA_DIR, 'company_hierarchy.json'),
+  SEC_TICKERS: path.join(DATA_DIR, 'sec_tickers.json'),
+  SEC_STATE: path.join(DATA_DIR, 'sec_state.json'),
+  RISK_HISTORY: path.join(DATA_DIR, 'risk_history.json'),
+  ESCALATION_MODEL: path.join(DATA_DIR, 'escalation_model.json'),
+  SOURCES: path.join(DATA_DIR, 'sources.json'),
+  CLASSIFIER_RULES: path.join(DATA_DIR, 'classifier_rules.json'),
+  CLASSIFIER_EVAL_SET: path.join(DATA_DIR, 'classifier_eval_set.json'),
+  ITEM_OVERRIDES: path.join(DATA_DIR, 'item_overrides.json'),
+  EVENTS: path.join(DATA_DIR, 'events.json'),
+  RESOLVED_LINKS: path.join(CACHE_DIR, 'resolved_links.json'),
   AI_CACHE: path.join(CACHE_DIR, 'ai_cache.json'),
   COMPANY_CACHE: path.join(CACHE_DIR, 'company_cache.json'),
   METRICS: path.join(DATA_DIR, 'metrics.json')
 };
 
+// Items, companies, contacts and alerts are read and written through the
+// repository. STORAGE_BACKEND=mongo switches it to MongoDB in start().
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'json';
+let repository = createRepository({
+  files: {
+    items: DATA_FILES.ALL_ITEMS,
+    companies: DATA_FILES.COMPANIES,
+    contacts: DATA_FILES.CONTACTS,
+    alerts: DATA_FILES.ALERTS
+  }
+});
+
 // API Keys Configuration
 const API_KEYS = {
   HUNTER: process.env.HUNTER_API_KEY,
@@ -163,7 +277,10 @@ const API_KEYS = {
     VAPID_PUBLIC: process.env.VAPID_PUBLIC ,
   VAPID_PRIVATE: process.env.VAPID_PRIVATE ,
   SEC_API: process.env.SEC_API_KEY,
-  NEWS_API: process.env.NEWS_API_KEY
+  SEC_USER_AGENT: process.env.SEC_USER_AGENT || 'FDA-Monitor/5.0 admin@fda-monitor.local',
+  NEWS_API: process.env.NEWS_API_KEY,
+  OPENFDA: process.env.OPENFDA_API_KEY,
+  ADMIN_EMAILS: process.env.ADMIN_EMAILS
 };
 
 // Initialize OpenAI with error handling
@@ -363,160 +480,10 @@ if (API_KEYS.SMTP_USER && API_KEYS.SMTP_PASS) {
   
 //   sec_filings: [] // Dynamically populated based on watched companies
 // };
-const FEED_SOURCES = {
-  fda_official: [
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/press-releases/rss.xml',
-      name: 'FDA Press Announcements',
-      category: 'official',
-      priority: 1,
-      type: 'general'
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/drugs/rss.xml',
-      name: 'FDA CDER Updates',
-      category: 'official',
-      priority: 1,
-      type: 'drugs'
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/medwatch/rss.xml',
-      name: 'FDA MedWatch Safety',
-      category: 'official',
-      priority: 1,
-      type: 'safety'
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/ora-foia-electronic-reading-room/rss.xml',
-      name: 'FDA OII FOIA Electronic Reading Room',
-      category: 'official',
-      priority: 1,
-      type: 'foia'
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/biologics/rss.xml',
-      name: 'FDA CBER Biologics',
-      category: 'official',
-      priority: 1,
-      type: 'biologics'
-    },
-    {
-      url: 'https://www.accessdata.fda.gov/scripts/cdrh/cfdocs/cfpma/pma-rss.cfm',
-      name: 'FDA CDRH Devices',
-      category: 'official',
-      priority: 1,
-      type: 'devices'
-    }
-  ],
-  
-  trade_press: [
-    {
-      url: 'https://www.fiercepharma.com/rss/xml',
-      name: 'FiercePharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.fiercebiotech.com/rss/xml',
-      name: 'FierceBiotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/pharma/feed/',
-      name: 'STAT News Pharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/biotech/feed/',
-      name: 'STAT News Biotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.biospace.com/FDA.rss',
-      name: 'BioSpace',
-      category: 'trade',
-      priority: 3
-    },
-    {
-      url: 'https://www.raps.org/news-and-articles?rss=Regulatory-Focus',
-      name: 'RAPS Regulatory Focus',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.biopharmadive.com/feeds/news/',
-      name: 'BioPharma Dive',
-      category: 'trade',
-      priority: 3
-    },
-    {
-      url: 'https://endpts.com/feed/',
-      name: 'Endpoints News',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.pharmavoice.com/feeds/news',
-      name: 'PharmaVoice',
-      category: 'trade',
-      priority: 3
-    }
-  ],
-  
-  google_news: [
-    {
-      url: 'https://news.google.com/rss/search?q=%22Complete%20Response%20Letter%22%20FDA&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - CRLs',
-      category: 'google',
-      type: 'crl',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20%22Warning%20Letters%22&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - FDA Warning Letters',
-      category: 'google',
-      type: 'foia',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20OPDP%20%28%22Untitled%20Letter%22%20OR%20%22Warning%20Letter%22%29&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - OPDP Letters',
-      category: 'google',
-      type: 'opdp',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=FDA%20%22Form%20483%22%20observations&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Form 483',
-      category: 'google',
-      type: 'form_483',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=%22Import%20Alert%22%20FDA%20pharmaceutical&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Import Alerts',
-      category: 'google',
-      type: 'import_alert',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=%22Consent%20Decree%22%20FDA%20pharmaceutical&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Consent Decrees',
-      category: 'google',
-      type: 'consent_decree',
-      priority: 3
-    }
-  ],
-  
-  sec_filings: [] // Dynamically populated based on watched companies
-};
-// Enhanced Classification System with more detail
+// Enhanced Classification System with more detail. Which type an item gets is
+// decided by the rules in classifier-rules.js; severity here is each type's base.
 const CLASSIFIERS = {
   warning_letter: {
-    keywords: ['warning letter', 'FDA warns', 'regulatory warning', 'untitled letter'],
     severity: 8,
     impact: 'high',
     typical_timeline: '15 days to respond',
@@ -526,7 +493,6 @@ const CLASSIFIERS = {
     icon: '⚠️'
   },
   crl: {
-    keywords: ['complete response letter', 'CRL', 'FDA rejects', 'approval denial', 'deficiency letter'],
     severity: 9,
     impact: 'critical',
     typical_timeline: 'Resubmission in 6+ months',
@@ -536,7 +502,6 @@ const CLASSIFIERS = {
     icon: '🚫'
   },
   form_483: {
-    keywords: ['form 483', '483 observations', 'inspection observations', 'FDA inspection'],
     severity: 6,
     impact: 'medium',
     typical_timeline: '15 days to respond',
@@ -546,7 +511,6 @@ const CLASSIFIERS = {
     icon: '📋'
   },
   opdp: {
-    keywords: ['OPDP', 'untitled letter', 'promotional', 'misleading claims', 'false advertising'],
     severity: 5,
     impact: 'medium',
     typical_timeline: '14 days to respond',
@@ -556,7 +520,6 @@ const CLASSIFIERS = {
     icon: '📢'
   },
   import_alert: {
-    keywords: ['import alert', 'DWPE', 'detention without physical examination', 'import ban'],
     severity: 7,
     impact: 'high',
     typical_timeline: 'Immediate',
@@ -566,7 +529,6 @@ const CLASSIFIERS = {
     icon: '🚫'
   },
   consent_decree: {
-    keywords: ['consent decree', 'permanent injunction', 'court order'],
     severity: 10,
     impact: 'critical',
     typical_timeline: 'Ongoing compliance',
@@ -576,8 +538,13 @@ const CLASSIFIERS = {
     icon: '⚖️'
   },
   recall: {
-    keywords: ['recall', 'voluntary recall', 'market withdrawal', 'safety alert'],
     severity: 7,
+    // openFDA enforcement reports carry FDA's health hazard classification
+    classification_severity: {
+      'Class I': 9,
+      'Class II': 7,
+      'Class III': 4
+    },
     impact: 'high',
     typical_timeline: 'Immediate',
     regulatory_impact: 'Product removal required',
@@ -586,7 +553,6 @@ const CLASSIFIERS = {
     icon: '🔄'
   },
   clinical_hold: {
-    keywords: ['clinical hold', 'study halt', 'trial suspension'],
     severity: 8,
     impact: 'high',
     typical_timeline: 'Variable',
@@ -619,7 +585,9 @@ class CompanyIntelligenceSystem {
   // Add this method to the CompanyIntelligenceSystem class (add it after the findContactsForCompany method)
 
 async updateCompany(item) {
-  const companyName = item.company === 'TBD' ? 'Unknown Company' : item.company;
+  // Placeholders and leftovers from the old extractor ("von Willebrand Disease", dates)
+  // aren't companies; names from FDA's own records are taken as given
+  const companyName = companyRecordName(item);
   
   if (!this.companies.has(companyName)) {
     this.companies.set(companyName, {
@@ -640,6 +608,7 @@ async updateCompany(item) {
   const company = this.companies.get(companyName);
   
   // Create violation record
+  const isWarningLetter = item.types[0] === 'warning_letter';
   const violation = {
     id: item.id,
     type: item.types[0],
@@ -649,64 +618,149 @@ async updateCompany(item) {
     source: item.source,
     summary: item.summary,
     severity: item.severity || 5,
-    status: 'new'
+    // Warning letters move through issued -> response_posted -> closed_out
+    status: isWarningLetter ? 'issued' : 'new'
   };
   
+  if (isWarningLetter) {
+    violation.marcsNumber = item.marcsNumber || marcsFromUrl(item.link);
+    violation.issuingOffice = item.issuingOffice || null;
+    violation.statusHistory = [{ status: 'issued', date: item.date, detectedAt: new Date().toISOString() }];
+  }
+  
   // Check if violation already exists
-  const exists = company.violations.some(v => v.link === violation.link);
-  if (!exists) {
-    company.violations.push(violation);
-    company.violations.sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    // Keep only last 100 violations
-    if (company.violations.length > 100) {
-      company.violations = company.violations.slice(0, 100);
+  const existing = company.violations.find(v => v.link === violation.link);
+  if (existing) {
+    // Response and close-out links show up on later listings of the same letter
+    const advanced = lifecycleEventsForItem(item)
+      .map(event => applyLifecycleEvent(existing, event))
+      .some(Boolean);
+    if (advanced) {
+      company.last_updated = new Date().toISOString();
     }
-    
-    company.last_updated = new Date().toISOString();
-    
-    this.updateMetrics();
-    return true;
+    return false;
+  }
+  
+  lifecycleEventsForItem(item).forEach(event => applyLifecycleEvent(violation, event));
+  
+  company.violations.push(violation);
+  company.violations.sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+  // Keep only last 100 violations
+  if (company.violations.length > 100) {
+    company.violations = company.violations.slice(0, 100);
   }
   
-  return false;
+  company.last_updated = new Date().toISOString();
+  
+  this.updateMetrics();
+  return true;
 }
 
-calculateRiskScore(company) {
-  let score = 0;
-  const weights = {
-    violation_count: 0.3,
-    severity: 0.3,
-    frequency: 0.2,
-    response_time: 0.1,
-    repeat_violations: 0.1
-  };
-  
-  // Recent violations (last 2 years)
-  const twoYearsAgo = new Date();
-  twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
-  const recentViolations = company.violations.filter(v => 
-    new Date(v.date) > twoYearsAgo
-  );
+// Move an item's violation from the company it was filed under to item.company
+async reassignViolation(item, previousName) {
+  const previous = this.companies.get(previousName);
+  const violation = previous?.violations.find(v => v.link === item.link);
+  if (previous) {
+    previous.violations = previous.violations.filter(v => v.link !== item.link);
+    previous.last_updated = new Date().toISOString();
+  }
   
-  // Violation count score
-  score += Math.min(recentViolations.length * 10, 30) * weights.violation_count;
+  await this.updateCompany(item);
   
-  // Severity score
-  const avgSeverity = recentViolations.reduce((sum, v) => sum + (v.severity || 5), 0) / 
-                     (recentViolations.length || 1);
-  score += avgSeverity * 10 * weights.severity;
+  // Keep lifecycle state gathered under the old name
+  if (violation) {
+    const moved = this.companies.get(companyRecordName(item))
+      ?.violations.find(v => v.link === item.link);
+    if (moved) Object.assign(moved, { ...violation, id: moved.id });
+  }
+}
+
+// Drop company records whose names aren't companies (their violations go to
+// "Unknown Company") and records left without violations. Names in `structured`
+// came from FDA or SEC records and are kept.
+removeImplausibleCompanies(structured = new Set()) {
+  const removed = [];
+  this.companies.forEach((company, name) => {
+    if (name === 'Unknown Company') return;
+    if ((isPlausibleCompanyName(name) || structured.has(name)) && company.violations.length > 0) return;
+    
+    if (company.violations.length > 0) {
+      if (!this.companies.has('Unknown Company')) {
+        this.companies.set('Unknown Company', {
+          ...company,
+          name: 'Unknown Company',
+          aliases: [],
+          violations: []
+        });
+      }
+      const unknown = this.companies.get('Unknown Company');
+      const links = new Set(unknown.violations.map(v => v.link));
+      unknown.violations.push(...company.violations.filter(v => !links.has(v.link)));
+      unknown.violations.sort((a, b) => new Date(b.date) - new Date(a.date));
+      unknown.violations = unknown.violations.slice(0, 100);
+    }
+    
+    this.companies.delete(name);
+    (company.aliases || []).forEach(alias => this.companyAliases.delete(this.normalizeForMatching(alias)));
+    removed.push(name);
+  });
   
-  // Frequency score (violations per month)
-  if (recentViolations.length > 0) {
-    const monthsActive = Math.max(1, 
-      (Date.now() - new Date(company.first_seen)) / (30 * 24 * 60 * 60 * 1000)
+  this.updateMetrics();
+  return removed;
+}
+
+// Warning letter violation by MARCS-CMS number, with its company
+findViolationByMarcs(marcsNumber) {
+  for (const company of this.companies.values()) {
+    const violation = company.violations.find(v =>
+      v.type === 'warning_letter' && (v.marcsNumber || marcsFromUrl(v.link)) === marcsNumber
     );
-    const frequency = recentViolations.length / monthsActive;
-    score += Math.min(frequency * 50, 20) * weights.frequency;
+    if (violation) return { company, violation };
   }
+  return null;
+}
+
+// Advance a warning letter when its response or close-out letter is found
+recordLifecycleEvent(marcsNumber, event) {
+  const match = this.findViolationByMarcs(marcsNumber);
+  if (!match) return false;
   
-  return Math.min(100, Math.round(score));
+  const changed = applyLifecycleEvent(match.violation, event);
+  if (changed) {
+    match.company.last_updated = new Date().toISOString();
+  }
+  return changed;
+}
+
+// Every warning letter violation with its company, for lifecycle metrics
+getWarningLetterRecords() {
+  const records = [];
+  this.companies.forEach(company => {
+    company.violations
+      .filter(v => v.type === 'warning_letter')
+      .forEach(letter => records.push({ company: company.name, letter }));
+  });
+  return records;
+}
+
+// Risk model v2 (risk-model.js): the score with its per-factor breakdown
+riskAssessment(company) {
+  return assessRisk(company, { citationsOf: violationCitations });
+}
+
+calculateRiskScore(company) {
+  return this.riskAssessment(company).score;
+}
+
+// Rescore every company record; records keep the points per factor
+refreshRiskScores() {
+  this.companies.forEach(company => {
+    const assessment = this.riskAssessment(company);
+    company.risk_score = assessment.score;
+    company.risk_level = assessment.level;
+    company.risk_factors = Object.fromEntries(assessment.factors.map(f => [f.key, f.points]));
+  });
 }
 
 calculateComplianceScore(company) {
@@ -747,32 +801,38 @@ titleCase(str) {
   initializeKnownCompanies() {
     // Major pharmaceutical companies with correct domains
     this.knownCompanies = {
-      'pfizer': { canonical: 'Pfizer Inc.', domain: 'pfizer.com', ticker: 'PFE' },
-      'merck': { canonical: 'Merck & Co., Inc.', domain: 'merck.com', ticker: 'MRK' },
-      'johnson & johnson': { canonical: 'Johnson & Johnson', domain: 'jnj.com', ticker: 'JNJ' },
+      // `subsidiaries`: legal-entity name prefixes of the group's subsidiaries, for
+      // the company hierarchy (company-hierarchy.js)
+      'pfizer': { canonical: 'Pfizer Inc.', domain: 'pfizer.com', ticker: 'PFE', subsidiaries: ['pfizer', 'hospira', 'wyeth'] },
+      'merck': { canonical: 'Merck & Co., Inc.', domain: 'merck.com', ticker: 'MRK', subsidiaries: ['merck sharp & dohme', 'msd'] },
+      'johnson & johnson': { canonical: 'Johnson & Johnson', domain: 'jnj.com', ticker: 'JNJ', subsidiaries: ['johnson & johnson', 'janssen', 'ethicon', 'depuy', 'biosense webster'] },
       'j&j': { canonical: 'Johnson & Johnson', domain: 'jnj.com', ticker: 'JNJ' },
-      'roche': { canonical: 'F. Hoffmann-La Roche Ltd', domain: 'roche.com', ticker: 'RHHBY' },
-      'novartis': { canonical: 'Novartis AG', domain: 'novartis.com', ticker: 'NVS' },
-      'sanofi': { canonical: 'Sanofi', domain: 'sanofi.com', ticker: 'SNY' },
-      'glaxosmithkline': { canonical: 'GlaxoSmithKline plc', domain: 'gsk.com', ticker: 'GSK' },
+      'roche': { canonical: 'F. Hoffmann-La Roche Ltd', domain: 'roche.com', ticker: 'RHHBY', subsidiaries: ['hoffmann-la roche', 'f. hoffmann-la roche', 'roche diagnostics', 'roche molecular', 'genentech'] },
+      'novartis': { canonical: 'Novartis AG', domain: 'novartis.com', ticker: 'NVS', subsidiaries: ['novartis'] },
+      'sanofi': { canonical: 'Sanofi', domain: 'sanofi.com', ticker: 'SNY', subsidiaries: ['sanofi', 'genzyme'] },
+      'glaxosmithkline': { canonical: 'GlaxoSmithKline plc', domain: 'gsk.com', ticker: 'GSK', subsidiaries: ['glaxosmithkline', 'glaxo', 'gsk'] },
       'gsk': { canonical: 'GlaxoSmithKline plc', domain: 'gsk.com', ticker: 'GSK' },
-      'astrazeneca': { canonical: 'AstraZeneca PLC', domain: 'astrazeneca.com', ticker: 'AZN' },
-      'abbvie': { canonical: 'AbbVie Inc.', domain: 'abbvie.com', ticker: 'ABBV' },
-      'bristol myers squibb': { canonical: 'Bristol Myers Squibb Company', domain: 'bms.com', ticker: 'BMY' },
-      'eli lilly': { canonical: 'Eli Lilly and Company', domain: 'lilly.com', ticker: 'LLY' },
-      'amgen': { canonical: 'Amgen Inc.', domain: 'amgen.com', ticker: 'AMGN' },
-      'gilead': { canonical: 'Gilead Sciences, Inc.', domain: 'gilead.com', ticker: 'GILD' },
-      'biogen': { canonical: 'Biogen Inc.', domain: 'biogen.com', ticker: 'BIIB' },
-      'moderna': { canonical: 'Moderna, Inc.', domain: 'modernatx.com', ticker: 'MRNA' }
+      'astrazeneca': { canonical: 'AstraZeneca PLC', domain: 'astrazeneca.com', ticker: 'AZN', subsidiaries: ['astrazeneca', 'alexion', 'medimmune'] },
+      'abbvie': { canonical: 'AbbVie Inc.', domain: 'abbvie.com', ticker: 'ABBV', subsidiaries: ['abbvie', 'allergan', 'pharmacyclics'] },
+      'bristol myers squibb': { canonical: 'Bristol Myers Squibb Company', domain: 'bms.com', ticker: 'BMY', subsidiaries: ['bristol-myers squibb', 'bristol myers squibb', 'celgene'] },
+      'eli lilly': { canonical: 'Eli Lilly and Company', domain: 'lilly.com', ticker: 'LLY', subsidiaries: ['eli lilly', 'lilly'] },
+      'amgen': { canonical: 'Amgen Inc.', domain: 'amgen.com', ticker: 'AMGN', subsidiaries: ['amgen', 'horizon therapeutics'] },
+      'gilead': { canonical: 'Gilead Sciences, Inc.', domain: 'gilead.com', ticker: 'GILD', subsidiaries: ['gilead sciences', 'kite pharma'] },
+      'biogen': { canonical: 'Biogen Inc.', domain: 'biogen.com', ticker: 'BIIB', subsidiaries: ['biogen'] },
+      'moderna': { canonical: 'Moderna, Inc.', domain: 'modernatx.com', ticker: 'MRNA', subsidiaries: ['moderna'] }
     };
   }
 
   async initialize() {
     try {
       // Load existing company data
-      const companiesData = await this.loadJSONFile(DATA_FILES.COMPANIES);
+      const companiesData = await repository.companies.findAll();
       if (companiesData) {
         companiesData.forEach(c => {
+          // Warning letters stored before lifecycle tracking start out as issued
+          (c.violations || []).forEach(v => {
+            if (v.type === 'warning_letter' && v.status === 'new') v.status = 'issued';
+          });
           this.companies.set(c.name, c);
           if (c.aliases) {
             c.aliases.forEach(alias => {
@@ -783,7 +843,7 @@ titleCase(str) {
       }
 
       // Load contacts
-      const contactsData = await this.loadJSONFile(DATA_FILES.CONTACTS);
+      const contactsData = await repository.contacts.findAll();
       if (contactsData) {
         contactsData.forEach(c => this.contacts.set(c.company, c));
       }
@@ -820,10 +880,13 @@ titleCase(str) {
       .trim();
   }
 
-  // SIMPLIFIED: Just return placeholder for initial display
+  // Rule-based extraction: { name, confidence, method }, name "TBD" when unsure
+  extractCompany(title, content, link, source, recipient = null) {
+    return extractCompany({ title, content, link, source, recipient, knownCompanies: this.knownCompanies });
+  }
+
   extractCompanyName(title, content, link, source) {
-    // Don't try to extract - let AI do it when modal opens
-    return "TBD";
+    return this.extractCompany(title, content, link, source).name;
   }
 
   findCanonicalName(name) {
@@ -1865,7 +1928,7 @@ async  findAndValidateCompanyDomain(companyName) {
   async save() {
     try {
       const companiesArray = Array.from(this.companies.values());
-      await fs.writeFile(DATA_FILES.COMPANIES, JSON.stringify(companiesArray, null, 2));
+      await repository.companies.replaceAll(companiesArray);
       
       const cacheObj = {};
       this.aiCache.forEach((value, key) => {
@@ -1884,7 +1947,7 @@ async  findAndValidateCompanyDomain(companyName) {
   async saveContacts() {
     try {
       const contactsArray = Array.from(this.contacts.values());
-      await fs.writeFile(DATA_FILES.CONTACTS, JSON.stringify(contactsArray, null, 2));
+      await repository.contacts.replaceAll(contactsArray);
     } catch (error) {
       console.error('Error saving contacts:', error);
     }
@@ -1894,8 +1957,9 @@ async  findAndValidateCompanyDomain(companyName) {
 
 }
 class WarningLetterScraper {
-  constructor() {
+  constructor(archive = null) {
     this.cache = new Map();
+    this.archive = archive;
     this.rateLimiter = {
       lastRequest: 0,
       minDelay: 1000, // 1 second between requests
@@ -1903,12 +1967,22 @@ class WarningLetterScraper {
     };
   }
 
-  // Main scraping method
-  async scrapeWarningLetter(url) {
-    // Check cache first
-    if (this.cache.has(url)) {
-      console.log(`📋 Using cached data for: ${url}`);
-      return this.cache.get(url);
+  // Main scraping method - reads through the letter archive unless refresh is requested.
+  // `kind` ('response' or 'closeout') overrides page detection when the caller knows it.
+  async scrapeWarningLetter(url, { refresh = false, kind = null } = {}) {
+    if (!refresh) {
+      // Check cache first
+      if (this.cache.has(url)) {
+        console.log(`📋 Using cached data for: ${url}`);
+        return this.cache.get(url);
+      }
+
+      const archived = await this.getArchivedLetter(url);
+      if (archived) {
+        console.log(`🗄️ Using archived letter ${archived.marcsNumber} for: ${url}`);
+        this.cacheLetter(url, archived);
+        return archived;
+      }
     }
 
     // Rate limiting
@@ -1933,17 +2007,27 @@ class WarningLetterScraper {
         });
 
         const $ = cheerio.load(response.data);
-        const letterData = this.extractLetterData($, url);
-        
-        // Cache the result
-        this.cache.set(url, letterData);
+        let letterData = this.extractLetterData($, url);
+        if (kind) letterData.letterKind = kind;
         
-        // Clean old cache entries if too large
-        if (this.cache.size > 100) {
-          const firstKey = this.cache.keys().next().value;
-          this.cache.delete(firstKey);
+        // Response and close-out pages share the letter's MARCS-CMS number, so they
+        // are linked to the original letter instead of being archived over it
+        if (letterData.letterKind !== 'warning_letter') {
+          await linkLifecycleDocument(letterData);
+        } else {
+          if (this.archive && letterData.marcsNumber) {
+            // Persist the full letter so restarts don't lose it
+            try {
+              letterData = { ...(await this.archive.save(letterData, response.data)), fromArchive: false };
+            } catch (archiveError) {
+              console.error(`⚠️ Could not archive ${url}:`, archiveError.message);
+            }
+          }
+          await registerLetterFacility(letterData);
         }
         
+        this.cacheLetter(url, letterData);
+        
         console.log(`✅ Successfully scraped warning letter`);
         return letterData;
         
@@ -1958,6 +2042,13 @@ class WarningLetterScraper {
       }
     }
     
+    // A failed re-scrape still has the archived copy to fall back on
+    const archived = await this.getArchivedLetter(url);
+    if (archived) {
+      console.error(`⚠️ Re-scrape failed for ${url}, serving archived copy`);
+      return { ...archived, stale: true, refreshError: lastError?.message };
+    }
+    
     // If all retries failed, return partial data
     console.error(`⚠️ All scraping attempts failed for ${url}`);
     return {
@@ -1968,6 +2059,22 @@ class WarningLetterScraper {
     };
   }
 
+  async getArchivedLetter(url) {
+    if (!this.archive) return null;
+    const archived = await this.archive.getByUrl(url);
+    return archived ? { ...archived, fromArchive: true } : null;
+  }
+
+  cacheLetter(url, letterData) {
+    this.cache.set(url, letterData);
+    
+    // Clean old cache entries if too large
+    if (this.cache.size > 100) {
+      const firstKey = this.cache.keys().next().value;
+      this.cache.delete(firstKey);
+    }
+  }
+
   // Extract data from the HTML
   extractLetterData($, url) {
     const data = {
@@ -1977,7 +2084,7 @@ class WarningLetterScraper {
       
       // Basic Info
       title: this.extractTitle($),
-      marcsNumber: this.extractMarcsNumber($),
+      marcsNumber: this.extractMarcsNumber($, url),
       letterDate: this.extractLetterDate($),
       issueDate: this.extractIssueDate($),
       
@@ -1990,6 +2097,7 @@ class WarningLetterScraper {
       
       // Issuing Office
       issuingOffice: this.extractIssuingOffice($),
+      feiNumber: this.extractFeiNumber($),
       
       // Letter Content
       letterContent: this.extractLetterContent($),
@@ -2005,9 +2113,22 @@ class WarningLetterScraper {
       regulatedProducts: this.extractRegulatedProducts($)
     };
     
-    // Extract company name from recipient if available
-    if (data.recipient && data.recipient.company) {
-      data.companyName = data.recipient.company;
+    // Structured 21 CFR / FD&C Act references from the full letter text
+    data.citations = extractCitations(data.letterContent);
+    data.repeatMarkers = extractRepeatMarkers(data.letterContent);
+    data.taxonomy = tagViolation({ text: `${data.title || ''}\n${data.letterContent || ''}`, citations: data.citations });
+    
+    // Close-out and response letters are posted as pages of their own
+    data.letterKind = detectLetterKind({ url, title: data.title, text: data.letterContent });
+    if (data.letterKind !== 'warning_letter') {
+      data.relatedMarcsNumbers = extractReferencedMarcs(data.letterContent);
+    }
+    
+    // Company from the recipient block, checked against the URL slug and title
+    const company = extractCompany({ title: data.title, link: url, recipient: data.recipient });
+    if (company.name !== 'TBD') {
+      data.companyName = company.name;
+      data.companyConfidence = company.confidence;
     }
     
     return data;
@@ -2026,7 +2147,10 @@ class WarningLetterScraper {
     return title.replace(/\s+/g, ' ').trim();
   }
 
-  extractMarcsNumber($) {
+  extractMarcsNumber($, url) {
+    const fromUrl = marcsFromUrl(url);
+    if (fromUrl) return fromUrl;
+    
     const title = this.extractTitle($);
     const match = title.match(/MARCS-CMS\s+(\d+)/i) || title.match(/(\d{6})/);
     if (match) return match[1];
@@ -2143,6 +2267,19 @@ class WarningLetterScraper {
     return recipient;
   }
 
+  // FDA Establishment Identifier of the inspected site
+  extractFeiNumber($) {
+    const feiDt = $('dt:contains("FEI")');
+    if (feiDt.length) {
+      const match = feiDt.next('dd').text().match(/\d{7,10}/);
+      if (match) return match[0];
+    }
+    
+    const content = $('.inset-column').text() || $('main').text() || $('body').text();
+    const match = content.match(/\bFEI(?:\s*(?:Number|No\.?|#))?\s*[:#]?\s*(\d{7,10})\b/i);
+    return match ? match[1] : null;
+  }
+
   extractIssuingOffice($) {
     const issuingDt = $('dt:contains("Issuing Office")');
     if (issuingDt.length) {
@@ -2186,7 +2323,7 @@ class WarningLetterScraper {
       content = $('main p').text().trim();
     }
     
-    return content.substring(0, 5000); // Limit to 5000 chars for storage
+    return content.trim();
   }
 
   extractViolations($) {
@@ -2347,13 +2484,32 @@ class WarningLetterScraper {
   }
 }
 
-// Create singleton instance
-const warningLetterScraper = new WarningLetterScraper();
+// Create singleton instances
+const letterArchive = new LetterArchive(LETTERS_DIR);
+const warningLetterScraper = new WarningLetterScraper(letterArchive);
+const pdfDocuments = new PdfDocumentStore(DOCUMENTS_DIR);
+const importAlerts = new ImportAlertStore(IMPORT_ALERTS_DIR);
+const facilityRegistry = new FacilityRegistry(DATA_FILES.FACILITIES);
+const companyHierarchy = new CompanyHierarchy(DATA_FILES.COMPANY_HIERARCHY);
+const secCiks = new CikRegistry(DATA_FILES.SEC_TICKERS);
+const riskHistory = new RiskHistory(DATA_FILES.RISK_HISTORY);
+const sourceRegistry = new SourceRegistry(DATA_FILES.SOURCES);
+const classifierRules = new ClassifierRules(DATA_FILES.CLASSIFIER_RULES, {
+  types: Object.keys(CLASSIFIERS)
+});
+const itemOverrides = new ItemOverrides(DATA_FILES.ITEM_OVERRIDES, {
+  types: [...Object.keys(CLASSIFIERS), 'regulatory_news']
+});
+const linkResolver = new LinkResolver(DATA_FILES.RESOLVED_LINKS);
+const searchIndex = new SearchIndex({
+  canonicalize: name => companyIntel.findCanonicalName(name)
+});
 
-// Add this endpoint to your Express app
+// Cache-aware read-through: serves the archived letter when we have it,
+// scrapes (and archives) it otherwise. Pass refresh=true to force a live fetch.
 app.get('/api/warning-letter/scrape', async (req, res) => {
   try {
-    const { url } = req.query;
+    const { url, refresh } = req.query;
     
     if (!url) {
       return res.status(400).json({
@@ -2370,11 +2526,13 @@ app.get('/api/warning-letter/scrape', async (req, res) => {
       });
     }
     
-    // Scrape the warning letter
-    const letterData = await warningLetterScraper.scrapeWarningLetter(url);
+    const letterData = await warningLetterScraper.scrapeWarningLetter(url, {
+      refresh: refresh === 'true'
+    });
     
     res.json({
       success: letterData.success !== false,
+      cached: !!letterData.fromArchive,
       data: letterData
     });
     
@@ -2387,6 +2545,75 @@ app.get('/api/warning-letter/scrape', async (req, res) => {
   }
 });
 
+// List archived warning letters
+app.get('/api/warning-letters/archive', (req, res) => {
+  try {
+    const { company, office, q, limit = 50, offset = 0 } = req.query;
+    
+    const result = letterArchive.list({
+      company,
+      office,
+      q,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    
+    res.json({
+      success: true,
+      total: result.total,
+      count: result.letters.length,
+      offset: parseInt(offset),
+      limit: parseInt(limit),
+      letters: result.letters
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get a single archived letter by MARCS-CMS number
+app.get('/api/warning-letters/archive/:marcsNumber', async (req, res) => {
+  try {
+    const letter = await letterArchive.get(req.params.marcsNumber, {
+      includeHtml: req.query.includeHtml === 'true'
+    });
+    
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Letter not found in archive'
+      });
+    }
+    
+    res.json({ success: true, data: letter });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-scrape an archived letter from its FDA URL
+app.post('/api/warning-letters/archive/:marcsNumber/rescrape', async (req, res) => {
+  try {
+    const letter = await letterArchive.get(req.params.marcsNumber);
+    
+    if (!letter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Letter not found in archive'
+      });
+    }
+    
+    const letterData = await warningLetterScraper.scrapeWarningLetter(letter.url, { refresh: true });
+    
+    res.json({
+      success: letterData.success !== false && !letterData.stale,
+      data: letterData
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // COMPLETE REPLACEMENT FOR /api/ai/enhance endpoint
 // app.post('/api/ai/enhance', async (req, res) => {
 //   try {
@@ -2540,23 +2767,60 @@ app.get('/api/warning-letter/scrape', async (req, res) => {
 // Initialize company intelligence
 const companyIntel = new CompanyIntelligenceSystem();
 
-// Classification and extraction functions
-function classifyItem(title, content) {
-  const text = `${title} ${content}`.toLowerCase();
-  const types = [];
-  let maxSeverity = 0;
+// Record a fetch in the source registry; sources built on the fly have no id
+async function recordSourceRun(source, run) {
+  if (!source.id) return;
   
-  for (const [type, config] of Object.entries(CLASSIFIERS)) {
-    if (config.keywords.some(keyword => text.includes(keyword))) {
-      types.push(type);
-      maxSeverity = Math.max(maxSeverity, config.severity);
-    }
+  const { autoDisabled } = sourceRegistry.recordRun(source.id, run);
+  if (autoDisabled) {
+    await notifySourceDisabled(sourceRegistry.get(source.id));
   }
+}
+
+// Tell admins (ADMIN_EMAILS) that a source was switched off after repeated failures
+async function notifySourceDisabled(source) {
+  console.error(`🚫 Source disabled: ${source.name} - ${source.disabledReason}`);
   
-  return {
-    types: types.length > 0 ? types : ['regulatory_news'],
-    severity: maxSeverity
-  };
+  await AuditLog.create({
+    action: 'source_auto_disabled',
+    details: { sourceId: source.id, name: source.name, url: source.url, reason: source.disabledReason }
+  }).catch(error => console.error('Audit log error:', error.message));
+  
+  const admins = (API_KEYS.ADMIN_EMAILS || '').split(',').map(e => e.trim()).filter(Boolean);
+  if (!emailTransporter || admins.length === 0) return;
+  
+  for (const email of admins) {
+    try {
+      await emailTransporter.sendMail({
+        from: API_KEYS.SMTP_USER,
+        to: email,
+        subject: `⚠️ Feed source disabled: ${source.name}`,
+        html: `
+          <p>The feed source <strong>${source.name}</strong> was disabled automatically.</p>
+          <p><strong>URL:</strong> ${source.url}<br>
+          <strong>Reason:</strong> ${source.disabledReason}<br>
+          <strong>Last success:</strong> ${source.health.lastSuccess || 'never'}</p>
+          <p>Fix the URL and re-enable it with <code>PUT /api/sources/${source.id}</code>.</p>
+        `
+      });
+      console.log(`✅ Source alert sent to ${email}`);
+    } catch (error) {
+      console.error(`❌ Failed to send source alert to ${email}:`, error.message);
+    }
+  }
+}
+
+// Classification and extraction functions
+function classifierSeverities() {
+  return Object.fromEntries(Object.entries(CLASSIFIERS).map(([type, config]) => [type, config.severity]));
+}
+
+function classifyItem(title, content, { sourceType } = {}) {
+  const { types, severity } = classifierRules.classify(
+    { title: title || '', summary: content || '', sourceType },
+    { severities: classifierSeverities() }
+  );
+  return { types, severity };
 }
 
 // Fetch RSS feeds with retry logic
@@ -2565,13 +2829,15 @@ async function fetchFeed(source, retries = 3) {
     try {
       console.log(`📡 Fetching: ${source.name} (attempt ${attempt})`);
       
+      const startedAt = Date.now();
       const feed = await parser.parseURL(source.url);
+      const latencyMs = Date.now() - startedAt;
       const results = [];
       
       feed.items.forEach(item => {
         const date = new Date(item.pubDate || item.isoDate || Date.now());
-        const classification = classifyItem(item.title, item.contentSnippet || item.content || '');
-        const company = companyIntel.extractCompanyName(
+        const classification = classifyItem(item.title, item.contentSnippet || item.content || '', { sourceType: source.type });
+        const company = companyIntel.extractCompany(
           item.title,
           item.content || item.contentSnippet || '',
           item.link,
@@ -2588,7 +2854,10 @@ async function fetchFeed(source, retries = 3) {
           sourceCategory: source.category,
           sourceType: source.type,
           summary: item.contentSnippet || item.content || '',
-          company: company,
+          company: company.name,
+          companyConfidence: company.confidence,
+          companyMethod: company.method,
+          citations: extractCitations(`${item.title || ''}\n\n${item.contentSnippet || item.content || ''}`),
           types: classification.types,
           severity: classification.severity,
           priority: source.priority || 5
@@ -2596,11 +2865,13 @@ async function fetchFeed(source, retries = 3) {
       });
       
       console.log(`✅ ${source.name}: ${results.length} items`);
+      await recordSourceRun(source, { ok: true, items: results.length, latencyMs });
       return results;
       
     } catch (error) {
       console.error(`❌ ${source.name} attempt ${attempt} failed:`, error.message);
       if (attempt === retries) {
+        await recordSourceRun(source, { ok: false, error: error.message });
         return [];
       }
       await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
@@ -2610,6 +2881,10 @@ async function fetchFeed(source, retries = 3) {
   return [];
 }
 
+// FDA warning letter listing and the datatables endpoint that pages it
+const FDA_WARNING_LETTERS_PATH = '/inspections-compliance-enforcement-and-criminal-investigations/compliance-actions-and-activities/warning-letters';
+const FDA_DATATABLES_URL = 'https://www.fda.gov/datatables/views/ajax';
+
 // Enhanced FDA scraping with multiple strategies
 async function scrapeFDAWarningLetters() {
   const results = [];
@@ -2618,7 +2893,7 @@ async function scrapeFDAWarningLetters() {
     console.log('🔍 Scraping FDA Warning Letters page...');
     
     const response = await axios.get(
-      'https://www.fda.gov/inspections-compliance-enforcement-and-criminal-investigations/compliance-actions-and-activities/warning-letters',
+      `https://www.fda.gov${FDA_WARNING_LETTERS_PATH}`,
       {
         headers: { 
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
@@ -2646,6 +2921,16 @@ async function scrapeFDAWarningLetters() {
         
         elements.each((i, elem) => {
           const $row = $(elem);
+          
+          // Listing table rows carry the response and close-out letter columns
+          // the lifecycle tracker advances letters on
+          const cells = $row.find('td').map((j, cell) => $(cell).html()).get();
+          if (cells.length >= 7) {
+            const row = parseListingRow(cells);
+            if (row.link) results.push(buildListingItem(row, 'FDA Website Direct'));
+            return;
+          }
+          
           const link = $row.find('a').first();
           const href = link.attr('href');
           const title = link.text() || $row.find('td').first().text();
@@ -2655,7 +2940,7 @@ async function scrapeFDAWarningLetters() {
           
           if (href && title && title.length > 10) {
             const fullUrl = href.startsWith('http') ? href : `https://www.fda.gov${href}`;
-            const company = companyIntel.extractCompanyName(title.trim(), '', fullUrl, 'FDA Direct');
+            const company = companyIntel.extractCompany(title.trim(), '', fullUrl, 'FDA Direct');
             
             results.push({
               id: crypto.randomBytes(16).toString('hex'),
@@ -2667,7 +2952,9 @@ async function scrapeFDAWarningLetters() {
               sourceCategory: 'official',
               sourceType: 'warning_letter',
               summary: '',
-              company: company,
+              company: company.name,
+              companyConfidence: company.confidence,
+              companyMethod: company.method,
               types: ['warning_letter'],
               severity: CLASSIFIERS.warning_letter.severity,
               priority: 1
@@ -2687,445 +2974,2398 @@ async function scrapeFDAWarningLetters() {
   return results;
 }
 
-// Scrape Form 483s
-async function scrapeFDA483s() {
-  const results = [];
+// ---------------------------------------------------------------
+// Historical backfill of the warning letter listing
+// ---------------------------------------------------------------
+
+// Cell text and first link of a datatables HTML cell
+function parseListingCell(html) {
+  const $ = cheerio.load(`<div>${html || ''}</div>`);
+  const href = $('a').first().attr('href');
+  return {
+    text: $('div').first().text().replace(/\s+/g, ' ').trim(),
+    url: href ? (href.startsWith('http') ? href : `https://www.fda.gov${href}`) : null
+  };
+}
+
+// Columns: posted date, letter issue date, company, issuing office, subject,
+// response letter, closeout letter
+function parseListingRow(cells) {
+  const [posted, issued, company, office, subject, response, closeout] =
+    (Array.isArray(cells) ? cells : Object.values(cells)).map(parseListingCell);
   
-  try {
-    console.log('🔍 Scraping FDA Form 483s...');
-    
-    const response = await axios.get(
-      'https://www.fda.gov/inspections-compliance-enforcement-and-criminal-investigations/inspection-references/form-fda-483-frequently-asked-questions',
-      {
-        headers: { 
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+  return {
+    postedDate: parseDate(posted?.text),
+    letterIssueDate: parseDate(issued?.text || posted?.text),
+    companyName: company?.text || '',
+    link: company?.url,
+    issuingOffice: office?.text || '',
+    subject: subject?.text || '',
+    responseLetterUrl: response?.url || null,
+    closeoutLetterUrl: closeout?.url || null
+  };
+}
+
+// Fetch one page of the listing, newest posted first
+async function fetchWarningLetterListingPage(start, length, retries = 3) {
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await axios.get(FDA_DATATABLES_URL, {
+        params: {
+          view_name: 'warning_letter_solr_index',
+          view_display_id: 'warning_letter_solr_block',
+          view_path: FDA_WARNING_LETTERS_PATH,
+          draw: 1,
+          start,
+          length,
+          'order[0][column]': 0,
+          'order[0][dir]': 'desc'
         },
-        timeout: 15000
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+          'Accept': 'application/json',
+          'X-Requested-With': 'XMLHttpRequest'
+        },
+        timeout: 30000
+      });
+      
+      if (!Array.isArray(response.data?.data)) {
+        throw new Error('Unexpected listing response format');
       }
-    );
-    
-    const $ = cheerio.load(response.data);
+      
+      return {
+        rows: response.data.data.map(parseListingRow).filter(row => row.link),
+        rawCount: response.data.data.length,
+        total: response.data.recordsTotal ?? null
+      };
+    } catch (error) {
+      console.error(`❌ Listing page at ${start} attempt ${attempt} failed:`, error.message);
+      if (attempt === retries) throw error;
+      await new Promise(resolve => setTimeout(resolve, 3000 * attempt));
+    }
+  }
+}
+
+// Item for a parsed listing row
+function buildListingItem(row, source) {
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    title: row.companyName,
+    link: row.link,
+    date: row.letterIssueDate.toISOString(),
+    dateFormatted: row.letterIssueDate.toLocaleDateString(),
+    postedDate: row.postedDate.toISOString(),
+    source,
+    sourceCategory: 'official',
+    sourceType: 'warning_letter',
+    summary: row.subject,
+    company: row.companyName || 'TBD',
+    companyMethod: row.companyName ? 'structured' : null,
+    issuingOffice: row.issuingOffice,
+    responseLetterUrl: row.responseLetterUrl,
+    closeoutLetterUrl: row.closeoutLetterUrl,
+    citations: extractCitations(row.subject),
+    types: ['warning_letter'],
+    severity: CLASSIFIERS.warning_letter.severity,
+    priority: 1
+  };
+}
+
+function buildBackfillItem(row) {
+  return { ...buildListingItem(row, 'FDA Warning Letter Listing'), backfilled: true };
+}
+
+// Merge discovered items into the item store through the normal pipeline
+async function ingestItems(items) {
+  const { items: merged, addedIds } = await mergeIntoStore(items);
+  const { uniqueItems, newViolations } = await processItems(merged, { addedIds });
+  await saveItems(uniqueItems);
+  return newViolations;
+}
 
+async function loadBackfillCheckpoints() {
+  try {
+    const data = JSON.parse(await fs.readFile(DATA_FILES.BACKFILL_CHECKPOINTS, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
 
+async function saveBackfillCheckpoint(checkpoint) {
+  const checkpoints = await loadBackfillCheckpoints();
+  const index = checkpoints.findIndex(c => c.id === checkpoint.id);
+  checkpoint.updatedAt = new Date().toISOString();
+  if (index >= 0) {
+    checkpoints[index] = checkpoint;
+  } else {
+    checkpoints.push(checkpoint);
+  }
+  await fs.writeFile(DATA_FILES.BACKFILL_CHECKPOINTS, JSON.stringify(checkpoints, null, 2));
+}
 
-        // Look for links to Form 483 documents
-    $('a[href*="483"]').each((i, elem) => {
-      const $link = $(elem);
-      const href = $link.attr('href');
-      const text = $link.text();
+// Walk the listing page by page for a letter date range. Progress is checkpointed
+// after every page, so an interrupted run for the same range picks up where it stopped.
+async function backfillWarningLetters({ from, to, pageSize = 100, maxPages = Infinity, restart = false } = {}) {
+  const fromDate = from ? new Date(from) : new Date('2000-01-01');
+  const toDate = to ? new Date(to) : new Date();
+  if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+    throw new Error('Invalid backfill date range');
+  }
+  toDate.setHours(23, 59, 59, 999);
+  
+  const id = `warning_letters_${fromDate.toISOString().slice(0, 10)}_${toDate.toISOString().slice(0, 10)}`;
+  const checkpoints = await loadBackfillCheckpoints();
+  let checkpoint = checkpoints.find(c => c.id === id);
+  
+  if (!checkpoint || restart || checkpoint.status === 'completed') {
+    checkpoint = {
+      id,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      pageSize,
+      nextStart: 0,
+      pagesDone: 0,
+      rowsScanned: 0,
+      lettersFound: 0,
+      newLetters: 0,
+      totalListed: null,
+      startedAt: new Date().toISOString()
+    };
+  } else {
+    console.log(`↩️ Resuming backfill ${id} at row ${checkpoint.nextStart}`);
+  }
+  
+  checkpoint.status = 'running';
+  checkpoint.lastError = null;
+  await saveBackfillCheckpoint(checkpoint);
+  
+  let pages = 0;
+  try {
+    while (pages < maxPages) {
+      const { rows, rawCount, total } = await fetchWarningLetterListingPage(checkpoint.nextStart, checkpoint.pageSize);
+      if (total !== null) checkpoint.totalListed = total;
       
-      if (href && text && text.includes('483')) {
-        const fullUrl = href.startsWith('http') ? href : `https://www.fda.gov${href}`;
-        const company = companyIntel.extractCompanyName(text, '', fullUrl, 'FDA Direct');
-        
-        results.push({
-          id: crypto.randomBytes(16).toString('hex'),
-          title: text.trim(),
-          link: fullUrl,
-          date: new Date().toISOString(),
-          dateFormatted: new Date().toLocaleDateString(),
-          source: 'FDA Form 483 Page',
-          sourceCategory: 'official',
-          sourceType: 'form_483',
-          summary: '',
-          company: company,
-          types: ['form_483'],
-          severity: CLASSIFIERS.form_483.severity,
-          priority: 1
-        });
+      if (rawCount === 0) {
+        checkpoint.status = 'completed';
+        break;
       }
-    });
+      
+      const inRange = rows.filter(row =>
+        row.letterIssueDate >= fromDate && row.letterIssueDate <= toDate
+      );
+      
+      if (inRange.length > 0) {
+        checkpoint.newLetters += (await ingestItems(inRange.map(buildBackfillItem))).length;
+      }
+      
+      checkpoint.nextStart += rawCount;
+      checkpoint.pagesDone++;
+      checkpoint.rowsScanned += rawCount;
+      checkpoint.lettersFound += inRange.length;
+      
+      // Newest-first listing: once a whole page was posted before the range, we're done
+      if (rows.length > 0 && rows.every(row => row.postedDate < fromDate)) {
+        checkpoint.status = 'completed';
+      }
+      
+      await saveBackfillCheckpoint(checkpoint);
+      console.log(`📚 Backfill ${id}: page ${checkpoint.pagesDone}, ${checkpoint.lettersFound} letters in range`);
+      
+      if (checkpoint.status === 'completed') break;
+      pages++;
+      
+      // Be polite to FDA servers
+      await new Promise(resolve => setTimeout(resolve, 1500));
+    }
     
-    console.log(`✅ FDA 483 scraping: ${results.length} items`);
+    if (checkpoint.status === 'running') {
+      checkpoint.status = 'paused';
+    }
   } catch (error) {
-    console.error(`❌ FDA 483 scraping error:`, error.message);
+    checkpoint.status = 'failed';
+    checkpoint.lastError = error.message;
+    console.error(`❌ Backfill ${id} failed:`, error.message);
   }
   
-  return results;
+  await saveBackfillCheckpoint(checkpoint);
+  return checkpoint;
 }
 
-// Parse date with multiple formats
-function parseDate(dateText) {
-  if (!dateText) return new Date();
+// ---------------------------------------------------------------
+// Form 483s from the OII FOIA Electronic Reading Room
+// ---------------------------------------------------------------
+const FOIA_READING_ROOM_URL = 'https://www.fda.gov/about-fda/office-inspections-and-investigations/oii-foia-electronic-reading-room';
+
+const FOIA_DATE = String.raw`\d{1,2}\/\d{1,2}\/\d{2,4}|[A-Z][a-z]+\.?\s+\d{1,2},?\s+\d{4}|\d{4}-\d{2}-\d{2}`;
+
+// Pull firm, FEI and inspection dates out of a reading room record. Returns null
+// for anything that isn't an FDA-issued 483 (EIRs, firm responses, other records).
+function parseFoiaRecord({ title = '', text = '', link, published }) {
+  const combined = `${title}\n${text}`;
   
-  // Try various date formats
-  const formats = [
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // MM/DD/YYYY
-    /(\d{4})-(\d{2})-(\d{2})/,         // YYYY-MM-DD
-    /(\w+)\s+(\d{1,2}),?\s+(\d{4})/,   // Month DD, YYYY
-    /(\d{1,2})\s+(\w+)\s+(\d{4})/      // DD Month YYYY
-  ];
+  const isResponse = /483\s*response|response\s+to\s+(?:the\s+)?(?:form\s+)?(?:fda[-\s]*)?483/i.test(combined);
+  const is483 = /\b(?:form\s+)?(?:fda[-\s]*)?483\b/i.test(combined);
+  if (!is483 || isResponse || !link) return null;
   
-  for (const format of formats) {
-    const match = dateText.match(format);
-    if (match) {
-      const date = new Date(dateText);
-      if (!isNaN(date)) return date;
-    }
-  }
+  const fei = combined.match(/\bFEI(?:\s*(?:Number|No\.?|#))?\s*[:#]?\s*(\d{7,10})\b/i)?.[1] || null;
   
-  // Fallback to Date constructor
-  const date = new Date(dateText);
-  return isNaN(date) ? new Date() : date;
+  const labeledFirm = combined.match(/(?:Firm|Company|Establishment|Legal)\s+Name\s*[:\-]\s*([^\n|]+)/i);
+  const firmName = (labeledFirm?.[1] ||
+    title.split(/\s+[-–|]\s+/)[0].replace(/\b(?:FDA\s+)?(?:Form\s+)?(?:FDA[-\s]*)?483\b.*$/i, ''))
+    .replace(/[,;:\s]+$/, '')
+    .trim();
+  
+  const range = combined.match(new RegExp(`(${FOIA_DATE})\\s*(?:-|–|to|through|thru)\\s*(${FOIA_DATE})`, 'i'));
+  const endLabeled = combined.match(new RegExp(`(?:Inspection\\s+End|Record)\\s+Date\\s*[:\\-]?\\s*(${FOIA_DATE})`, 'i'));
+  
+  const toDate = text => {
+    const date = text ? new Date(text) : null;
+    return date && !isNaN(date) ? date : null;
+  };
+  
+  const inspectionStart = toDate(range?.[1]);
+  const inspectionEnd = toDate(range?.[2]) || toDate(endLabeled?.[1]);
+  const publishedDate = toDate(published);
+  
+  // Undated records can't be placed on a timeline, so skip rather than stamp "today"
+  const date = inspectionEnd || publishedDate;
+  if (!date) return null;
+  
+  return {
+    firmName: firmName || null,
+    fei,
+    inspectionStart,
+    inspectionEnd,
+    publishedDate,
+    date,
+    documentUrl: link.startsWith('http') ? link : `https://www.fda.gov${link}`
+  };
 }
 
-// Main aggregation function with all sources
-async function aggregateAllSources() {
-  console.log('\n' + '='.repeat(60));
-  console.log('🔄 Starting comprehensive data aggregation...');
-  console.log('='.repeat(60) + '\n');
-  
-  const startTime = Date.now();
-  const allItems = [];
-  const errors = [];
+function buildForm483Item(record, sourceName) {
+  const company = record.firmName || 'TBD';
+  const period = record.inspectionStart && record.inspectionEnd
+    ? `${record.inspectionStart.toLocaleDateString()} - ${record.inspectionEnd.toLocaleDateString()}`
+    : null;
   
-  // 1. Scrape FDA directly
-  console.log('📌 Phase 1: Direct FDA Scraping');
-  const [warningLetters, form483s] = await Promise.all([
-    scrapeFDAWarningLetters(),
-    scrapeFDA483s()
-  ]);
-  allItems.push(...warningLetters, ...form483s);
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    title: `FDA Form 483 - ${company}`,
+    link: record.documentUrl,
+    date: record.date.toISOString(),
+    dateFormatted: record.date.toLocaleDateString(),
+    source: sourceName,
+    sourceCategory: 'official',
+    sourceType: 'form_483',
+    summary: [
+      period ? `Inspection: ${period}` : null,
+      record.fei ? `FEI: ${record.fei}` : null
+    ].filter(Boolean).join(' • '),
+    company: company,
+    companyMethod: record.firmName ? 'structured' : null,
+    fei: record.fei,
+    inspectionStart: record.inspectionStart?.toISOString() || null,
+    inspectionEnd: record.inspectionEnd?.toISOString() || null,
+    publishedDate: record.publishedDate?.toISOString() || null,
+    documentUrl: record.documentUrl,
+    citations: [],
+    types: ['form_483'],
+    severity: CLASSIFIERS.form_483.severity,
+    priority: 1
+  };
+}
+
+// Reading room table, mapped by header text since column order has changed before
+async function scrapeFoiaReadingRoomTable() {
+  const response = await axios.get(FOIA_READING_ROOM_URL, {
+    headers: { 
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    },
+    timeout: 20000
+  });
   
-  // 2. Fetch all RSS feeds
-  console.log('\n📌 Phase 2: RSS Feed Collection');
-  const allFeeds = [
-    ...FEED_SOURCES.fda_official,
-    ...FEED_SOURCES.trade_press,
-    ...FEED_SOURCES.google_news
-  ];
+  const $ = cheerio.load(response.data);
+  const records = [];
   
-  // Add dynamic SEC feeds for watched companies
-  const users = await WLUserLeaf.find({ 'watchedCompanies.0': { $exists: true } });
-  users.forEach(user => {
-    user.watchedCompanies.forEach(watched => {
-      const company = companyIntel.companies.get(watched.name);
-      if (company && company.ticker) {
-        allFeeds.push({
-          url: `https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&CIK=${company.ticker}&type=8-K&output=atom`,
-          name: `SEC 8-K - ${watched.name}`,
-          category: 'sec',
-          type: 'filing',
-          priority: 2
-        });
-      }
+  $('table').each((i, table) => {
+    const headers = $(table).find('thead th, tr:first-child th').map((j, th) =>
+      $(th).text().replace(/\s+/g, ' ').trim()
+    ).get();
+    if (headers.length === 0) return;
+    
+    $(table).find('tbody tr').each((j, row) => {
+      const cells = $(row).find('td');
+      const fields = headers.map((header, k) =>
+        `${header}: ${$(cells[k]).text().replace(/\s+/g, ' ').trim()}`
+      );
+      const link = $(row).find('a[href]').first().attr('href');
+      
+      records.push({
+        title: $(row).find('a').first().text().trim(),
+        text: fields.join('\n'),
+        link
+      });
     });
   });
   
-  // Process feeds in batches for better performance
-  const batchSize = 5;
-  for (let i = 0; i < allFeeds.length; i += batchSize) {
-    const batch = allFeeds.slice(i, i + batchSize);
-    const promises = batch.map(source => fetchFeed(source));
-    const results = await Promise.all(promises);
-    results.forEach(items => allItems.push(...items));
+  return records;
+}
+
+// Form 483 connector: reads the FOIA reading room feed (falling back to the
+// listing table) and keeps only actual 483 documents, dated by inspection
+async function fetchFOIA483s() {
+  const results = [];
+  const source = sourceRegistry.readingRoom();
+  let records = [];
+  
+  try {
+    console.log('🔍 Reading OII FOIA Electronic Reading Room...');
     
-    // Progress indicator
-    const progress = Math.min(100, Math.round((i + batchSize) / allFeeds.length * 100));
-    console.log(`Progress: ${progress}%`);
+    if (source) {
+      const startedAt = Date.now();
+      const feed = await parser.parseURL(source.url);
+      await recordSourceRun(source, { ok: true, items: feed.items.length, latencyMs: Date.now() - startedAt });
+      records = feed.items.map(item => ({
+        title: item.title || '',
+        text: item.contentSnippet || item.content || '',
+        link: item.link || item.guid,
+        published: item.isoDate || item.pubDate
+      }));
+    }
+  } catch (error) {
+    console.error(`❌ FOIA reading room feed error:`, error.message);
+    await recordSourceRun(source, { ok: false, error: error.message });
   }
   
-  // 3. Deduplicate and process
-  console.log('\n📌 Phase 3: Data Processing & Deduplication');
-  const uniqueItems = [];
-  const seenLinks = new Set();
-  const newViolations = [];
+  if (records.length === 0) {
+    try {
+      records = await scrapeFoiaReadingRoomTable();
+    } catch (error) {
+      console.error(`❌ FOIA reading room listing error:`, error.message);
+    }
+  }
   
-  allItems.forEach(item => {
-    const cleanLink = item.link.replace(/[?#].*$/, '').toLowerCase();
-    
-    if (!seenLinks.has(cleanLink)) {
-      seenLinks.add(cleanLink);
-      uniqueItems.push(item);
-      
-      // Update company intelligence
-      const isNew = companyIntel.updateCompany(item);
-      if (isNew) {
-        newViolations.push(item);
-      }
+  records.forEach(raw => {
+    const record = parseFoiaRecord(raw);
+    if (record) {
+      results.push(buildForm483Item(record, source?.name || 'FDA OII FOIA Electronic Reading Room'));
     }
   });
   
-  // 4. Sort by severity and date
-  uniqueItems.sort((a, b) => {
-    if (a.severity !== b.severity) return b.severity - a.severity;
-    return new Date(b.date) - new Date(a.date);
+  console.log(`✅ FOIA 483s: ${results.length} of ${records.length} reading room records`);
+  return results;
+}
+
+// ---------------------------------------------------------------
+// openFDA enforcement (recall) connector
+// ---------------------------------------------------------------
+const OPENFDA_ENFORCEMENT_ENDPOINTS = {
+  drug: 'https://api.fda.gov/drug/enforcement.json',
+  device: 'https://api.fda.gov/device/enforcement.json',
+  food: 'https://api.fda.gov/food/enforcement.json'
+};
+const OPENFDA_PAGE_SIZE = 1000;
+const OPENFDA_MAX_SKIP = 25000;     // openFDA rejects deeper skips; the next run continues by date
+const OPENFDA_INITIAL_DAYS = 90;    // first pull when no checkpoint exists
+
+// Offline runs read <dir>/<category>_enforcement.json (an openFDA response body) instead of the API
+const OPENFDA_FIXTURE_DIR = process.env.OPENFDA_FIXTURE_DIR || null;
+
+// openFDA dates are YYYYMMDD
+function parseOpenFdaDate(value) {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  return match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+}
+
+function toOpenFdaDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+async function loadOpenFdaState() {
+  try {
+    const data = JSON.parse(await fs.readFile(DATA_FILES.OPENFDA_STATE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveOpenFdaState(updates) {
+  const state = await loadOpenFdaState();
+  updates.forEach(update => {
+    const index = state.findIndex(s => s.category === update.category);
+    if (index >= 0) {
+      state[index] = { ...state[index], ...update };
+    } else {
+      state.push(update);
+    }
   });
+  await fs.writeFile(DATA_FILES.OPENFDA_STATE, JSON.stringify(state, null, 2));
+}
+
+async function readOpenFdaFixture(category, since) {
+  const file = path.join(OPENFDA_FIXTURE_DIR, `${category}_enforcement.json`);
+  const data = JSON.parse(await fs.readFile(file, 'utf8'));
+  return (data.results || [])
+    .filter(record => !since || (record.report_date || '') >= since)
+    .sort((a, b) => (a.report_date || '').localeCompare(b.report_date || ''));
+}
+
+// All enforcement records reported on or after `since` (YYYYMMDD), oldest first
+async function fetchOpenFdaEnforcementRecords(category, since) {
+  if (OPENFDA_FIXTURE_DIR) {
+    return readOpenFdaFixture(category, since);
+  }
   
-  // 5. Save data
-  console.log('\n📌 Phase 4: Saving Data');
-  
-  // Save all items
-  await fs.writeFile(DATA_FILES.ALL_ITEMS, JSON.stringify(uniqueItems, null, 2));
+  const records = [];
+  const until = toOpenFdaDate(new Date());
   
-  // Save by type
-  const byType = {
-    warning_letters: uniqueItems.filter(i => i.types.includes('warning_letter')),
-    crls: uniqueItems.filter(i => i.types.includes('crl')),
-    form_483s: uniqueItems.filter(i => i.types.includes('form_483'))
-  };
+  for (let skip = 0; skip <= OPENFDA_MAX_SKIP; skip += OPENFDA_PAGE_SIZE) {
+    try {
+      const response = await axios.get(OPENFDA_ENFORCEMENT_ENDPOINTS[category], {
+        params: {
+          search: `report_date:[${since} TO ${until}]`,
+          sort: 'report_date:asc',
+          limit: OPENFDA_PAGE_SIZE,
+          skip,
+          ...(API_KEYS.OPENFDA ? { api_key: API_KEYS.OPENFDA } : {})
+        },
+        timeout: 30000
+      });
+      
+      const results = response.data?.results || [];
+      records.push(...results);
+      
+      const total = response.data?.meta?.results?.total || 0;
+      if (results.length < OPENFDA_PAGE_SIZE || skip + results.length >= total) break;
+    } catch (error) {
+      // openFDA answers 404 when nothing matches the search
+      if (error.response?.status === 404) break;
+      throw error;
+    }
+  }
   
-  await Promise.all([
-    fs.writeFile(DATA_FILES.WARNING_LETTERS, JSON.stringify(byType.warning_letters, null, 2)),
-    fs.writeFile(DATA_FILES.CRL_LETTERS, JSON.stringify(byType.crls, null, 2)),
-    fs.writeFile(DATA_FILES.FORM_483, JSON.stringify(byType.form_483s, null, 2))
-  ]);
+  return records;
+}
+
+function buildRecallItem(record, category) {
+  const reportDate = parseOpenFdaDate(record.report_date) || new Date();
+  const classification = record.classification || 'Not Yet Classified';
+  const severity = CLASSIFIERS.recall.classification_severity[classification] || CLASSIFIERS.recall.severity;
+  const firm = (record.recalling_firm || '').trim();
+  const product = (record.product_description || '').replace(/\s+/g, ' ').trim();
+  const label = category.charAt(0).toUpperCase() + category.slice(1);
   
-  // Save company data
-  await companyIntel.save();
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    title: `${classification} ${label} Recall - ${firm || 'Unknown firm'}: ${product.length > 100 ? product.substring(0, 100) + '...' : product}`,
+    link: `${OPENFDA_ENFORCEMENT_ENDPOINTS[category]}?search=recall_number:"${encodeURIComponent(record.recall_number)}"`,
+    dedupeKey: `recall:${record.recall_number}`,
+    date: reportDate.toISOString(),
+    dateFormatted: reportDate.toLocaleDateString(),
+    source: `openFDA ${label} Enforcement`,
+    sourceCategory: 'official',
+    sourceType: 'recall',
+    summary: record.reason_for_recall || '',
+    company: firm || 'TBD',
+    companyMethod: firm ? 'structured' : null,
+    recallNumber: record.recall_number,
+    eventId: record.event_id || null,
+    classification,
+    productType: category,
+    productDescription: product,
+    reasonForRecall: record.reason_for_recall || null,
+    distributionPattern: record.distribution_pattern || null,
+    recallingFirm: firm || null,
+    recallStatus: record.status || null,
+    voluntaryMandated: record.voluntary_mandated || null,
+    recallInitiationDate: parseOpenFdaDate(record.recall_initiation_date)?.toISOString() || null,
+    location: [record.city, record.state, record.country].filter(Boolean).join(', '),
+    citations: [],
+    types: ['recall'],
+    severity,
+    priority: classification === 'Class I' ? 1 : 2
+  };
+}
+
+// Pull new enforcement reports for each product category since its last checkpoint.
+// Returns the items plus the checkpoint updates; callers save those once the items are stored.
+async function fetchOpenFdaEnforcement({ categories = Object.keys(OPENFDA_ENFORCEMENT_ENDPOINTS), since = null } = {}) {
+  const items = [];
+  const checkpoints = [];
+  const state = await loadOpenFdaState();
   
-  // 6. Process notifications
-  console.log('\n📌 Phase 5: Processing Notifications');
-  if (newViolations.length > 0) {
-    await processInstantNotifications(newViolations);
+  for (const category of categories) {
+    const previous = state.find(s => s.category === category);
+    const initial = new Date(Date.now() - OPENFDA_INITIAL_DAYS * 24 * 60 * 60 * 1000);
+    // Re-read the last report date: later reports can share it, duplicates dedupe by link
+    const from = since || previous?.lastReportDate || toOpenFdaDate(initial);
+    
+    try {
+      console.log(`🔍 openFDA ${category} enforcement since ${from}${OPENFDA_FIXTURE_DIR ? ' (fixture)' : ''}...`);
+      const records = await fetchOpenFdaEnforcementRecords(category, from);
+      
+      records
+        .filter(record => record.recall_number)
+        .forEach(record => items.push(buildRecallItem(record, category)));
+      
+      const lastReportDate = records.reduce((max, r) => (r.report_date > max ? r.report_date : max), from);
+      checkpoints.push({
+        category,
+        lastReportDate,
+        lastRunAt: new Date().toISOString(),
+        lastRunCount: records.length,
+        lastError: null
+      });
+      
+      console.log(`✅ openFDA ${category}: ${records.length} enforcement reports`);
+    } catch (error) {
+      console.error(`❌ openFDA ${category} enforcement error:`, error.message);
+      checkpoints.push({ category, lastRunAt: new Date().toISOString(), lastError: error.message });
+    }
   }
   
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  return { items, checkpoints };
+}
+
+// ---------------------------------------------------------------
+// Import alert connector
+// ---------------------------------------------------------------
+const TRACKED_IMPORT_ALERTS = process.env.IMPORT_ALERTS
+  ? process.env.IMPORT_ALERTS.split(',').map(n => n.trim()).filter(Boolean)
+  : DEFAULT_TRACKED_ALERTS;
+
+// Canonical names of every company any user watches, with their subsidiaries
+async function getWatchedCompanyNames() {
+  const users = await WLUserLeaf.find({ 'watchedCompanies.0': { $exists: true } });
+  const names = new Set();
+  users.forEach(user => {
+    user.watchedCompanies.forEach(watched => {
+      const canonical = companyIntel.findCanonicalName(watched.name);
+      names.add(canonical);
+      companyHierarchy.descendantsOf(canonical).forEach(name => names.add(name));
+    });
+  });
+  return names;
+}
+
+// Whether a user watches a company, directly or through its parent group
+function isWatchedCompany(user, companyName) {
+  const canonical = companyIntel.findCanonicalName(companyName);
+  return user.watchedCompanies.some(wc =>
+    companyHierarchy.isWithin(canonical, companyIntel.findCanonicalName(wc.name))
+  );
+}
+
+function buildImportAlertItem(alert, firm) {
+  const published = firm.datePublished ? parseDate(firm.datePublished) : new Date();
   
-  // 7. Generate summary
-  const summary = {
-    duration: `${elapsed}s`,
-    total_items: uniqueItems.length,
-    new_violations: newViolations.length,
-    by_type: {
-      warning_letters: byType.warning_letters.length,
-      crls: byType.crls.length,
-      form_483s: byType.form_483s.length,
-      other: uniqueItems.length - byType.warning_letters.length - byType.crls.length - byType.form_483s.length
-    },
-    companies_tracked: companyIntel.companies.size,
-    errors: errors.length
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    title: `Import Alert ${alert.number}: ${firm.name} added to Red List`,
+    link: firm.fei ? `${alert.url}#fei-${firm.fei}` : alert.url,
+    dedupeKey: `import_alert:${alert.number}:${firm.fei || firm.name.toLowerCase()}`,
+    date: published.toISOString(),
+    dateFormatted: published.toLocaleDateString(),
+    source: 'FDA Import Alerts',
+    sourceCategory: 'official',
+    sourceType: 'import_alert',
+    summary: [
+      alert.name,
+      firm.country ? `Country: ${firm.country}` : null,
+      firm.products.length > 0 ? `Products: ${firm.products.slice(0, 3).join('; ')}` : null
+    ].filter(Boolean).join(' • '),
+    company: firm.name,
+    companyMethod: 'structured',
+    fei: firm.fei,
+    country: firm.country,
+    address: firm.address,
+    importAlertNumber: alert.number,
+    importAlertList: 'red',
+    citations: [],
+    types: ['import_alert'],
+    severity: CLASSIFIERS.import_alert.severity,
+    priority: 1
   };
-  
-  console.log('\n' + '='.repeat(60));
-  console.log('📊 Aggregation Complete:');
-  console.log(`⏱️  Duration: ${summary.duration}`);
-  console.log(`📑 Total items: ${summary.total_items}`);
-  console.log(`🆕 New violations: ${summary.new_violations}`);
-  console.log(`⚠️  Warning Letters: ${summary.by_type.warning_letters}`);
-  console.log(`🚫 CRLs: ${summary.by_type.crls}`);
-  console.log(`📋 Form 483s: ${summary.by_type.form_483s}`);
-  console.log(`🏢 Companies tracked: ${summary.companies_tracked}`);
-  if (errors.length > 0) {
-    console.log(`❌ Errors: ${errors.length}`);
+}
+
+let importAlertRefresh = null;        // refresh in progress, shared by the route and the aggregation run
+
+// Refresh tracked import alerts and raise an item for every firm newly on a red list.
+// An alert's first snapshot is a baseline: only watched companies already on its
+// red list are raised then, so the first run doesn't flood the feed. Two runs
+// would diff against the same snapshot and raise the same firms twice, so a
+// call while a refresh is in progress gets that refresh's result.
+function refreshImportAlerts(options) {
+  if (!importAlertRefresh) {
+    importAlertRefresh = runImportAlertRefresh(options).finally(() => { importAlertRefresh = null; });
   }
-  console.log('='.repeat(60) + '\n');
-  
-  return summary;
+  return importAlertRefresh;
 }
 
-// Process instant notifications
-async function processInstantNotifications(newViolations) {
+async function runImportAlertRefresh({ numbers = TRACKED_IMPORT_ALERTS } = {}) {
+  const items = [];
+  const results = [];
+  
   try {
-    const users = await WLUserLeaf.find({ 'notificationPrefs.instant': true });
+    console.log('🔍 Refreshing FDA import alerts...');
+    const index = await fetchImportAlertIndex();
+    // Watched companies only matter for baselines; a lookup failure mustn't stop the refresh
+    let watched = new Set();
+    try {
+      watched = await getWatchedCompanyNames();
+    } catch (error) {
+      console.error(`❌ Import alert watchlist lookup error:`, error.message);
+    }
     
-    for (const user of users) {
-      const relevantViolations = newViolations.filter(violation => {
-        // Check if user is watching this company
-        if (user.watchedCompanies.length > 0) {
-          const companyName = companyIntel.findCanonicalName(violation.company);
-          const isWatched = user.watchedCompanies.some(wc => 
-            companyIntel.findCanonicalName(wc.name) === companyName
-          );
-          if (!isWatched) return false;
-        }
+    for (const number of numbers) {
+      const url = index.get(number);
+      if (!url) {
+        results.push({ number, error: 'Alert not found in import alert list' });
+        continue;
+      }
+      
+      try {
+        const alert = await fetchImportAlert(url);
+        alert.number = alert.number || number;
+        const { baseline, changed, changes } = await importAlerts.saveSnapshot(alert);
         
-        // Check if critical only
-        if (user.notificationPrefs.criticalOnly && violation.severity < 8) {
-          return false;
-        }
+        const raised = baseline
+          ? alert.redList.filter(firm => watched.has(companyIntel.findCanonicalName(firm.name)))
+          : changes.red.added;
+        raised.forEach(firm => items.push(buildImportAlertItem(alert, firm)));
         
-        return true;
-      });
-      
-      if (relevantViolations.length > 0) {
-        await sendInstantNotificationEmail(user, relevantViolations);
+        results.push({
+          number,
+          baseline,
+          changed,
+          redList: alert.redList.length,
+          greenList: alert.greenList.length,
+          redAdded: changes.red.added.length,
+          redRemoved: changes.red.removed.length,
+          greenAdded: changes.green.added.length,
+          greenRemoved: changes.green.removed.length
+        });
+        
+        console.log(`✅ Import alert ${number}: ${alert.redList.length} red / ${alert.greenList.length} green${changed ? ' (changed)' : ''}`);
+      } catch (error) {
+        console.error(`❌ Import alert ${number} error:`, error.message);
+        results.push({ number, error: error.message });
       }
     }
   } catch (error) {
-    console.error('Error processing instant notifications:', error);
+    console.error(`❌ Import alert list error:`, error.message);
+  }
+  
+  return { items, results };
+}
+
+// ---------------------------------------------------------------
+// SEC EDGAR 8-K connector
+// ---------------------------------------------------------------
+const SEC_INITIAL_DAYS = 90;             // a company's first pull skips older filings
+const MAX_SEC_SUBMISSIONS_PER_RUN = 25;  // filings read per run; the rest wait for the next one
+const MAX_SEC_PROCESSED = 200;           // accession numbers remembered per company
+
+// Offline runs read SEC responses from this directory instead (file names in sec-edgar.js)
+const SEC_FIXTURE_DIR = process.env.SEC_FIXTURE_DIR || null;
+const edgarClient = createEdgarClient({ userAgent: API_KEYS.SEC_USER_AGENT, fixtureDir: SEC_FIXTURE_DIR });
+
+async function loadSecState() {
+  try {
+    const data = JSON.parse(await fs.readFile(DATA_FILES.SEC_STATE, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch {
+    return [];
   }
 }
 
-// Send instant notification email
-async function sendInstantNotificationEmail(user, violations) {
-  if (!emailTransporter) return;
+async function saveSecState(updates) {
+  const state = await loadSecState();
+  updates.forEach(update => {
+    const index = state.findIndex(s => s.cik === update.cik);
+    if (index >= 0) {
+      state[index] = { ...state[index], ...update };
+    } else {
+      state.push(update);
+    }
+  });
+  await fs.writeFile(DATA_FILES.SEC_STATE, JSON.stringify(state, null, 2));
+}
+
+// Replace the ticker -> CIK table with SEC's company_tickers.json, fetched when not given
+async function importSecTickers(data = null) {
+  const source = data ? 'upload' : (SEC_FIXTURE_DIR ? 'fixture' : COMPANY_TICKERS_URL);
+  const counts = secCiks.importTickers(data || await edgarClient.fetchCompanyTickers(), source);
+  await secCiks.save();
+  console.log(`✅ SEC tickers imported: ${counts.filers} filers, ${counts.tickers} tickers`);
+  return counts;
+}
+
+function knownTicker(name) {
+  const known = Object.values(companyIntel.knownCompanies).find(info => info.canonical === name);
+  return known?.ticker || null;
+}
+
+// The EDGAR filer for a company: the CIK on its record, else its ticker, else its name
+function resolveSecFiler(name) {
+  const record = companyIntel.companies.get(name);
+  return secCiks.lookup({ cik: record?.cik, ticker: record?.ticker || knownTicker(name), name });
+}
+
+function buildSecDisclosureItem(company, filer, filing, disclosures) {
+  const filed = filing.filingDate ? new Date(filing.filingDate) : new Date();
+  const severity = Math.max(...disclosures.map(d => CLASSIFIERS[d.type].severity));
+  const formType = filing.filingType || '8-K';
   
-  const emails = [user.email, ...user.reportEmails];
+  return {
+    id: crypto.randomBytes(16).toString('hex'),
+    title: `${company} ${formType}: ${disclosures.map(d => d.label).join(', ')} disclosed`,
+    link: filing.filingHref || `https://www.sec.gov/cgi-bin/browse-edgar?action=getcompany&CIK=${filer.cik}&type=8-K`,
+    dedupeKey: `sec:${filing.accessionNumber}`,
+    date: filed.toISOString(),
+    dateFormatted: filed.toLocaleDateString(),
+    source: 'SEC EDGAR 8-K',
+    sourceCategory: 'sec',
+    sourceType: 'filing',
+    summary: disclosures.map(d => d.excerpt).join(' … '),
+    company,
+    companyConfidence: 1,
+    companyMethod: 'sec_cik',
+    cik: filer.cik,
+    ticker: filer.tickers[0] || null,
+    accessionNumber: filing.accessionNumber,
+    filingType: formType,
+    secItems: filing.items,
+    disclosures,
+    citations: [],
+    types: disclosures.map(d => d.type),
+    severity,
+    priority: severity >= 9 ? 1 : 2
+  };
+}
+
+// Read new 8-K filings of watched companies (or `companies`) and raise an item for
+// each one that discloses an FDA action. Returns the items, the per-company
+// checkpoints (saved by callers once the items are stored) and a result per company.
+async function fetchSecDisclosures({ companies = null } = {}) {
+  const items = [];
+  const checkpoints = [];
+  const results = [];
   
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; }
-        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0; }
-        .content { background: white; padding: 30px; border: 1px solid #e2e8f0; border-radius: 0 0 10px 10px; }
-        .violation { background: #f7fafc; padding: 15px; margin: 15px 0; border-left: 4px solid #4299e1; border-radius: 5px; }
-        .severity { display: inline-block; padding: 3px 8px; border-radius: 3px; font-size: 12px; font-weight: bold; }
-        .severity-high { background: #feb2b2; color: #742a2a; }
-        .severity-critical { background: #fc8181; color: #742a2a; }
-        .severity-medium { background: #fbd38d; color: #744210; }
-        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #718096; }
-        a { color: #4299e1; text-decoration: none; }
-        a:hover { text-decoration: underline; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <h1 style="margin: 0; font-size: 24px;">🚨 FDA Regulatory Alert</h1>
-          <p style="margin: 10px 0 0 0; opacity: 0.9;">${violations.length} new action${violations.length !== 1 ? 's' : ''} detected</p>
-        </div>
-        <div class="content">
-          ${violations.map(v => {
-            const classifier = CLASSIFIERS[v.types[0]];
-            const severityClass = v.severity >= 9 ? 'severity-critical' : v.severity >= 7 ? 'severity-high' : 'severity-medium';
-            return `
-              <div class="violation">
-                <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
-                  <h3 style="margin: 0; color: #2d3748;">${v.company}</h3>
-                  <span class="severity ${severityClass}">${v.types[0].replace(/_/g, ' ').toUpperCase()}</span>
-                </div>
-                <p style="margin: 5px 0; color: #4a5568;"><strong>Date:</strong> ${new Date(v.date).toLocaleDateString()}</p>
-                <p style="margin: 5px 0; color: #4a5568;"><strong>Title:</strong> ${v.title}</p>
-                ${v.summary ? `<p style="margin: 5px 0; color: #4a5568;"><strong>Summary:</strong> ${v.summary.substring(0, 200)}...</p>` : ''}
-                ${classifier ? `<p style="margin: 5px 0; color: #4a5568;"><strong>Timeline:</strong> ${classifier.typical_timeline}</p>` : ''}
-                <a href="${v.link}" style="display: inline-block; margin-top: 10px;">View Full Details →</a>
-              </div>
-            `;
-          }).join('')}
-          
-          <div style="background: #edf2f7; padding: 15px; border-radius: 5px; margin-top: 20px;">
-            <h4 style="margin: 0 0 10px 0; color: #2d3748;">Quick Actions</h4>
-            <p style="margin: 5px 0; color: #4a5568;">• Review the full regulatory action details</p>
-            <p style="margin: 5px 0; color: #4a5568;">• Contact the affected company's regulatory affairs team</p>
-            <p style="margin: 5px 0; color: #4a5568;">• Update your compliance tracking systems</p>
-          </div>
-        </div>
-        <div class="footer">
-          <p>You received this alert because instant notifications are enabled in your FDA Monitor settings.</p>
-          <p>To manage your preferences, visit the dashboard at <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}">${process.env.DASHBOARD_URL || 'http://localhost:3000'}</a></p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
+  if (secCiks.size === 0) {
+    try {
+      await importSecTickers();
+    } catch (error) {
+      console.error('❌ SEC ticker import error:', error.message);
+    }
+  }
   
-  for (const email of emails) {
+  const names = companies
+    ? companies.map(name => companyIntel.findCanonicalName(name))
+    : Array.from(await getWatchedCompanyNames());
+  const state = await loadSecState();
+  const cutoff = new Date(Date.now() - SEC_INITIAL_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const seenCiks = new Set();
+  let budget = MAX_SEC_SUBMISSIONS_PER_RUN;
+  
+  console.log(`🔍 SEC EDGAR 8-Ks for ${names.length} companies${SEC_FIXTURE_DIR ? ' (fixture)' : ''}...`);
+  
+  for (const name of names) {
+    const filer = resolveSecFiler(name);
+    if (!filer) {
+      results.push({ company: name, error: 'No CIK mapping for this company' });
+      continue;
+    }
+    if (seenCiks.has(filer.cik)) continue;
+    seenCiks.add(filer.cik);
+    
+    const record = companyIntel.companies.get(name);
+    if (record) {
+      record.cik = record.cik || filer.cik;
+      record.ticker = record.ticker || filer.tickers[0] || null;
+    }
+    
+    const previous = state.find(s => s.cik === filer.cik);
+    const processed = new Set(previous?.processed || []);
+    
     try {
-      await emailTransporter.sendMail({
-        from: API_KEYS.SMTP_USER,
-        to: email,
-        subject: `🚨 FDA Alert: ${violations.length} New Regulatory Action${violations.length !== 1 ? 's' : ''}`,
-        html: html
+      const { filings } = await edgarClient.fetchFilings(filer.cik);
+      let read = 0;
+      let disclosed = 0;
+      
+      for (const filing of filings.filter(f => !processed.has(f.accessionNumber)).reverse()) {
+        // Fixtures are a fixed snapshot, so their filings are read however old they are
+        if (!previous && !edgarClient.fixtureMode && (filing.filingDate || '') < cutoff) {
+          processed.add(filing.accessionNumber);
+          continue;
+        }
+        if (budget <= 0) continue;
+        budget--;
+        
+        try {
+          const disclosures = detectDisclosures(await edgarClient.fetchSubmission(filing));
+          if (disclosures.length > 0) {
+            items.push(buildSecDisclosureItem(name, filer, filing, disclosures));
+            disclosed++;
+          }
+          processed.add(filing.accessionNumber);
+          read++;
+        } catch (error) {
+          console.error(`❌ SEC filing ${filing.accessionNumber} error:`, error.message);
+        }
+      }
+      
+      checkpoints.push({
+        cik: filer.cik,
+        company: name,
+        processed: Array.from(processed).slice(-MAX_SEC_PROCESSED),
+        lastFilingDate: filings[0]?.filingDate || previous?.lastFilingDate || null,
+        lastRunAt: new Date().toISOString(),
+        lastRunCount: read,
+        lastError: null
       });
-      console.log(`✅ Instant notification sent to ${email}`);
+      results.push({ company: name, cik: filer.cik, matchedBy: filer.matchedBy, filings: filings.length, read, disclosures: disclosed });
+      
+      console.log(`✅ SEC ${name}: ${read} new filings, ${disclosed} with FDA disclosures`);
     } catch (error) {
-      console.error(`❌ Failed to send notification to ${email}:`, error.message);
+      console.error(`❌ SEC ${name} filings error:`, error.message);
+      checkpoints.push({ cik: filer.cik, company: name, lastRunAt: new Date().toISOString(), lastError: error.message });
+      results.push({ company: name, cik: filer.cik, error: error.message });
     }
   }
+  
+  if (budget <= 0) {
+    console.log(`⏭️ SEC filing limit reached (${MAX_SEC_SUBMISSIONS_PER_RUN}); the rest are read next run`);
+  }
+  
+  return { items, checkpoints, results };
 }
 
-// Weekly digest generation
-async function generateWeeklyDigest(user) {
-  const oneWeekAgo = new Date();
-  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+// Parse date with multiple formats
+function parseDate(dateText) {
+  if (!dateText) return new Date();
   
-  const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-  const items = JSON.parse(allData);
-  const recentItems = items.filter(item => new Date(item.date) >= oneWeekAgo);
+  // Try various date formats
+  const formats = [
+    /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // MM/DD/YYYY
+    /(\d{4})-(\d{2})-(\d{2})/,         // YYYY-MM-DD
+    /(\w+)\s+(\d{1,2}),?\s+(\d{4})/,   // Month DD, YYYY
+    /(\d{1,2})\s+(\w+)\s+(\d{4})/      // DD Month YYYY
+  ];
   
-  // Filter based on user preferences
-  let relevantItems = recentItems;
-  if (user.watchedCompanies.length > 0) {
-    relevantItems = recentItems.filter(item => {
-      const companyName = companyIntel.findCanonicalName(item.company);
-      return user.watchedCompanies.some(wc => 
-        companyIntel.findCanonicalName(wc.name) === companyName
-      );
-    });
+  for (const format of formats) {
+    const match = dateText.match(format);
+    if (match) {
+      const date = new Date(dateText);
+      if (!isNaN(date)) return date;
+    }
   }
   
-  const byType = {
-    warning_letters: relevantItems.filter(i => i.types.includes('warning_letter')),
-    crls: relevantItems.filter(i => i.types.includes('crl')),
-    form_483s: relevantItems.filter(i => i.types.includes('form_483')),
-    other: relevantItems.filter(i => 
-      !i.types.includes('warning_letter') && 
-      !i.types.includes('crl') && 
-      !i.types.includes('form_483')
-    )
+  // Fallback to Date constructor
+  const date = new Date(dateText);
+  return isNaN(date) ? new Date() : date;
+}
+
+// ISO date for a date text, or null when there is none to read (parseDate
+// falls back to now, which would count undated records as current)
+function optionalDate(dateText) {
+  const date = new Date(dateText || NaN);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// Load the current item set
+async function loadAllItems() {
+  return repository.items.findAll();
+}
+
+// Per-category retention in days, e.g. ITEM_RETENTION_DAYS="google=180,trade=365"
+const ITEM_RETENTION = parseRetention(process.env.ITEM_RETENTION_DAYS);
+
+// Merge a run's items into the stored history. Items keep their ID and
+// firstSeen across runs; AI enrichment survives re-ingestion; items leave the
+// store only through ITEM_RETENTION. Analyst overrides are applied on top.
+async function mergeIntoStore(items) {
+  const stored = await loadAllItems();
+  const result = mergeItemSets(stored, items, { retention: ITEM_RETENTION });
+  const overridden = itemOverrides.apply(result.items, items);
+  if (overridden > 0) await itemOverrides.save();
+  console.log(`🗄️  Item store: ${result.stats.added} new, ${result.stats.updated} updated, ${result.stats.retained} retained, ${result.stats.pruned} pruned, ${overridden} overridden`);
+  return result;
+}
+
+// Low-confidence extractions fall back to AI, capped per run. Answers are
+// cached per item, so each item is only sent once.
+const MAX_AI_COMPANY_LOOKUPS_PER_RUN = 20;
+// A failed lookup is cached too and only retried after this many days
+const AI_COMPANY_RETRY_DAYS = 7;
+
+async function resolveCompaniesWithAI(items) {
+  if (!openai) return 0;
+  let resolved = 0;
+  let lookups = 0;
+  
+  for (const item of items) {
+    if (item.company && item.company !== 'TBD') continue;
+    // Left unassigned by a company delete; a lookup would re-file it
+    if (item.companyMethod === 'admin') continue;
+    // General news rarely names a single company
+    if (!item.types || item.types.every(type => type === 'regulatory_news')) continue;
+    
+    const cacheKey = `company:${item.id}`;
+    let answer = companyIntel.aiCache.get(cacheKey);
+    if (answer?.failedAt && Date.now() - new Date(answer.failedAt).getTime() < AI_COMPANY_RETRY_DAYS * 24 * 60 * 60 * 1000) {
+      continue;
+    }
+    if (!answer || answer.failedAt) {
+      if (lookups >= MAX_AI_COMPANY_LOOKUPS_PER_RUN) continue;
+      lookups++;
+      try {
+        const completion = await openai.chat.completions.create({
+          model: "gpt-4-turbo-preview",
+          messages: [
+            {
+              role: "system",
+              content: `Identify the company an FDA regulatory item is about (not FDA, not a product, not a disease). Return JSON: {"company": "Full company name, or null if no single company is named", "confidence": 0.0-1.0}`
+            },
+            {
+              role: "user",
+              content: `Title: ${item.title}\nSource: ${item.source}\nLink: ${item.link}\n\n${(item.summary || '').substring(0, 2000)}`
+            }
+          ],
+          temperature: 0,
+          max_tokens: 100,
+          response_format: { type: "json_object" }
+        });
+        answer = JSON.parse(completion.choices[0].message.content);
+        companyIntel.aiCache.set(cacheKey, answer);
+      } catch (error) {
+        console.error(`❌ AI company lookup failed for "${item.title}":`, error.message);
+        companyIntel.aiCache.set(cacheKey, { company: null, confidence: 0, error: error.message, failedAt: new Date().toISOString() });
+        continue;
+      }
+    }
+    
+    if (isPlausibleCompanyName(answer.company) && (answer.confidence || 0) >= COMPANY_MIN_CONFIDENCE) {
+      item.company = answer.company;
+      item.companyConfidence = answer.confidence;
+      item.companyMethod = 'ai';
+      resolved++;
+    }
+  }
+  
+  console.log(`🤖 AI company fallback: ${resolved} resolved (${lookups} lookups)`);
+  return resolved;
+}
+
+// Re-run company extraction over stored items. Items only change company when
+// the new extraction is more confident than what they have; names from FDA or
+// SEC records, and a plausible company without a confidence, are kept.
+async function reextractCompanies({ dryRun = false } = {}) {
+  const items = await loadAllItems();
+  const changes = [];
+  
+  for (const item of items) {
+    if (STRUCTURED_COMPANY_METHODS.has(item.companyMethod)) continue;
+    const current = isPlausibleCompanyName(item.company) ? (item.companyConfidence ?? 1) : 0;
+    const extracted = companyIntel.extractCompany(item.title, item.summary || '', item.link, item.source);
+    if (extracted.name === 'TBD' || extracted.name === item.company || extracted.confidence <= current) continue;
+    
+    changes.push({ id: item.id, title: item.title, from: item.company, to: extracted.name, confidence: extracted.confidence, method: extracted.method });
+    if (dryRun) continue;
+    
+    const previousName = companyRecordName(item);
+    item.company = extracted.name;
+    item.companyConfidence = extracted.confidence;
+    item.companyMethod = extracted.method;
+    await companyIntel.reassignViolation(item, previousName);
+  }
+  
+  const structured = new Set(items.filter(item => STRUCTURED_COMPANY_METHODS.has(item.companyMethod)).map(item => item.company));
+  const removedCompanies = dryRun
+    ? Array.from(companyIntel.companies.keys()).filter(name => name !== 'Unknown Company' && !isPlausibleCompanyName(name) && !structured.has(name))
+    : companyIntel.removeImplausibleCompanies(structured);
+  
+  if (!dryRun) {
+    await saveItems(items);
+  }
+  
+  console.log(`🏷️  Company re-extraction: ${changes.length} items reassigned, ${removedCompanies.length} companies removed${dryRun ? ' (dry run)' : ''}`);
+  return { changes, removedCompanies };
+}
+
+// Bring the company records in line with an item after an analyst override:
+// move its violation when the company changed, drop it when the item was
+// hidden, and carry a corrected type or severity
+async function syncOverriddenItem(item, previous) {
+  const previousName = companyRecordName({ company: previous.company, companyMethod: previous.companyMethod });
+  const currentName = companyRecordName(item);
+  
+  if (!isVisibleItem(item)) {
+    const company = companyIntel.companies.get(previousName);
+    if (company) {
+      company.violations = company.violations.filter(v => v.link !== item.link);
+      company.last_updated = new Date().toISOString();
+    }
+  } else if (!previous.visible || previousName !== currentName) {
+    await companyIntel.reassignViolation(item, previousName);
+  }
+  
+  const violation = companyIntel.companies.get(currentName)?.violations.find(v => v.link === item.link);
+  if (violation && isVisibleItem(item)) {
+    violation.type = item.types[0];
+    violation.severity = item.severity ?? 5;
+  }
+  companyIntel.updateMetrics();
+  companyIntel.refreshRiskScores();
+}
+
+function overrideSnapshot(item) {
+  return { company: item.company, companyMethod: item.companyMethod, visible: isVisibleItem(item) };
+}
+
+// Persist an analyst edit to one item: the override, the item itself and the
+// company records it touches. The rest of the store is left alone.
+async function saveOverriddenItem(item, previous) {
+  await syncOverriddenItem(item, previous);
+  await itemOverrides.save();
+  await repository.items.upsert(item);
+  await companyIntel.save();
+  // Re-index so search filters, facets and saved searches see the new type, company and severity
+  searchIndex.update(await itemSearchDocument(item));
+  searchIndex.setHidden(item.id, !isVisibleItem(item));
+}
+
+// Link companies carrying a known group's subsidiary names to it (never overriding API edits)
+async function seedCompanyHierarchy() {
+  const names = Array.from(companyIntel.companies.keys()).filter(name => isPlausibleCompanyName(name));
+  const { added, removed } = companyHierarchy.seed(companyIntel.knownCompanies, names);
+  if (added > 0 || removed > 0) {
+    await companyHierarchy.save();
+    console.log(`🏛️  Company hierarchy: ${added} subsidiaries linked to known groups, ${removed} stale links dropped`);
+  }
+  return added;
+}
+
+// A company with its subsidiaries' violations counted toward it; each violation
+// names the entity it was issued to. A parent known only through its
+// subsidiaries gets a record built from theirs.
+function rolledUpCompany(name) {
+  const members = [name, ...companyHierarchy.descendantsOf(name)];
+  const records = members.map(member => companyIntel.companies.get(member)).filter(Boolean);
+  if (records.length === 0) return null;
+  
+  const seen = new Set();
+  const violations = [];
+  records.forEach(record => {
+    record.violations.forEach(v => {
+      if (seen.has(v.link)) return;
+      seen.add(v.link);
+      violations.push({ ...v, entity: record.name });
+    });
+  });
+  violations.sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+  const rolled = {
+    aliases: [],
+    products: [],
+    facilities: [],
+    executives: [],
+    ...companyIntel.companies.get(name),
+    name,
+    violations,
+    subsidiaries: records.map(record => record.name).filter(member => member !== name),
+    first_seen: records.map(record => record.first_seen).filter(Boolean).sort()[0]
+  };
+  const risk = companyIntel.riskAssessment(rolled);
+  rolled.risk_score = risk.score;
+  rolled.risk_level = risk.level;
+  rolled.risk_factors = Object.fromEntries(risk.factors.map(f => [f.key, f.points]));
+  rolled.compliance_score = companyIntel.calculateComplianceScore(rolled);
+  return rolled;
+}
+
+// Top violators with subsidiaries counted toward their top-level group
+function rolledUpTopCompanies(limit = 10) {
+  const roots = new Set(Array.from(companyIntel.companies.keys()).map(name => companyHierarchy.rootOf(name)));
+  return Array.from(roots)
+    .map(root => rolledUpCompany(root))
+    .filter(Boolean)
+    .sort((a, b) => b.violations.length - a.violations.length)
+    .slice(0, limit)
+    .map(c => ({
+      name: c.name,
+      violations: c.violations.length,
+      risk_score: c.risk_score || 0,
+      compliance_score: c.compliance_score || 100,
+      subsidiaries: c.subsidiaries
+    }));
+}
+
+// Audit log actions for company administration; their details carry the change for undo
+const COMPANY_ADMIN_ACTIONS = ['company_merged', 'company_split', 'company_aliases_changed', 'company_deleted'];
+
+// Everything a company admin operation may touch
+async function companyAdminState() {
+  const users = await WLUserLeaf.find({ 'watchedCompanies.0': { $exists: true } });
+  return {
+    companies: companyIntel.companies,
+    items: await loadAllItems(),
+    contacts: companyIntel.contacts,
+    watchers: users.flatMap(user => user.watchedCompanies.map(entry => ({
+      userId: String(user._id),
+      entry: entry.toObject ? entry.toObject() : entry
+    }))),
+    facilities: Array.from(facilityRegistry.facilities.values()),
+    relations: companyHierarchy.relations,
+    canonicalize: name => companyIntel.findCanonicalName(name),
+    isPlaceholder: name => !isPlausibleCompanyName(name),
+    score: record => ({
+      risk_score: companyIntel.calculateRiskScore(record),
+      compliance_score: companyIntel.calculateComplianceScore(record)
+    })
   };
+}
+
+// Write a planned change (or its inverse, for undo) to every store it touches
+async function applyCompanyChange(change) {
+  // Drop the names and aliases of replaced records before registering the new ones
+  change.companies.forEach(({ name, before }) => {
+    [name, ...(before?.aliases || [])].forEach(alias => {
+      const key = companyIntel.normalizeForMatching(alias);
+      if (companyIntel.companyAliases.get(key) === name) companyIntel.companyAliases.delete(key);
+    });
+  });
+  change.companies.forEach(({ name, after }) => {
+    if (after) {
+      companyIntel.companies.set(name, JSON.parse(JSON.stringify(after)));
+      (after.aliases || []).forEach(alias => {
+        companyIntel.companyAliases.set(companyIntel.normalizeForMatching(alias), name);
+      });
+    } else {
+      companyIntel.companies.delete(name);
+    }
+  });
+  companyIntel.matchingCache.clear();
+  companyIntel.updateMetrics();
+  await companyIntel.save();
   
-  // Get company metrics
-  const companyMetrics = companyIntel.metrics;
+  if (change.items.length > 0) {
+    const updated = [];
+    for (const { id, after } of change.items) {
+      const item = await repository.items.findById(id);
+      if (item) updated.push({ ...item, ...after });
+    }
+    await repository.items.upsertMany(updated);
+    await rebuildSearchIndex();
+  }
   
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; background: #f7fafc; }
-        .container { max-width: 800px; margin: 20px auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
-        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px; }
-        .header h1 { margin: 0; font-size: 28px; }
-        .header p { margin: 10px 0 0 0; opacity: 0.9; }
-        .content { padding: 40px; }
-        .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 20px; margin: 30px 0; }
-        .summary-card { background: #f7fafc; padding: 20px; border-radius: 8px; text-align: center; }
-        .summary-card .number { font-size: 32px; font-weight: bold; color: #4299e1; }
-        .summary-card .label { font-size: 14px; color: #718096; margin-top: 5px; }
-        .section { margin: 30px 0; }
-        .section-header { font-size: 20px; font-weight: bold; color: #2d3748; margin-bottom: 15px; padding-bottom: 10px; border-bottom: 2px solid #e2e8f0; }
-        .item { background: #f7fafc; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 3px solid #4299e1; }
-        .item-header { display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px; }
-        .item-company { font-weight: bold; color: #2d3748; }
-        .item-type { display: inline-block; padding: 3px 8px; border-radius: 3px; font-size: 12px; font-weight: bold; background: #bee3f8; color: #2c5282; }
-        .item-meta { font-size: 13px; color: #718096; margin: 5px 0; }
-        .top-violators { background: #fff5f5; padding: 20px; border-radius: 8px; margin: 20px 0; }
-        .violator-item { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #feb2b2; }
-        .violator-item:last-child { border-bottom: none; }
-        .footer { background: #f7fafc; padding: 30px 40px; border-top: 1px solid #e2e8f0; font-size: 13px; color: #718096; }
-        a { color: #4299e1; text-decoration: none; }
-        a:hover { text-decoration: underline; }
-      </style>
-    </head>
-    <body>
-      <div class="container">
-        <div class="header">
-          <h1>📊 FDA Weekly Intelligence Report</h1>
-          <p>${new Date(oneWeekAgo).toLocaleDateString()} - ${new Date().toLocaleDateString()}</p>
-        </div>
-        
-        <div class="content">
-          <div class="summary-grid">
-            <div class="summary-card">
-              <div class="number">${relevantItems.length}</div>
-              <div class="label">Total Actions</div>
-            </div>
-            <div class="summary-card">
-              <div class="number">${byType.warning_letters.length}</div>
-              <div class="label">Warning Letters</div>
-            </div>
-            <div class="summary-card">
-              <div class="number">${byType.crls.length}</div>
-              <div class="label">CRLs</div>
-            </div>
-            <div class="summary-card">
-              <div class="number">${byType.form_483s.length}</div>
-              <div class="label">Form 483s</div>
-            </div>
-          </div>
-          
-          ${companyMetrics.topViolators && companyMetrics.topViolators.length > 0 ? `
-            <div class="top-violators">
-              <h3 style="margin: 0 0 15px 0; color: #742a2a;">⚠️ Companies with Most Violations</h3>
-              ${companyMetrics.topViolators.slice(0, 5).map(company => `
-                <div class="violator-item">
-                  <span style="font-weight: bold;">${company.name}</span>
-                  <span style="color: #742a2a;">${company.violations} violations • Risk: ${company.risk_score}/100</span>
+  if (change.contacts.length > 0) {
+    change.contacts.forEach(({ name, after }) => {
+      if (after) companyIntel.contacts.set(name, after);
+      else companyIntel.contacts.delete(name);
+    });
+    await companyIntel.saveContacts();
+  }
+  
+  const watcherChanges = new Map();
+  change.watchers.forEach(entry => {
+    if (!watcherChanges.has(entry.userId)) watcherChanges.set(entry.userId, []);
+    watcherChanges.get(entry.userId).push(entry);
+  });
+  for (const [userId, entries] of watcherChanges) {
+    const user = await WLUserLeaf.findById(userId);
+    if (!user) continue;
+    entries.forEach(({ before, after }) => {
+      const index = before ? user.watchedCompanies.findIndex(wc => wc.name === before.name) : -1;
+      if (index >= 0 && after) user.watchedCompanies.set(index, after);
+      else if (index >= 0) user.watchedCompanies.splice(index, 1);
+      else if (after) user.watchedCompanies.push(after);
+    });
+    await user.save();
+  }
+  
+  if (change.facilities.length > 0) {
+    change.facilities.forEach(({ fei, after }) => {
+      const facility = facilityRegistry.facilities.get(fei);
+      if (facility) facility.company = after;
+    });
+    await facilityRegistry.save();
+  }
+  
+  // Changes logged before relations were tracked have none
+  if (change.relations?.length > 0) {
+    change.relations.forEach(({ child, after }) => {
+      if (after) companyHierarchy.relations.set(child, after);
+      else companyHierarchy.relations.delete(child);
+    });
+    await companyHierarchy.save();
+  }
+}
+
+// Apply and audit a planned company admin change
+async function commitCompanyChange(action, change, params, req) {
+  await applyCompanyChange(change);
+  
+  const summary = summarizeChange(change);
+  const entry = await AuditLog.create({
+    action,
+    details: { params, summary, change },
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  }).catch(error => console.error('Audit log error:', error.message));
+  
+  console.log(`🏢 ${action}: ${JSON.stringify(params)} (${summary.items} items, ${summary.watchers} watchlist entries)`);
+  return { changeId: entry ? String(entry._id) : null, summary };
+}
+
+// Whether two lists hold the same values, ignoring order and repeats
+function sameMembers(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  return left.size === right.size && [...left].every(value => right.has(value));
+}
+
+// Records an undo would overwrite that changed after the original operation
+function companyChangeConflicts(change) {
+  return change.companies
+    .filter(({ name, after }) => {
+      const current = companyIntel.companies.get(name);
+      if (!after) return Boolean(current);
+      return !current ||
+        !sameMembers(current.violations.map(v => v.link), after.violations.map(v => v.link)) ||
+        !sameMembers(current.aliases || [], after.aliases || []);
+    })
+    .map(({ name }) => name);
+}
+
+// Tag an item against the violation taxonomy: its own text and citations, its
+// archived letter's tags, and each 483 observation (tagged on its own too)
+function tagItem(item) {
+  const key = item.link ? letterArchive.findKeyByUrl(item.link) : null;
+  const letter = key ? letterArchive.index.get(key) : null;
+  
+  const observationTags = (item.observations || []).map(observation => {
+    const tags = tagViolation({
+      text: observation.text,
+      citations: extractCitations(`${observation.text}\n${(observation.citations || []).join('\n')}`)
+    });
+    observation.taxonomy = taxonomyIds(tags);
+    return tags;
+  });
+  
+  item.taxonomy = mergeTags([
+    tagViolation({
+      text: [item.title, item.summary, item.reasonForRecall, item.productDescription].filter(Boolean).join('\n'),
+      citations: item.citations
+    }),
+    letter?.taxonomy || [],
+    ...observationTags
+  ]);
+  item.taxonomyVersion = TAXONOMY_VERSION;
+  return item;
+}
+
+// Retag every stored item (after the taxonomy changes)
+async function retagItems() {
+  const items = await loadAllItems();
+  items.forEach(tagItem);
+  await saveItems(items);
+  
+  const tagged = items.filter(item => item.taxonomy.length > 0).length;
+  console.log(`🗂️  Taxonomy v${TAXONOMY_VERSION}: ${tagged} of ${items.length} items tagged`);
+  return { version: TAXONOMY_VERSION, items: items.length, tagged };
+}
+
+// Deduplicate items by link and feed them into company intelligence.
+// Every stored item is passed through so lifecycle letters can advance their
+// violations, but only items the store saw for the first time (`addedIds`)
+// count as new violations. A violation trimmed off a company's capped list
+// would otherwise look new on every run and be alerted again.
+async function processItems(items, { addedIds } = {}) {
+  const uniqueItems = [];
+  const seenLinks = new Set();
+  const newViolations = [];
+  const added = addedIds ? new Set(addedIds) : null;
+  
+  for (const item of items) {
+    // Items whose links differ only in the query string or fragment carry their own key
+    const cleanLink = item.dedupeKey || item.link.replace(/[?#].*$/, '').toLowerCase();
+    
+    if (!seenLinks.has(cleanLink)) {
+      seenLinks.add(cleanLink);
+      uniqueItems.push(item);
+      tagItem(item);
+      
+      // Update company intelligence (items an analyst hid or marked irrelevant don't count)
+      const recorded = isVisibleItem(item) && await companyIntel.updateCompany(item);
+      if (recorded && (!added || added.has(item.id))) {
+        newViolations.push(item);
+      }
+      registerItemFacility(item);
+    }
+  }
+  
+  // Sort by severity and date
+  uniqueItems.sort((a, b) => {
+    if (a.severity !== b.severity) return b.severity - a.severity;
+    return new Date(b.date) - new Date(a.date);
+  });
+  
+  return { uniqueItems, newViolations };
+}
+
+// Item link -> citations from its summary or PDF, refreshed whenever risk is rescored
+const itemCitations = new Map();
+
+// Citations of a violation's letter: the archived full text, else what its item cites
+function violationCitations(violation) {
+  const key = violation.link ? letterArchive.findKeyByUrl(violation.link) : null;
+  const archived = key ? letterArchive.index.get(key)?.citations : null;
+  return archived?.length > 0 ? archived : itemCitations.get(violation.link) || [];
+}
+
+// Rescore every company against the current items
+function refreshCompanyRisk(items) {
+  itemCitations.clear();
+  items
+    .filter(item => item.citations?.length > 0)
+    .forEach(item => itemCitations.set(item.link, item.citations));
+  companyIntel.refreshRiskScores();
+}
+
+// Record today's score of every company that has one, or had one before (so a
+// drop to zero shows up in its history)
+async function snapshotRiskHistory() {
+  const date = new Date().toISOString().slice(0, 10);
+  let recorded = 0;
+  
+  companyIntel.companies.forEach((company, name) => {
+    const assessment = companyIntel.riskAssessment(company);
+    if (assessment.score === 0 && riskHistory.get(name).length === 0) return;
+    riskHistory.record(name, assessment, date);
+    recorded++;
+  });
+  
+  await riskHistory.save();
+  console.log(`📈 Risk history snapshot for ${date}: ${recorded} companies`);
+  return { date, companies: recorded };
+}
+
+// ---------------------------------------------------------------
+// Escalation prediction (escalation-model.js)
+// ---------------------------------------------------------------
+const ESCALATION_HORIZONS = [180, 365];
+const ENFORCEMENT_EVENT_TYPES = [...ESCALATION_TYPES, 'form_483', 'recall'];
+
+let escalationModels = {};          // horizon (days) -> trained model
+let escalationTraining = null;       // training run in progress, shared by the route and the nightly job
+const escalationBacktests = new Map(); // "horizon:testFrom:dataEnd" -> backtest report (promise)
+
+// Event types an item contributes to a subject's history. Items that aren't an
+// enforcement action (news, CRLs, clinical holds, SEC disclosures) are signals.
+function escalationEventTypes(types) {
+  const enforcement = (types || []).filter(type => ENFORCEMENT_EVENT_TYPES.includes(type));
+  return enforcement.length > 0 ? enforcement : ['signal'];
+}
+
+// Office, product type and cited CFR sections of an item, from its archived
+// letter when there is one; 483 observations flag their own repeats
+function itemEvidence(item) {
+  const key = item.link ? letterArchive.findKeyByUrl(item.link) : null;
+  const letter = key ? letterArchive.index.get(key) : null;
+  const citations = (letter?.citations?.length > 0 ? letter.citations : item.citations || [])
+    .filter(c => c.type === 'cfr');
+  const section = c => `21 CFR ${c.section || c.part}`;
+  const observed = (item.observations || [])
+    .filter(o => o.repeat)
+    .flatMap(o => o.citations.map(c => (c.match(/^21 CFR \d+(?:\.\d+)?/) || [])[0]).filter(Boolean));
+  
+  return {
+    office: item.issuingOffice || letter?.issuingOffice || null,
+    productType: item.productType || letter?.productType || null,
+    citations: citations.map(section),
+    repeatCitations: [...citations.filter(c => c.repeat).map(section), ...observed]
+  };
+}
+
+// History of every company (from items) and site (from the facility registry)
+function escalationTimelines(items) {
+  items = items.filter(isVisibleItem);
+  const records = [];
+  const itemsByLink = new Map(items.map(item => [item.link, item]));
+  
+  items.forEach(item => {
+    const company = isPlausibleCompanyName(item.company) ? companyIntel.findCanonicalName(item.company) : null;
+    if (!company || company === 'Unknown Company') return;
+    const evidence = itemEvidence(item);
+    escalationEventTypes(item.types).forEach(type => {
+      records.push({ kind: 'company', key: company, name: company, type, date: item.date, link: item.link, ...evidence });
+    });
+  });
+  
+  facilityRegistry.facilities.forEach(facility => {
+    const lists = { form483s: 'form_483', warningLetters: 'warning_letter', importAlerts: 'import_alert', recalls: 'recall' };
+    Object.entries(lists).forEach(([list, type]) => {
+      (facility[list] || []).forEach(event => {
+        const item = itemsByLink.get(event.link);
+        records.push({
+          kind: 'facility',
+          key: facility.fei,
+          name: facility.name || `FEI ${facility.fei}`,
+          type,
+          date: event.date,
+          link: event.link,
+          ...(item ? itemEvidence(item) : {})
+        });
+      });
+    });
+  });
+  
+  return buildTimelines(records);
+}
+
+async function loadEscalationModels() {
+  try {
+    escalationModels = JSON.parse(await fs.readFile(DATA_FILES.ESCALATION_MODEL, 'utf8'));
+  } catch {
+    escalationModels = {};
+  }
+  return escalationModels;
+}
+
+// Fit one model per horizon on every snapshot whose outcome window has closed.
+// Fitting runs in a worker thread; a call while a run is in progress gets
+// that run's result.
+function trainEscalationModels() {
+  if (!escalationTraining) {
+    escalationTraining = fitEscalationModels().finally(() => { escalationTraining = null; });
+  }
+  return escalationTraining;
+}
+
+async function fitEscalationModels() {
+  const timelines = escalationTimelines(await loadAllItems());
+  const models = {};
+  
+  for (const horizonDays of ESCALATION_HORIZONS) {
+    models[horizonDays] = await runEscalationTask('fit', timelines, { horizonDays });
+    console.log(`🎯 Escalation model (${horizonDays}d): ${models[horizonDays].examples} snapshots, ${models[horizonDays].positives} escalated`);
+  }
+  
+  await fs.writeFile(DATA_FILES.ESCALATION_MODEL, JSON.stringify(models, null, 2));
+  escalationModels = models;
+  // Backtests were run on the previous history
+  escalationBacktests.clear();
+  return models;
+}
+
+// Backtest report for a horizon and test window, run in a worker thread and
+// kept until the models are next retrained
+function backtestEscalation(timelines, { horizonDays, testFrom, dataEnd }) {
+  const key = `${horizonDays}:${testFrom}:${dataEnd}`;
+  if (!escalationBacktests.has(key)) {
+    const report = runEscalationTask('backtest', timelines, { horizonDays, testFrom, dataEnd });
+    report.catch(() => escalationBacktests.delete(key));
+    escalationBacktests.set(key, report);
+  }
+  return escalationBacktests.get(key);
+}
+
+// Probability of escalating within `horizonDays` for every at-risk company or site,
+// highest first. Falls back to the prior weights until a model has been trained.
+async function predictEscalations({ kind = null, horizonDays = 365 } = {}) {
+  const model = escalationModels[horizonDays] || { weights: ESCALATION_PRIOR_WEIGHTS, horizonDays, examples: 0 };
+  const timelines = escalationTimelines(await loadAllItems());
+  const now = Date.now();
+  
+  const predictions = Array.from(timelines.values())
+    .filter(timeline => (!kind || timeline.kind === kind) && isAtRisk(timeline, now))
+    .map(timeline => {
+      const { values, facts } = featuresAt(timeline, now);
+      const { probability, contributions } = predict(model, values);
+      return {
+        kind: timeline.kind,
+        key: timeline.key,
+        name: timeline.name,
+        probability,
+        horizonDays,
+        drivers: contributions.filter(c => c.contribution > 0).slice(0, 3).map(c => c.feature),
+        facts,
+        contributions,
+        lastEvent: timeline.events[timeline.events.length - 1]
+      };
+    })
+    .sort((a, b) => b.probability - a.probability);
+  
+  return { model, predictions };
+}
+
+// ---------------------------------------------------------------
+// Peer benchmarking (benchmark.js)
+// ---------------------------------------------------------------
+
+// Benchmark profile of every company with violations. Office and product type
+// come from the violation's item, else its archived letter, else its wording.
+async function benchmarkProfiles() {
+  const itemsByLink = new Map((await loadAllItems()).map(item => [item.link, item]));
+  const evidenceOf = violation => {
+    const item = itemsByLink.get(violation.link);
+    const key = violation.link ? letterArchive.findKeyByUrl(violation.link) : null;
+    const letter = key ? letterArchive.index.get(key) : null;
+    return {
+      office: item?.issuingOffice || letter?.issuingOffice || null,
+      productType: item?.productType || letter?.productType || null,
+      text: `${violation.title || ''} ${violation.summary || ''}`
+    };
+  };
+  
+  return Array.from(companyIntel.companies.values())
+    .filter(company => isPlausibleCompanyName(company.name) && company.name !== 'Unknown Company' && company.violations.length > 0)
+    .map(company => companyProfile(company, { evidenceOf, citationsOf: violationCitations }));
+}
+
+// Save the item set, cross-source events, the per-type files and company data
+async function saveItems(uniqueItems) {
+  const events = clusterItems(uniqueItems, {
+    canonicalize: name => companyIntel.findCanonicalName(name)
+  });
+  const itemsById = new Map(uniqueItems.map(item => [item.id, item]));
+  events.forEach(event => {
+    event.itemIds.forEach(id => {
+      itemsById.get(id).eventId = event.id;
+    });
+  });
+  
+  await repository.items.replaceAll(uniqueItems);
+  await fs.writeFile(DATA_FILES.EVENTS, JSON.stringify(events, null, 2));
+  
+  const visibleItems = uniqueItems.filter(isVisibleItem);
+  const byType = {
+    warning_letters: visibleItems.filter(i => i.types.includes('warning_letter')),
+    crls: visibleItems.filter(i => i.types.includes('crl')),
+    form_483s: visibleItems.filter(i => i.types.includes('form_483'))
+  };
+  
+  await Promise.all([
+    fs.writeFile(DATA_FILES.WARNING_LETTERS, JSON.stringify(byType.warning_letters, null, 2)),
+    fs.writeFile(DATA_FILES.CRL_LETTERS, JSON.stringify(byType.crls, null, 2)),
+    fs.writeFile(DATA_FILES.FORM_483, JSON.stringify(byType.form_483s, null, 2))
+  ]);
+  
+  refreshCompanyRisk(uniqueItems);
+  await companyIntel.save();
+  await facilityRegistry.save();
+  await seedCompanyHierarchy();
+  await rebuildSearchIndex(uniqueItems);
+  
+  return byType;
+}
+
+// An item's search document, with its archived letter or PDF text
+async function itemSearchDocument(item) {
+  const marcsNumber = letterArchive.findKeyByUrl(item.link);
+  const letter = marcsNumber ? await letterArchive.get(marcsNumber) : null;
+  
+  const pdfUrl = getItemPdfUrl(item);
+  const pdf = pdfUrl && pdfDocuments.has(pdfUrl) ? await pdfDocuments.get(pdfUrl) : null;
+  
+  return itemDocument(item, { letter, documentText: pdf?.text || '' });
+}
+
+// Index items with their archived letter or PDF text, plus archived letters
+// no item links to
+async function rebuildSearchIndex(items) {
+  items = items || await loadAllItems();
+  const documents = [];
+  const indexedLetters = new Set();
+  
+  for (const item of items) {
+    const marcsNumber = letterArchive.findKeyByUrl(item.link);
+    if (marcsNumber && letterArchive.has(marcsNumber)) indexedLetters.add(marcsNumber);
+    documents.push(await itemSearchDocument(item));
+  }
+  
+  for (const marcsNumber of letterArchive.index.keys()) {
+    if (indexedLetters.has(marcsNumber)) continue;
+    const letter = await letterArchive.get(marcsNumber);
+    if (letter) documents.push(letterDocument(letter));
+  }
+  
+  searchIndex.build(documents);
+  items.filter(item => !isVisibleItem(item)).forEach(item => searchIndex.setHidden(item.id));
+  console.log(`🔎 Search index built: ${documents.length} documents, ${searchIndex.vocabulary.length} terms`);
+}
+
+// Swap Google News article links for the publisher URLs they point to, so the
+// link dedupe sees the same story from Google and the publisher's own feed.
+// Network lookups run a few at a time and are capped per run, both in number
+// and in time; the rest resolve on later runs.
+const MAX_LINK_LOOKUPS_PER_RUN = 100;
+const LINK_LOOKUP_CONCURRENCY = 5;
+const LINK_LOOKUP_BUDGET_MS = 60 * 1000;   // no new lookups start after this
+
+async function resolveNewsLinks(items) {
+  const newsItems = items.filter(item => isGoogleNewsLink(item.link));
+  
+  // Cached and offline-decodable links first; what's left goes to the network
+  const pending = new Set();
+  for (const item of newsItems) {
+    if (await linkResolver.resolve(item.link, { allowNetwork: false })) continue;
+    if (linkResolver.needsLookup(item.link)) pending.add(item.link);
+  }
+  
+  const queue = Array.from(pending).slice(0, MAX_LINK_LOOKUPS_PER_RUN);
+  const deadline = Date.now() + LINK_LOOKUP_BUDGET_MS;
+  let lookups = 0;
+  const lookupNext = async () => {
+    while (queue.length > 0 && Date.now() < deadline) {
+      const link = queue.shift();
+      lookups++;
+      await linkResolver.resolve(link);
+    }
+  };
+  await Promise.all(Array.from({ length: LINK_LOOKUP_CONCURRENCY }, lookupNext));
+  
+  let resolved = 0;
+  for (const item of newsItems) {
+    const url = await linkResolver.resolve(item.link, { allowNetwork: false });
+    if (url) {
+      item.googleNewsLink = item.link;
+      item.link = url;
+      const publisher = item.title.match(/\s+-\s+([^-]{2,60})$/);
+      if (publisher) item.publisher = publisher[1].trim();
+      resolved++;
+    }
+  }
+  
+  await linkResolver.save();
+  console.log(`🔗 Google News links resolved: ${resolved} (${lookups} new lookups, ${pending.size - lookups} left for later runs)`);
+  return resolved;
+}
+
+// Only FDA-hosted documents are fetched on request
+function isFdaUrl(url) {
+  try {
+    return /(^|\.)fda\.gov$/i.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// PDF link for an item, if it has one
+function getItemPdfUrl(item) {
+  return [item.documentUrl, item.link].find(url => url && isPdfLink(url)) || null;
+}
+
+// Fold an extracted PDF into its item: document summary, 483 observations,
+// citations, and a reclassification over the real document text
+function applyPdfDocument(item, doc) {
+  item.document = summarizeDocument(doc);
+  
+  if (doc.observations.length > 0) {
+    item.observations = doc.observations.map(o => ({
+      number: o.number,
+      text: o.text.length > 500 ? o.text.substring(0, 500) + '...' : o.text,
+      repeat: o.repeat,
+      citations: o.citations.map(c => c.citation)
+    }));
+  }
+  
+  if (doc.header) {
+    item.fei = item.fei || doc.header.fei;
+    if (!item.inspectionStart && doc.header.inspectionStart) {
+      item.inspectionStart = parseDate(doc.header.inspectionStart).toISOString();
+    }
+    if (!item.inspectionEnd && doc.header.inspectionEnd) {
+      item.inspectionEnd = parseDate(doc.header.inspectionEnd).toISOString();
+    }
+    if ((!item.company || item.company === 'TBD') && doc.header.firmName) {
+      item.company = doc.header.firmName;
+      item.companyConfidence = 0.95;
+      item.companyMethod = 'pdf_header';
+    }
+    if (!item.address && (doc.header.street || doc.header.cityStateZip)) {
+      item.address = [doc.header.street, doc.header.cityStateZip].filter(Boolean).join(', ');
+    }
+  }
+  
+  const seen = new Set((item.citations || []).map(c => c.citation));
+  item.citations = [
+    ...(item.citations || []),
+    ...doc.citations.filter(c => !seen.has(c.citation))
+  ];
+  
+  if (!doc.needsOcr) {
+    const { types, severity } = classifyItem(item.title, doc.text);
+    types
+      .filter(type => type !== 'regulatory_news' && !item.types.includes(type))
+      .forEach(type => item.types.push(type));
+    if (item.types.length > 1) {
+      item.types = item.types.filter(type => type !== 'regulatory_news');
+    }
+    item.severity = Math.max(item.severity || 0, severity);
+  }
+  
+  return item;
+}
+
+// Attach PDF content to official items. Stored documents are reused; new
+// downloads are capped per run so a large batch doesn't stall aggregation.
+const MAX_NEW_PDFS_PER_RUN = 20;
+
+async function attachPdfDocuments(items) {
+  let attached = 0;
+  let downloaded = 0;
+  
+  for (const item of items) {
+    if (item.sourceCategory !== 'official') continue;
+    const url = getItemPdfUrl(item);
+    if (!url) continue;
+    
+    const isStored = pdfDocuments.has(url);
+    // Documents that failed recently wait for their retry time instead of using up the run's downloads
+    if (!isStored && (downloaded >= MAX_NEW_PDFS_PER_RUN || pdfDocuments.failure(url))) continue;
+    
+    try {
+      if (!isStored) downloaded++;
+      const doc = await pdfDocuments.getOrExtract(url);
+      applyPdfDocument(item, doc);
+      attached++;
+    } catch (error) {
+      console.error(`❌ PDF extraction failed for ${url}:`, error.message);
+    }
+  }
+  
+  console.log(`📄 PDF documents attached: ${attached} (${downloaded} downloaded)`);
+  return attached;
+}
+
+// Apply a response/close-out event to the company violation and the archived letter
+async function recordLifecycleEvent(marcsNumber, event) {
+  const changed = companyIntel.recordLifecycleEvent(marcsNumber, event);
+  
+  const letter = await letterArchive.get(marcsNumber);
+  if (letter && applyLifecycleEvent(letter, event)) {
+    const { status, statusHistory, responseLetterUrl, responseDate, closeoutLetterUrl, closeoutDate } = letter;
+    await letterArchive.update(marcsNumber, {
+      status, statusHistory, responseLetterUrl, responseDate, closeoutLetterUrl, closeoutDate
+    });
+    return true;
+  }
+  
+  return changed;
+}
+
+// Link a scraped response or close-out page to the letter(s) it refers to
+async function linkLifecycleDocument(letterData) {
+  const targets = letterData.relatedMarcsNumbers?.length
+    ? letterData.relatedMarcsNumbers
+    : [letterData.marcsNumber].filter(Boolean);
+  const letterDate = letterData.letterDate ? new Date(letterData.letterDate) : null;
+  const event = {
+    kind: letterData.letterKind,
+    url: letterData.url,
+    date: letterDate && !isNaN(letterDate) ? letterDate.toISOString() : extractDocumentDate(letterData.letterContent)
+  };
+  
+  for (const marcsNumber of targets) {
+    if (await recordLifecycleEvent(marcsNumber, event)) {
+      console.log(`🔗 Linked ${event.kind} letter to warning letter ${marcsNumber}`);
+    }
+  }
+}
+
+const LIFECYCLE_RETRY_DAYS = 1;     // first retry after a failed fetch; doubles with each failure
+const LIFECYCLE_MAX_ATTEMPTS = 6;   // after this many failures a letter is left alone
+
+// Record a failed attempt to date a response/close-out letter on the violation
+function recordLifecycleFailure(letter, kind, error) {
+  const attempts = (letter.lifecycleFailures?.[kind]?.attempts || 0) + 1;
+  const retryAfter = new Date(Date.now() + LIFECYCLE_RETRY_DAYS * 2 ** (attempts - 1) * 24 * 60 * 60 * 1000);
+  letter.lifecycleFailures = {
+    ...letter.lifecycleFailures,
+    [kind]: { attempts, error, failedAt: new Date().toISOString(), retryAfter: retryAfter.toISOString() }
+  };
+}
+
+function lifecycleRetryDue(letter, kind, now = Date.now()) {
+  const failure = letter.lifecycleFailures?.[kind];
+  if (!failure) return true;
+  return failure.attempts < LIFECYCLE_MAX_ATTEMPTS && new Date(failure.retryAfter).getTime() <= now;
+}
+
+// Fetch response and close-out letters whose dates we don't know yet, so
+// time-to-close metrics use FDA's dates rather than when we noticed the link.
+// Letters that failed are retried with a growing delay, so they don't hold up
+// the rest of the queue.
+async function resolveLifecycleDates({ limit = 25 } = {}) {
+  const pending = [];
+  companyIntel.getWarningLetterRecords().forEach(({ letter }) => {
+    if (letter.responseLetterUrl && !letter.responseDate) {
+      pending.push({ letter, kind: 'response', url: letter.responseLetterUrl });
+    }
+    if (letter.closeoutLetterUrl && !letter.closeoutDate) {
+      pending.push({ letter, kind: 'closeout', url: letter.closeoutLetterUrl });
+    }
+  });
+  const due = pending.filter(({ letter, kind }) => lifecycleRetryDue(letter, kind));
+  
+  let resolved = 0;
+  let failed = 0;
+  for (const { letter, kind, url } of due.slice(0, limit)) {
+    try {
+      let date = null;
+      
+      if (isPdfLink(url)) {
+        const doc = await pdfDocuments.getOrExtract(url);
+        date = extractDocumentDate(doc.text);
+      } else {
+        const page = await warningLetterScraper.scrapeWarningLetter(url, { kind });
+        const letterDate = page.letterDate ? new Date(page.letterDate) : null;
+        date = letterDate && !isNaN(letterDate) ? letterDate.toISOString() : extractDocumentDate(page.letterContent);
+      }
+      
+      if (!date) {
+        recordLifecycleFailure(letter, kind, 'No date found in the letter');
+        failed++;
+        continue;
+      }
+      
+      const marcsNumber = letter.marcsNumber || marcsFromUrl(letter.link);
+      if (marcsNumber) {
+        await recordLifecycleEvent(marcsNumber, { kind, url, date });
+      } else {
+        applyLifecycleEvent(letter, { kind, url, date });
+      }
+      if (letter.lifecycleFailures) {
+        delete letter.lifecycleFailures[kind];
+        if (Object.keys(letter.lifecycleFailures).length === 0) delete letter.lifecycleFailures;
+      }
+      resolved++;
+    } catch (error) {
+      console.error(`❌ Could not resolve ${kind} letter ${url}:`, error.message);
+      recordLifecycleFailure(letter, kind, error.message);
+      failed++;
+    }
+  }
+  
+  console.log(`🔗 Lifecycle dates resolved: ${resolved} of ${pending.length} pending (${failed} failed, ${pending.length - due.length} waiting to retry)`);
+  return { resolved, failed, pending: pending.length, waiting: pending.length - due.length };
+}
+
+// Attach a site event to the facility registry and list the site on its company
+function recordFacility(fei, site, event) {
+  const facility = facilityRegistry.record(fei, site, event);
+  if (!facility?.company) return facility;
+  
+  const company = companyIntel.companies.get(facility.company);
+  if (company) {
+    const label = facilityLabel(facility);
+    company.facilities = (company.facilities || []).filter(f => typeof f !== 'string' || !f.includes(`FEI ${fei}`));
+    company.facilities.push(label);
+  }
+  return facility;
+}
+
+// Register the site an item names by FEI (483s, import alerts, recalls, letters)
+function registerItemFacility(item) {
+  if (!item.fei) return null;
+  
+  const company = companyIntel.findCanonicalName(item.company === 'TBD' ? null : item.company);
+  const site = { name: item.company, company, address: item.address, country: item.country };
+  const base = { key: item.dedupeKey || item.link, date: item.date, title: item.title, link: item.link, itemId: item.id };
+  
+  let facility = null;
+  item.types
+    .filter(type => type !== 'regulatory_news')
+    .forEach(type => {
+      facility = recordFacility(item.fei, site, { ...base, type });
+    });
+  
+  // A 483 closes an inspection, so the inspection itself is recorded too
+  if (item.types.includes('form_483') && (item.inspectionStart || item.inspectionEnd)) {
+    facility = recordFacility(item.fei, site, {
+      key: `inspection:${item.inspectionStart || ''}:${item.inspectionEnd || ''}`,
+      type: 'inspection',
+      date: item.inspectionEnd || item.inspectionStart,
+      start: item.inspectionStart || null,
+      end: item.inspectionEnd || null,
+      title: `Inspection${item.inspectionEnd ? ` ending ${new Date(item.inspectionEnd).toLocaleDateString()}` : ''}`,
+      link: item.link
+    });
+  }
+  
+  return facility;
+}
+
+// One-line enforcement history of a site for AI prompts
+function facilityHistory(fei) {
+  const facility = fei ? facilityRegistry.get(fei) : null;
+  if (!facility) return '';
+  return ` (site history: ${facility.inspections.length} inspections, ${facility.form483s.length} Form 483s, ` +
+    `${facility.warningLetters.length} warning letters, ${facility.importAlerts.length} import alerts, ${facility.recalls.length} recalls)`;
+}
+
+// Register the site a scraped warning letter was issued to
+async function registerLetterFacility(letterData) {
+  if (!letterData.feiNumber) return null;
+  
+  const company = letterData.companyName || letterData.recipient?.company || null;
+  const letterDate = letterData.letterDate ? new Date(letterData.letterDate) : null;
+  const facility = recordFacility(letterData.feiNumber, {
+    name: company,
+    company: company ? companyIntel.findCanonicalName(company) : null,
+    address: letterData.recipient?.address || null,
+    country: letterData.recipient?.address?.country || null
+  }, {
+    key: letterData.url,
+    type: 'warning_letter',
+    date: letterDate && !isNaN(letterDate) ? letterDate.toISOString() : letterData.scrapedAt,
+    title: letterData.title,
+    link: letterData.url,
+    marcsNumber: letterData.marcsNumber || null,
+    issuingOffice: letterData.issuingOffice || null
+  });
+  
+  await facilityRegistry.save();
+  return facility;
+}
+
+// Main aggregation function with all sources
+async function aggregateAllSources() {
+  console.log('\n' + '='.repeat(60));
+  console.log('🔄 Starting comprehensive data aggregation...');
+  console.log('='.repeat(60) + '\n');
+  
+  const startTime = Date.now();
+  const allItems = [];
+  const errors = [];
+  
+  // 1. Scrape FDA directly
+  console.log('📌 Phase 1: Direct FDA Scraping');
+  const [warningLetters, form483s, recalls, alerts, secFilings] = await Promise.all([
+    scrapeFDAWarningLetters(),
+    fetchFOIA483s(),
+    fetchOpenFdaEnforcement(),
+    refreshImportAlerts(),
+    fetchSecDisclosures()
+  ]);
+  allItems.push(...warningLetters, ...form483s, ...recalls.items, ...alerts.items, ...secFilings.items);
+  
+  // 2. Fetch all RSS feeds
+  console.log('\n📌 Phase 2: RSS Feed Collection');
+  // Enabled registry sources; the FOIA reading room is handled by its own connector in Phase 1
+  const allFeeds = sourceRegistry.feedSources();
+  
+  // Process feeds in batches for better performance
+  const batchSize = 5;
+  for (let i = 0; i < allFeeds.length; i += batchSize) {
+    const batch = allFeeds.slice(i, i + batchSize);
+    const promises = batch.map(source => fetchFeed(source));
+    const results = await Promise.all(promises);
+    results.forEach(items => allItems.push(...items));
+    
+    // Progress indicator
+    const progress = Math.min(100, Math.round((i + batchSize) / allFeeds.length * 100));
+    console.log(`Progress: ${progress}%`);
+  }
+  await sourceRegistry.save();
+  
+  // Resolve Google News redirects before dedupe
+  console.log('\n📌 Phase 2b: Resolving News Links');
+  await resolveNewsLinks(allItems);
+  
+  // Read linked PDFs (483s, CRLs, inspection reports)
+  console.log('\n📌 Phase 2c: PDF Document Extraction');
+  await attachPdfDocuments(allItems);
+  
+  // 3. Merge into the stored history and process
+  console.log('\n📌 Phase 3: Data Processing & Deduplication');
+  const { items: mergedItems, addedIds, stats: storeStats } = await mergeIntoStore(allItems);
+  await resolveCompaniesWithAI(mergedItems);
+  const { uniqueItems, newViolations } = await processItems(mergedItems, { addedIds });
+  await resolveLifecycleDates();
+  
+  // 4. Save data
+  console.log('\n📌 Phase 4: Saving Data');
+  const byType = await saveItems(uniqueItems);
+  await saveOpenFdaState(recalls.checkpoints);
+  await saveSecState(secFilings.checkpoints);
+  
+  // 5. Process notifications
+  console.log('\n📌 Phase 5: Processing Notifications');
+  if (newViolations.length > 0) {
+    await processInstantNotifications(newViolations);
+  }
+  const savedSearchStats = await evaluateSavedSearches(addedIds);
+  
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  
+  // 6. Generate summary
+  const summary = {
+    duration: `${elapsed}s`,
+    total_items: uniqueItems.length,
+    new_violations: newViolations.length,
+    store: storeStats,
+    saved_search_matches: savedSearchStats.matches,
+    by_type: {
+      warning_letters: byType.warning_letters.length,
+      crls: byType.crls.length,
+      form_483s: byType.form_483s.length,
+      other: uniqueItems.length - byType.warning_letters.length - byType.crls.length - byType.form_483s.length
+    },
+    companies_tracked: companyIntel.companies.size,
+    errors: errors.length
+  };
+  
+  console.log('\n' + '='.repeat(60));
+  console.log('📊 Aggregation Complete:');
+  console.log(`⏱️  Duration: ${summary.duration}`);
+  console.log(`📑 Total items: ${summary.total_items}`);
+  console.log(`🆕 New violations: ${summary.new_violations}`);
+  console.log(`⚠️  Warning Letters: ${summary.by_type.warning_letters}`);
+  console.log(`🚫 CRLs: ${summary.by_type.crls}`);
+  console.log(`📋 Form 483s: ${summary.by_type.form_483s}`);
+  console.log(`🏢 Companies tracked: ${summary.companies_tracked}`);
+  if (errors.length > 0) {
+    console.log(`❌ Errors: ${errors.length}`);
+  }
+  console.log('='.repeat(60) + '\n');
+  
+  return summary;
+}
+
+// Process instant notifications
+async function processInstantNotifications(newViolations) {
+  try {
+    await recordAlerts(newViolations);
+    
+    const users = await WLUserLeaf.find({ 'notificationPrefs.instant': true });
+    
+    for (const user of users) {
+      const relevantViolations = newViolations.filter(violation => {
+        // Check if user is watching this company
+        if (user.watchedCompanies.length > 0 && !isWatchedCompany(user, violation.company)) {
+          return false;
+        }
+        
+        // Check if critical only
+        if (user.notificationPrefs.criticalOnly && violation.severity < 8) {
+          return false;
+        }
+        
+        return true;
+      });
+      
+      if (relevantViolations.length > 0) {
+        await sendInstantNotificationEmail(user, relevantViolations);
+      }
+    }
+  } catch (error) {
+    console.error('Error processing instant notifications:', error);
+  }
+}
+
+// Keep a record of every new violation raised, whether or not anyone is subscribed
+async function recordAlerts(violations) {
+  const created = new Date().toISOString();
+  await repository.alerts.upsertMany(violations.map(item => ({
+    id: `alert-${item.id}`,
+    itemId: item.id,
+    company: companyIntel.findCanonicalName(item.company) || item.company,
+    type: item.types[0],
+    severity: item.severity,
+    date: item.date,
+    title: item.title,
+    link: item.link,
+    summary: item.summary,
+    // Every tag with its ancestors, so a filter on a parent node is an equality match
+    taxonomy: Array.from(new Set(taxonomyIds(item.taxonomy).flatMap(taxonomyLineage))),
+    created,
+    high_severity: item.severity >= 9
+  })));
+}
+
+// Send instant notification email. `savedSearch` names the saved search the
+// items matched, when that's why they're being sent.
+async function sendInstantNotificationEmail(user, violations, { savedSearch = null } = {}) {
+  if (!emailTransporter) return;
+  
+  const emails = [user.email, ...user.reportEmails];
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px 10px 0 0; }
+        .content { background: white; padding: 30px; border: 1px solid #e2e8f0; border-radius: 0 0 10px 10px; }
+        .violation { background: #f7fafc; padding: 15px; margin: 15px 0; border-left: 4px solid #4299e1; border-radius: 5px; }
+        .severity { display: inline-block; padding: 3px 8px; border-radius: 3px; font-size: 12px; font-weight: bold; }
+        .severity-high { background: #feb2b2; color: #742a2a; }
+        .severity-critical { background: #fc8181; color: #742a2a; }
+        .severity-medium { background: #fbd38d; color: #744210; }
+        .footer { margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #718096; }
+        a { color: #4299e1; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1 style="margin: 0; font-size: 24px;">🚨 FDA Regulatory Alert</h1>
+          <p style="margin: 10px 0 0 0; opacity: 0.9;">${violations.length} new action${violations.length !== 1 ? 's' : ''} ${savedSearch ? `matching your saved search "${savedSearch}"` : 'detected'}</p>
+        </div>
+        <div class="content">
+          ${violations.map(v => {
+            const classifier = CLASSIFIERS[v.types[0]];
+            const severityClass = v.severity >= 9 ? 'severity-critical' : v.severity >= 7 ? 'severity-high' : 'severity-medium';
+            return `
+              <div class="violation">
+                <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 10px;">
+                  <h3 style="margin: 0; color: #2d3748;">${v.company}</h3>
+                  <span class="severity ${severityClass}">${v.types[0].replace(/_/g, ' ').toUpperCase()}</span>
+                </div>
+                <p style="margin: 5px 0; color: #4a5568;"><strong>Date:</strong> ${new Date(v.date).toLocaleDateString()}</p>
+                <p style="margin: 5px 0; color: #4a5568;"><strong>Title:</strong> ${v.title}</p>
+                ${v.summary ? `<p style="margin: 5px 0; color: #4a5568;"><strong>Summary:</strong> ${v.summary.substring(0, 200)}...</p>` : ''}
+                ${classifier ? `<p style="margin: 5px 0; color: #4a5568;"><strong>Timeline:</strong> ${classifier.typical_timeline}</p>` : ''}
+                <a href="${v.link}" style="display: inline-block; margin-top: 10px;">View Full Details →</a>
+              </div>
+            `;
+          }).join('')}
+          
+          <div style="background: #edf2f7; padding: 15px; border-radius: 5px; margin-top: 20px;">
+            <h4 style="margin: 0 0 10px 0; color: #2d3748;">Quick Actions</h4>
+            <p style="margin: 5px 0; color: #4a5568;">• Review the full regulatory action details</p>
+            <p style="margin: 5px 0; color: #4a5568;">• Contact the affected company's regulatory affairs team</p>
+            <p style="margin: 5px 0; color: #4a5568;">• Update your compliance tracking systems</p>
+          </div>
+        </div>
+        <div class="footer">
+          <p>You received this alert because ${savedSearch ? `your saved search "${savedSearch}" is set to instant delivery` : 'instant notifications are enabled in your FDA Monitor settings'}.</p>
+          <p>To manage your preferences, visit the dashboard at <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}">${process.env.DASHBOARD_URL || 'http://localhost:3000'}</a></p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  for (const email of emails) {
+    try {
+      await emailTransporter.sendMail({
+        from: API_KEYS.SMTP_USER,
+        to: email,
+        subject: savedSearch
+          ? `🔎 Saved search "${savedSearch}": ${violations.length} new match${violations.length !== 1 ? 'es' : ''}`
+          : `🚨 FDA Alert: ${violations.length} New Regulatory Action${violations.length !== 1 ? 's' : ''}`,
+        html: html
+      });
+      console.log(`✅ Instant notification sent to ${email}`);
+    } catch (error) {
+      console.error(`❌ Failed to send notification to ${email}:`, error.message);
+    }
+  }
+}
+
+// Re-run every active saved search against the items first seen this run.
+// Instant searches email right away (when the user has instant notifications
+// on); the rest queue their matches for the next digest.
+const MAX_SAVED_SEARCH_MATCHES = 50;
+const MAX_PENDING_MATCHES = 100;
+
+async function evaluateSavedSearches(newItemIds) {
+  const stats = { searches: 0, matches: 0 };
+  if (newItemIds.length === 0) return stats;
+  
+  const within = new Set(newItemIds);
+  try {
+    const users = await WLUserLeaf.find({ 'savedSearches.paused': false });
+    
+    for (const user of users) {
+      const instant = [];
+      
+      for (const search of user.savedSearches) {
+        if (search.paused) continue;
+        stats.searches++;
+        search.lastRunAt = new Date();
+        
+        let results;
+        try {
+          ({ results } = searchIndex.search(search.query, { within, limit: MAX_SAVED_SEARCH_MATCHES }));
+        } catch (error) {
+          // Saved before queries were validated
+          console.error(`❌ Saved search "${search.name}" skipped: ${error.message}`);
+          continue;
+        }
+        if (results.length === 0) continue;
+        
+        const items = results.map(result => result.doc.source);
+        stats.matches += items.length;
+        search.matchCount += items.length;
+        search.lastMatchAt = new Date();
+        
+        if (search.delivery === 'instant' && user.notificationPrefs.instant) {
+          instant.push({ search, items });
+        } else {
+          search.pendingMatches.push(...items.map(item => ({
+            itemId: item.id,
+            title: item.title,
+            link: item.link,
+            company: item.company,
+            type: item.types[0],
+            date: item.date,
+            severity: item.severity
+          })));
+          search.pendingMatches = search.pendingMatches.slice(-MAX_PENDING_MATCHES);
+        }
+      }
+      
+      await user.save();
+      
+      for (const { search, items } of instant) {
+        await sendInstantNotificationEmail(user, items, { savedSearch: search.name });
+      }
+    }
+    
+    if (stats.matches > 0) {
+      console.log(`🔎 Saved searches: ${stats.matches} new matches across ${stats.searches} searches`);
+    }
+  } catch (error) {
+    console.error('Error evaluating saved searches:', error);
+  }
+  
+  return stats;
+}
+
+function hasPendingSavedSearchMatches(user) {
+  return (user.savedSearches || []).some(search => search.pendingMatches.length > 0);
+}
+
+// Digest section listing queued saved search matches
+function savedSearchDigestSection(user) {
+  const searches = (user.savedSearches || []).filter(search => search.pendingMatches.length > 0);
+  if (searches.length === 0) return '';
+  
+  return `
+    <div class="section">
+      <div class="section-header">🔎 Saved Search Matches</div>
+      ${searches.map(search => `
+        <h4 style="margin: 15px 0 5px 0; color: #2d3748;">${search.name} <span style="color: #718096; font-weight: normal;">(${search.query})</span></h4>
+        ${search.pendingMatches.slice(0, 10).map(match => `
+          <div class="item">
+            <strong>${match.company}</strong> - ${(match.type || '').replace(/_/g, ' ').toUpperCase()}<br>
+            <small>${new Date(match.date).toLocaleDateString()} • ${match.title}</small><br>
+            <a href="${match.link}" style="color: #4299e1;">View Details →</a>
+          </div>
+        `).join('')}
+        ${search.pendingMatches.length > 10 ? `<p style="color: #718096;">... and ${search.pendingMatches.length - 10} more</p>` : ''}
+      `).join('')}
+    </div>
+  `;
+}
+
+async function clearSavedSearchMatches(user) {
+  if (!hasPendingSavedSearchMatches(user)) return;
+  user.savedSearches.forEach(search => { search.pendingMatches = []; });
+  await user.save();
+}
+
+// Weekly digest generation
+async function generateWeeklyDigest(user) {
+  const oneWeekAgo = new Date();
+  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+  
+  const recentItems = await repository.items.find({ date: { $gte: oneWeekAgo.toISOString() }, ...VISIBLE_QUERY });
+  
+  // Filter based on user preferences
+  let relevantItems = recentItems;
+  if (user.watchedCompanies.length > 0) {
+    relevantItems = recentItems.filter(item => isWatchedCompany(user, item.company));
+  }
+  
+  const byType = {
+    warning_letters: relevantItems.filter(i => i.types.includes('warning_letter')),
+    crls: relevantItems.filter(i => i.types.includes('crl')),
+    form_483s: relevantItems.filter(i => i.types.includes('form_483')),
+    other: relevantItems.filter(i => 
+      !i.types.includes('warning_letter') && 
+      !i.types.includes('crl') && 
+      !i.types.includes('form_483')
+    )
+  };
+  
+  // Get company metrics
+  const companyMetrics = companyIntel.metrics;
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; background: #f7fafc; }
+        .container { max-width: 800px; margin: 20px auto; background: white; border-radius: 10px; overflow: hidden; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 40px; }
+        .header h1 { margin: 0; font-size: 28px; }
+        .header p { margin: 10px 0 0 0; opacity: 0.9; }
+        .content { padding: 40px; }
+        .summary-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 20px; margin: 30px 0; }
+        .summary-card { background: #f7fafc; padding: 20px; border-radius: 8px; text-align: center; }
+        .summary-card .number { font-size: 32px; font-weight: bold; color: #4299e1; }
+        .summary-card .label { font-size: 14px; color: #718096; margin-top: 5px; }
+        .section { margin: 30px 0; }
+        .section-header { font-size: 20px; font-weight: bold; color: #2d3748; margin-bottom: 15px; padding-bottom: 10px; border-bottom: 2px solid #e2e8f0; }
+        .item { background: #f7fafc; padding: 15px; margin: 10px 0; border-radius: 5px; border-left: 3px solid #4299e1; }
+        .item-header { display: flex; justify-content: space-between; align-items: start; margin-bottom: 8px; }
+        .item-company { font-weight: bold; color: #2d3748; }
+        .item-type { display: inline-block; padding: 3px 8px; border-radius: 3px; font-size: 12px; font-weight: bold; background: #bee3f8; color: #2c5282; }
+        .item-meta { font-size: 13px; color: #718096; margin: 5px 0; }
+        .top-violators { background: #fff5f5; padding: 20px; border-radius: 8px; margin: 20px 0; }
+        .violator-item { display: flex; justify-content: space-between; padding: 10px 0; border-bottom: 1px solid #feb2b2; }
+        .violator-item:last-child { border-bottom: none; }
+        .footer { background: #f7fafc; padding: 30px 40px; border-top: 1px solid #e2e8f0; font-size: 13px; color: #718096; }
+        a { color: #4299e1; text-decoration: none; }
+        a:hover { text-decoration: underline; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <h1>📊 FDA Weekly Intelligence Report</h1>
+          <p>${new Date(oneWeekAgo).toLocaleDateString()} - ${new Date().toLocaleDateString()}</p>
+        </div>
+        
+        <div class="content">
+          <div class="summary-grid">
+            <div class="summary-card">
+              <div class="number">${relevantItems.length}</div>
+              <div class="label">Total Actions</div>
+            </div>
+            <div class="summary-card">
+              <div class="number">${byType.warning_letters.length}</div>
+              <div class="label">Warning Letters</div>
+            </div>
+            <div class="summary-card">
+              <div class="number">${byType.crls.length}</div>
+              <div class="label">CRLs</div>
+            </div>
+            <div class="summary-card">
+              <div class="number">${byType.form_483s.length}</div>
+              <div class="label">Form 483s</div>
+            </div>
+          </div>
+          
+          ${companyMetrics.topViolators && companyMetrics.topViolators.length > 0 ? `
+            <div class="top-violators">
+              <h3 style="margin: 0 0 15px 0; color: #742a2a;">⚠️ Companies with Most Violations</h3>
+              ${companyMetrics.topViolators.slice(0, 5).map(company => `
+                <div class="violator-item">
+                  <span style="font-weight: bold;">${company.name}</span>
+                  <span style="color: #742a2a;">${company.violations} violations • Risk: ${company.risk_score}/100</span>
                 </div>
               `).join('')}
             </div>
@@ -3151,902 +5391,2676 @@ async function generateWeeklyDigest(user) {
                 </p>
               ` : ''}
             </div>
-          ` : ''}
-          
-          ${byType.crls.length > 0 ? `
-            <div class="section">
-              <div class="section-header">🚫 Complete Response Letters</div>
-              ${byType.crls.map(item => `
-                <div class="item" style="border-left-color: #f56565;">
-                  <div class="item-header">
-                    <span class="item-company">${item.company}</span>
-                    <span class="item-type" style="background: #fed7d7; color: #742a2a;">CRL</span>
-                  </div>
-                  <div class="item-meta">${new Date(item.date).toLocaleDateString()} • ${item.source}</div>
-                  <div style="margin: 8px 0;">${item.title}</div>
-                  <a href="${item.link}">View Details →</a>
-                </div>
-              `).join('')}
+          ` : ''}
+          
+          ${byType.crls.length > 0 ? `
+            <div class="section">
+              <div class="section-header">🚫 Complete Response Letters</div>
+              ${byType.crls.map(item => `
+                <div class="item" style="border-left-color: #f56565;">
+                  <div class="item-header">
+                    <span class="item-company">${item.company}</span>
+                    <span class="item-type" style="background: #fed7d7; color: #742a2a;">CRL</span>
+                  </div>
+                  <div class="item-meta">${new Date(item.date).toLocaleDateString()} • ${item.source}</div>
+                  <div style="margin: 8px 0;">${item.title}</div>
+                  <a href="${item.link}">View Details →</a>
+                </div>
+              `).join('')}
+            </div>
+          ` : ''}
+          
+          ${byType.form_483s.length > 0 ? `
+            <div class="section">
+              <div class="section-header">📋 Form 483 Observations</div>
+              ${byType.form_483s.slice(0, 10).map(item => `
+                <div class="item" style="border-left-color: #ed8936;">
+                  <div class="item-header">
+                    <span class="item-company">${item.company}</span>
+                    <span class="item-type" style="background: #feebc8; color: #7c2d12;">FORM 483</span>
+                  </div>
+                  <div class="item-meta">${new Date(item.date).toLocaleDateString()} • ${item.source}</div>
+                  <div style="margin: 8px 0;">${item.title}</div>
+                  <a href="${item.link}">View Details →</a>
+                </div>
+              `).join('')}
+              ${byType.form_483s.length > 10 ? `
+                <p style="text-align: center; margin-top: 20px; color: #718096;">
+                  ... and ${byType.form_483s.length - 10} more Form 483s
+                </p>
+              ` : ''}
+            </div>
+          ` : ''}
+          
+          ${savedSearchDigestSection(user)}
+          
+          <div style="background: #edf2f7; padding: 20px; border-radius: 8px; margin-top: 30px;">
+            <h3 style="margin: 0 0 15px 0; color: #2d3748;">📈 Week at a Glance</h3>
+            <ul style="margin: 0; padding-left: 20px; color: #4a5568;">
+              <li>Total companies tracked: ${companyMetrics.totalCompanies}</li>
+              <li>Average compliance score: ${Math.round(
+                Array.from(companyIntel.companies.values())
+                  .reduce((sum, c) => sum + c.compliance_score, 0) / companyIntel.companies.size
+              )}/100</li>
+              <li>Most common violation type: ${
+                Object.entries(
+                  relevantItems.reduce((acc, item) => {
+                    item.types.forEach(type => {
+                      acc[type] = (acc[type] || 0) + 1;
+                    });
+                    return acc;
+                  }, {})
+                ).sort((a, b) => b[1] - a[1])[0]?.[0]?.replace(/_/g, ' ') || 'N/A'
+              }</li>
+            </ul>
+          </div>
+        </div>
+        
+        <div class="footer">
+          <p><strong>FDA Regulatory Intelligence System</strong></p>
+          <p>This weekly digest was generated on ${new Date().toLocaleString()} for ${user.email}</p>
+          <p>To manage your subscription preferences or update your watched companies, visit your dashboard.</p>
+          <p style="margin-top: 15px;">
+            <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}">Dashboard</a> • 
+            <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}/settings">Settings</a> • 
+            <a href="mailto:${API_KEYS.SMTP_USER}">Contact Support</a>
+          </p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+  
+  const emails = [user.email, ...user.reportEmails];
+  let sent = false;
+  
+  for (const email of emails) {
+    try {
+      await emailTransporter.sendMail({
+        from: API_KEYS.SMTP_USER,
+        to: email,
+        subject: `📊 FDA Weekly Report: ${relevantItems.length} Regulatory Actions`,
+        html: html
+      });
+      sent = true;
+      console.log(`✅ Weekly digest sent to ${email}`);
+    } catch (error) {
+      console.error(`❌ Failed to send weekly digest to ${email}:`, error.message);
+    }
+  }
+  
+  if (sent) await clearSavedSearchMatches(user);
+}
+
+// API Routes
+
+// Initialize storage
+async function initStorage() {
+  await ensureDirectories();
+  
+  for (const file of Object.values(DATA_FILES)) {
+    try {
+      await fs.access(file);
+    } catch {
+      await fs.writeFile(file, '[]');
+      console.log(`Created: ${file}`);
+    }
+  }
+}
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString(),
+    services: {
+      mongodb: mongoose.connection.readyState === 1,
+      storage: repository.backend,
+      email: emailTransporter !== null,
+      openai: openai !== null
+    }
+  });
+});
+
+// Get items with advanced filtering
+app.get('/api/items', async (req, res) => {
+  try {
+    const { 
+      type, 
+      source, 
+      days = 30, 
+      company,
+      taxonomy,
+      severity_min,
+      relevance,
+      include_hidden,
+      limit = 200,
+      offset = 0,
+      sort = 'date'
+    } = req.query;
+    
+    // Apply filters
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - parseInt(days));
+    const query = { date: { $gte: cutoff.toISOString() } };
+    if (type) query.types = type;
+    if (source) query.sourceCategory = source;
+    
+    // Hidden and irrelevant items only come back on request
+    const levels = relevance ? String(relevance).split(',').map(level => level.trim()) : null;
+    if (include_hidden !== 'true') {
+      query.hidden = VISIBLE_QUERY.hidden;
+      if (!levels?.includes('irrelevant')) query.relevance = VISIBLE_QUERY.relevance;
+    }
+    
+    let items = await repository.items.find(query);
+    
+    // Items without an analyst rating are 'normal'
+    if (levels) {
+      items = items.filter(item => levels.includes(item.relevance || 'normal'));
+    }
+    
+    if (company) {
+      const normalized = companyIntel.findCanonicalName(company);
+      // rollup=true includes the company's subsidiaries
+      const members = new Set([normalized, ...(req.query.rollup === 'true' ? companyHierarchy.descendantsOf(normalized) : [])]);
+      items = items.filter(item => 
+        members.has(companyIntel.findCanonicalName(item.company))
+      );
+    }
+    
+    if (severity_min) {
+      items = items.filter(item => item.severity >= parseInt(severity_min));
+    }
+    
+    // taxonomy=cgmp/data-integrity matches the node and everything below it
+    if (taxonomy) {
+      items = items.filter(item => matchesTaxonomy(item.taxonomy, taxonomy));
+    }
+    
+    // Sort
+    if (sort === 'severity') {
+      items.sort((a, b) => b.severity - a.severity);
+    } else if (sort === 'company') {
+      items.sort((a, b) => a.company.localeCompare(b.company));
+    } else {
+      items.sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+    
+    // Paginate
+    const total = items.length;
+    const eventIds = new Set(items.map(item => item.eventId).filter(Boolean));
+    items = items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    
+    // Cross-source events covering this page of items
+    const pageEventIds = new Set(items.map(item => item.eventId).filter(Boolean));
+    let events = [];
+    try {
+      events = JSON.parse(await fs.readFile(DATA_FILES.EVENTS, 'utf8'))
+        .filter(event => pageEventIds.has(event.id));
+    } catch {
+      // Events are written on the next save
+    }
+    
+    res.json({
+      success: true,
+      total: total,
+      total_events: eventIds.size,
+      count: items.length,
+      offset: parseInt(offset),
+      limit: parseInt(limit),
+      items: items,
+      events: events
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Analyst override of an item's type, company, severity, relevance or
+// visibility. A null value clears that field's override.
+app.patch('/api/items/:id', async (req, res) => {
+  try {
+    const item = await repository.items.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    
+    const previous = overrideSnapshot(item);
+    const changes = { ...req.body };
+    if (typeof changes.company === 'string') {
+      changes.company = companyIntel.findCanonicalName(changes.company.trim()) || changes.company;
+      if (!isPlausibleCompanyName(changes.company)) {
+        return res.status(400).json({ success: false, error: `"${changes.company}" doesn't look like a company name` });
+      }
+    }
+    
+    let result;
+    try {
+      result = itemOverrides.set(item, changes, { note: req.body.note, analyst: req.body.analyst });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    await saveOverriddenItem(item, previous);
+    
+    await AuditLog.create({
+      action: 'item_override_set',
+      details: { itemId: item.id, title: item.title, changes: result.changes, note: req.body.note || null, analyst: req.body.analyst || null },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.json({ success: true, changes: result.changes, override: result.override, item });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Drop every override on an item, restoring what the pipeline currently says
+app.delete('/api/items/:id/override', async (req, res) => {
+  try {
+    const item = await repository.items.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Item not found' });
+    }
+    
+    const previous = overrideSnapshot(item);
+    const override = itemOverrides.clear(item);
+    if (!override) {
+      return res.status(404).json({ success: false, error: 'Item has no override' });
+    }
+    
+    await saveOverriddenItem(item, previous);
+    
+    await AuditLog.create({
+      action: 'item_override_cleared',
+      details: { itemId: item.id, title: item.title, fields: override.fields, restored: override.machine },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.json({ success: true, item });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Overrides, most recently changed first (`?field=types|company|severity|relevance|hidden`)
+app.get('/api/overrides', (req, res) => {
+  const { field } = req.query;
+  if (field && !OVERRIDE_FIELDS.includes(field)) {
+    return res.status(400).json({ success: false, error: `field must be one of ${OVERRIDE_FIELDS.join(', ')}` });
+  }
+  
+  const overrides = itemOverrides.list({ field });
+  res.json({ success: true, total: overrides.length, relevanceLevels: RELEVANCE_LEVELS, overrides });
+});
+
+// Type corrections as labeled classifier examples
+app.get('/api/overrides/examples', async (req, res) => {
+  try {
+    const examples = itemOverrides.examples(await loadAllItems());
+    res.json({ success: true, total: examples.length, examples });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Write the type corrections into the classifier evaluation set
+app.post('/api/overrides/examples/export', async (req, res) => {
+  try {
+    const examples = itemOverrides.examples(await loadAllItems());
+    const evalSet = await loadClassifierEvalSet();
+    
+    // An example already in the set is replaced by the analyst's latest label
+    const titles = new Set(examples.map(example => example.title));
+    const kept = evalSet.filter(example => !titles.has(example.title));
+    const added = examples.filter(example => !evalSet.some(e => e.title === example.title)).length;
+    
+    await fs.writeFile(DATA_FILES.CLASSIFIER_EVAL_SET, JSON.stringify([...kept, ...examples], null, 2));
+    
+    await AuditLog.create({
+      action: 'classifier_examples_exported',
+      details: { added, updated: examples.length - added, total: kept.length + examples.length },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.json({ success: true, added, updated: examples.length - added, total: kept.length + examples.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get company details with all data. `rollup=true` counts subsidiaries'
+// violations and items toward the company.
+app.get('/api/company/:name', async (req, res) => {
+  try {
+    const companyName = decodeURIComponent(req.params.name);
+    const canonical = companyIntel.findCanonicalName(companyName);
+    const rollup = req.query.rollup === 'true';
+    
+    const company = rollup ? rolledUpCompany(canonical) : companyIntel.companies.get(canonical);
+    if (!company) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Company not found' 
+      });
+    }
+    const members = new Set(rollup ? [canonical, ...companyHierarchy.descendantsOf(canonical)] : [canonical]);
+    
+    // Get all related items
+    const items = await repository.items.find(VISIBLE_QUERY);
+    const relatedItems = items.filter(item => 
+      members.has(companyIntel.findCanonicalName(item.company))
+    );
+    
+    // Get contacts
+    const contacts = await companyIntel.findContactsForCompany(canonical);
+    
+    res.json({
+      success: true,
+      company: {
+        ...company,
+        aliases: Array.from(company.aliases || []),
+        products: Array.from(company.products || []),
+        facilities: Array.from(company.facilities || [])
+      },
+      contacts: contacts,
+      facilityRecords: Array.from(members).flatMap(name => facilityRegistry.forCompany(name)),
+      relatedItems: relatedItems,
+      rolledUp: rollup,
+      hierarchy: {
+        parent: companyHierarchy.parentOf(canonical),
+        ancestors: companyHierarchy.ancestorsOf(canonical),
+        subsidiaries: companyHierarchy.tree(canonical).subsidiaries
+      },
+      metrics: {
+        total_violations: company.violations.length,
+        risk_score: company.risk_score,
+        risk: companyIntel.riskAssessment(company),
+        compliance_score: company.compliance_score,
+        recent_violations: company.violations.filter(v => {
+          const thirtyDaysAgo = new Date();
+          thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+          return new Date(v.date) > thirtyDaysAgo;
+        }).length,
+        lifecycle: summarizeLifecycle(company.violations.filter(v => v.type === 'warning_letter')),
+        // Violation topics across the company's items (taxonomy branches with any)
+        taxonomy: taxonomyTree(relatedItems.map(item => item.taxonomy)).filter(node => node.count > 0)
+      }
+    });
+  } catch (error) {
+    console.error('Company lookup error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// AI Enhancement endpoint
+// app.post('/api/ai/enhance', async (req, res) => {
+//   try {
+//     const { sourceItemId } = req.body;
+    
+//     // Get the item
+//     const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
+//     const items = JSON.parse(allData);
+//     const item = items.find(i => i.id === sourceItemId);
+    
+//     if (!item) {
+//       return res.status(404).json({ success: false, error: 'Item not found' });
+//     }
+    
+//     // Check cache
+//     if (companyIntel.aiCache.has(item.company)) {
+//       return res.json({
+//         success: true,
+//         cached: true,
+//         ...companyIntel.aiCache.get(item.company)
+//       });
+//     }
+    
+//     if (!openai) {
+//       // Fallback response without AI
+//       const contacts = await companyIntel.findContactsForCompany(item.company);
+//       return res.json({
+//         success: true,
+//         fallback: true,
+//         canonical_company_name: companyIntel.findCanonicalName(item.company),
+//         summary: item.summary || 'No AI summary available',
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: contacts?.emails?.map(e => e.email) || []
+//       });
+//     }
+    
+//     // Use OpenAI
+//     const completion = await openai.chat.completions.create({
+//       model: "gpt-4-turbo-preview",
+//       messages: [
+//         {
+//           role: "system",
+//           content: `You are an FDA regulatory expert. Analyze the provided FDA action and return a JSON response with:
+//             - canonical_company_name: The official registered company name
+//             - summary: Clear summary of the regulatory action (2-3 sentences)
+//             - public_context: Any relevant public context about this company's regulatory history
+//             - precedent_refs: Array of similar FDA precedents or related cases
+//             - emails: Array of any publicly available regulatory/quality contact emails`
+//         },
+//         {
+//           role: "user",
+//           content: `Analyze this FDA action:
+//             Title: ${item.title}
+//             Company: ${item.company}
+//             Type: ${item.types.join(', ')}
+//             Date: ${item.date}
+//             Link: ${item.link}
+//             Content: ${item.summary}
+            
+//             Return only valid JSON.`
+//         }
+//       ],
+//       temperature: 0.3,
+//       max_tokens: 1000,
+//       response_format: { type: "json_object" }
+//     });
+    
+//     let aiData;
+//     try {
+//       aiData = JSON.parse(completion.choices[0].message.content);
+//     } catch {
+//       aiData = {
+//         canonical_company_name: companyIntel.findCanonicalName(item.company),
+//         summary: completion.choices[0].message.content,
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: []
+//       };
+//     }
+    
+//     // Cache the result
+//     companyIntel.aiCache.set(item.company, aiData);
+//     await companyIntel.save();
+    
+//     // Update company alias if different
+//     if (aiData.canonical_company_name && aiData.canonical_company_name !== item.company) {
+//       companyIntel.companyAliases.set(
+//         companyIntel.normalizeForMatching(item.company),
+//         aiData.canonical_company_name
+//       );
+//     }
+    
+//     // Merge with contact search
+//     const contacts = await companyIntel.findContactsForCompany(aiData.canonical_company_name || item.company);
+//     if (contacts && contacts.emails) {
+//       const contactEmails = contacts.emails.map(e => e.email);
+//       aiData.emails = [...new Set([...aiData.emails, ...contactEmails])];
+//     }
+    
+//     res.json({
+//       success: true,
+//       ...aiData
+//     });
+    
+//   } catch (error) {
+//     console.error('AI enhancement error:', error);
+//     res.status(500).json({ 
+//       success: false, 
+//       error: error.message,
+//       fallback: {
+//         canonical_company_name: companyIntel.findCanonicalName(req.body.company || ''),
+//         summary: 'AI enhancement unavailable',
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: []
+//       }
+//     });
+//   }
+// });
+// Replace the existing /api/ai/enhance endpoint
+// app.post('/api/ai/enhance', async (req, res) => {
+//   try {
+//     const { sourceItemId, title, link, summary, source } = req.body;
+    
+//     // Build a more comprehensive prompt for AI
+//     const promptContent = `${title || ''}\n${summary || ''}\nSource: ${source || ''}\nLink: ${link || ''}`;
+    
+//     if (!openai) {
+//       // Fallback without AI
+//       return res.json({
+//         success: true,
+//         fallback: true,
+//         canonical_company_name: 'Unknown Company',
+//         summary: summary || 'No AI summary available',
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: []
+//       });
+//     }
+    
+//     // Use OpenAI to extract company and enhance data
+//     const completion = await openai.chat.completions.create({
+//       model: "gpt-4-turbo-preview",
+//       messages: [
+//         {
+//           role: "system",
+//           content: `You are an FDA regulatory expert. Analyze the provided FDA action and return a JSON response with:
+//             - canonical_company_name: Extract the actual company name from the text (be very careful and accurate)
+//             - summary: Clear, detailed summary of the regulatory action (3-4 sentences)
+//             - public_context: Any relevant public context about this company's regulatory history
+//             - regulatory_impact: Specific regulatory implications
+//             - business_impact: Business and market implications
+//             - precedent_refs: Array of similar FDA precedents or related cases
+//             - action_required: What the company needs to do
+//             - timeline: Response timeline if mentioned`
+//         },
+//         {
+//           role: "user",
+//           content: `Analyze this FDA action and extract the company name:\n\n${promptContent}\n\nReturn only valid JSON.`
+//         }
+//       ],
+//       temperature: 0.3,
+//       max_tokens: 1500,
+//       response_format: { type: "json_object" }
+//     });
+    
+//     let aiData;
+//     try {
+//       aiData = JSON.parse(completion.choices[0].message.content);
+//     } catch {
+//       aiData = {
+//         canonical_company_name: 'Unknown Company',
+//         summary: 'Unable to parse AI response',
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: []
+//       };
+//     }
+    
+//     // Now search for contacts with the extracted company name
+//     let allEmails = [];
+//     if (aiData.canonical_company_name && aiData.canonical_company_name !== 'Unknown Company') {
+//       const contacts = await companyIntel.findContactsForCompany(aiData.canonical_company_name);
+      
+//       if (contacts) {
+//         // Collect all emails from different sources
+//         if (contacts.emails && contacts.emails.length > 0) {
+//           allEmails = allEmails.concat(contacts.emails.map(e => e.email || e));
+//         }
+//         if (contacts.regulatory_contacts && contacts.regulatory_contacts.length > 0) {
+//           allEmails = allEmails.concat(contacts.regulatory_contacts.filter(c => c.email).map(c => c.email));
+//         }
+//         if (contacts.executives && contacts.executives.length > 0) {
+//           allEmails = allEmails.concat(contacts.executives.filter(e => e.email).map(e => e.email));
+//         }
+//         if (contacts.general_email) {
+//           allEmails.push(contacts.general_email);
+//         }
+        
+//         // Add contact details to response
+//         aiData.contacts = contacts;
+//       }
+//     }
+    
+//     // Remove duplicates
+//     aiData.emails = [...new Set(allEmails)];
+    
+//     res.json({
+//       success: true,
+//       ...aiData
+//     });
+    
+//   } catch (error) {
+//     console.error('AI enhancement error:', error);
+//     res.status(500).json({ 
+//       success: false, 
+//       error: error.message,
+//       fallback: {
+//         canonical_company_name: 'Unknown Company',
+//         summary: 'AI enhancement unavailable',
+//         public_context: '',
+//         precedent_refs: [],
+//         emails: []
+//       }
+//     });
+//   }
+// });
+
+
+
+// Export modal to email
+app.post('/api/report/export-modal', async (req, res) => {
+  try {
+    const { html, toEmail } = req.body;
+    
+    if (!toEmail || !html) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email and HTML content required' 
+      });
+    }
+    
+    if (!emailTransporter) {
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Email service not configured' 
+      });
+    }
+    
+    await emailTransporter.sendMail({
+      from: API_KEYS.SMTP_USER,
+      to: toEmail,
+      subject: 'FDA Regulatory Intelligence - Exported Report',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; }
+            .container { max-width: 800px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; margin-bottom: 20px; }
+            .content { background: #f8f9fa; padding: 30px; border-radius: 10px; }
+            h1 { margin: 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>FDA Regulatory Intelligence Report</h1>
+              <p>Exported on ${new Date().toLocaleString()}</p>
+            </div>
+            <div class="content">
+              ${html}
             </div>
-          ` : ''}
-          
-          ${byType.form_483s.length > 0 ? `
-            <div class="section">
-              <div class="section-header">📋 Form 483 Observations</div>
-              ${byType.form_483s.slice(0, 10).map(item => `
-                <div class="item" style="border-left-color: #ed8936;">
-                  <div class="item-header">
-                    <span class="item-company">${item.company}</span>
-                    <span class="item-type" style="background: #feebc8; color: #7c2d12;">FORM 483</span>
-                  </div>
-                  <div class="item-meta">${new Date(item.date).toLocaleDateString()} • ${item.source}</div>
-                  <div style="margin: 8px 0;">${item.title}</div>
-                  <a href="${item.link}">View Details →</a>
-                </div>
-              `).join('')}
-              ${byType.form_483s.length > 10 ? `
-                <p style="text-align: center; margin-top: 20px; color: #718096;">
-                  ... and ${byType.form_483s.length - 10} more Form 483s
-                </p>
-              ` : ''}
+            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #718096;">
+              <p>This report was generated by the FDA Regulatory Intelligence System</p>
+              <p>For questions or support, contact: ${API_KEYS.SMTP_USER}</p>
             </div>
-          ` : ''}
-          
-          <div style="background: #edf2f7; padding: 20px; border-radius: 8px; margin-top: 30px;">
-            <h3 style="margin: 0 0 15px 0; color: #2d3748;">📈 Week at a Glance</h3>
-            <ul style="margin: 0; padding-left: 20px; color: #4a5568;">
-              <li>Total companies tracked: ${companyMetrics.totalCompanies}</li>
-              <li>Average compliance score: ${Math.round(
-                Array.from(companyIntel.companies.values())
-                  .reduce((sum, c) => sum + c.compliance_score, 0) / companyIntel.companies.size
-              )}/100</li>
-              <li>Most common violation type: ${
-                Object.entries(
-                  relevantItems.reduce((acc, item) => {
-                    item.types.forEach(type => {
-                      acc[type] = (acc[type] || 0) + 1;
-                    });
-                    return acc;
-                  }, {})
-                ).sort((a, b) => b[1] - a[1])[0]?.[0]?.replace(/_/g, ' ') || 'N/A'
-              }</li>
-            </ul>
           </div>
-        </div>
-        
-        <div class="footer">
-          <p><strong>FDA Regulatory Intelligence System</strong></p>
-          <p>This weekly digest was generated on ${new Date().toLocaleString()} for ${user.email}</p>
-          <p>To manage your subscription preferences or update your watched companies, visit your dashboard.</p>
-          <p style="margin-top: 15px;">
-            <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}">Dashboard</a> • 
-            <a href="${process.env.DASHBOARD_URL || 'http://localhost:3000'}/settings">Settings</a> • 
-            <a href="mailto:${API_KEYS.SMTP_USER}">Contact Support</a>
-          </p>
-        </div>
-      </div>
-    </body>
-    </html>
-  `;
+        </body>
+        </html>
+      `
+    });
+    
+    // Log the export
+    await AuditLog.create({
+      action: 'report_exported',
+      details: { toEmail, timestamp: new Date() }
+    });
+    
+    res.json({ 
+      success: true, 
+      message: `Report sent to ${toEmail}` 
+    });
+    
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// WLUSERLEAF endpoints
+app.get('/api/user/wluserleaf', async (req, res) => {
+  try {
+    const { email } = req.query;
+    
+    if (email) {
+      const user = await WLUserLeaf.findOne({ email });
+      if (!user) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'User not found' 
+        });
+      }
+      res.json({ success: true, user });
+    } else {
+      const users = await WLUserLeaf.find().select('-apiKeys');
+      res.json({ success: true, users });
+    }
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+app.put('/api/user/wluserleaf', async (req, res) => {
+  try {
+    const { email, ...updates } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email required' 
+      });
+    }
+    
+    let user = await WLUserLeaf.findOne({ email });
+    
+    if (!user) {
+      user = new WLUserLeaf({ email, ...updates });
+    } else {
+      Object.assign(user, updates);
+      user.updatedAt = new Date();
+    }
+    
+    await user.save();
+    
+    // Log the update
+    await AuditLog.create({
+      userId: user._id,
+      action: 'settings_updated',
+      details: updates
+    });
+    
+    res.json({
+      success: true,
+      user: user
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Add company to watchlist
+app.post('/api/user/watch-company', async (req, res) => {
+  try {
+    const { email, company, alertLevel = 'all', customRules = {} } = req.body;
+    
+    const user = await WLUserLeaf.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+    
+    // Check if already watching
+    const existing = user.watchedCompanies.findIndex(wc => 
+      companyIntel.findCanonicalName(wc.name) === companyIntel.findCanonicalName(company)
+    );
+    
+    if (existing >= 0) {
+      // Update existing
+      user.watchedCompanies[existing] = {
+        name: company,
+        addedAt: user.watchedCompanies[existing].addedAt,
+        alertLevel,
+        customRules
+      };
+    } else {
+      // Add new
+      user.watchedCompanies.push({
+        name: company,
+        addedAt: new Date(),
+        alertLevel,
+        customRules
+      });
+    }
+    
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: `${company} added to watchlist`,
+      watchedCompanies: user.watchedCompanies
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Remove company from watchlist
+app.delete('/api/user/watch-company', async (req, res) => {
+  try {
+    const { email, company } = req.body;
+    
+    const user = await WLUserLeaf.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+    
+    user.watchedCompanies = user.watchedCompanies.filter(wc => 
+      companyIntel.findCanonicalName(wc.name) !== companyIntel.findCanonicalName(company)
+    );
+    
+    await user.save();
+    
+    res.json({
+      success: true,
+      message: `${company} removed from watchlist`,
+      watchedCompanies: user.watchedCompanies
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Send digest now
+app.post('/api/user/send-digest-now', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    const user = await WLUserLeaf.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'User not found' 
+      });
+    }
+    
+    await generateWeeklyDigest(user);
+    
+    res.json({
+      success: true,
+      message: `Digest sent to ${user.email} and ${user.reportEmails.length} additional recipients`
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Saved searches
+const SAVED_SEARCH_FIELDS = ['name', 'query', 'delivery', 'paused'];
+const SAVED_SEARCH_DELIVERIES = ['instant', 'digest'];
+const MAX_PREVIEW_DAYS = 365;
+const MAX_PREVIEW_LIMIT = 100;
+
+// Why saved search fields can't be stored, or null. Only the fields given
+// are checked, so an update can send a subset.
+function savedSearchError({ name, query, delivery, paused }) {
+  if (query !== undefined) {
+    if (typeof query !== 'string' || !query.trim()) return 'Search query required';
+    try {
+      parseQuery(query);
+    } catch (validationError) {
+      return validationError.message;
+    }
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+    return 'name must be a non-empty string';
+  }
+  if (delivery !== undefined && !SAVED_SEARCH_DELIVERIES.includes(delivery)) {
+    return `delivery must be one of ${SAVED_SEARCH_DELIVERIES.join(', ')}`;
+  }
+  if (paused !== undefined && typeof paused !== 'boolean') {
+    return 'paused must be true or false';
+  }
+  return null;
+}
+
+function savedSearchView(search) {
+  return {
+    id: search._id,
+    name: search.name,
+    query: search.query,
+    delivery: search.delivery,
+    paused: search.paused,
+    createdAt: search.createdAt,
+    updatedAt: search.updatedAt,
+    lastRunAt: search.lastRunAt,
+    lastMatchAt: search.lastMatchAt,
+    matchCount: search.matchCount,
+    pendingMatches: search.pendingMatches.length
+  };
+}
+
+// Look up the user and saved search for a request; sends the 404 itself
+async function findSavedSearch(req, res) {
+  const email = req.body?.email || req.query.email;
+  const user = await WLUserLeaf.findOne({ email });
+  if (!user) {
+    res.status(404).json({ success: false, error: 'User not found' });
+    return {};
+  }
+  const search = user.savedSearches.id(req.params.id);
+  if (!search) {
+    res.status(404).json({ success: false, error: 'Saved search not found' });
+    return {};
+  }
+  return { user, search };
+}
+
+app.get('/api/user/saved-searches', async (req, res) => {
+  try {
+    const user = await WLUserLeaf.findOne({ email: req.query.email });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    res.json({ success: true, savedSearches: user.savedSearches.map(savedSearchView) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/user/saved-searches', async (req, res) => {
+  try {
+    const { email, name, query, delivery = 'instant' } = req.body;
+    
+    const invalid = savedSearchError({ query: query || '', delivery });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const user = await WLUserLeaf.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    user.savedSearches.push({ name: name || query, query: query.trim(), delivery });
+    await user.save();
+    
+    await AuditLog.create({
+      userId: user._id,
+      action: 'saved_search_created',
+      details: { name: name || query, query, delivery }
+    });
+    
+    res.json({
+      success: true,
+      savedSearch: savedSearchView(user.savedSearches[user.savedSearches.length - 1])
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/user/saved-searches/:id', async (req, res) => {
+  try {
+    const invalid = savedSearchError(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const { user, search } = await findSavedSearch(req, res);
+    if (!search) return;
+    
+    SAVED_SEARCH_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { search[field] = field === 'query' ? req.body.query.trim() : req.body[field]; });
+    search.updatedAt = new Date();
+    await user.save();
+    
+    res.json({ success: true, savedSearch: savedSearchView(search) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pause or resume (`{ paused: false }`) a saved search
+app.post('/api/user/saved-searches/:id/pause', async (req, res) => {
+  try {
+    const { user, search } = await findSavedSearch(req, res);
+    if (!search) return;
+    
+    search.paused = req.body.paused !== false;
+    search.updatedAt = new Date();
+    await user.save();
+    
+    res.json({ success: true, savedSearch: savedSearchView(search) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/user/saved-searches/:id', async (req, res) => {
+  try {
+    const { user, search } = await findSavedSearch(req, res);
+    if (!search) return;
+    
+    search.deleteOne();
+    await user.save();
+    
+    res.json({ success: true, message: `Saved search "${search.name}" deleted` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// What a saved search matches right now (`?days=` limits to recent items)
+app.get('/api/user/saved-searches/:id/preview', async (req, res) => {
+  try {
+    const { days = 30, limit = 20 } = req.query;
+    const lookback = parseInt(days);
+    if (!/^\d+$/.test(String(days)) || lookback < 1 || lookback > MAX_PREVIEW_DAYS) {
+      return res.status(400).json({ success: false, error: `days must be a number from 1 to ${MAX_PREVIEW_DAYS}` });
+    }
+    const max = parseInt(limit);
+    if (!/^\d+$/.test(String(limit)) || max < 1 || max > MAX_PREVIEW_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be a number from 1 to ${MAX_PREVIEW_LIMIT}` });
+    }
+    
+    const { search } = await findSavedSearch(req, res);
+    if (!search) return;
+    
+    const after = new Date();
+    after.setDate(after.getDate() - lookback);
+    
+    const result = searchIndex.search(`${search.query} after:${after.toISOString().slice(0, 10)}`, {
+      limit: max,
+      sort: 'date'
+    });
+    
+    res.json({
+      success: true,
+      savedSearch: savedSearchView(search),
+      total: result.total,
+      facets: result.facets,
+      items: result.results.map(({ doc, score, highlight }) => ({
+        ...doc.source,
+        kind: doc.kind,
+        relevanceScore: score,
+        highlight
+      })),
+      pendingMatches: search.pendingMatches
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get dashboard metrics
+app.get('/api/metrics', async (req, res) => {
+  try {
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    
+    const recentItems = await repository.items.find({ date: { $gte: thirtyDaysAgo.toISOString() }, ...VISIBLE_QUERY });
+    
+    // Calculate metrics
+    const metrics = {
+      summary: {
+        total_items: recentItems.length,
+        total_companies: companyIntel.companies.size,
+        warning_letters: recentItems.filter(i => i.types.includes('warning_letter')).length,
+        crls: recentItems.filter(i => i.types.includes('crl')).length,
+        form_483s: recentItems.filter(i => i.types.includes('form_483')).length,
+        other: recentItems.filter(i => 
+          !i.types.includes('warning_letter') && 
+          !i.types.includes('crl') && 
+          !i.types.includes('form_483')
+        ).length
+      },
+      trends: companyIntel.metrics.violationTrends,
+      // rollup=true counts subsidiaries toward their top-level group
+      top_companies: req.query.rollup === 'true' ? rolledUpTopCompanies(10) : companyIntel.metrics.topViolators,
+      compliance_distribution: companyIntel.metrics.complianceDistribution,
+      by_source: {},
+      by_severity: {
+        critical: recentItems.filter(i => i.severity >= 9).length,
+        high: recentItems.filter(i => i.severity >= 7 && i.severity < 9).length,
+        medium: recentItems.filter(i => i.severity >= 5 && i.severity < 7).length,
+        low: recentItems.filter(i => i.severity < 5).length
+      },
+      recent_updates: recentItems.slice(0, 10).map(item => ({
+        date: item.date,
+        company: item.company,
+        type: item.types[0],
+        severity: item.severity,
+        title: item.title
+      }))
+    };
+    
+    // Count by source
+    recentItems.forEach(item => {
+      metrics.by_source[item.sourceCategory] = (metrics.by_source[item.sourceCategory] || 0) + 1;
+    });
+    
+    res.json({
+      success: true,
+      metrics: metrics
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Ranked full-text search over items and archived letters. Supports phrases,
+// prefix/fuzzy terms and field filters (company:, type:, cfr:, office:, source:,
+// kind:, severity:, after:, before:)
+app.get('/api/search', async (req, res) => {
+  try {
+    const { q, type = 'all', limit = 50, offset = 0, sort = 'relevance' } = req.query;
+    
+    if (!q) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Search query required' 
+      });
+    }
+    
+    // type=title or summary searches that field only; type=company the company
+    const scoped = scopedQuery(q, type);
+    if (!scoped) {
+      return res.status(400).json({
+        success: false,
+        error: 'type must be one of all, title, summary, company'
+      });
+    }
+    let result;
+    try {
+      result = searchIndex.search(scoped.query, {
+        fields: scoped.fields,
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        sort
+      });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    res.json({
+      success: true,
+      query: q,
+      parsed: result.query,
+      total: result.total,
+      facets: result.facets,
+      items: result.results.map(({ doc, score, highlight }) => ({
+        ...doc.source,
+        kind: doc.kind,
+        relevanceScore: score,
+        highlight
+      })),
+      indexedAt: searchIndex.builtAt
+    });
+    
+  } catch (error) {
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+// Refresh data endpoint
+app.post('/api/refresh', async (req, res) => {
+  try {
+    const { force = false } = req.body;
+    
+    // Check if refresh is already running
+    if ((global.refreshInProgress || global.backfillInProgress) && !force) {
+      return res.json({
+        success: false,
+        message: 'Refresh already in progress'
+      });
+    }
+    
+    global.refreshInProgress = true;
+    
+    const stats = await aggregateAllSources();
+    
+    global.refreshInProgress = false;
+    
+    res.json({
+      success: true,
+      message: 'Data refreshed successfully',
+      stats: stats
+    });
+    
+  } catch (error) {
+    global.refreshInProgress = false;
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
+  }
+});
+
+const MAX_ANALYTICS_LIMIT = 200;   // citations or groups an analytics response lists
+
+// Citation frequency analytics across archived letters and items
+// e.g. /api/citations?part=211&groupBy=period&period=quarter
+app.get('/api/citations', async (req, res) => {
+  try {
+    const {
+      groupBy,
+      period = 'quarter',
+      level = 'section',
+      type,
+      part,
+      from,
+      to,
+      limit = 25
+    } = req.query;
+    
+    if (groupBy && !['period', 'company', 'office', 'productType'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'groupBy must be one of period, company, office, productType'
+      });
+    }
+    const max = parseInt(limit);
+    if (!/^\d+$/.test(String(limit)) || max < 1 || max > MAX_ANALYTICS_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be a number from 1 to ${MAX_ANALYTICS_LIMIT}` });
+    }
+    
+    // Archived letters carry the full-text citations
+    const records = Array.from(letterArchive.index.values()).map(entry => ({
+      date: optionalDate(entry.letterDate),
+      company: companyIntel.findCanonicalName(entry.companyName) || entry.companyName,
+      office: entry.issuingOffice,
+      productType: entry.productType,
+      citations: entry.citations
+    }));
+    
+    // Items whose letter hasn't been archived contribute what their summaries cite
+    const items = (await loadAllItems()).filter(isVisibleItem);
+    items
+      .filter(item => item.citations?.length > 0 && !letterArchive.findKeyByUrl(item.link))
+      .forEach(item => {
+        records.push({
+          date: item.date,
+          company: companyIntel.findCanonicalName(item.company),
+          office: item.issuingOffice,
+          productType: item.productType,
+          citations: item.citations
+        });
+      });
+    
+    const summary = summarizeCitations(records, {
+      groupBy,
+      period,
+      level,
+      type,
+      part,
+      from,
+      to,
+      limit: max
+    });
+    
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-run citation extraction over every archived letter
+app.post('/api/citations/reindex', async (req, res) => {
+  try {
+    let updated = 0;
+    
+    for (const marcsNumber of letterArchive.index.keys()) {
+      const letter = await letterArchive.get(marcsNumber);
+      if (!letter) continue;
+      
+      const citations = extractCitations(letter.letterContent);
+      await letterArchive.update(marcsNumber, {
+        citations,
+        repeatMarkers: extractRepeatMarkers(letter.letterContent),
+        taxonomy: tagViolation({ text: `${letter.title || ''}\n${letter.letterContent || ''}`, citations })
+      });
+      updated++;
+    }
+    
+    res.json({
+      success: true,
+      message: `Re-extracted citations for ${updated} letters`
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tagged documents for taxonomy views: every item, plus archived letters no item points to
+async function taxonomyRecords() {
+  const items = (await loadAllItems()).filter(isVisibleItem);
+  const records = items.map(item => ({
+    date: item.date,
+    company: companyIntel.findCanonicalName(item.company),
+    office: item.issuingOffice,
+    types: item.types || [],
+    taxonomy: item.taxonomy || []
+  }));
   
-  const emails = [user.email, ...user.reportEmails];
+  const linked = new Set(items.map(item => letterArchive.findKeyByUrl(item.link)).filter(Boolean));
+  letterArchive.index.forEach((entry, marcsNumber) => {
+    if (linked.has(marcsNumber)) return;
+    records.push({
+      date: optionalDate(entry.letterDate),
+      company: companyIntel.findCanonicalName(entry.companyName) || entry.companyName,
+      office: entry.issuingOffice,
+      types: ['warning_letter'],
+      taxonomy: entry.taxonomy || []
+    });
+  });
   
-  for (const email of emails) {
-    try {
-      await emailTransporter.sendMail({
-        from: API_KEYS.SMTP_USER,
-        to: email,
-        subject: `📊 FDA Weekly Report: ${relevantItems.length} Regulatory Actions`,
-        html: html
+  return records;
+}
+
+// The violation taxonomy with the number of tagged documents under each node
+app.get('/api/taxonomy', async (req, res) => {
+  try {
+    const records = await taxonomyRecords();
+    
+    res.json({
+      success: true,
+      version: TAXONOMY_VERSION,
+      documents: records.length,
+      tagged: records.filter(r => r.taxonomy.length > 0).length,
+      tree: taxonomyTree(records.map(r => r.taxonomy))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tagged documents per taxonomy node over time (`?groupBy=period|company|office`,
+// `?period=quarter|month|year`, `?node=cgmp` to break one branch down, `?level=`
+// for the depth counted, `?type=`, `?from=&to=`)
+app.get('/api/taxonomy/trends', async (req, res) => {
+  try {
+    const { groupBy = 'period', period = 'quarter', node, type, from, to, limit = 25 } = req.query;
+    
+    if (!['period', 'company', 'office'].includes(groupBy)) {
+      return res.status(400).json({ success: false, error: 'groupBy must be one of period, company, office' });
+    }
+    if (!['quarter', 'month', 'year'].includes(period)) {
+      return res.status(400).json({ success: false, error: 'period must be one of quarter, month, year' });
+    }
+    const parent = node ? getTaxonomyNode(node) : null;
+    if (node && !parent) {
+      return res.status(404).json({ success: false, error: `Unknown taxonomy node: ${node}` });
+    }
+    const level = req.query.level === undefined ? (parent ? parent.depth + 1 : 1) : parseInt(req.query.level);
+    if (!Number.isInteger(level) || level < 1) {
+      return res.status(400).json({ success: false, error: 'level must be a positive number' });
+    }
+    const max = parseInt(limit);
+    if (!/^\d+$/.test(String(limit)) || max < 1 || max > MAX_ANALYTICS_LIMIT) {
+      return res.status(400).json({ success: false, error: `limit must be a number from 1 to ${MAX_ANALYTICS_LIMIT}` });
+    }
+    
+    const keyOf = {
+      period: r => periodKey(r.date, period),
+      company: r => r.company || 'Unknown Company',
+      office: r => normalizeOffice(r.office)
+    }[groupBy];
+    
+    const groups = new Map();
+    const totals = new Map();
+    let undated = 0;
+    (await taxonomyRecords())
+      .filter(r => !type || r.types.includes(type))
+      .filter(r => (!from || new Date(r.date || NaN) >= new Date(from)) && (!to || new Date(r.date || NaN) <= new Date(to)))
+      .forEach(r => {
+        // Each document counts once per node at the requested depth
+        const nodes = new Set(taxonomyIds(r.taxonomy)
+          .filter(id => !parent || matchesTaxonomy([id], parent.id))
+          .map(id => taxonomyAtDepth(id, level)));
+        if (nodes.size === 0) return;
+        // Undated letters are counted apart rather than as a period of their own
+        if (groupBy === 'period' && !r.date) {
+          undated++;
+          return;
+        }
+        
+        const key = keyOf(r);
+        const group = groups.get(key) || { key, documents: 0, counts: {} };
+        group.documents++;
+        nodes.forEach(id => {
+          group.counts[id] = (group.counts[id] || 0) + 1;
+          totals.set(id, (totals.get(id) || 0) + 1);
+        });
+        groups.set(key, group);
+      });
+    
+    const series = Array.from(groups.values());
+    if (groupBy === 'period') {
+      series.sort((a, b) => a.key.localeCompare(b.key));
+    } else {
+      series.sort((a, b) => b.documents - a.documents);
+    }
+    
+    res.json({
+      success: true,
+      groupBy,
+      period: groupBy === 'period' ? period : undefined,
+      node: parent ? parent.id : null,
+      level,
+      nodes: Array.from(totals, ([id, count]) => ({ id, path: getTaxonomyNode(id).path, count }))
+        .sort((a, b) => b.count - a.count),
+      undated: groupBy === 'period' ? undated : undefined,
+      series: groupBy === 'period' ? series : series.slice(0, max)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Retag every stored item against the current taxonomy
+app.post('/api/taxonomy/retag', async (req, res) => {
+  try {
+    const result = await retagItems();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Warning letter lifecycle: state counts and median time to response/close-out
+app.get('/api/lifecycle/metrics', (req, res) => {
+  try {
+    const { groupBy = 'company', company, office, limit = 50 } = req.query;
+    
+    if (!['company', 'office'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: 'groupBy must be company or office'
+      });
+    }
+    
+    const metrics = lifecycleMetrics(companyIntel.getWarningLetterRecords(), {
+      groupBy,
+      company,
+      office,
+      limit: Math.min(parseInt(limit) || 50, 500)
+    });
+    
+    res.json({ success: true, groupBy, ...metrics });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Fetch pending response/close-out letters to date the lifecycle transitions
+app.post('/api/lifecycle/resolve', async (req, res) => {
+  try {
+    const { limit = 25 } = req.body;
+    const result = await resolveLifecycleDates({ limit: Math.min(parseInt(limit) || 25, 200) });
+    await companyIntel.save();
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Extract (or re-extract) an FDA PDF document
+app.post('/api/documents/extract', async (req, res) => {
+  try {
+    const { url, refresh = false } = req.body;
+    
+    if (!url || !isFdaUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid fda.gov document URL is required'
       });
-      console.log(`✅ Weekly digest sent to ${email}`);
-    } catch (error) {
-      console.error(`❌ Failed to send weekly digest to ${email}:`, error.message);
     }
+    
+    const cached = !refresh && pdfDocuments.has(url);
+    const doc = await pdfDocuments.getOrExtract(url, { refresh });
+    
+    res.json({
+      success: true,
+      cached,
+      document: doc
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
-}
+});
 
-// API Routes
+// Get a stored PDF document
+app.get('/api/documents', async (req, res) => {
+  try {
+    const { url, includeText = 'true' } = req.query;
+    
+    if (!url) {
+      return res.status(400).json({ success: false, error: 'url is required' });
+    }
+    
+    const doc = await pdfDocuments.get(url);
+    if (!doc) {
+      return res.status(404).json({ success: false, error: 'Document not found' });
+    }
+    
+    if (includeText === 'false') {
+      delete doc.text;
+      delete doc.pages;
+    }
+    
+    res.json({ success: true, document: doc });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-// Initialize storage
-async function initStorage() {
-  await ensureDirectories();
-  
-  for (const file of Object.values(DATA_FILES)) {
-    try {
-      await fs.access(file);
-    } catch {
-      await fs.writeFile(file, '[]');
-      console.log(`Created: ${file}`);
+// Start (or resume) a historical warning letter backfill
+app.post('/api/backfill/warning-letters', async (req, res) => {
+  try {
+    const { from, to, pageSize = 100, maxPages, restart = false } = req.body;
+    
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+    
+    if (global.backfillInProgress || global.refreshInProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'A refresh or backfill is already in progress'
+      });
     }
+    
+    global.backfillInProgress = true;
+    
+    // Backfills take minutes to hours, so run in the background and report via status
+    backfillWarningLetters({
+      from,
+      to,
+      pageSize: Math.min(parseInt(pageSize) || 100, 500),
+      maxPages: maxPages ? parseInt(maxPages) : Infinity,
+      restart
+    })
+      .catch(error => console.error('Backfill error:', error))
+      .finally(() => {
+        global.backfillInProgress = false;
+      });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Backfill started'
+    });
+    
+  } catch (error) {
+    global.backfillInProgress = false;
+    res.status(500).json({ 
+      success: false, 
+      error: error.message 
+    });
   }
-}
+});
 
-// Health check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    uptime: process.uptime(),
-    timestamp: new Date().toISOString(),
-    services: {
-      mongodb: mongoose.connection.readyState === 1,
-      email: emailTransporter !== null,
-      openai: openai !== null
+// Backfill checkpoints and progress
+app.get('/api/backfill/warning-letters', async (req, res) => {
+  try {
+    const checkpoints = await loadBackfillCheckpoints();
+    
+    res.json({
+      success: true,
+      running: !!global.backfillInProgress,
+      checkpoints
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pull openFDA enforcement reports now (incremental unless `since` is given)
+app.post('/api/openfda/enforcement', async (req, res) => {
+  try {
+    const { categories, since } = req.body;
+    
+    if (categories !== undefined && !Array.isArray(categories)) {
+      return res.status(400).json({
+        success: false,
+        error: `categories must be a list of ${Object.keys(OPENFDA_ENFORCEMENT_ENDPOINTS).join(', ')}`
+      });
     }
-  });
+    
+    const unknown = (categories || []).filter(c => !OPENFDA_ENFORCEMENT_ENDPOINTS[c]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown categories: ${unknown.join(', ')} (use ${Object.keys(OPENFDA_ENFORCEMENT_ENDPOINTS).join(', ')})`
+      });
+    }
+    
+    if (since && (typeof since !== 'string' || !/^\d{8}$/.test(since))) {
+      return res.status(400).json({ success: false, error: 'since must be YYYYMMDD' });
+    }
+    
+    if (global.refreshInProgress || global.backfillInProgress) {
+      return res.status(409).json({
+        success: false,
+        message: 'A refresh or backfill is already in progress'
+      });
+    }
+    
+    global.refreshInProgress = true;
+    try {
+      const { items, checkpoints } = await fetchOpenFdaEnforcement({ categories, since });
+      const newViolations = await ingestItems(items);
+      await saveOpenFdaState(checkpoints);
+      if (newViolations.length > 0) {
+        await processInstantNotifications(newViolations);
+      }
+      
+      res.json({
+        success: true,
+        fetched: items.length,
+        new_violations: newViolations.length,
+        checkpoints
+      });
+    } finally {
+      global.refreshInProgress = false;
+    }
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Get items with advanced filtering
-app.get('/api/items', async (req, res) => {
+// Facilities by FEI (`?company=`, `?country=`, `?q=`)
+app.get('/api/facilities', (req, res) => {
   try {
-    const { 
-      type, 
-      source, 
-      days = 30, 
-      company,
-      severity_min,
-      limit = 200,
-      offset = 0,
-      sort = 'date'
-    } = req.query;
+    const { company, country, q, limit = 50, offset = 0 } = req.query;
+    
+    res.json({
+      success: true,
+      ...facilityRegistry.list({
+        company,
+        country,
+        q,
+        limit: Math.min(parseInt(limit) || 50, 500),
+        offset: parseInt(offset) || 0
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// One site with its inspections, 483s, warning letters, import alerts and recalls
+app.get('/api/facilities/:fei', (req, res) => {
+  try {
+    const facility = facilityRegistry.get(req.params.fei);
     
-    let data = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-    let items = JSON.parse(data);
+    if (!facility) {
+      return res.status(404).json({ success: false, error: 'Facility not found' });
+    }
     
-    // Apply filters
-    const cutoff = new Date();
-    cutoff.setDate(cutoff.getDate() - parseInt(days));
-    items = items.filter(item => new Date(item.date) >= cutoff);
+    res.json({ success: true, facility });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rebuild the registry from stored items and archived letters
+app.post('/api/facilities/rebuild', async (req, res) => {
+  try {
+    const items = await loadAllItems();
+    items.forEach(item => registerItemFacility(item));
     
-    if (type) {
-      items = items.filter(item => item.types.includes(type));
+    let letters = 0;
+    for (const marcsNumber of letterArchive.index.keys()) {
+      const letter = await letterArchive.get(marcsNumber);
+      if (letter && await registerLetterFacility(letter)) letters++;
     }
     
-    if (source) {
-      items = items.filter(item => item.sourceCategory === source);
+    await facilityRegistry.save();
+    await companyIntel.save();
+    
+    res.json({
+      success: true,
+      facilities: facilityRegistry.facilities.size,
+      items: items.filter(item => item.fei).length,
+      letters
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-run company extraction over stored items and drop non-company records
+app.post('/api/companies/reextract', async (req, res) => {
+  try {
+    const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+    const { changes, removedCompanies } = await reextractCompanies({ dryRun });
+    
+    res.json({
+      success: true,
+      dryRun,
+      reassigned: changes.length,
+      removedCompanies,
+      changes: changes.slice(0, 200)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Company merge/split/alias/delete administration. Each change is recorded
+// in the audit log with everything needed to undo it.
+function sendCompanyAdminError(res, error) {
+  const status = /^Company not found/.test(error.message) ? 404 : 400;
+  res.status(status).json({ success: false, error: error.message });
+}
+
+// Merge `sources` into `target` (created if missing): violations, aliases,
+// contacts, items, watchlists and facilities follow
+app.post('/api/companies/merge', async (req, res) => {
+  try {
+    const { target, sources } = req.body;
+    const params = { target, sources };
+    const state = await companyAdminState();
+    let change;
+    try {
+      change = planMerge(state, params);
+    } catch (planError) {
+      return sendCompanyAdminError(res, planError);
+    }
+    const result = await commitCompanyChange('company_merged', change, params, req);
+    res.json({ success: true, company: companyIntel.companies.get(target), ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Move violations (by link) and aliases from a wrongly merged record to `target`
+app.post('/api/companies/split', async (req, res) => {
+  try {
+    const { source, target, links, aliases = [] } = req.body;
+    const params = { source, target, links, aliases };
+    const state = await companyAdminState();
+    let change;
+    try {
+      change = planSplit(state, params);
+    } catch (planError) {
+      return sendCompanyAdminError(res, planError);
+    }
+    const result = await commitCompanyChange('company_split', change, params, req);
+    res.json({
+      success: true,
+      source: companyIntel.companies.get(source),
+      target: companyIntel.companies.get(target),
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add or remove aliases `{ add: [...], remove: [...] }`
+app.put('/api/companies/:name/aliases', async (req, res) => {
+  try {
+    const company = decodeURIComponent(req.params.name);
+    const { add = [], remove = [] } = req.body;
+    const params = { company, add, remove };
+    const state = await companyAdminState();
+    let change;
+    try {
+      change = planAliases(state, params);
+    } catch (planError) {
+      return sendCompanyAdminError(res, planError);
+    }
+    const result = await commitCompanyChange('company_aliases_changed', change, params, req);
+    res.json({ success: true, aliases: companyIntel.companies.get(company).aliases, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a junk entity; its violations move to "Unknown Company"
+app.delete('/api/companies/:name', async (req, res) => {
+  try {
+    const company = decodeURIComponent(req.params.name);
+    const params = { company };
+    const state = await companyAdminState();
+    let change;
+    try {
+      change = planDelete(state, params);
+    } catch (planError) {
+      return sendCompanyAdminError(res, planError);
+    }
+    const result = await commitCompanyChange('company_deleted', change, params, req);
+    res.json({ success: true, message: `Deleted ${company}`, ...result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Parent groups with their subsidiary trees
+app.get('/api/companies/hierarchy', (req, res) => {
+  try {
+    res.json({ success: true, groups: companyHierarchy.groups() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Set a company's parent `{ parent }`
+app.put('/api/companies/:name/parent', async (req, res) => {
+  try {
+    const company = companyIntel.findCanonicalName(decodeURIComponent(req.params.name));
+    if (!companyIntel.companies.has(company)) {
+      return res.status(404).json({ success: false, error: 'Company not found' });
     }
     
-    if (company) {
-      const normalized = companyIntel.findCanonicalName(company);
-      items = items.filter(item => 
-        companyIntel.findCanonicalName(item.company) === normalized
-      );
+    const previous = companyHierarchy.parentOf(company);
+    const parent = req.body.parent ? companyIntel.findCanonicalName(req.body.parent) : req.body.parent;
+    let relation;
+    try {
+      relation = companyHierarchy.setParent(company, parent);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
     }
+    await companyHierarchy.save();
     
-    if (severity_min) {
-      items = items.filter(item => item.severity >= parseInt(severity_min));
+    await AuditLog.create({
+      action: 'company_parent_set',
+      details: { company, parent, previousParent: previous },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.json({ success: true, relation, ancestors: companyHierarchy.ancestorsOf(company) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Detach a company from its parent (a seeded link stays removed)
+app.delete('/api/companies/:name/parent', async (req, res) => {
+  try {
+    const company = companyIntel.findCanonicalName(decodeURIComponent(req.params.name));
+    const previous = companyHierarchy.removeParent(company);
+    if (!previous) {
+      return res.status(404).json({ success: false, error: 'Company has no parent' });
     }
+    await companyHierarchy.save();
     
-    // Sort
-    if (sort === 'severity') {
-      items.sort((a, b) => b.severity - a.severity);
-    } else if (sort === 'company') {
-      items.sort((a, b) => a.company.localeCompare(b.company));
-    } else {
-      items.sort((a, b) => new Date(b.date) - new Date(a.date));
+    await AuditLog.create({
+      action: 'company_parent_removed',
+      details: { company, previousParent: previous },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.json({ success: true, message: `${company} detached from ${previous}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The risk model: factors with their weights, and the score levels
+app.get('/api/risk-model', (req, res) => {
+  res.json({
+    success: true,
+    version: RISK_MODEL_VERSION,
+    factors: RISK_FACTORS,
+    levels: RISK_LEVELS
+  });
+});
+
+// Daily risk scores of a company (`?days=365`) and today's factor breakdown
+app.get('/api/companies/:name/risk-history', (req, res) => {
+  try {
+    const company = companyIntel.findCanonicalName(decodeURIComponent(req.params.name));
+    const record = companyIntel.companies.get(company);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Company not found' });
     }
     
-    // Paginate
-    const total = items.length;
-    items = items.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    const days = req.query.days === undefined ? 365 : parseInt(req.query.days);
+    if (!Number.isInteger(days) || days < 1) {
+      return res.status(400).json({ success: false, error: 'days must be a positive number' });
+    }
+    
+    // No more history than that is kept, and far larger spans overflow the date
+    const span = Math.min(days, MAX_HISTORY);
+    const since = new Date(Date.now() - span * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const history = riskHistory.get(company, { since });
+    const current = companyIntel.riskAssessment(record);
     
     res.json({
       success: true,
-      total: total,
-      count: items.length,
-      offset: parseInt(offset),
-      limit: parseInt(limit),
-      items: items
+      company,
+      current,
+      change: history.length > 0 ? current.score - history[0].score : null,
+      history
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get company details with all data
-app.get('/api/company/:name', async (req, res) => {
+// A company's percentile ranks against its peer group (same product type,
+// center and violation volume), with the citations it is over-represented in.
+// `?criteria=productType,office` narrows what peers must share.
+app.get('/api/companies/:name/benchmark', async (req, res) => {
   try {
-    const companyName = decodeURIComponent(req.params.name);
-    const canonical = companyIntel.findCanonicalName(companyName);
+    const company = companyIntel.findCanonicalName(decodeURIComponent(req.params.name));
+    if (!companyIntel.companies.has(company)) {
+      return res.status(404).json({ success: false, error: 'Company not found' });
+    }
     
-    const company = companyIntel.companies.get(canonical);
-    if (!company) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Company not found' 
+    const criteria = req.query.criteria === undefined
+      ? PEER_CRITERIA
+      : String(req.query.criteria).split(',').map(c => c.trim()).filter(Boolean);
+    const unknown = criteria.filter(c => !PEER_CRITERIA.includes(c));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown criteria: ${unknown.join(', ')} (use ${PEER_CRITERIA.join(', ')})`
       });
     }
     
-    // Get all related items
-    const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-    const items = JSON.parse(allData);
-    const relatedItems = items.filter(item => 
-      companyIntel.findCanonicalName(item.company) === canonical
-    );
+    const profiles = await benchmarkProfiles();
+    const profile = profiles.find(p => p.name === company);
+    if (!profile) {
+      return res.status(404).json({ success: false, error: 'No violations on record to benchmark this company on' });
+    }
     
-    // Get contacts
-    const contacts = await companyIntel.findContactsForCompany(canonical);
+    res.json({ success: true, ...benchmarkCompany(profile, profiles, { criteria }) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Peer groups (product type x center x violation volume) with median metrics
+app.get('/api/benchmark/peer-groups', async (req, res) => {
+  try {
+    const minSize = parseInt(req.query.minSize) || 1;
+    const groups = peerGroups(await benchmarkProfiles(), { minSize });
     
     res.json({
       success: true,
-      company: {
-        ...company,
-        aliases: Array.from(company.aliases || []),
-        products: Array.from(company.products || []),
-        facilities: Array.from(company.facilities || [])
-      },
-      contacts: contacts,
-      relatedItems: relatedItems,
-      metrics: {
-        total_violations: company.violations.length,
-        risk_score: company.risk_score,
-        compliance_score: company.compliance_score,
-        recent_violations: company.violations.filter(v => {
-          const thirtyDaysAgo = new Date();
-          thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-          return new Date(v.date) > thirtyDaysAgo;
-        }).length
-      }
+      criteria: PEER_CRITERIA,
+      metrics: BENCHMARK_METRICS,
+      total: groups.length,
+      groups
     });
   } catch (error) {
-    console.error('Company lookup error:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// AI Enhancement endpoint
-// app.post('/api/ai/enhance', async (req, res) => {
-//   try {
-//     const { sourceItemId } = req.body;
-    
-//     // Get the item
-//     const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-//     const items = JSON.parse(allData);
-//     const item = items.find(i => i.id === sourceItemId);
-    
-//     if (!item) {
-//       return res.status(404).json({ success: false, error: 'Item not found' });
-//     }
-    
-//     // Check cache
-//     if (companyIntel.aiCache.has(item.company)) {
-//       return res.json({
-//         success: true,
-//         cached: true,
-//         ...companyIntel.aiCache.get(item.company)
-//       });
-//     }
-    
-//     if (!openai) {
-//       // Fallback response without AI
-//       const contacts = await companyIntel.findContactsForCompany(item.company);
-//       return res.json({
-//         success: true,
-//         fallback: true,
-//         canonical_company_name: companyIntel.findCanonicalName(item.company),
-//         summary: item.summary || 'No AI summary available',
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: contacts?.emails?.map(e => e.email) || []
-//       });
-//     }
-    
-//     // Use OpenAI
-//     const completion = await openai.chat.completions.create({
-//       model: "gpt-4-turbo-preview",
-//       messages: [
-//         {
-//           role: "system",
-//           content: `You are an FDA regulatory expert. Analyze the provided FDA action and return a JSON response with:
-//             - canonical_company_name: The official registered company name
-//             - summary: Clear summary of the regulatory action (2-3 sentences)
-//             - public_context: Any relevant public context about this company's regulatory history
-//             - precedent_refs: Array of similar FDA precedents or related cases
-//             - emails: Array of any publicly available regulatory/quality contact emails`
-//         },
-//         {
-//           role: "user",
-//           content: `Analyze this FDA action:
-//             Title: ${item.title}
-//             Company: ${item.company}
-//             Type: ${item.types.join(', ')}
-//             Date: ${item.date}
-//             Link: ${item.link}
-//             Content: ${item.summary}
-            
-//             Return only valid JSON.`
-//         }
-//       ],
-//       temperature: 0.3,
-//       max_tokens: 1000,
-//       response_format: { type: "json_object" }
-//     });
-    
-//     let aiData;
-//     try {
-//       aiData = JSON.parse(completion.choices[0].message.content);
-//     } catch {
-//       aiData = {
-//         canonical_company_name: companyIntel.findCanonicalName(item.company),
-//         summary: completion.choices[0].message.content,
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: []
-//       };
-//     }
-    
-//     // Cache the result
-//     companyIntel.aiCache.set(item.company, aiData);
-//     await companyIntel.save();
-    
-//     // Update company alias if different
-//     if (aiData.canonical_company_name && aiData.canonical_company_name !== item.company) {
-//       companyIntel.companyAliases.set(
-//         companyIntel.normalizeForMatching(item.company),
-//         aiData.canonical_company_name
-//       );
-//     }
-    
-//     // Merge with contact search
-//     const contacts = await companyIntel.findContactsForCompany(aiData.canonical_company_name || item.company);
-//     if (contacts && contacts.emails) {
-//       const contactEmails = contacts.emails.map(e => e.email);
-//       aiData.emails = [...new Set([...aiData.emails, ...contactEmails])];
-//     }
-    
-//     res.json({
-//       success: true,
-//       ...aiData
-//     });
-    
-//   } catch (error) {
-//     console.error('AI enhancement error:', error);
-//     res.status(500).json({ 
-//       success: false, 
-//       error: error.message,
-//       fallback: {
-//         canonical_company_name: companyIntel.findCanonicalName(req.body.company || ''),
-//         summary: 'AI enhancement unavailable',
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: []
-//       }
-//     });
-//   }
-// });
-// Replace the existing /api/ai/enhance endpoint
-// app.post('/api/ai/enhance', async (req, res) => {
-//   try {
-//     const { sourceItemId, title, link, summary, source } = req.body;
-    
-//     // Build a more comprehensive prompt for AI
-//     const promptContent = `${title || ''}\n${summary || ''}\nSource: ${source || ''}\nLink: ${link || ''}`;
-    
-//     if (!openai) {
-//       // Fallback without AI
-//       return res.json({
-//         success: true,
-//         fallback: true,
-//         canonical_company_name: 'Unknown Company',
-//         summary: summary || 'No AI summary available',
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: []
-//       });
-//     }
-    
-//     // Use OpenAI to extract company and enhance data
-//     const completion = await openai.chat.completions.create({
-//       model: "gpt-4-turbo-preview",
-//       messages: [
-//         {
-//           role: "system",
-//           content: `You are an FDA regulatory expert. Analyze the provided FDA action and return a JSON response with:
-//             - canonical_company_name: Extract the actual company name from the text (be very careful and accurate)
-//             - summary: Clear, detailed summary of the regulatory action (3-4 sentences)
-//             - public_context: Any relevant public context about this company's regulatory history
-//             - regulatory_impact: Specific regulatory implications
-//             - business_impact: Business and market implications
-//             - precedent_refs: Array of similar FDA precedents or related cases
-//             - action_required: What the company needs to do
-//             - timeline: Response timeline if mentioned`
-//         },
-//         {
-//           role: "user",
-//           content: `Analyze this FDA action and extract the company name:\n\n${promptContent}\n\nReturn only valid JSON.`
-//         }
-//       ],
-//       temperature: 0.3,
-//       max_tokens: 1500,
-//       response_format: { type: "json_object" }
-//     });
-    
-//     let aiData;
-//     try {
-//       aiData = JSON.parse(completion.choices[0].message.content);
-//     } catch {
-//       aiData = {
-//         canonical_company_name: 'Unknown Company',
-//         summary: 'Unable to parse AI response',
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: []
-//       };
-//     }
-    
-//     // Now search for contacts with the extracted company name
-//     let allEmails = [];
-//     if (aiData.canonical_company_name && aiData.canonical_company_name !== 'Unknown Company') {
-//       const contacts = await companyIntel.findContactsForCompany(aiData.canonical_company_name);
-      
-//       if (contacts) {
-//         // Collect all emails from different sources
-//         if (contacts.emails && contacts.emails.length > 0) {
-//           allEmails = allEmails.concat(contacts.emails.map(e => e.email || e));
-//         }
-//         if (contacts.regulatory_contacts && contacts.regulatory_contacts.length > 0) {
-//           allEmails = allEmails.concat(contacts.regulatory_contacts.filter(c => c.email).map(c => c.email));
-//         }
-//         if (contacts.executives && contacts.executives.length > 0) {
-//           allEmails = allEmails.concat(contacts.executives.filter(e => e.email).map(e => e.email));
-//         }
-//         if (contacts.general_email) {
-//           allEmails.push(contacts.general_email);
-//         }
-        
-//         // Add contact details to response
-//         aiData.contacts = contacts;
-//       }
-//     }
+function parseEscalationHorizon(value) {
+  const horizonDays = value === undefined ? 365 : parseInt(value);
+  if (!ESCALATION_HORIZONS.includes(horizonDays)) {
+    throw new Error(`horizon must be one of ${ESCALATION_HORIZONS.join(', ')} (days)`);
+  }
+  return horizonDays;
+}
+
+// Probability that companies or sites escalate to a warning letter, import alert
+// or consent decree (`?horizon=180|365`, `?kind=company|facility`, `?name=`, `?limit=`)
+app.get('/api/escalation/predictions', async (req, res) => {
+  try {
+    const { kind, name, limit = 50 } = req.query;
     
-//     // Remove duplicates
-//     aiData.emails = [...new Set(allEmails)];
+    let horizonDays;
+    try {
+      horizonDays = parseEscalationHorizon(req.query.horizon);
+      if (kind && !['company', 'facility'].includes(kind)) {
+        throw new Error('kind must be company or facility');
+      }
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
     
-//     res.json({
-//       success: true,
-//       ...aiData
-//     });
+    const { model, predictions } = await predictEscalations({ kind, horizonDays });
+    const canonical = name ? companyIntel.findCanonicalName(name) : null;
+    const matching = name
+      ? predictions.filter(p => p.key === canonical || p.key === name || p.name.toLowerCase().includes(name.toLowerCase()))
+      : predictions;
     
-//   } catch (error) {
-//     console.error('AI enhancement error:', error);
-//     res.status(500).json({ 
-//       success: false, 
-//       error: error.message,
-//       fallback: {
-//         canonical_company_name: 'Unknown Company',
-//         summary: 'AI enhancement unavailable',
-//         public_context: '',
-//         precedent_refs: [],
-//         emails: []
-//       }
-//     });
-//   }
-// });
+    res.json({
+      success: true,
+      horizonDays,
+      model: {
+        trained: model.examples > 0,
+        trainedAt: model.trainedAt || null,
+        examples: model.examples,
+        positives: model.positives || 0,
+        dataEnd: model.dataEnd || null
+      },
+      total: matching.length,
+      predictions: matching.slice(0, parseInt(limit))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Train on history before `?testFrom=` and report how well the probabilities
+// held up afterwards: Brier score, AUC and a reliability table (`?horizon=`)
+app.get('/api/escalation/backtest', async (req, res) => {
+  try {
+    const timelines = escalationTimelines(await loadAllItems());
+    const dataEnd = escalationHistoryEnd(timelines);
+    
+    let horizonDays;
+    let testFrom;
+    try {
+      horizonDays = parseEscalationHorizon(req.query.horizon);
+      // By default the test covers the last year of snapshots whose outcome is known
+      testFrom = req.query.testFrom
+        ? new Date(req.query.testFrom).getTime()
+        : dataEnd - (horizonDays + 365) * 24 * 60 * 60 * 1000;
+      if (isNaN(testFrom)) throw new Error('testFrom must be a date (YYYY-MM-DD)');
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    
+    const report = await backtestEscalation(timelines, { horizonDays, testFrom, dataEnd });
+    res.json({
+      success: true,
+      ...report,
+      warning: report.test.positives < 20
+        ? 'Fewer than 20 escalations in the test window; treat these numbers as indicative only'
+        : null
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+// Retrain the escalation models on the stored history
+app.post('/api/escalation/train', async (req, res) => {
+  try {
+    const models = await trainEscalationModels();
+    res.json({ success: true, models });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+// Features, prior weights and the trained weights per horizon
+app.get('/api/escalation/model', (req, res) => {
+  res.json({
+    success: true,
+    features: ESCALATION_FEATURES,
+    prior: ESCALATION_PRIOR_WEIGHTS,
+    models: escalationModels
+  });
+});
 
-// Export modal to email
-app.post('/api/report/export-modal', async (req, res) => {
+// Recent company admin changes
+app.get('/api/companies/changes', async (req, res) => {
   try {
-    const { html, toEmail } = req.body;
+    const { limit = 50, offset = 0 } = req.query;
+    const query = { action: { $in: COMPANY_ADMIN_ACTIONS } };
     
-    if (!toEmail || !html) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email and HTML content required' 
-      });
+    const logs = await AuditLog.find(query, { 'details.change': 0 })
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+    const total = await AuditLog.countDocuments(query);
+    
+    res.json({ success: true, total, changes: logs });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Undo a company admin change. Refused when the records it touched changed
+// since, unless `{ force: true }`.
+app.post('/api/companies/changes/:id/undo', async (req, res) => {
+  try {
+    const entry = await AuditLog.findById(req.params.id).catch(() => null);
+    if (!entry || !COMPANY_ADMIN_ACTIONS.includes(entry.action) || !entry.details?.change) {
+      return res.status(404).json({ success: false, error: 'Company change not found' });
+    }
+    if (entry.details.undoneAt) {
+      return res.status(409).json({ success: false, error: 'Change was already undone' });
     }
     
-    if (!emailTransporter) {
-      return res.status(500).json({ 
-        success: false, 
-        error: 'Email service not configured' 
+    const conflicts = companyChangeConflicts(entry.details.change);
+    if (conflicts.length > 0 && req.body?.force !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Companies changed since; pass force to undo anyway',
+        conflicts
       });
     }
     
-    await emailTransporter.sendMail({
-      from: API_KEYS.SMTP_USER,
-      to: toEmail,
-      subject: 'FDA Regulatory Intelligence - Exported Report',
-      html: `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <style>
-body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1a202c; }
-            .container { max-width: 800px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; margin-bottom: 20px; }
-            .content { background: #f8f9fa; padding: 30px; border-radius: 10px; }
-            h1 { margin: 0; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>FDA Regulatory Intelligence Report</h1>
-              <p>Exported on ${new Date().toLocaleString()}</p>
-            </div>
-            <div class="content">
-              ${html}
-            </div>
-            <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #e2e8f0; font-size: 12px; color: #718096;">
-              <p>This report was generated by the FDA Regulatory Intelligence System</p>
-              <p>For questions or support, contact: ${API_KEYS.SMTP_USER}</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `
-    });
+    await applyCompanyChange(invertChange(entry.details.change));
     
-    // Log the export
-    await AuditLog.create({
-      action: 'report_exported',
-      details: { toEmail, timestamp: new Date() }
-    });
+    entry.details = { ...entry.details, undoneAt: new Date().toISOString() };
+    entry.markModified('details');
+    await entry.save();
     
-    res.json({ 
-      success: true, 
-      message: `Report sent to ${toEmail}` 
-    });
+    await AuditLog.create({
+      action: 'company_change_undone',
+      details: { changeId: String(entry._id), undoneAction: entry.action, params: entry.details.params },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
     
+    res.json({ success: true, undone: entry.action, summary: entry.details.summary });
   } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tracked import alerts with red/green list sizes
+app.get('/api/import-alerts', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      tracked: TRACKED_IMPORT_ALERTS,
+      alerts: importAlerts.list()
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// WLUSERLEAF endpoints
-app.get('/api/user/wluserleaf', async (req, res) => {
+// Latest snapshot of an import alert with its change history
+app.get('/api/import-alerts/:number', (req, res) => {
   try {
-    const { email } = req.query;
+    const alert = importAlerts.get(req.params.number);
     
-    if (email) {
-      const user = await WLUserLeaf.findOne({ email });
-      if (!user) {
-        return res.status(404).json({ 
-          success: false, 
-          error: 'User not found' 
-        });
-      }
-      res.json({ success: true, user });
-    } else {
-      const users = await WLUserLeaf.find().select('-apiKeys');
-      res.json({ success: true, users });
+    if (!alert) {
+      return res.status(404).json({ success: false, error: 'Import alert not found' });
     }
-  } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    
+    const { list } = req.query;
+    res.json({
+      success: true,
+      alert: {
+        ...alert,
+        redList: list === 'green' ? undefined : alert.redList,
+        greenList: list === 'red' ? undefined : alert.greenList
+      }
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.put('/api/user/wluserleaf', async (req, res) => {
+// Refresh import alerts now and ingest red list additions
+app.post('/api/import-alerts/refresh', async (req, res) => {
   try {
-    const { email, ...updates } = req.body;
+    const { numbers } = req.body;
     
-    if (!email) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Email required' 
+    if (numbers && (!Array.isArray(numbers) || numbers.some(n => !/^\d{2}-\d{2,3}$/.test(n)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'numbers must be a list of alert numbers like "66-40"'
       });
     }
-    
-    let user = await WLUserLeaf.findOne({ email });
-    
-    if (!user) {
-      user = new WLUserLeaf({ email, ...updates });
-    } else {
-      Object.assign(user, updates);
-      user.updatedAt = new Date();
+    // The running refresh ingests its own items
+    if (importAlertRefresh) {
+      return res.status(409).json({ success: false, error: 'Import alert refresh already in progress' });
     }
     
-    await user.save();
+    const { items, results } = await refreshImportAlerts(numbers ? { numbers } : {});
+    const newViolations = await ingestItems(items);
+    if (newViolations.length > 0) {
+      await processInstantNotifications(newViolations);
+    }
     
-    // Log the update
-    await AuditLog.create({
-      userId: user._id,
-      action: 'settings_updated',
-      details: updates
+    res.json({
+      success: true,
+      raised: items.length,
+      new_violations: newViolations.length,
+      results
     });
-    
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// openFDA enforcement checkpoints
+app.get('/api/openfda/enforcement', async (req, res) => {
+  try {
     res.json({
       success: true,
-      user: user
+      fixtureMode: !!OPENFDA_FIXTURE_DIR,
+      checkpoints: await loadOpenFdaState()
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replace the ticker -> CIK table. The body is SEC's company_tickers.json;
+// an empty body downloads it from SEC.
+app.post('/api/sec/tickers/import', async (req, res) => {
+  try {
+    const upload = req.body && Object.keys(req.body).length > 0 ? req.body : null;
+    
+    let counts;
+    try {
+      counts = await importSecTickers(upload);
+    } catch (error) {
+      if (!upload) throw error;
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    
+    AuditLog.create({
+      action: 'sec_tickers_imported',
+      details: { ...counts, source: secCiks.source },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
     
+    res.json({ success: true, ...counts, importedAt: secCiks.importedAt, source: secCiks.source });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Add company to watchlist
-app.post('/api/user/watch-company', async (req, res) => {
+// CIK lookup by `?ticker=`, `?cik=` or `?company=` (tracked companies also use
+// the CIK or ticker on their record)
+app.get('/api/sec/cik', (req, res) => {
   try {
-    const { email, company, alertLevel = 'all', customRules = {} } = req.body;
+    const { ticker, cik, company } = req.query;
     
-    const user = await WLUserLeaf.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'User not found' 
+    if (!ticker && !cik && !company) {
+      return res.json({
+        success: true,
+        filers: secCiks.size,
+        importedAt: secCiks.importedAt,
+        source: secCiks.source
       });
     }
     
-    // Check if already watching
-    const existing = user.watchedCompanies.findIndex(wc => 
-      companyIntel.findCanonicalName(wc.name) === companyIntel.findCanonicalName(company)
-    );
+    const filer = company && !ticker && !cik
+      ? resolveSecFiler(companyIntel.findCanonicalName(company))
+      : secCiks.lookup({ ticker, cik });
     
-    if (existing >= 0) {
-      // Update existing
-      user.watchedCompanies[existing] = {
-        name: company,
-        addedAt: user.watchedCompanies[existing].addedAt,
-        alertLevel,
-        customRules
-      };
-    } else {
-      // Add new
-      user.watchedCompanies.push({
-        name: company,
-        addedAt: new Date(),
-        alertLevel,
-        customRules
+    if (!filer) {
+      return res.status(404).json({ success: false, error: 'No SEC filer matches' });
+    }
+    
+    res.json({ success: true, filer });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Read new 8-Ks now (watched companies, or `companies`) and ingest FDA disclosures
+app.post('/api/sec/filings/refresh', async (req, res) => {
+  try {
+    const { companies } = req.body;
+    
+    if (companies && (!Array.isArray(companies) || companies.some(c => !c || typeof c !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'companies must be a list of company names'
       });
     }
     
-    await user.save();
+    const { items, checkpoints, results } = await fetchSecDisclosures(companies ? { companies } : {});
+    const newViolations = await ingestItems(items);
+    await saveSecState(checkpoints);
+    if (newViolations.length > 0) {
+      await processInstantNotifications(newViolations);
+    }
+    
+    res.json({
+      success: true,
+      disclosures: items.length,
+      new_violations: newViolations.length,
+      results
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// SEC 8-K checkpoints per company
+app.get('/api/sec/filings', async (req, res) => {
+  try {
+    const state = await loadSecState();
+    res.json({
+      success: true,
+      fixtureMode: !!SEC_FIXTURE_DIR,
+      checkpoints: state.map(({ processed, ...checkpoint }) => ({ ...checkpoint, processed: (processed || []).length }))
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Feed sources with health (`?group=`, `?enabled=true|false`)
+app.get('/api/sources', (req, res) => {
+  try {
+    const { group, enabled } = req.query;
+    const sources = sourceRegistry.list({
+      group,
+      enabled: enabled === undefined ? undefined : enabled === 'true'
+    });
     
     res.json({
       success: true,
-      message: `${company} added to watchlist`,
-      watchedCompanies: user.watchedCompanies
+      total: sources.length,
+      enabled: sources.filter(s => s.enabled).length,
+      sources
     });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/sources/:id', (req, res) => {
+  const source = sourceRegistry.get(req.params.id);
+  if (!source) {
+    return res.status(404).json({ success: false, error: 'Source not found' });
+  }
+  res.json({ success: true, source });
+});
+
+// Add a feed source
+app.post('/api/sources', async (req, res) => {
+  try {
+    const source = sourceRegistry.add(req.body);
+    await sourceRegistry.save();
     
+    await AuditLog.create({
+      action: 'source_added',
+      details: { sourceId: source.id, name: source.name, url: source.url }
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.status(201).json({ success: true, source });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
-// Remove company from watchlist
-app.delete('/api/user/watch-company', async (req, res) => {
+// Update, disable/enable or re-prioritize a source
+app.put('/api/sources/:id', async (req, res) => {
   try {
-    const { email, company } = req.body;
+    const before = sourceRegistry.get(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
     
-    const user = await WLUserLeaf.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'User not found' 
-      });
+    let source;
+    try {
+      source = sourceRegistry.update(req.params.id, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
     }
+    await sourceRegistry.save();
     
-    user.watchedCompanies = user.watchedCompanies.filter(wc => 
-      companyIntel.findCanonicalName(wc.name) !== companyIntel.findCanonicalName(company)
-    );
+    await AuditLog.create({
+      action: 'source_updated',
+      details: { sourceId: source.id, changes: req.body }
+    }).catch(error => console.error('Audit log error:', error.message));
     
-    await user.save();
+    res.json({ success: true, source });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/sources/:id', async (req, res) => {
+  try {
+    const source = sourceRegistry.remove(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
+    }
+    await sourceRegistry.save();
     
-    res.json({
-      success: true,
-      message: `${company} removed from watchlist`,
-      watchedCompanies: user.watchedCompanies
-    });
+    await AuditLog.create({
+      action: 'source_removed',
+      details: { sourceId: source.id, name: source.name, url: source.url }
+    }).catch(error => console.error('Audit log error:', error.message));
     
+    res.json({ success: true, message: `Removed ${source.name}` });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Send digest now
-app.post('/api/user/send-digest-now', async (req, res) => {
+// Fetch a source once (recorded in its health) without ingesting the items
+app.post('/api/sources/:id/test', async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    const user = await WLUserLeaf.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'User not found' 
-      });
+    const source = sourceRegistry.get(req.params.id);
+    if (!source) {
+      return res.status(404).json({ success: false, error: 'Source not found' });
     }
     
-    await generateWeeklyDigest(user);
+    const items = await fetchFeed(source, 1);
+    await sourceRegistry.save();
     
     res.json({
       success: true,
-      message: `Digest sent to ${user.email} and ${user.reportEmails.length} additional recipients`
+      items: items.length,
+      sample: items.slice(0, 5).map(item => ({ title: item.title, link: item.link, date: item.date })),
+      health: sourceRegistry.get(source.id).health
     });
-    
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get dashboard metrics
-app.get('/api/metrics', async (req, res) => {
+// Get classification info
+app.get('/api/classifiers', (req, res) => {
+  const rules = classifierRules.list();
+  res.json({
+    success: true,
+    classifiers: Object.fromEntries(Object.entries(CLASSIFIERS).map(([type, config]) => [type, {
+      ...config,
+      rules: rules.filter(rule => rule.type === type && rule.enabled).length
+    }]))
+  });
+});
+
+// Classifier rules (`?type=`, `?enabled=true|false`)
+app.get('/api/classifiers/rules', (req, res) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    
-    const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-    const items = JSON.parse(allData);
-    const recentItems = items.filter(item => new Date(item.date) >= thirtyDaysAgo);
-    
-    // Calculate metrics
-    const metrics = {
-      summary: {
-        total_items: recentItems.length,
-        total_companies: companyIntel.companies.size,
-        warning_letters: recentItems.filter(i => i.types.includes('warning_letter')).length,
-        crls: recentItems.filter(i => i.types.includes('crl')).length,
-        form_483s: recentItems.filter(i => i.types.includes('form_483')).length,
-        other: recentItems.filter(i => 
-          !i.types.includes('warning_letter') && 
-          !i.types.includes('crl') && 
-          !i.types.includes('form_483')
-        ).length
-      },
-      trends: companyIntel.metrics.violationTrends,
-      top_companies: companyIntel.metrics.topViolators,
-      compliance_distribution: companyIntel.metrics.complianceDistribution,
-      by_source: {},
-      by_severity: {
-        critical: recentItems.filter(i => i.severity >= 9).length,
-        high: recentItems.filter(i => i.severity >= 7 && i.severity < 9).length,
-        medium: recentItems.filter(i => i.severity >= 5 && i.severity < 7).length,
-        low: recentItems.filter(i => i.severity < 5).length
-      },
-      recent_updates: recentItems.slice(0, 10).map(item => ({
-        date: item.date,
-        company: item.company,
-        type: item.types[0],
-        severity: item.severity,
-        title: item.title
-      }))
-    };
-    
-    // Count by source
-    recentItems.forEach(item => {
-      metrics.by_source[item.sourceCategory] = (metrics.by_source[item.sourceCategory] || 0) + 1;
+    const { type, enabled } = req.query;
+    const rules = classifierRules.list({
+      type,
+      enabled: enabled === undefined ? undefined : enabled === 'true'
     });
     
     res.json({
       success: true,
-      metrics: metrics
+      total: rules.length,
+      enabled: rules.filter(rule => rule.enabled).length,
+      rules
     });
-    
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Search endpoint with advanced matching
-app.get('/api/search', async (req, res) => {
+app.get('/api/classifiers/rules/:id', (req, res) => {
+  const rule = classifierRules.get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: 'Rule not found' });
+  }
+  res.json({ success: true, rule });
+});
+
+app.post('/api/classifiers/rules', async (req, res) => {
   try {
-    const { q, type = 'all', limit = 50 } = req.query;
+    const rule = classifierRules.add(req.body);
+    await classifierRules.save();
     
-    if (!q) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Search query required' 
-      });
+    await AuditLog.create({
+      action: 'classifier_rule_added',
+      details: { ruleId: rule.id, type: rule.type, pattern: rule.pattern, weight: rule.weight },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
+    
+    res.status(201).json({ success: true, rule });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.put('/api/classifiers/rules/:id', async (req, res) => {
+  try {
+    const before = classifierRules.get(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
     }
     
-    const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-    let items = JSON.parse(allData);
+    let rule;
+    try {
+      rule = classifierRules.update(req.params.id, req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    await classifierRules.save();
     
-    const query = q.toLowerCase();
+    await AuditLog.create({
+      action: 'classifier_rule_updated',
+      details: { ruleId: rule.id, changes: req.body },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
     
-    // Search in different fields based on type
-    if (type === 'company') {
-      items = items.filter(item => 
-        item.company.toLowerCase().includes(query)
-      );
-    } else if (type === 'title') {
-      items = items.filter(item => 
-        item.title.toLowerCase().includes(query)
-      );
-    } else {
-      // Search all fields
-      items = items.filter(item => 
-        item.company.toLowerCase().includes(query) ||
-        item.title.toLowerCase().includes(query) ||
-        (item.summary && item.summary.toLowerCase().includes(query)) ||
-        item.types.some(t => t.includes(query))
-      );
+    res.json({ success: true, rule });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/classifiers/rules/:id', async (req, res) => {
+  try {
+    const rule = classifierRules.remove(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ success: false, error: 'Rule not found' });
     }
+    await classifierRules.save();
     
-    // Sort by relevance (basic scoring)
-    items.forEach(item => {
-      let score = 0;
-      if (item.company.toLowerCase() === query) score += 10;
-      else if (item.company.toLowerCase().includes(query)) score += 5;
-      if (item.title.toLowerCase().includes(query)) score += 3;
-      if (item.summary && item.summary.toLowerCase().includes(query)) score += 1;
-      item.relevanceScore = score;
-    });
+    await AuditLog.create({
+      action: 'classifier_rule_removed',
+      details: { ruleId: rule.id, type: rule.type, pattern: rule.pattern },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
     
-    items.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    res.json({ success: true, message: `Removed rule ${rule.id}` });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+async function loadClassifierEvalSet() {
+  try {
+    return JSON.parse(await fs.readFile(DATA_FILES.CLASSIFIER_EVAL_SET, 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Per-class precision and recall of the current rules on the labeled evaluation set
+app.get('/api/classifiers/evaluate', async (req, res) => {
+  try {
+    const examples = await loadClassifierEvalSet();
+    if (examples.length === 0) {
+      return res.status(404).json({ success: false, error: 'No labeled evaluation set found' });
+    }
     
-    res.json({
-      success: true,
-      query: q,
-      total: items.length,
-      items: items.slice(0, parseInt(limit))
+    const report = evaluateClassifier(classifierRules.list({ enabled: true }), examples, {
+      severities: classifierSeverities(),
+      classes: Object.keys(CLASSIFIERS)
     });
     
+    res.json({ success: true, rules: classifierRules.list({ enabled: true }).length, ...report });
   } catch (error) {
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Refresh data endpoint
-app.post('/api/refresh', async (req, res) => {
+// Evaluate a rule change before saving it: `{ add, update, remove }` against
+// the current rules, or a full replacement `{ rules }`. Nothing is saved.
+app.post('/api/classifiers/evaluate', async (req, res) => {
   try {
-    const { force = false } = req.body;
-    
-    // Check if refresh is already running
-    if (global.refreshInProgress && !force) {
-      return res.json({
-        success: false,
-        message: 'Refresh already in progress'
-      });
+    const examples = [...await loadClassifierEvalSet(), ...(req.body.examples || [])];
+    if (examples.length === 0) {
+      return res.status(404).json({ success: false, error: 'No labeled evaluation set found' });
     }
     
-    global.refreshInProgress = true;
+    let candidate;
+    try {
+      candidate = Array.isArray(req.body.rules)
+        ? req.body.rules.map((rule, index) => ({ ...classifierRules.build(rule), id: rule.id || `candidate-${index + 1}` }))
+        : classifierRules.preview(req.body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
     
-    const stats = await aggregateAllSources();
+    const options = { severities: classifierSeverities(), classes: Object.keys(CLASSIFIERS) };
+    const current = evaluateClassifier(classifierRules.list({ enabled: true }), examples, options);
+    const proposed = evaluateClassifier(candidate.filter(rule => rule.enabled !== false), examples, options);
+    const change = compareReports(current, proposed);
     
-    global.refreshInProgress = false;
+    await AuditLog.create({
+      action: 'classifier_rules_evaluated',
+      details: {
+        proposal: Array.isArray(req.body.rules) ? { rules: candidate.length } : { add: req.body.add, update: req.body.update, remove: req.body.remove },
+        examples: examples.length,
+        f1: { current: current.micro.f1, candidate: proposed.micro.f1 }
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    }).catch(error => console.error('Audit log error:', error.message));
     
     res.json({
       success: true,
-      message: 'Data refreshed successfully',
-      stats: stats
+      examples: examples.length,
+      current: { micro: current.micro, classes: current.classes },
+      candidate: proposed,
+      change
     });
-    
   } catch (error) {
-    global.refreshInProgress = false;
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
-    });
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Get classification info
-app.get('/api/classifiers', (req, res) => {
-  res.json({
-    success: true,
-    classifiers: CLASSIFIERS
-  });
+// Audit log endpoint
+// Alerts raised for new violations, newest first
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const { company, type, taxonomy, days, severity_min, limit = 100, offset = 0 } = req.query;
+    
+    const query = {};
+    if (company) query.company = companyIntel.findCanonicalName(company) || company;
+    if (type) query.type = type;
+    if (taxonomy) query.taxonomy = { $in: String(taxonomy).split(',').map(id => id.trim()) };
+    if (severity_min) query.severity = { $gte: parseInt(severity_min) };
+    if (days) {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - parseInt(days));
+      query.date = { $gte: cutoff.toISOString() };
+    }
+    
+    const [total, alerts] = await Promise.all([
+      repository.alerts.count(query),
+      repository.alerts.find(query, { sort: { date: -1 }, skip: parseInt(offset), limit: parseInt(limit) })
+    ]);
+    
+    res.json({ success: true, total, alerts });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
-// Audit log endpoint
 app.get('/api/audit-log', async (req, res) => {
   try {
     const { userId, limit = 100, offset = 0 } = req.query;
@@ -4124,7 +8138,7 @@ app.post('/api/backup', async (req, res) => {
 function setupScheduledTasks() {
   // Data refresh every 30 minutes
   cron.schedule('*/300 * * * *', async () => {
-    if (!global.refreshInProgress) {
+    if (!global.refreshInProgress && !global.backfillInProgress) {
       console.log('\n⏰ Scheduled data refresh starting...');
       try {
         await aggregateAllSources();
@@ -4179,11 +8193,9 @@ function setupScheduledTasks() {
           const oneDayAgo = new Date();
           oneDayAgo.setDate(oneDayAgo.getDate() - 1);
           
-          const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-          const items = JSON.parse(allData);
-          const recentItems = items.filter(item => new Date(item.date) >= oneDayAgo);
+          const recentItems = await repository.items.find({ date: { $gte: oneDayAgo.toISOString() }, ...VISIBLE_QUERY });
           
-          if (recentItems.length > 0) {
+          if (recentItems.length > 0 || hasPendingSavedSearchMatches(user)) {
             await sendDailyDigest(user, recentItems);
           }
         } catch (error) {
@@ -4195,6 +8207,24 @@ function setupScheduledTasks() {
     }
   });
   
+  // Risk history snapshot every day just after midnight
+  cron.schedule('5 0 * * *', async () => {
+    try {
+      await snapshotRiskHistory();
+    } catch (error) {
+      console.error('Risk history snapshot error:', error);
+    }
+  });
+  
+  // Retrain escalation models on the day's history
+  cron.schedule('20 0 * * *', async () => {
+    try {
+      await trainEscalationModels();
+    } catch (error) {
+      console.error('Escalation training error:', error);
+    }
+  });
+  
   // Backup every day at 2 AM
   cron.schedule('0 2 * * *', async () => {
     try {
@@ -4280,7 +8310,7 @@ MARCS Number: ${warningLetterData.marcsNumber || 'Not specified'}
 Issuing Office: ${warningLetterData.issuingOffice || 'Not specified'}
 Product Type: ${warningLetterData.productType || 'Not specified'}
 Delivery Method: ${warningLetterData.deliveryMethod || 'Not specified'}
-FEI Number: ${warningLetterData.feiNumber || 'Not specified'}
+FEI Number: ${warningLetterData.feiNumber || 'Not specified'}${facilityHistory(warningLetterData.feiNumber)}
 Subject: ${warningLetterData.subject || 'Not specified'}
 
 Response Email: ${warningLetterData.responseEmail || 'Not specified'}
@@ -4296,6 +8326,25 @@ Full Letter Content (${warningLetterData.letterContent?.length || 0} characters)
 ${warningLetterData.letterContent || 'Not available'}`;
     }
     
+    // Add the linked PDF's text (483 observations, CRLs, inspection reports)
+    if (link && isPdfLink(link) && isFdaUrl(link)) {
+      try {
+        const doc = await pdfDocuments.getOrExtract(link);
+        console.log(`📄 PDF document: ${doc.numPages} pages, ${doc.textLength} characters`);
+        
+        if (!doc.needsOcr) {
+          fullContent += `
+
+SOURCE DOCUMENT (PDF, ${doc.numPages} pages):
+${doc.observations.length > 0
+  ? doc.observations.map(o => `Observation ${o.number}${o.repeat ? ' (repeat)' : ''}: ${o.text}`).join('\n\n')
+  : doc.text}`;
+        }
+      } catch (error) {
+        console.error('PDF extraction error:', error.message);
+      }
+    }
+    
     fullContent = fullContent.trim();
     
     let aiResult = {
@@ -4490,14 +8539,15 @@ Remember to return ONLY valid JSON with all required fields.`
       
       // Update company record
       if (itemId) {
-        const allData = await fs.readFile(DATA_FILES.ALL_ITEMS, 'utf8');
-        const items = JSON.parse(allData);
-        const item = items.find(i => i.id === itemId);
+        const item = await repository.items.findById(itemId);
         if (item) {
           item.ai_enhanced = true;
+          item.enhancedAt = new Date().toISOString();
           item.canonical_company = aiResult.canonical_company_name;
-          item.severity = aiResult.severity_assessment || item.severity;
-          await fs.writeFile(DATA_FILES.ALL_ITEMS, JSON.stringify(items, null, 2));
+          // Kept separately so re-classification on later runs doesn't undo it
+          item.ai_severity = aiResult.severity_assessment || item.ai_severity;
+          item.severity = item.ai_severity || item.severity;
+          await repository.items.upsert(item);
         }
       }
     }
@@ -4597,6 +8647,7 @@ async function sendDailyDigest(user, items) {
             </div>
           `).join('')}
           ${items.length > 10 ? `<p style="text-align: center; color: #718096;">... and ${items.length - 10} more</p>` : ''}
+          ${savedSearchDigestSection(user)}
         </div>
         <div class="footer">
           <p>FDA Regulatory Intelligence System - Daily Digest</p>
@@ -4607,6 +8658,7 @@ async function sendDailyDigest(user, items) {
   `;
   
   const emails = [user.email, ...user.reportEmails];
+  let sent = false;
   
   for (const email of emails) {
     try {
@@ -4616,11 +8668,14 @@ async function sendDailyDigest(user, items) {
         subject: `FDA Daily Update: ${items.length} New Actions`,
         html: html
       });
+      sent = true;
       console.log(`✅ Daily digest sent to ${email}`);
     } catch (error) {
       console.error(`❌ Failed to send daily digest to ${email}:`, error.message);
     }
   }
+  
+  if (sent) await clearSavedSearchMatches(user);
 }
 
 // Error handling middleware
@@ -4645,7 +8700,32 @@ async function start() {
     
     await initStorage();
     await connectDB();
+    if (STORAGE_BACKEND === 'mongo') {
+      repository = createRepository({ backend: 'mongo', db: mongoose.connection.db });
+    }
+    await repository.initialize();
     await companyIntel.initialize();
+    await letterArchive.initialize();
+    await pdfDocuments.initialize();
+    await importAlerts.initialize();
+    await facilityRegistry.initialize();
+    await companyHierarchy.initialize();
+    await secCiks.initialize();
+    await riskHistory.initialize();
+    await seedCompanyHierarchy();
+    await sourceRegistry.initialize();
+    await classifierRules.initialize();
+    await itemOverrides.initialize();
+    await linkResolver.initialize();
+    if ((await loadAllItems()).some(item => item.taxonomyVersion !== TAXONOMY_VERSION)) {
+      await retagItems();
+    }
+    await rebuildSearchIndex();
+    refreshCompanyRisk(await loadAllItems());
+    if (riskHistory.lastSnapshotDate() !== new Date().toISOString().slice(0, 10)) {
+      await snapshotRiskHistory();
+    }
+    await loadEscalationModels();
     
     // Setup scheduled tasks
     setupScheduledTasks();
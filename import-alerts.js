@@ -0,0 +1,299 @@
+// import-alerts.js — FDA Import Alert ingestion
+// Parses Import Alert pages from the FDA CMS IA site into the alert number,
+// name, reason and the red and green list firms (with country and FEI), and
+// keeps one snapshot per alert on disk so each refresh can report which firms
+// were added to or removed from either list.
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { knownCountry } = require('./facility-registry');
+
+const IMPORT_ALERT_BASE_URL = 'https://www.accessdata.fda.gov/cms_ia/';
+const IMPORT_ALERT_LIST_URL = `${IMPORT_ALERT_BASE_URL}ialist.html`;
+
+// Alerts refreshed on every aggregation unless IMPORT_ALERTS overrides them
+const DEFAULT_TRACKED_ALERTS = [
+  '66-40', // Drugs from firms that have not met drug GMPs
+  '66-41', // Unapproved new drugs promoted in the U.S.
+  '89-04', // Devices from firms that have not met device GMPs
+  '99-32'  // Products from firms that refused FDA foreign inspection
+];
+
+const MAX_CHANGE_HISTORY = 50;
+
+// ---------------------------
+// Fetching
+// ---------------------------
+async function fetchPage(url) {
+  const response = await axios.get(url, {
+    headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36' },
+    timeout: 60000
+  });
+  return response.data;
+}
+
+// Alert number -> page URL. Page file names use internal ids, not alert numbers.
+async function fetchImportAlertIndex() {
+  const $ = cheerio.load(await fetchPage(IMPORT_ALERT_LIST_URL));
+  const index = new Map();
+
+  $('a[href*="importalert_"]').each((i, elem) => {
+    const number = $(elem).text().trim().match(/^(\d{2}-\d{2,3})\b/);
+    const href = $(elem).attr('href');
+    if (number && href && !index.has(number[1])) {
+      index.set(number[1], new URL(href, IMPORT_ALERT_BASE_URL).href);
+    }
+  });
+
+  return index;
+}
+
+async function fetchImportAlert(url) {
+  return parseImportAlertPage(await fetchPage(url), url);
+}
+
+// ---------------------------
+// Parsing
+// ---------------------------
+
+// Page text with one line per block element
+function pageLines(html) {
+  const $ = cheerio.load(html);
+  $('script, style, nav, header, footer').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, tr, h1, h2, h3, h4, h5, h6').each((i, elem) => {
+    $(elem).append('\n');
+  });
+
+  return $('body').text()
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// Text after "Label:" on the same line, or the following lines up to the next label
+function labeledText(lines, label, stopLabels) {
+  const start = lines.findIndex(line => new RegExp(`^${label}\\s*:?`, 'i').test(line));
+  if (start === -1) return null;
+
+  const parts = [lines[start].replace(new RegExp(`^${label}\\s*:?\\s*`, 'i'), '')];
+  for (let i = start + 1; i < lines.length; i++) {
+    if (stopLabels.some(stop => new RegExp(`^${stop}\\b`, 'i').test(lines[i]))) break;
+    parts.push(lines[i]);
+  }
+
+  const text = parts.join(' ').trim();
+  return text || null;
+}
+
+const SECTION_LABELS = [
+  'Import Alert Name', 'Reason for Alert', 'Guidance', 'Product Description', 'Charge',
+  'Recommending Office', 'Type', 'Published Date', 'Red List', 'Green List', 'Yellow List',
+  'List of Firms', 'Firms? and Products? on'
+];
+
+// Country headings name a known country ("CHINA", "KOREA (REPUBLIC OF)");
+// all-caps firm names and address lines are common and aren't headings
+function headingCountry(line) {
+  return knownCountry(line) || knownCountry(line.replace(/\s*\((?:THE\s+)?(.+?)\)$/i, ', $1')) || null;
+}
+
+// A country at the end of an address line, after its last comma or as its
+// trailing all-caps words
+function trailingCountry(line) {
+  const afterComma = line.split(',').pop();
+  const capitals = line.match(/\b([A-Z]{2,}(?:\s+[A-Z]{2,})*)$/);
+  return knownCountry(afterComma) || (capitals && knownCountry(capitals[1])) || null;
+}
+
+// Firm entries between a list heading and the next list heading. Each entry
+// ends at its FEI line; country comes from the preceding heading when present.
+function parseFirmList(lines) {
+  const firms = [];
+  let country = null;
+  let block = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fei = line.match(/FEI\s*(?:#|No\.?|Number)?\s*:?\s*(\d{7,10})/i);
+
+    if (fei) {
+      const [name, ...address] = block;
+      if (name) {
+        firms.push({
+          name,
+          address: address.join(', ') || null,
+          country: country || trailingCountry(address[address.length - 1] || ''),
+          fei: fei[1],
+          datePublished: null,
+          products: []
+        });
+      }
+      block = [];
+      continue;
+    }
+
+    const current = firms[firms.length - 1];
+    const published = line.match(/^Date Published\s*:?\s*(\d{1,2}\/\d{1,2}\/\d{4})/i);
+    const product = line.match(/^(?:Desc|Product Description)\s*:?\s*(.+)$/i);
+
+    if (published && current && block.length === 0) {
+      current.datePublished = published[1];
+    } else if (product && current && block.length === 0) {
+      current.products.push(product[1]);
+    } else if (/^(?:Notes|Problems?|Product Code|Charge)\s*:/i.test(line) && block.length === 0) {
+      // Per-product detail lines belong to the previous firm
+    } else if (block.length === 0 && headingCountry(line)) {
+      country = headingCountry(line);
+    } else {
+      block.push(line);
+    }
+  }
+
+  return firms;
+}
+
+function listSection(lines, heading) {
+  const start = lines.findIndex(line => new RegExp(`^${heading}\\b`, 'i').test(line));
+  if (start === -1) return [];
+  const end = lines.findIndex((line, i) =>
+    i > start && /^(?:Red|Green|Yellow) List\b/i.test(line)
+  );
+  return lines.slice(start + 1, end === -1 ? lines.length : end);
+}
+
+function parseImportAlertPage(html, url) {
+  const lines = pageLines(html);
+  const text = lines.join('\n');
+  const number = text.match(/Import Alert\s*(?:#|No\.?)?\s*(\d{2}-\d{2,3})/i);
+  const published = labeledText(lines, 'Published Date', SECTION_LABELS);
+
+  return {
+    number: number ? number[1] : null,
+    url,
+    name: labeledText(lines, 'Import Alert Name', SECTION_LABELS),
+    type: labeledText(lines, 'Type', SECTION_LABELS),
+    publishedDate: published ? (published.match(/\d{1,2}\/\d{1,2}\/\d{4}/) || [null])[0] : null,
+    reason: labeledText(lines, 'Reason for Alert', SECTION_LABELS),
+    redList: parseFirmList(listSection(lines, 'Red List')),
+    greenList: parseFirmList(listSection(lines, 'Green List'))
+  };
+}
+
+// ---------------------------
+// Change detection
+// ---------------------------
+function firmKey(firm) {
+  return firm.fei || firm.name.toLowerCase().replace(/[^\w]/g, '');
+}
+
+function diffList(previous = [], current = []) {
+  const before = new Map(previous.map(f => [firmKey(f), f]));
+  const after = new Map(current.map(f => [firmKey(f), f]));
+  return {
+    added: current.filter(f => !before.has(firmKey(f))),
+    removed: previous.filter(f => !after.has(firmKey(f)))
+  };
+}
+
+function diffImportAlert(previous, current) {
+  return {
+    red: diffList(previous?.redList, current.redList),
+    green: diffList(previous?.greenList, current.greenList)
+  };
+}
+
+function hasChanges(changes) {
+  return ['red', 'green'].some(list => changes[list].added.length > 0 || changes[list].removed.length > 0);
+}
+
+// ---------------------------
+// Snapshot store
+// ---------------------------
+class ImportAlertStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.alerts = new Map(); // alert number -> latest snapshot
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = (await fs.readdir(this.dir)).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      try {
+        const snapshot = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        this.alerts.set(snapshot.number, snapshot);
+      } catch (error) {
+        console.error(`Import alert snapshot read error for ${file}:`, error.message);
+      }
+    }
+
+    console.log(`✅ Import alert store initialized: ${this.alerts.size} alerts`);
+  }
+
+  get(number) {
+    return this.alerts.get(number) || null;
+  }
+
+  list() {
+    return Array.from(this.alerts.values())
+      .map(alert => ({
+        number: alert.number,
+        name: alert.name,
+        url: alert.url,
+        redListCount: alert.redList.length,
+        greenListCount: alert.greenList.length,
+        fetchedAt: alert.fetchedAt,
+        lastChangedAt: alert.changes[0]?.fetchedAt || null
+      }))
+      .sort((a, b) => a.number.localeCompare(b.number));
+  }
+
+  // Replace the snapshot for an alert and record what changed since the last one.
+  // The first snapshot of an alert is a baseline and reports no changes.
+  async saveSnapshot(alert) {
+    if (!/^\d{2}-\d{2,3}$/.test(alert.number || '')) {
+      throw new Error(`Cannot store import alert without a valid number: ${alert.url}`);
+    }
+
+    const previous = this.get(alert.number);
+    // A list that suddenly parses empty is far likelier a page layout change
+    // than every firm leaving it; keep the last snapshot rather than diff it
+    const emptied = ['redList', 'greenList']
+      .filter(list => previous?.[list]?.length > 0 && alert[list].length === 0);
+    if (emptied.length > 0) {
+      throw new Error(`${emptied.join(' and ')} of import alert ${alert.number} parsed empty (had ` +
+        `${emptied.map(list => previous[list].length).join(' and ')} firms); snapshot not saved`);
+    }
+
+    const fetchedAt = new Date().toISOString();
+    const changes = diffImportAlert(previous, alert);
+    const changed = !!previous && hasChanges(changes);
+
+    const snapshot = {
+      ...alert,
+      fetchedAt,
+      firstSeenAt: previous?.firstSeenAt || fetchedAt,
+      changes: changed
+        ? [{ fetchedAt, ...changes }, ...previous.changes].slice(0, MAX_CHANGE_HISTORY)
+        : previous?.changes || []
+    };
+
+    await fs.writeFile(path.join(this.dir, `${alert.number}.json`), JSON.stringify(snapshot, null, 2));
+    this.alerts.set(alert.number, snapshot);
+
+    return { baseline: !previous, changed, changes };
+  }
+}
+
+module.exports = {
+  ImportAlertStore,
+  DEFAULT_TRACKED_ALERTS,
+  fetchImportAlertIndex,
+  fetchImportAlert,
+  parseImportAlertPage,
+  diffImportAlert
+};
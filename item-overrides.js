@@ -0,0 +1,255 @@
+// item-overrides.js — Analyst corrections to classified items
+// Overrides are kept apart from the items, keyed by the item's canonical link
+// (the same key the item store merges on), and applied again after every
+// merge, so a re-aggregation can refresh an item without undoing the analyst's
+// fix. Each override tracks what the pipeline currently says for the fields it
+// replaces - refreshed whenever the item is re-ingested - so clearing it
+// restores current values rather than those from when it was set. Hidden and
+// irrelevant items are left out of every listing, digest and statistic. Type
+// corrections double as labeled examples for the classifier.
+
+const fs = require('fs').promises;
+const { canonicalKey } = require('./item-store');
+
+const OVERRIDE_FIELDS = ['types', 'company', 'severity', 'relevance', 'hidden'];
+const RELEVANCE_LEVELS = ['high', 'normal', 'low', 'irrelevant'];
+
+// Items an analyst hid or marked irrelevant, as a repository query exclusion
+const VISIBLE_QUERY = { hidden: { $ne: true }, relevance: { $ne: 'irrelevant' } };
+
+// Item fields each override field replaces (and restores on clear)
+const ITEM_FIELDS = {
+  types: ['types'],
+  company: ['company', 'companyConfidence', 'companyMethod'],
+  severity: ['severity'],
+  relevance: ['relevance'],
+  hidden: ['hidden']
+};
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function pick(item, fields) {
+  return Object.fromEntries(fields.map(field => [field, item[field] === undefined ? null : item[field]]));
+}
+
+function isVisible(item) {
+  return !item.hidden && item.relevance !== 'irrelevant';
+}
+
+// Whether a freshly ingested copy says anything about `field`. Blank values
+// and a "TBD" company leave the stored item's value in place on merge.
+function freshValue(fresh, field) {
+  switch (field) {
+    case 'types': return Array.isArray(fresh.types) && fresh.types.length > 0;
+    case 'company': return !!fresh.company && fresh.company !== 'TBD';
+    case 'severity': return typeof fresh.severity === 'number';
+    default: return false;
+  }
+}
+
+// Normalized override value for `field`; throws on invalid input
+function validateValue(field, value, { types }) {
+  switch (field) {
+    case 'types': {
+      const list = (Array.isArray(value) ? value : [value]).map(type => String(type).trim()).filter(Boolean);
+      if (list.length === 0) throw new Error('types must name at least one type');
+      const unknown = list.filter(type => types && !types.includes(type));
+      if (unknown.length > 0) throw new Error(`Unknown type: ${unknown.join(', ')} (expected ${types.join(', ')})`);
+      return Array.from(new Set(list));
+    }
+    case 'company':
+      if (typeof value !== 'string' || !value.trim()) throw new Error('company must be a non-empty string');
+      return value.trim();
+    case 'severity':
+      if (!Number.isInteger(value) || value < 0 || value > 10) throw new Error('severity must be an integer from 0 to 10');
+      return value;
+    case 'relevance':
+      if (!RELEVANCE_LEVELS.includes(value)) throw new Error(`relevance must be one of ${RELEVANCE_LEVELS.join(', ')}`);
+      return value;
+    case 'hidden':
+      if (typeof value !== 'boolean') throw new Error('hidden must be true or false');
+      return value;
+  }
+}
+
+// ---------------------------
+// Override store
+// ---------------------------
+class ItemOverrides {
+  constructor(file, { types = null } = {}) {
+    this.file = file;
+    this.types = types;         // valid item types
+    this.overrides = new Map(); // canonical item key -> override
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(override => {
+        // Overrides saved before `machine` kept the same values as `original`
+        if (!override.machine) override.machine = override.original || {};
+        delete override.original;
+        this.overrides.set(override.key, override);
+      });
+    } catch {
+      // No overrides yet
+    }
+    console.log(`✅ Item overrides loaded: ${this.overrides.size} items`);
+  }
+
+  // The override on `item`, if any
+  get(item) {
+    return this.overrides.get(canonicalKey(item)) || null;
+  }
+
+  list({ field } = {}) {
+    return Array.from(this.overrides.values())
+      .filter(override => !field || override.fields[field] !== undefined)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  // Set (or with a null value, clear) override fields on `item` and apply
+  // them. Returns { override, changes } where changes maps each field to its
+  // { from, to } on the item; override is null once no field is left.
+  set(item, changes, { note, analyst } = {}) {
+    const fields = OVERRIDE_FIELDS.filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      throw new Error(`Nothing to override; expected one of ${OVERRIDE_FIELDS.join(', ')}`);
+    }
+    const values = Object.fromEntries(fields.map(field => [
+      field,
+      changes[field] === null ? null : validateValue(field, changes[field], { types: this.types })
+    ]));
+
+    const now = new Date().toISOString();
+    const key = canonicalKey(item);
+    const override = this.get(item) || {
+      key,
+      itemId: item.id,
+      link: item.link,
+      title: item.title,
+      fields: {},
+      machine: {},
+      createdAt: now
+    };
+    const before = Object.fromEntries(fields.map(field => [field, item[field] ?? null]));
+
+    fields.forEach(field => {
+      if (values[field] === null) {
+        if (override.fields[field] === undefined) return;
+        Object.assign(item, override.machine[field]);
+        delete override.fields[field];
+        delete override.machine[field];
+      } else {
+        // The pipeline's values, from the item before its first override of this field
+        if (override.fields[field] === undefined) override.machine[field] = pick(item, ITEM_FIELDS[field]);
+        override.fields[field] = values[field];
+      }
+    });
+
+    if (note !== undefined) override.note = note || null;
+    if (analyst) override.analyst = analyst;
+    override.itemId = item.id;
+    override.updatedAt = now;
+
+    if (Object.keys(override.fields).length === 0) {
+      this.overrides.delete(key);
+      delete item.override;
+      return { override: null, changes: this.changesOf(item, fields, before) };
+    }
+
+    this.overrides.set(key, override);
+    this.applyTo(item);
+    return { override, changes: this.changesOf(item, fields, before) };
+  }
+
+  // Remove every override on `item`, restoring the pipeline's current values
+  clear(item) {
+    const override = this.get(item);
+    if (!override) return null;
+    Object.values(override.machine).forEach(values => Object.assign(item, values));
+    delete item.override;
+    this.overrides.delete(override.key);
+    return override;
+  }
+
+  changesOf(item, fields, before) {
+    return Object.fromEntries(fields
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(item[field] ?? null))
+      .map(field => [field, { from: before[field], to: item[field] ?? null }]));
+  }
+
+  // Apply the override on `item`. `fresh` is this run's ingested copy of the
+  // item, whose values become the ones a clear restores.
+  applyTo(item, fresh = null) {
+    const override = this.get(item);
+    if (!override) return false;
+
+    const { fields } = override;
+    if (fresh) {
+      Object.keys(fields)
+        .filter(field => freshValue(fresh, field))
+        .forEach(field => { override.machine[field] = pick(fresh, ITEM_FIELDS[field]); });
+    }
+
+    if (fields.types) item.types = [...fields.types];
+    if (fields.severity !== undefined) item.severity = fields.severity;
+    if (fields.relevance) item.relevance = fields.relevance;
+    if (fields.hidden !== undefined) item.hidden = fields.hidden;
+    if (fields.company) {
+      item.company = fields.company;
+      item.companyConfidence = 1;
+      item.companyMethod = 'analyst';
+    }
+
+    item.override = {
+      fields: Object.keys(fields),
+      note: override.note || null,
+      analyst: override.analyst || null,
+      updatedAt: override.updatedAt
+    };
+    return true;
+  }
+
+  // Re-apply overrides to a merged item set. `freshItems` are the run's
+  // ingested items, before the merge. Returns how many items had one.
+  apply(items, freshItems = []) {
+    if (this.overrides.size === 0) return 0;
+    const fresh = new Map();
+    freshItems.forEach(item => {
+      const key = canonicalKey(item);
+      if (this.overrides.has(key) && !fresh.has(key)) fresh.set(key, item);
+    });
+    return items.filter(item => this.applyTo(item, fresh.get(canonicalKey(item)))).length;
+  }
+
+  // Items with a type correction, as classifier evaluation examples
+  examples(items) {
+    const byKey = new Map(items.map(item => [canonicalKey(item), item]));
+    return this.list({ field: 'types' })
+      .filter(override => byKey.has(override.key))
+      .map(override => {
+        const item = byKey.get(override.key);
+        return {
+          title: item.title,
+          summary: item.summary || '',
+          ...(item.sourceType ? { sourceType: item.sourceType } : {}),
+          types: override.fields.types.filter(type => type !== 'regulatory_news'),
+          note: override.note || `Analyst correction of ${(override.machine.types?.types || []).join(', ') || 'unclassified'}`
+        };
+      });
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Array.from(this.overrides.values()), null, 2));
+  }
+}
+
+module.exports = {
+  ItemOverrides,
+  OVERRIDE_FIELDS,
+  RELEVANCE_LEVELS,
+  VISIBLE_QUERY,
+  isVisible
+};
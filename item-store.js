@@ -0,0 +1,151 @@
+// item-store.js — Incremental merge of aggregation runs into the item history
+// Each run's fresh items are merged into the stored set instead of replacing it:
+// IDs are derived from the canonical link so the same item keeps its ID across
+// runs, first/last seen timestamps are tracked, fields written by enrichment
+// (AI analysis, PDF extraction, ...) survive re-ingestion, and items only leave
+// the store through the retention policy.
+
+const crypto = require('crypto');
+
+// Days to keep items per source category, by item date. 0 keeps them forever,
+// so nothing is pruned unless a category is configured.
+const DEFAULT_RETENTION = {
+  official: 0,
+  sec: 0,
+  trade: 0,
+  google: 0,
+  default: 0
+};
+
+// Fields fresh items never carry; they only come from enrichment and are kept as-is
+const ENRICHMENT_FIELDS = ['ai_enhanced', 'canonical_company', 'ai_severity', 'enhancedAt'];
+
+// Owned by the store, never taken from a fresh copy
+const STORE_FIELDS = ['id', 'firstSeen', 'lastSeen'];
+
+// The company and how it was found travel together
+const COMPANY_FIELDS = ['company', 'companyConfidence', 'companyMethod'];
+
+// Parse "official=0,google=90" into a retention map over the defaults
+function parseRetention(spec) {
+  const retention = { ...DEFAULT_RETENTION };
+  (spec || '').split(',').forEach(pair => {
+    const [category, days] = pair.split('=').map(s => s && s.trim());
+    if (category && /^\d+$/.test(days || '')) retention[category] = parseInt(days, 10);
+  });
+  return retention;
+}
+
+// Google News items are keyed on their Google link, not the publisher URL it
+// resolves to: a link resolved only on a later run must not make a new item
+function canonicalKey(item) {
+  if (item.dedupeKey) return item.dedupeKey;
+  return (item.googleNewsLink || item.link || '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+function itemIdFor(item) {
+  return crypto.createHash('sha1').update(canonicalKey(item)).digest('hex').slice(0, 32);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Fresh values win, except where the fresh item knows less than the stored one
+function mergeItem(previous, fresh, now) {
+  const merged = { ...previous };
+  const keepCompany = isBlank(fresh.company) || (fresh.company === 'TBD' && previous.company && previous.company !== 'TBD') ||
+    (fresh.companyConfidence || 0) < (previous.companyConfidence || 0);
+
+  Object.entries(fresh).forEach(([field, value]) => {
+    if (ENRICHMENT_FIELDS.includes(field) || STORE_FIELDS.includes(field)) return;
+    if (isBlank(value)) return;
+    if (keepCompany && COMPANY_FIELDS.includes(field)) return;
+    merged[field] = value;
+  });
+
+  // An AI severity assessment outranks keyword classification
+  if (merged.ai_severity) merged.severity = merged.ai_severity;
+
+  merged.firstSeen = previous.firstSeen || now;
+  merged.lastSeen = now;
+  return merged;
+}
+
+function isExpired(item, retention, nowMs) {
+  if (item.ai_enhanced) return false;
+  const days = retention[item.sourceCategory] ?? retention.default;
+  if (!days) return false;
+  return nowMs - new Date(item.date).getTime() > days * 24 * 60 * 60 * 1000;
+}
+
+// Merge a run's items into the stored set. Returns the merged items, the IDs
+// of items seen for the first time, and counts.
+function mergeItemSets(previousItems, freshItems, { retention = DEFAULT_RETENTION, now = new Date() } = {}) {
+  const nowIso = now.toISOString();
+  const byKey = new Map();
+  const addedIds = [];
+  let updated = 0;
+
+  previousItems.forEach(item => {
+    const key = canonicalKey(item);
+    if (!byKey.has(key)) {
+      byKey.set(key, { ...item, id: itemIdFor(item), firstSeen: item.firstSeen || item.date || nowIso });
+    }
+  });
+
+  const seenThisRun = new Set();
+  freshItems.forEach(item => {
+    const key = canonicalKey(item);
+    if (!key || seenThisRun.has(key)) return;
+    seenThisRun.add(key);
+
+    const previous = byKey.get(key);
+    if (previous) {
+      byKey.set(key, mergeItem(previous, item, nowIso));
+      updated++;
+    } else {
+      const id = itemIdFor(item);
+      byKey.set(key, { ...item, id, firstSeen: nowIso, lastSeen: nowIso });
+      addedIds.push(id);
+    }
+  });
+
+  const nowMs = now.getTime();
+  const items = [];
+  let pruned = 0;
+  byKey.forEach(item => {
+    if (isExpired(item, retention, nowMs)) {
+      pruned++;
+    } else {
+      items.push(item);
+    }
+  });
+
+  const keptIds = new Set(items.map(item => item.id));
+  const newIds = addedIds.filter(id => keptIds.has(id));
+
+  return {
+    items,
+    addedIds: newIds,
+    stats: {
+      added: newIds.length,
+      updated,
+      retained: items.length - newIds.length - updated,
+      pruned,
+      total: items.length
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  parseRetention,
+  canonicalKey,
+  itemIdFor,
+  mergeItemSets
+};
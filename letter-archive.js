@@ -0,0 +1,211 @@
+// letter-archive.js — Durable full-text archive of FDA warning letters
+// Every scraped letter is stored as its own JSON document keyed by MARCS-CMS number.
+// A document holds every field from WarningLetterScraper.extractLetterData, the
+// untruncated letter text and the raw page HTML, so nothing is lost on restart.
+// A small index file keeps listing and URL lookups fast without opening each letter.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function normalizeUrl(url) {
+  return (url || '')
+    .replace(/[?#].*$/, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+function isValidKey(marcsNumber) {
+  return typeof marcsNumber === 'string' && /^[\w-]+$/.test(marcsNumber);
+}
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text || '').digest('hex');
+}
+
+// Summary kept in the index for list views
+function toIndexEntry(record) {
+  return {
+    marcsNumber: record.marcsNumber,
+    url: record.url,
+    title: record.title,
+    companyName: record.companyName || record.recipient?.company || null,
+    letterDate: record.letterDate,
+    issuingOffice: record.issuingOffice,
+    productType: record.productType,
+    contentLength: record.letterContent?.length || 0,
+    citations: record.citations || [],
+    taxonomy: record.taxonomy || [],
+    status: record.status || 'issued',
+    closeoutDate: record.closeoutDate || null,
+    archivedAt: record.archivedAt,
+    updatedAt: record.updatedAt
+  };
+}
+
+// ---------------------------
+// Archive
+// ---------------------------
+class LetterArchive {
+  constructor(dir) {
+    this.dir = dir;
+    this.indexFile = path.join(dir, 'index.json');
+    this.index = new Map();    // marcsNumber -> index entry
+    this.urlIndex = new Map(); // normalized url -> marcsNumber
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    try {
+      const entries = JSON.parse(await fs.readFile(this.indexFile, 'utf8'));
+      entries.forEach(entry => this.addToIndex(entry));
+    } catch {
+      // No index yet - first run
+    }
+
+    console.log(`✅ Letter archive initialized: ${this.index.size} letters`);
+  }
+
+  addToIndex(entry) {
+    this.index.set(entry.marcsNumber, entry);
+    if (entry.url) {
+      this.urlIndex.set(normalizeUrl(entry.url), entry.marcsNumber);
+    }
+  }
+
+  letterPath(marcsNumber) {
+    return path.join(this.dir, `${marcsNumber}.json`);
+  }
+
+  has(marcsNumber) {
+    return this.index.has(marcsNumber);
+  }
+
+  findKeyByUrl(url) {
+    return this.urlIndex.get(normalizeUrl(url)) || null;
+  }
+
+  // Full record; raw HTML is only included on request since it dominates the size
+  async get(marcsNumber, { includeHtml = false } = {}) {
+    if (!isValidKey(marcsNumber) || !this.index.has(marcsNumber)) return null;
+
+    try {
+      const record = JSON.parse(await fs.readFile(this.letterPath(marcsNumber), 'utf8'));
+      if (!includeHtml) delete record.rawHtml;
+      return record;
+    } catch (error) {
+      console.error(`Letter archive read error for ${marcsNumber}:`, error.message);
+      return null;
+    }
+  }
+
+  async getByUrl(url, options) {
+    const marcsNumber = this.findKeyByUrl(url);
+    return marcsNumber ? this.get(marcsNumber, options) : null;
+  }
+
+  list({ company, office, q, limit = 50, offset = 0 } = {}) {
+    let entries = Array.from(this.index.values());
+
+    if (company) {
+      const needle = company.toLowerCase();
+      entries = entries.filter(e => (e.companyName || '').toLowerCase().includes(needle));
+    }
+
+    if (office) {
+      const needle = office.toLowerCase();
+      entries = entries.filter(e => (e.issuingOffice || '').toLowerCase().includes(needle));
+    }
+
+    if (q) {
+      const needle = q.toLowerCase();
+      entries = entries.filter(e =>
+        (e.title || '').toLowerCase().includes(needle) ||
+        (e.companyName || '').toLowerCase().includes(needle) ||
+        e.marcsNumber.includes(needle)
+      );
+    }
+
+    entries.sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+
+    return {
+      total: entries.length,
+      letters: entries.slice(offset, offset + limit)
+    };
+  }
+
+  // Store (or refresh) a scraped letter. Keeps the original archive date and
+  // counts how often the published text has changed between scrapes.
+  async save(letterData, rawHtml) {
+    const { marcsNumber } = letterData;
+    if (!isValidKey(marcsNumber)) {
+      throw new Error(`Cannot archive letter without a valid MARCS-CMS number: ${letterData.url}`);
+    }
+
+    const existing = await this.get(marcsNumber);
+    const now = new Date().toISOString();
+    const contentHash = hashText(letterData.letterContent);
+
+    const record = {
+      ...existing,
+      ...letterData,
+      rawHtml: rawHtml || '',
+      contentHash,
+      revisions: existing
+        ? (existing.revisions || 1) + (existing.contentHash !== contentHash ? 1 : 0)
+        : 1,
+      archivedAt: existing?.archivedAt || now,
+      updatedAt: now
+    };
+
+    await this.enqueueWrite(async () => {
+      await fs.writeFile(this.letterPath(marcsNumber), JSON.stringify(record, null, 2));
+      this.addToIndex(toIndexEntry(record));
+      await this.saveIndex();
+    });
+
+    console.log(`🗄️ Archived warning letter ${marcsNumber} (${record.letterContent?.length || 0} chars)`);
+
+    const { rawHtml: _omitted, ...withoutHtml } = record;
+    return withoutHtml;
+  }
+
+  // Merge derived fields (e.g. re-extracted citations) into an archived letter
+  async update(marcsNumber, changes) {
+    const record = await this.get(marcsNumber, { includeHtml: true });
+    if (!record) return null;
+
+    const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+
+    await this.enqueueWrite(async () => {
+      await fs.writeFile(this.letterPath(marcsNumber), JSON.stringify(updated, null, 2));
+      this.addToIndex(toIndexEntry(updated));
+      await this.saveIndex();
+    });
+
+    const { rawHtml: _omitted, ...withoutHtml } = updated;
+    return withoutHtml;
+  }
+
+  async saveIndex() {
+    const entries = Array.from(this.index.values());
+    await fs.writeFile(this.indexFile, JSON.stringify(entries, null, 2));
+  }
+
+  // Serialize writes so concurrent scrapes don't clobber the index
+  enqueueWrite(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = {
+  LetterArchive,
+  normalizeUrl
+};
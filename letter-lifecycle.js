@@ -0,0 +1,206 @@
+// letter-lifecycle.js — Warning letter lifecycle tracking
+// A warning letter moves from issued to response posted (FDA publishes the
+// firm's response) to closed out (FDA posts a close-out letter for the same
+// MARCS-CMS number). This module recognizes response and close-out documents,
+// advances violation records through those states and computes time-to-close
+// metrics per company and issuing office.
+
+const { normalizeOffice } = require('./citation-extractor');
+
+const LIFECYCLE_STATES = ['issued', 'response_posted', 'closed_out'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------
+// Document detection
+// ---------------------------
+
+// FDA letter URLs end in the MARCS-CMS number and letter date, e.g. ...-710329-08222025
+function marcsFromUrl(url) {
+  const match = (url || '').replace(/[?#].*$/, '').match(/-(\d{5,7})-\d{8}\/?$/);
+  return match ? match[1] : null;
+}
+
+// Header of a letter: the address block and subject line before the
+// salutation. Warning letters themselves mention close-out and response
+// letters in their body ("...FDA may issue a close-out letter"), so only the
+// header says what kind of document a page is.
+function letterHeader(text) {
+  const start = text.substring(0, 1500);
+  const salutation = start.search(/\bDear\b/);
+  return salutation >= 0 ? start.substring(0, salutation) : start.substring(0, 400);
+}
+
+// 'closeout', 'response' or 'warning_letter' for a scraped page
+function detectLetterKind({ url = '', title = '', text = '' } = {}) {
+  const head = `${url} ${title} ${letterHeader(text)}`;
+
+  if (/close[\s-]?out\s+letter|warning\s+letter\s+close[\s-]?out|close-out-letter/i.test(head)) {
+    return 'closeout';
+  }
+  if (/response\s+(?:letter|to\s+(?:the\s+)?warning\s+letter)|warning-letter-response|response-letter/i.test(head)) {
+    return 'response';
+  }
+  return 'warning_letter';
+}
+
+// MARCS-CMS numbers a close-out or response letter refers back to
+function extractReferencedMarcs(text) {
+  const numbers = new Set();
+  const pattern = /(?:MARCS-CMS|CMS)\s*(?:#|No\.?|Number)?\s*:?\s*(\d{5,7})/gi;
+  let match;
+  while ((match = pattern.exec(text || '')) !== null) {
+    numbers.add(match[1]);
+  }
+  return Array.from(numbers);
+}
+
+// First full date in a document ("March 3, 2024" or 03/03/2024)
+function extractDocumentDate(text) {
+  const match = (text || '').match(/\b([A-Z][a-z]+\.?\s+\d{1,2},\s+\d{4})\b/) ||
+                (text || '').match(/\b(\d{1,2}\/\d{1,2}\/\d{4})\b/);
+  if (!match) return null;
+  const date = new Date(match[1]);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+// ---------------------------
+// State transitions
+// ---------------------------
+function stateRank(status) {
+  return LIFECYCLE_STATES.indexOf(status);
+}
+
+// Apply a response or close-out event ({ kind, url, date }) to a violation.
+// States only move forward; dates and links are filled in as they become known.
+// Returns true when anything changed.
+function applyLifecycleEvent(violation, { kind, url, date }) {
+  const field = kind === 'closeout' ? 'closeout' : kind === 'response' ? 'response' : null;
+  if (!field) return false;
+
+  let changed = false;
+  const target = field === 'closeout' ? 'closed_out' : 'response_posted';
+
+  if (url && violation[`${field}LetterUrl`] !== url) {
+    violation[`${field}LetterUrl`] = url;
+    changed = true;
+  }
+  if (date && !violation[`${field}Date`]) {
+    violation[`${field}Date`] = date;
+    (violation.statusHistory || [])
+      .filter(entry => entry.status === target && !entry.date)
+      .forEach(entry => { entry.date = date; });
+    changed = true;
+  }
+
+  if (stateRank(violation.status) < stateRank(target)) {
+    violation.status = target;
+    violation.statusHistory = [
+      ...(violation.statusHistory || []),
+      { status: target, date: date || null, detectedAt: new Date().toISOString() }
+    ];
+    changed = true;
+  }
+
+  return changed;
+}
+
+// Events implied by the response/close-out links on a listing item
+function lifecycleEventsForItem(item) {
+  const events = [];
+  if (item.responseLetterUrl) {
+    events.push({ kind: 'response', url: item.responseLetterUrl, date: item.responseDate || null });
+  }
+  if (item.closeoutLetterUrl) {
+    events.push({ kind: 'closeout', url: item.closeoutLetterUrl, date: item.closeoutDate || null });
+  }
+  return events;
+}
+
+// ---------------------------
+// Metrics
+// ---------------------------
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function daysBetween(from, to) {
+  const days = (new Date(to) - new Date(from)) / DAY_MS;
+  return isNaN(days) || days < 0 ? null : Math.round(days);
+}
+
+// Counts per state plus median days to response and to close-out.
+// `letters` are violation records ({ date, status, responseDate, closeoutDate, ... }).
+function summarizeLifecycle(letters) {
+  const byStatus = Object.fromEntries(LIFECYCLE_STATES.map(state => [state, 0]));
+  const toResponse = [];
+  const toCloseout = [];
+
+  letters.forEach(letter => {
+    byStatus[letter.status] = (byStatus[letter.status] || 0) + 1;
+
+    const responseDays = letter.responseDate ? daysBetween(letter.date, letter.responseDate) : null;
+    if (responseDays !== null) toResponse.push(responseDays);
+
+    const closeoutDays = letter.closeoutDate ? daysBetween(letter.date, letter.closeoutDate) : null;
+    if (closeoutDays !== null) toCloseout.push(closeoutDays);
+  });
+
+  return {
+    letters: letters.length,
+    by_status: byStatus,
+    open: letters.length - (byStatus.closed_out || 0),
+    closeout_rate: letters.length ? Math.round(((byStatus.closed_out || 0) / letters.length) * 100) : 0,
+    median_days_to_response: median(toResponse),
+    median_days_to_closeout: median(toCloseout),
+    dated_closeouts: toCloseout.length
+  };
+}
+
+// Lifecycle summary grouped by company or issuing office, largest groups first.
+// `records` are { company, letter } pairs.
+function lifecycleMetrics(records, { groupBy = 'company', company, office, limit = 50 } = {}) {
+  let filtered = records;
+  if (company) {
+    const needle = company.toLowerCase();
+    filtered = filtered.filter(r => (r.company || '').toLowerCase().includes(needle));
+  }
+  if (office) {
+    const needle = normalizeOffice(office);
+    filtered = filtered.filter(r => normalizeOffice(r.letter.issuingOffice) === needle);
+  }
+
+  const keyOf = groupBy === 'office'
+    ? r => normalizeOffice(r.letter.issuingOffice)
+    : r => r.company || 'Unknown Company';
+
+  const groups = new Map();
+  filtered.forEach(r => {
+    const key = keyOf(r);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r.letter);
+  });
+
+  return {
+    overall: summarizeLifecycle(filtered.map(r => r.letter)),
+    groups: Array.from(groups.entries())
+      .map(([key, letters]) => ({ key, ...summarizeLifecycle(letters) }))
+      .sort((a, b) => b.letters - a.letters)
+      .slice(0, limit)
+  };
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  marcsFromUrl,
+  detectLetterKind,
+  extractReferencedMarcs,
+  extractDocumentDate,
+  applyLifecycleEvent,
+  lifecycleEventsForItem,
+  summarizeLifecycle,
+  lifecycleMetrics
+};
@@ -0,0 +1,86 @@
+// migrate-storage.js — One-shot import of the JSON data files into MongoDB
+// Usage: MONGO_URI=mongodb://... node migrate-storage.js [--data-dir ./data] [--dry-run]
+// Safe to re-run: documents are upserted on their key, nothing is deleted.
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const { COLLECTIONS, createRepository } = require('./repository');
+
+const SOURCE_FILES = {
+  items: 'all_items.json',
+  companies: 'companies.json',
+  contacts: 'contacts.json',
+  alerts: 'alerts.json'
+};
+
+const BATCH_SIZE = 500;
+
+function parseArgs(argv) {
+  const args = { dataDir: './data', dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--data-dir') args.dataDir = argv[++i];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+  }
+  return args;
+}
+
+async function readDocs(file) {
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+async function migrate() {
+  const { dataDir, dryRun } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set');
+  }
+
+  console.log(`🚚 Migrating ${dataDir} into MongoDB${dryRun ? ' (dry run)' : ''}`);
+  await mongoose.connect(process.env.MONGO_URI);
+  const repository = createRepository({ backend: 'mongo', db: mongoose.connection.db });
+
+  const results = {};
+  for (const [name, fileName] of Object.entries(SOURCE_FILES)) {
+    const { key } = COLLECTIONS[name];
+    const docs = await readDocs(path.join(dataDir, fileName));
+    const valid = docs.filter(doc => doc && doc[key] !== undefined && doc[key] !== null);
+
+    if (!dryRun) {
+      await repository[name].initialize();
+      for (let i = 0; i < valid.length; i += BATCH_SIZE) {
+        await repository[name].upsertMany(valid.slice(i, i + BATCH_SIZE));
+      }
+    }
+
+    results[name] = {
+      read: docs.length,
+      imported: dryRun ? 0 : valid.length,
+      skipped: docs.length - valid.length,
+      total: dryRun ? null : await repository[name].count()
+    };
+    console.log(`   ${name}: ${valid.length} of ${docs.length} documents from ${fileName}` +
+      (results[name].skipped ? ` (${results[name].skipped} without "${key}" skipped)` : ''));
+  }
+
+  console.log('✅ Migration complete. Set STORAGE_BACKEND=mongo to serve from MongoDB.');
+  return results;
+}
+
+if (require.main === module) {
+  migrate()
+    .catch(error => {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.connection.close());
+}
+
+module.exports = { migrate };
@@ -0,0 +1,146 @@
+// news-links.js — Resolve Google News article links to publisher URLs
+// Google News feeds link to opaque news.google.com/rss/articles/<id> pages.
+// Older ids embed the publisher URL directly; newer ones have to be exchanged
+// through Google's batchexecute endpoint. Resolutions are cached on disk so
+// each link is only looked up once; failed lookups are retried after 1, 2,
+// 4... days (up to 30).
+
+const fs = require('fs').promises;
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const GOOGLE_NEWS_ARTICLE = /^https?:\/\/news\.google\.com\/(?:rss\/)?articles\/([^?#/]+)/i;
+const BATCH_EXECUTE_URL = 'https://news.google.com/_/DotsSplashUi/data/batchexecute';
+const LOOKUP_TIMEOUT_MS = 5000;   // per request; a lookup makes two
+const RETRY_DAYS = 1;
+const MAX_RETRY_DAYS = 30;
+
+const REQUEST_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+};
+
+function isGoogleNewsLink(url) {
+  return GOOGLE_NEWS_ARTICLE.test(url || '');
+}
+
+// Older article ids are base64 protobufs with the publisher URL in plain text
+function decodeGoogleNewsId(url) {
+  const match = (url || '').match(GOOGLE_NEWS_ARTICLE);
+  if (!match) return null;
+
+  const decoded = Buffer.from(match[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('latin1');
+  const found = decoded.match(/https?:\/\/[\x21-\x7e]+/);
+  return found ? found[0] : null;
+}
+
+// Newer ids: read the signature and timestamp off the article page, then ask
+// batchexecute for the URL they stand for
+async function exchangeGoogleNewsId(url) {
+  const id = url.match(GOOGLE_NEWS_ARTICLE)[1];
+  const page = await axios.get(`https://news.google.com/articles/${id}`, { headers: REQUEST_HEADERS, timeout: LOOKUP_TIMEOUT_MS });
+  const $ = cheerio.load(page.data);
+  const node = $('[data-n-a-sg]').first();
+  const signature = node.attr('data-n-a-sg');
+  const timestamp = node.attr('data-n-a-ts');
+  if (!signature || !timestamp) return null;
+
+  const request = [
+    'Fbv4je',
+    `["garturlreq",[["X","X",["X","X"],null,null,1,1,"US:en",null,1,null,null,null,null,null,0,1],"X","X",1,[1,1,1],1,1,null,0,0,null,0],"${id}",${timestamp},"${signature}"]`
+  ];
+  const response = await axios.post(
+    BATCH_EXECUTE_URL,
+    `f.req=${encodeURIComponent(JSON.stringify([[request]]))}`,
+    {
+      headers: { ...REQUEST_HEADERS, 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' },
+      timeout: LOOKUP_TIMEOUT_MS
+    }
+  );
+
+  // Body is ")]}'" followed by a JSON envelope whose payload is itself JSON
+  const envelope = JSON.parse(String(response.data).split('\n\n')[1]);
+  const payload = JSON.parse(envelope[0][2]);
+  return typeof payload[1] === 'string' && /^https?:\/\//.test(payload[1]) ? payload[1] : null;
+}
+
+// ---------------------------
+// Resolver with on-disk cache
+// ---------------------------
+class LinkResolver {
+  constructor(file) {
+    this.file = file;
+    this.cache = new Map(); // google url -> { resolved, method, resolvedAt } or { resolved: null, failedAt, error, attempts, retryAfter }
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      Object.entries(data).forEach(([url, entry]) => this.cache.set(url, entry));
+    } catch {
+      // No cache yet
+    }
+  }
+
+  // Whether a failed lookup of `url` is still waiting to be retried
+  waiting(url, now = Date.now()) {
+    const cached = this.cache.get(url);
+    if (!cached || cached.resolved) return false;
+    // Failures recorded before retryAfter wait a day
+    const retryAfter = cached.retryAfter || new Date(new Date(cached.failedAt).getTime() + RETRY_DAYS * 24 * 60 * 60 * 1000);
+    return new Date(retryAfter).getTime() > now;
+  }
+
+  // Whether resolving `url` takes a network lookup: a Google News link that
+  // isn't cached, can't be decoded offline and isn't waiting after a failure
+  needsLookup(url) {
+    return isGoogleNewsLink(url) && !this.cache.get(url)?.resolved && !decodeGoogleNewsId(url) && !this.waiting(url);
+  }
+
+  // Publisher URL, or null when the link can't be resolved (yet).
+  // `allowNetwork: false` only uses the cache and offline decoding.
+  async resolve(url, { allowNetwork = true } = {}) {
+    if (!isGoogleNewsLink(url)) return url;
+
+    const cached = this.cache.get(url);
+    if (cached?.resolved) return cached.resolved;
+    if (this.waiting(url)) return null;
+
+    const decoded = decodeGoogleNewsId(url);
+    if (decoded) {
+      this.cache.set(url, { resolved: decoded, method: 'decoded', resolvedAt: new Date().toISOString() });
+      return decoded;
+    }
+
+    if (!allowNetwork) return null;
+
+    try {
+      const exchanged = await exchangeGoogleNewsId(url);
+      if (exchanged) {
+        this.cache.set(url, { resolved: exchanged, method: 'batchexecute', resolvedAt: new Date().toISOString() });
+        return exchanged;
+      }
+      throw new Error('No publisher URL in response');
+    } catch (error) {
+      const attempts = (cached?.attempts || 0) + 1;
+      const days = Math.min(RETRY_DAYS * 2 ** (attempts - 1), MAX_RETRY_DAYS);
+      this.cache.set(url, {
+        resolved: null,
+        failedAt: new Date().toISOString(),
+        error: error.message,
+        attempts,
+        retryAfter: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+      });
+      return null;
+    }
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Object.fromEntries(this.cache), null, 2));
+  }
+}
+
+module.exports = {
+  LinkResolver,
+  isGoogleNewsLink,
+  decodeGoogleNewsId
+};
@@ -0,0 +1,299 @@
+// pdf-documents.js — PDF ingestion for FDA documents
+// Downloads linked PDFs (Form 483s, CRLs, establishment inspection reports),
+// extracts text page by page with pdf-parse (pure JavaScript, no native deps),
+// splits Form 483s into numbered observations and keeps the results on disk so
+// each document is only fetched and parsed once.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+// Required from lib/ directly: the package entry point runs a self-test when loaded without a parent
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { extractCitations, extractRepeatMarkers } = require('./citation-extractor');
+
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+const RETRY_DAYS = 1;       // a failed download is retried after 1, 2, 4... days
+const MAX_RETRY_DAYS = 30;
+const FAILURES_FILE = 'failures.json';
+
+// ---------------------------
+// Download & text extraction
+// ---------------------------
+function isPdfLink(url) {
+  return /\.pdf(?:$|[?#])/i.test(url || '') || /\/media\/\d+\/download/i.test(url || '');
+}
+
+async function downloadPdf(url) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+      'Accept': 'application/pdf,*/*;q=0.8'
+    },
+    timeout: 30000,
+    maxRedirects: 5,
+    maxContentLength: MAX_PDF_BYTES
+  });
+
+  const buffer = Buffer.from(response.data);
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    throw new Error(`Not a PDF document: ${url}`);
+  }
+  return buffer;
+}
+
+// Text of every page, keeping line breaks where the baseline changes
+async function extractPdfText(buffer) {
+  const pages = [];
+
+  // pdf.js reads the underlying ArrayBuffer, so give it a copy that owns one
+  // (small Node Buffers are slices of a shared pool)
+  const result = await pdfParse(new Uint8Array(buffer), {
+    pagerender: pageData => pageData.getTextContent({ normalizeWhitespace: true })
+      .then(content => {
+        let lastY;
+        let text = '';
+        for (const item of content.items) {
+          text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
+        }
+        pages[pageData.pageIndex] = text;
+        return text;
+      })
+  });
+
+  return {
+    numPages: result.numpages,
+    info: result.info || {},
+    pages: pages.map(p => p || '')
+  };
+}
+
+// ---------------------------
+// Form 483 structure
+// ---------------------------
+
+// Header block and page furniture repeated on every page of a 483
+const FORM_483_BOILERPLATE = [
+  /^DEPARTMENT OF HEALTH AND HUMAN SERVICES/i,
+  /^FOOD AND DRUG ADMINISTRATION$/i,
+  /^DISTRICT (?:ADDRESS|OFFICE) AND PHONE NUMBER/i,
+  /^(?:NAME AND TITLE OF INDIVIDUAL|FIRM NAME|STREET ADDRESS|CITY, STATE|TYPE OF ESTABLISHMENT|DATE\(S\) OF INSPECTION|FEI NUMBER)/i,
+  /FORM FDA 483/i,
+  /PREVIOUS EDITION OBSOLETE/i,
+  /^INSPECTIONAL OBSERVATIONS$/i,
+  /^PAGE \d+ OF \d+ PAGES?$/i,
+  /EMPLOYEE\(S\) SIGNATURE/i,
+  /^SEE REVERSE$/i,
+  /^OF THIS PAGE$/i,
+  /^DATE ISSUED$/i
+];
+
+function isForm483(text) {
+  return /FORM FDA 483/i.test(text) || /INSPECTIONAL OBSERVATIONS/i.test(text);
+}
+
+function stripBoilerplate(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !FORM_483_BOILERPLATE.some(pattern => pattern.test(line)))
+    .join('\n');
+}
+
+// Value on the line after a 483 header label
+function labeledValue(text, label) {
+  const match = text.match(new RegExp(`${label}[^\\n]*\\n\\s*([^\\n]+)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function parse483Header(text) {
+  const range = text.match(/(\d{1,2}\/\d{1,2}\/\d{2,4})\s*(?:-|–|to|through)\s*(\d{1,2}\/\d{1,2}\/\d{2,4})/);
+  const fei = text.match(/FEI\s+NUMBER\s*:?\s*\n?\s*(\d{7,10})/i);
+
+  return {
+    fei: fei ? fei[1] : null,
+    firmName: labeledValue(text, 'FIRM NAME'),
+    street: labeledValue(text, 'STREET ADDRESS'),
+    cityStateZip: labeledValue(text, 'CITY, STATE'),
+    establishmentType: labeledValue(text, 'TYPE OF ESTABLISHMENT INSPECTED'),
+    issuedTo: labeledValue(text, 'NAME AND TITLE OF INDIVIDUAL TO WHOM REPORT IS(?:SUED)?'),
+    inspectionStart: range ? range[1] : null,
+    inspectionEnd: range ? range[2] : null
+  };
+}
+
+// Numbered observations ("OBSERVATION 1" ...) with their citations and repeat flags
+function split483Observations(text) {
+  const body = stripBoilerplate(text);
+  const markers = [];
+  const pattern = /(?:^|\n)\s*OBSERVATION\s+(\d+)\b/gi;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    markers.push({ number: parseInt(match[1], 10), start: match.index, bodyStart: pattern.lastIndex });
+  }
+
+  return markers.map((marker, i) => {
+    const end = i + 1 < markers.length ? markers[i + 1].start : body.length;
+    const observation = body.slice(marker.bodyStart, end).replace(/\s+/g, ' ').trim();
+    return {
+      number: marker.number,
+      text: observation,
+      repeat: extractRepeatMarkers(observation).length > 0,
+      citations: extractCitations(observation)
+    };
+  });
+}
+
+// Download, parse and structure a PDF
+async function extractPdfDocument(url) {
+  const buffer = await downloadPdf(url);
+  const { numPages, info, pages } = await extractPdfText(buffer);
+  const text = pages.join('\n\n');
+  const form483 = isForm483(text);
+
+  return {
+    url,
+    numPages,
+    title: info.Title || null,
+    author: info.Author || null,
+    pages,
+    text,
+    textLength: text.length,
+    // Image-only scans come back (almost) empty; we don't OCR them
+    needsOcr: text.replace(/\s+/g, '').length < 40 * Math.max(1, numPages),
+    isForm483: form483,
+    header: form483 ? parse483Header(text) : null,
+    observations: form483 ? split483Observations(text) : [],
+    citations: extractCitations(text),
+    sizeBytes: buffer.length,
+    extractedAt: new Date().toISOString()
+  };
+}
+
+// Compact view stored on items; the full text stays in the document store
+function summarizeDocument(doc) {
+  return {
+    url: doc.url,
+    numPages: doc.numPages,
+    textLength: doc.textLength,
+    needsOcr: doc.needsOcr,
+    isForm483: doc.isForm483,
+    observationCount: doc.observations.length,
+    extractedAt: doc.extractedAt
+  };
+}
+
+// ---------------------------
+// Document store
+// ---------------------------
+class PdfDocumentStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.keys = new Set();
+    this.failures = new Map(); // key -> { url, error, attempts, failedAt, retryAfter }
+  }
+
+  async initialize() {
+    await fs.mkdir(this.dir, { recursive: true });
+    const files = await fs.readdir(this.dir);
+    files
+      .filter(file => file.endsWith('.json') && file !== FAILURES_FILE)
+      .forEach(file => this.keys.add(file.replace(/\.json$/, '')));
+    try {
+      const failures = JSON.parse(await fs.readFile(path.join(this.dir, FAILURES_FILE), 'utf8'));
+      failures.forEach(failure => this.failures.set(this.keyFor(failure.url), failure));
+    } catch {
+      // No failed downloads yet
+    }
+    console.log(`✅ PDF document store initialized: ${this.keys.size} documents, ${this.failures.size} failed`);
+  }
+
+  keyFor(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+  }
+
+  has(url) {
+    return this.keys.has(this.keyFor(url));
+  }
+
+  async get(url) {
+    const key = this.keyFor(url);
+    if (!this.keys.has(key)) return null;
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.dir, `${key}.json`), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async save(doc) {
+    const key = this.keyFor(doc.url);
+    await fs.writeFile(path.join(this.dir, `${key}.json`), JSON.stringify(doc, null, 2));
+    this.keys.add(key);
+    if (this.failures.delete(key)) await this.saveFailures();
+    return doc;
+  }
+
+  // The recorded failure for `url` while it is still waiting to be retried
+  failure(url, now = Date.now()) {
+    const failure = this.failures.get(this.keyFor(url));
+    return failure && new Date(failure.retryAfter).getTime() > now ? failure : null;
+  }
+
+  async recordFailure(url, error) {
+    const key = this.keyFor(url);
+    const attempts = (this.failures.get(key)?.attempts || 0) + 1;
+    const days = Math.min(RETRY_DAYS * 2 ** (attempts - 1), MAX_RETRY_DAYS);
+    const failure = {
+      url,
+      error: error.message,
+      attempts,
+      failedAt: new Date().toISOString(),
+      retryAfter: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+    };
+    this.failures.set(key, failure);
+    await this.saveFailures();
+    return failure;
+  }
+
+  async saveFailures() {
+    await fs.writeFile(path.join(this.dir, FAILURES_FILE), JSON.stringify(Array.from(this.failures.values()), null, 2));
+  }
+
+  // Stored copy if we have one, otherwise download and parse. A document that
+  // failed recently isn't fetched again until its retry time unless `refresh`.
+  async getOrExtract(url, { refresh = false } = {}) {
+    if (!refresh) {
+      const stored = await this.get(url);
+      if (stored) return stored;
+
+      const failure = this.failure(url);
+      if (failure) {
+        throw new Error(`Extraction failed ${failure.attempts} time(s) (${failure.error}); retrying after ${failure.retryAfter}`);
+      }
+    }
+
+    let doc;
+    try {
+      doc = await extractPdfDocument(url);
+    } catch (error) {
+      await this.recordFailure(url, error);
+      throw error;
+    }
+    return this.save(doc);
+  }
+}
+
+module.exports = {
+  PdfDocumentStore,
+  isPdfLink,
+  downloadPdf,
+  extractPdfText,
+  extractPdfDocument,
+  parse483Header,
+  split483Observations,
+  summarizeDocument
+};
@@ -0,0 +1,298 @@
+// repository.js — Storage layer for items, companies, contacts and alerts
+// Two interchangeable backends behind the same collection interface:
+//   - JSON files: loaded once into memory with in-memory indexes, written
+//     atomically through a per-collection queue so concurrent writers can't
+//     interleave
+//   - MongoDB: one indexed collection per data set, on the connection the
+//     app already uses for users and audit logs
+// Select with STORAGE_BACKEND=json|mongo (default json).
+
+const fs = require('fs').promises;
+
+// key: unique field per document; indexes: fields looked up by equality or range
+const COLLECTIONS = {
+  items: {
+    key: 'id',
+    mongoName: 'fda_items',
+    indexes: ['company', 'types', 'sourceCategory', 'eventId', 'date']
+  },
+  companies: {
+    key: 'name',
+    mongoName: 'fda_companies',
+    indexes: ['aliases', 'risk_score']
+  },
+  contacts: {
+    key: 'company',
+    mongoName: 'fda_contacts',
+    indexes: ['domain']
+  },
+  alerts: {
+    key: 'id',
+    mongoName: 'fda_alerts',
+    indexes: ['company', 'type', 'date']
+  }
+};
+
+// ---------------------------
+// Queries
+// ---------------------------
+// Both backends accept the same small Mongo-style query subset: top-level
+// fields, equality (array fields match on any element), and $gt/$gte/$lt/$lte/$in/$ne.
+const OPERATORS = {
+  $gt: (value, operand) => value > operand,
+  $gte: (value, operand) => value >= operand,
+  $lt: (value, operand) => value < operand,
+  $lte: (value, operand) => value <= operand,
+  $in: (value, operand) => Array.isArray(value)
+    ? value.some(v => operand.includes(v))
+    : operand.includes(value),
+  $ne: (value, operand) => Array.isArray(value) ? !value.includes(operand) : value !== operand
+};
+
+function isOperatorObject(condition) {
+  return condition && typeof condition === 'object' && !Array.isArray(condition) &&
+    Object.keys(condition).every(op => op.startsWith('$'));
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([field, condition]) => {
+    const value = doc[field];
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([op, operand]) => {
+        if (!OPERATORS[op]) throw new Error(`Unsupported query operator ${op}`);
+        if (value === undefined || value === null) return op === '$ne';
+        return OPERATORS[op](value, operand);
+      });
+    }
+    return Array.isArray(value) ? value.includes(condition) : value === condition;
+  });
+}
+
+function compareBy(sort) {
+  const [[field, direction]] = Object.entries(sort);
+  return (a, b) => {
+    if (a[field] === b[field]) return 0;
+    if (a[field] === undefined || a[field] === null) return 1;
+    if (b[field] === undefined || b[field] === null) return -1;
+    return (a[field] > b[field] ? 1 : -1) * direction;
+  };
+}
+
+// ---------------------------
+// JSON file backend
+// ---------------------------
+class JsonCollection {
+  constructor(name, file, { key, indexes }) {
+    this.name = name;
+    this.file = file;
+    this.key = key;
+    this.indexFields = indexes;
+    this.docs = new Map();    // key -> doc
+    this.indexes = new Map(); // field -> Map(value -> Set(key))
+    this.writeQueue = Promise.resolve();
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(doc => this.docs.set(doc[this.key], doc));
+    } catch {
+      // No file yet - starts empty
+    }
+    this.rebuildIndexes();
+  }
+
+  rebuildIndexes() {
+    this.indexes = new Map(this.indexFields.map(field => [field, new Map()]));
+    this.docs.forEach(doc => this.indexDoc(doc));
+  }
+
+  indexDoc(doc) {
+    this.indexes.forEach((index, field) => {
+      const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+      values.filter(v => v !== undefined && v !== null).forEach(value => {
+        if (!index.has(value)) index.set(value, new Set());
+        index.get(value).add(doc[this.key]);
+      });
+    });
+  }
+
+  unindexDoc(doc) {
+    this.indexes.forEach((index, field) => {
+      const values = Array.isArray(doc[field]) ? doc[field] : [doc[field]];
+      values.forEach(value => index.get(value)?.delete(doc[this.key]));
+    });
+  }
+
+  // Candidate docs for a query: narrowed through an equality index when one applies
+  candidates(query) {
+    const indexed = Object.entries(query)
+      .find(([field, condition]) => this.indexes.has(field) && !isOperatorObject(condition));
+    if (!indexed) return Array.from(this.docs.values());
+
+    const [field, value] = indexed;
+    return Array.from(this.indexes.get(field).get(value) || []).map(key => this.docs.get(key));
+  }
+
+  async find(query = {}, { sort, skip = 0, limit } = {}) {
+    let docs = this.candidates(query).filter(doc => matches(doc, query));
+    if (sort) docs.sort(compareBy(sort));
+    return limit ? docs.slice(skip, skip + limit) : docs.slice(skip);
+  }
+
+  async findAll() {
+    return Array.from(this.docs.values());
+  }
+
+  async findById(key) {
+    return this.docs.get(key) || null;
+  }
+
+  async count(query = {}) {
+    return Object.keys(query).length ? (await this.find(query)).length : this.docs.size;
+  }
+
+  async upsert(doc) {
+    return this.upsertMany([doc]);
+  }
+
+  async upsertMany(docs) {
+    docs.forEach(doc => {
+      const existing = this.docs.get(doc[this.key]);
+      if (existing) this.unindexDoc(existing);
+      this.docs.set(doc[this.key], doc);
+      this.indexDoc(doc);
+    });
+    await this.persist();
+  }
+
+  // Replace the whole collection with `docs`
+  async replaceAll(docs) {
+    this.docs = new Map(docs.map(doc => [doc[this.key], doc]));
+    this.rebuildIndexes();
+    await this.persist();
+  }
+
+  async remove(key) {
+    const existing = this.docs.get(key);
+    if (!existing) return false;
+    this.unindexDoc(existing);
+    this.docs.delete(key);
+    await this.persist();
+    return true;
+  }
+
+  // Writes are serialized and go through a temp file + rename, so a reader
+  // never sees a half-written file and two writers can't interleave
+  persist() {
+    const write = async () => {
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(Array.from(this.docs.values()), null, 2));
+      await fs.rename(tmp, this.file);
+    };
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+// ---------------------------
+// MongoDB backend
+// ---------------------------
+class MongoCollection {
+  constructor(name, db, { key, mongoName, indexes }) {
+    this.name = name;
+    this.key = key;
+    this.indexFields = indexes;
+    this.collection = db.collection(mongoName);
+  }
+
+  async initialize() {
+    await this.collection.createIndexes([
+      { key: { [this.key]: 1 }, unique: true },
+      ...this.indexFields.map(field => ({ key: { [field]: 1 } }))
+    ]);
+  }
+
+  async find(query = {}, { sort, skip = 0, limit } = {}) {
+    let cursor = this.collection.find(query, { projection: { _id: 0 } });
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  async findAll() {
+    return this.find();
+  }
+
+  async findById(key) {
+    return this.collection.findOne({ [this.key]: key }, { projection: { _id: 0 } });
+  }
+
+  async count(query = {}) {
+    return this.collection.countDocuments(query);
+  }
+
+  async upsert(doc) {
+    return this.upsertMany([doc]);
+  }
+
+  async upsertMany(docs) {
+    if (docs.length === 0) return;
+    await this.collection.bulkWrite(docs.map(doc => ({
+      replaceOne: { filter: { [this.key]: doc[this.key] }, replacement: withoutId(doc), upsert: true }
+    })), { ordered: false });
+  }
+
+  async replaceAll(docs) {
+    await this.upsertMany(docs);
+    await this.collection.deleteMany({ [this.key]: { $nin: docs.map(doc => doc[this.key]) } });
+  }
+
+  async remove(key) {
+    const result = await this.collection.deleteOne({ [this.key]: key });
+    return result.deletedCount > 0;
+  }
+}
+
+function withoutId(doc) {
+  const { _id, ...rest } = doc;
+  return rest;
+}
+
+// ---------------------------
+// Repository
+// ---------------------------
+// `files` maps collection name -> JSON file path; `db` is a connected MongoDB
+// database, required for the mongo backend.
+function createRepository({ backend = 'json', files = {}, db = null } = {}) {
+  if (backend === 'mongo' && !db) {
+    throw new Error('MongoDB backend needs a database connection');
+  }
+  if (!['json', 'mongo'].includes(backend)) {
+    throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  const repository = { backend };
+  Object.entries(COLLECTIONS).forEach(([name, spec]) => {
+    repository[name] = backend === 'mongo'
+      ? new MongoCollection(name, db, spec)
+      : new JsonCollection(name, files[name], spec);
+  });
+
+  repository.initialize = async () => {
+    for (const name of Object.keys(COLLECTIONS)) {
+      await repository[name].initialize();
+    }
+    const counts = await Promise.all(Object.keys(COLLECTIONS).map(name => repository[name].count()));
+    console.log(`✅ Repository initialized (${backend}): ${Object.keys(COLLECTIONS).map((name, i) => `${counts[i]} ${name}`).join(', ')}`);
+  };
+
+  return repository;
+}
+
+module.exports = {
+  COLLECTIONS,
+  createRepository,
+  matches
+};
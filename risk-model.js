@@ -0,0 +1,318 @@
+// risk-model.js — Explainable company risk score (model v2) and its daily history
+// A company's score is the sum of the factors in RISK_FACTORS, each worth up to
+// its weight in points (the weights add up to 100). Every factor reports the
+// value it scored (0-1) and the facts behind it, so a score can be read back to
+// the violations that produced it. Only violations from the last three years
+// count.
+
+const fs = require('fs').promises;
+
+const RISK_MODEL_VERSION = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = 3 * 365;
+const HALF_LIFE_DAYS = 365;
+const MAX_HISTORY = 730; // two years of daily snapshots per company
+
+const RISK_FACTORS = [
+  {
+    key: 'recency',
+    label: 'Recent violations',
+    weight: 30,
+    description: 'Violations weighted by age (half-life one year); news mentions count a quarter of an enforcement action. Four fresh violations score about 63%.'
+  },
+  {
+    key: 'severity',
+    label: 'Severity mix',
+    weight: 20,
+    description: 'Age-weighted mean severity of the violations: 4 or below scores nothing, 10 scores in full.'
+  },
+  {
+    key: 'escalation',
+    label: 'Enforcement escalation',
+    weight: 20,
+    description: 'Highest stage reached on the ladder Form 483 -> warning letter -> import alert -> consent decree, plus a quarter when the company climbed from a lower stage to a higher one.'
+  },
+  {
+    key: 'repeat',
+    label: 'Repeat CFR citations',
+    weight: 15,
+    description: '21 CFR sections cited in more than one letter, or called out by FDA as a repeat observation. Two such sections score about 63%.'
+  },
+  {
+    key: 'open_letters',
+    label: 'Open warning letters',
+    weight: 15,
+    description: 'Warning letters not yet closed out. Each counts half when issued and in full once a year old; two full letters score in full.'
+  }
+];
+
+const RISK_LEVELS = [
+  { level: 'critical', min: 70 },
+  { level: 'high', min: 45 },
+  { level: 'medium', min: 20 },
+  { level: 'low', min: 0 }
+];
+
+const ESCALATION_STAGES = {
+  form_483: 1,
+  warning_letter: 2,
+  import_alert: 3,
+  consent_decree: 4
+};
+const TOP_STAGE = 4;
+
+// Non-enforcement mentions (press, trade news) still say something, just less
+const TYPE_WEIGHTS = { regulatory_news: 0.25 };
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ageInDays(date, now) {
+  const time = new Date(date).getTime();
+  return isNaN(time) ? Infinity : Math.max(0, (now - time) / DAY_MS);
+}
+
+// 0 -> 0, grows towards 1; `scale` is the input that scores about 0.63
+function saturate(value, scale) {
+  return 1 - Math.exp(-value / scale);
+}
+
+function decay(days) {
+  return 0.5 ** (days / HALF_LIFE_DAYS);
+}
+
+function levelFor(score) {
+  return RISK_LEVELS.find(({ min }) => score >= min).level;
+}
+
+// ---------------------------
+// Factors
+// ---------------------------
+function recencyFactor(violations, now) {
+  const weighted = violations.reduce((sum, v) =>
+    sum + decay(ageInDays(v.date, now)) * (TYPE_WEIGHTS[v.type] ?? 1), 0);
+  return {
+    value: saturate(weighted, 4),
+    detail: {
+      weightedViolations: round(weighted),
+      last12Months: violations.filter(v => ageInDays(v.date, now) <= 365).length,
+      inWindow: violations.length
+    }
+  };
+}
+
+function severityFactor(violations, now) {
+  const bands = { critical: 0, high: 0, medium: 0, low: 0 };
+  let weightSum = 0;
+  let severitySum = 0;
+
+  violations.forEach(v => {
+    const severity = v.severity || 5;
+    const weight = decay(ageInDays(v.date, now)) * (TYPE_WEIGHTS[v.type] ?? 1);
+    weightSum += weight;
+    severitySum += severity * weight;
+    if (severity >= 9) bands.critical++;
+    else if (severity >= 7) bands.high++;
+    else if (severity >= 5) bands.medium++;
+    else bands.low++;
+  });
+
+  const mean = weightSum > 0 ? severitySum / weightSum : 0;
+  return {
+    // Severity 4 or below adds nothing; 10 scores in full
+    value: Math.min(1, Math.max(0, (mean - 4) / 6)),
+    detail: { weightedMeanSeverity: round(mean, 1), bands }
+  };
+}
+
+function escalationFactor(violations) {
+  const path = [];
+  let highest = 0;
+
+  violations
+    .filter(v => ESCALATION_STAGES[v.type])
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach(v => {
+      const stage = ESCALATION_STAGES[v.type];
+      if (stage <= highest) return;
+      highest = stage;
+      path.push({ type: v.type, date: v.date, link: v.link });
+    });
+
+  const escalated = path.length > 1;
+  return {
+    value: Math.min(1, highest / TOP_STAGE + (escalated ? 0.25 : 0)),
+    detail: {
+      stage: path.length > 0 ? path[path.length - 1].type : null,
+      escalated,
+      path
+    }
+  };
+}
+
+function cfrSection(citation) {
+  if (citation.type !== 'cfr') return null;
+  return `21 CFR ${citation.section || citation.part}`;
+}
+
+// `citationsOf(violation)` returns the citations extracted from its letter
+function repeatFactor(violations, citationsOf) {
+  const sections = new Map(); // section -> { letters, flaggedRepeat }
+
+  violations.forEach(v => {
+    const cited = new Map();
+    (citationsOf(v) || []).forEach(citation => {
+      const section = cfrSection(citation);
+      if (section) cited.set(section, cited.get(section) || !!citation.repeat);
+    });
+    cited.forEach((flagged, section) => {
+      const entry = sections.get(section) || { section, letters: 0, flaggedRepeat: false };
+      entry.letters++;
+      entry.flaggedRepeat = entry.flaggedRepeat || flagged;
+      sections.set(section, entry);
+    });
+  });
+
+  const repeated = Array.from(sections.values())
+    .filter(entry => entry.letters > 1 || entry.flaggedRepeat)
+    .sort((a, b) => b.letters - a.letters || a.section.localeCompare(b.section));
+
+  return {
+    value: saturate(repeated.length, 2),
+    detail: {
+      repeatedSections: repeated.length,
+      citedSections: sections.size,
+      top: repeated.slice(0, 5)
+    }
+  };
+}
+
+function openLettersFactor(violations, now) {
+  const letters = violations.filter(v => v.type === 'warning_letter');
+  const open = letters.filter(v => v.status !== 'closed_out');
+  // An open letter counts half at issue and in full once it is a year old
+  const weighted = open.reduce((sum, v) => sum + 0.5 + 0.5 * Math.min(1, ageInDays(v.date, now) / 365), 0);
+  const oldest = open.reduce((max, v) => Math.max(max, ageInDays(v.date, now)), 0);
+
+  return {
+    value: Math.min(1, weighted / 2),
+    detail: {
+      open: open.length,
+      responsePosted: open.filter(v => v.status === 'response_posted').length,
+      closedOut: letters.length - open.length,
+      oldestOpenDays: open.length > 0 ? Math.round(oldest) : null
+    }
+  };
+}
+
+// ---------------------------
+// Scoring
+// ---------------------------
+
+// Score a company record. Options: `citationsOf(violation)` for the repeat
+// factor, `now` for scoring as of another date.
+function assessRisk(company, { citationsOf = () => [], now = new Date() } = {}) {
+  const time = now.getTime();
+  // Violations dated after `now` haven't happened yet as of then
+  const violations = (company.violations || []).filter(v =>
+    new Date(v.date).getTime() <= time && ageInDays(v.date, time) <= WINDOW_DAYS
+  );
+
+  const computed = {
+    recency: recencyFactor(violations, time),
+    severity: severityFactor(violations, time),
+    escalation: escalationFactor(violations),
+    repeat: repeatFactor(violations, citationsOf),
+    open_letters: openLettersFactor(violations, time)
+  };
+
+  const factors = RISK_FACTORS.map(({ key, label, weight }) => ({
+    key,
+    label,
+    weight,
+    value: round(computed[key].value),
+    points: round(computed[key].value * weight, 1),
+    detail: computed[key].detail
+  }));
+  const score = Math.min(100, Math.round(factors.reduce((sum, f) => sum + f.points, 0)));
+
+  return {
+    version: RISK_MODEL_VERSION,
+    score,
+    level: levelFor(score),
+    factors,
+    computedAt: now.toISOString()
+  };
+}
+
+// ---------------------------
+// History
+// ---------------------------
+class RiskHistory {
+  constructor(file) {
+    this.file = file;
+    this.companies = new Map(); // company -> [{ date, score, level, factors }], oldest first
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      Object.entries(data || {}).forEach(([name, snapshots]) => this.companies.set(name, snapshots));
+    } catch {
+      // No file yet - starts empty
+    }
+    console.log(`✅ Risk history initialized: ${this.companies.size} companies`);
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Object.fromEntries(this.companies), null, 2));
+  }
+
+  // Most recent snapshot date across companies (YYYY-MM-DD)
+  lastSnapshotDate() {
+    let last = null;
+    this.companies.forEach(snapshots => {
+      const date = snapshots[snapshots.length - 1]?.date;
+      if (date && (!last || date > last)) last = date;
+    });
+    return last;
+  }
+
+  // Record the day's assessment; a second snapshot on the same day replaces the first
+  record(name, assessment, date) {
+    const snapshots = this.companies.get(name) || [];
+    const snapshot = {
+      date,
+      score: assessment.score,
+      level: assessment.level,
+      factors: Object.fromEntries(assessment.factors.map(f => [f.key, f.points]))
+    };
+
+    if (snapshots.length > 0 && snapshots[snapshots.length - 1].date === date) {
+      snapshots[snapshots.length - 1] = snapshot;
+    } else {
+      snapshots.push(snapshot);
+    }
+    this.companies.set(name, snapshots.slice(-MAX_HISTORY));
+  }
+
+  // Snapshots on or after `since` (YYYY-MM-DD), oldest first
+  get(name, { since = null } = {}) {
+    return (this.companies.get(name) || []).filter(s => !since || s.date >= since);
+  }
+}
+
+module.exports = {
+  RISK_MODEL_VERSION,
+  RISK_FACTORS,
+  RISK_LEVELS,
+  ESCALATION_STAGES,
+  MAX_HISTORY,
+  assessRisk,
+  RiskHistory
+};
@@ -7,6 +7,8 @@ const cors = require('cors');
 const fs = require('fs').promises;
 const path = require('path');
 const cron = require('node-cron');
+const { SearchIndex, itemDocument, scopedQuery } = require('./search-index');
+const { SourceRegistry } = require('./source-registry');
 
 const app = express();
 const parser = new Parser({
@@ -28,115 +30,8 @@ const FORM_483_FILE = path.join(DATA_DIR, 'form_483.json');
 const ALL_ITEMS_FILE = path.join(DATA_DIR, 'all_items.json');
 const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
 
-// Feed Sources Configuration
-const FEED_SOURCES = {
-  // Official FDA Feeds
-  fda_official: [
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/press-releases/rss.xml',
-      name: 'FDA Press Announcements',
-      category: 'official',
-      priority: 1
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/whats-new-drugs/rss.xml',
-      name: 'FDA CDER Updates',
-      category: 'official',
-      priority: 1
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/medwatch/rss.xml',
-      name: 'FDA MedWatch Safety',
-      category: 'official',
-      priority: 1
-    }
-  ],
-  
-  // Industry Trade Press
-  trade_press: [
-    {
-      url: 'https://www.fiercepharma.com/rss/xml',
-      name: 'FiercePharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.fiercebiotech.com/rss/xml',
-      name: 'FierceBiotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/pharma/feed/',
-      name: 'STAT News Pharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/biotech/feed/',
-      name: 'STAT News Biotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.biospace.com/rss',
-      name: 'BioSpace',
-      category: 'trade',
-      priority: 3
-    },
-    {
-      url: 'https://www.raps.org/rss/regulatory-focus',
-      name: 'RAPS Regulatory Focus',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.biopharmadive.com/feeds/news/',
-      name: 'BioPharma Dive',
-      category: 'trade',
-      priority: 3
-    }
-  ],
-  
-  // Google News Queries
-  google_news: [
-    {
-      url: 'https://news.google.com/rss/search?q=%22Complete%20Response%20Letter%22%20FDA&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - CRLs',
-      category: 'google',
-      type: 'crl',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20%22Warning%20Letters%22&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - FDA Warning Letters',
-      category: 'google',
-      type: 'warning',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20OPDP%20%28%22Untitled%20Letter%22%20OR%20%22Warning%20Letter%22%29&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - OPDP Letters',
-      category: 'google',
-      type: 'opdp',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=FDA%20%22Form%20483%22%20observations&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Form 483',
-      category: 'google',
-      type: '483',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=%28%22Complete%20Response%20Letter%22%20OR%20CRL%29%20site%3Aendpts.com%20OR%20site%3Astatnews.com%20OR%20site%3Afiercebiotech.com%20OR%20site%3Afiercepharma.com&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - CRL Trade Coverage',
-      category: 'google',
-      type: 'crl',
-      priority: 3
-    }
-  ]
-};
+// Feed sources come from the registry the main server manages (data/sources.json)
+const sourceRegistry = new SourceRegistry(path.join(DATA_DIR, 'sources.json'));
 
 // Classification keywords
 const CLASSIFIERS = {
@@ -176,6 +71,8 @@ async function initStorage() {
         console.log(`Created: ${file}`);
       }
     }
+    
+    await sourceRegistry.initialize();
   } catch (error) {
     console.error('Storage init error:', error);
   }
@@ -364,11 +261,8 @@ async function aggregateAllSources() {
   allItems.push(...warningLetters);
   
   // 2. Fetch all RSS feeds
-  const allFeeds = [
-    ...FEED_SOURCES.fda_official,
-    ...FEED_SOURCES.trade_press,
-    ...FEED_SOURCES.google_news
-  ];
+  // The FOIA reading room isn't a news feed; only the main server reads it
+  const allFeeds = sourceRegistry.feedSources();
   
   // Process feeds in batches to avoid overwhelming
   const batchSize = 5;
@@ -594,15 +488,15 @@ app.get('/api/stats', async (req, res) => {
 // Get feed sources info
 app.get('/api/sources', (req, res) => {
   const sources = {
-    official: FEED_SOURCES.fda_official.map(s => ({
+    official: sourceRegistry.enabledSources('fda_official').map(s => ({
       name: s.name,
       url: s.url
     })),
-    trade_press: FEED_SOURCES.trade_press.map(s => ({
+    trade_press: sourceRegistry.enabledSources('trade_press').map(s => ({
       name: s.name,
       url: s.url
     })),
-    google_news: FEED_SOURCES.google_news.map(s => ({
+    google_news: sourceRegistry.enabledSources('google_news').map(s => ({
       name: s.name,
       url: s.url,
       type: s.type
@@ -624,28 +518,32 @@ app.get('/api/search', async (req, res) => {
       });
     }
     
-    const data = await fs.readFile(ALL_ITEMS_FILE, 'utf8');
-    let items = JSON.parse(data);
+    const scoped = scopedQuery(q, searchIn);
+    if (!scoped) {
+      return res.status(400).json({
+        success: false,
+        error: 'in must be one of all, title, summary, company'
+      });
+    }
     
-    const query = q.toLowerCase();
+    const data = await fs.readFile(ALL_ITEMS_FILE, 'utf8');
+    const items = JSON.parse(data);
     
-    items = items.filter(item => {
-      const searchFields = searchIn === 'all' 
-        ? `${item.title} ${item.summary} ${item.company}`.toLowerCase()
-        : searchIn === 'title' 
-        ? item.title.toLowerCase()
-        : searchIn === 'company'
-        ? item.company.toLowerCase()
-        : item.summary.toLowerCase();
-      
-      return searchFields.includes(query);
-    });
+    // Same ranked search as the main server, over this server's items
+    const index = new SearchIndex().build(items.map(item => itemDocument(item)));
+    let result;
+    try {
+      result = index.search(scoped.query, { fields: scoped.fields, limit: 50 });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
     
     res.json({
       success: true,
       query: q,
-      count: items.length,
-      items: items.slice(0, 50) // Limit search results
+      count: result.total,
+      facets: result.facets,
+      items: result.results.map(({ doc, score, highlight }) => ({ ...doc.source, relevanceScore: score, highlight }))
     });
   } catch (error) {
     res.status(500).json({ 
@@ -0,0 +1,534 @@
+// search-index.js — Ranked full-text search over items and archived letter text
+// An in-memory inverted index with per-field positional postings, ranked with
+// BM25 (field-weighted). Queries support phrases, prefix (`steril*`) and fuzzy
+// (`contaminaton~`) terms, exclusions (`-recall`), and field filters such as
+// company:, type:, cfr:211.192, office:CDER, topic:cgmp/data-integrity, source:,
+// after:2024-01-01, each of which can be negated (`-type:recall`).
+// Results come with facet counts and highlighted snippets.
+
+const { normalizeOffice } = require('./citation-extractor');
+const { matchesTaxonomy, tagIds, atDepth } = require('./violation-taxonomy');
+
+const FIELD_WEIGHTS = { title: 3, company: 2, summary: 1.5, body: 1 };
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const MAX_EXPANSIONS = 50;    // vocabulary terms a prefix/fuzzy term can expand to
+const PREFIX_WEIGHT = 0.9;    // expanded terms score a little below exact ones
+const FUZZY_WEIGHT = 0.7;
+const SNIPPET_LENGTH = 240;
+const FACET_LIMIT = 10;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'with']);
+
+const FILTER_FIELDS = ['company', 'type', 'cfr', 'office', 'topic', 'source', 'kind', 'severity', 'after', 'before'];
+
+const TOKEN = /[a-z0-9]+(?:\.[0-9]+)*/g;
+
+// ---------------------------
+// Text helpers
+// ---------------------------
+function foldText(text) {
+  return (text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Tokens with their positions and character offsets. Section numbers like
+// 211.192 stay one token.
+function tokenize(text) {
+  const folded = foldText(text);
+  const tokens = [];
+  let match;
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(folded)) !== null) {
+    tokens.push({ term: match[0], position: tokens.length, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// ---------------------------
+// Query parsing
+// ---------------------------
+// "sterility failure" company:"Acme Corp" cfr:211.192 steril* -recall
+// Throws on a filter value that can't be applied (an unparseable date).
+function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], excluded: [], filters: {}, excludedFilters: {} };
+  const pattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [, negate, rawField, quoted, bare] = match;
+    const field = rawField && rawField.toLowerCase();
+    const value = quoted !== undefined ? quoted : bare;
+
+    if (field && FILTER_FIELDS.includes(field)) {
+      if (!value) continue;
+      if ((field === 'after' || field === 'before') && isNaN(new Date(value))) {
+        throw new Error(`Invalid date in ${field}:${value}`);
+      }
+      if (field === 'severity' && isNaN(parseFloat(value))) {
+        throw new Error(`Invalid number in severity:${value}`);
+      }
+      // -type:recall leaves out what type:recall would keep
+      const filters = negate ? parsed.excludedFilters : parsed.filters;
+      (filters[field] = filters[field] || []).push(value);
+      continue;
+    }
+
+    // Unknown "field:" prefixes are searched as text
+    const text = rawField ? `${rawField}:${value}` : value;
+
+    if (quoted !== undefined) {
+      const tokens = tokenize(text).map(t => t.term);
+      if (tokens.length === 0) continue;
+      const target = negate ? parsed.excluded : tokens.length > 1 ? parsed.phrases : parsed.terms;
+      target.push(tokens.length > 1 ? { phrase: tokens } : { term: tokens[0] });
+      continue;
+    }
+
+    const prefix = /\*$/.test(text);
+    const fuzzy = /~$/.test(text);
+    tokenize(text).forEach((token, i, all) => {
+      if (STOPWORDS.has(token.term) && !negate) return;
+      const last = i === all.length - 1;
+      const term = { term: token.term, prefix: prefix && last, fuzzy: fuzzy && last };
+      (negate ? parsed.excluded : parsed.terms).push(term);
+    });
+  }
+
+  return parsed;
+}
+
+// ---------------------------
+// Index
+// ---------------------------
+class SearchIndex {
+  // `canonicalize` maps company names to their canonical form for company: filters
+  constructor({ canonicalize } = {}) {
+    this.canonicalize = canonicalize || (name => name);
+    this.clear();
+  }
+
+  clear() {
+    this.docs = [];
+    this.fields = Object.fromEntries(Object.keys(FIELD_WEIGHTS).map(field => [field, {
+      postings: new Map(), // term -> Map(docIndex -> positions[])
+      lengths: [],
+      averageLength: 0
+    }]));
+    this.vocabulary = [];
+    this.hidden = new Set(); // ids of documents left out of results
+    this.builtAt = null;
+  }
+
+  // Documents: { id, kind, title, company, summary, body, date, types, sourceCategory,
+  // office, severity, citations, source } - `source` is what a hit returns
+  build(documents) {
+    this.clear();
+    documents.forEach(doc => this.addDocument(doc));
+    this.refreshStatistics();
+    this.builtAt = new Date().toISOString();
+    return this;
+  }
+
+  // Field length averages and the vocabulary, after documents change
+  refreshStatistics() {
+    const terms = new Set();
+    Object.values(this.fields).forEach(field => {
+      const total = field.lengths.reduce((sum, n) => sum + n, 0);
+      field.averageLength = this.docs.length ? total / this.docs.length : 0;
+      field.postings.forEach((_, term) => terms.add(term));
+    });
+    this.vocabulary = Array.from(terms).sort();
+  }
+
+  addDocument(doc, docIndex = this.docs.length) {
+    this.docs[docIndex] = doc;
+
+    Object.keys(FIELD_WEIGHTS).forEach(name => {
+      const field = this.fields[name];
+      const tokens = tokenize(doc[name]);
+      field.lengths[docIndex] = tokens.length;
+      tokens.forEach(({ term, position }) => {
+        if (!field.postings.has(term)) field.postings.set(term, new Map());
+        const postings = field.postings.get(term);
+        if (!postings.has(docIndex)) postings.set(docIndex, []);
+        postings.get(docIndex).push(position);
+      });
+    });
+  }
+
+  // Replace one document (or add it) without a rebuild
+  update(doc) {
+    const existing = this.docs.findIndex(d => d.id === doc.id);
+    if (existing < 0) {
+      this.addDocument(doc);
+    } else {
+      Object.values(this.fields).forEach(field => {
+        field.postings.forEach((postings, term) => {
+          if (postings.delete(existing) && postings.size === 0) field.postings.delete(term);
+        });
+      });
+      this.addDocument(doc, existing);
+    }
+    this.refreshStatistics();
+  }
+
+  // Leave a document out of results (or bring it back) without a rebuild
+  setHidden(id, hidden = true) {
+    if (hidden) this.hidden.add(id);
+    else this.hidden.delete(id);
+  }
+
+  // Vocabulary terms a query term stands for, with their weights
+  expand({ term, prefix, fuzzy }) {
+    if (prefix) {
+      const expansions = [];
+      let low = 0;
+      let high = this.vocabulary.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.vocabulary[mid] < term) low = mid + 1; else high = mid;
+      }
+      for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(term); i++) {
+        expansions.push({ term: this.vocabulary[i], weight: this.vocabulary[i] === term ? 1 : PREFIX_WEIGHT });
+        if (expansions.length >= MAX_EXPANSIONS) break;
+      }
+      return expansions;
+    }
+
+    if (fuzzy) {
+      const maxEdits = term.length > 6 ? 2 : 1;
+      return this.vocabulary
+        .filter(candidate => candidate[0] === term[0])
+        .map(candidate => ({ candidate, distance: editDistance(term, candidate, maxEdits) }))
+        .filter(({ distance }) => distance <= maxEdits)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, MAX_EXPANSIONS)
+        .map(({ candidate, distance }) => ({ term: candidate, weight: distance === 0 ? 1 : FUZZY_WEIGHT }));
+    }
+
+    return [{ term, weight: 1 }];
+  }
+
+  bm25(tf, docFrequency, length, averageLength) {
+    const idf = Math.log(1 + (this.docs.length - docFrequency + 0.5) / (docFrequency + 0.5));
+    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * length / (averageLength || 1));
+    return idf * tf * (BM25_K1 + 1) / norm;
+  }
+
+  // docIndex -> score for one query term across `fields`
+  scoreTerm(queryTerm, fields = SEARCH_FIELDS) {
+    const scores = new Map();
+    this.expand(queryTerm).forEach(({ term, weight }) => {
+      fields.forEach(name => {
+        const field = this.fields[name];
+        const postings = field.postings.get(term);
+        if (!postings) return;
+        postings.forEach((positions, docIndex) => {
+          const score = FIELD_WEIGHTS[name] * weight *
+            this.bm25(positions.length, postings.size, field.lengths[docIndex], field.averageLength);
+          scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+        });
+      });
+    });
+    return scores;
+  }
+
+  // docIndex -> score for documents containing the tokens consecutively in one of `fields`
+  scorePhrase(tokens, fields = SEARCH_FIELDS) {
+    const scores = new Map();
+    fields.forEach(name => {
+      const field = this.fields[name];
+      const lists = tokens.map(token => field.postings.get(token));
+      if (lists.some(list => !list)) return;
+
+      const occurrences = new Map();
+      lists[0].forEach((positions, docIndex) => {
+        if (!lists.every(list => list.has(docIndex))) return;
+        const following = lists.slice(1).map(list => new Set(list.get(docIndex)));
+        const count = positions.filter(start => following.every((set, i) => set.has(start + i + 1))).length;
+        if (count > 0) occurrences.set(docIndex, count);
+      });
+
+      occurrences.forEach((count, docIndex) => {
+        const score = FIELD_WEIGHTS[name] * tokens.length *
+          this.bm25(count, occurrences.size, field.lengths[docIndex], field.averageLength);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+      });
+    });
+    return scores;
+  }
+
+  matchesFilters(doc, filters) {
+    return Object.entries(filters).every(([field, values]) => values.every(value => {
+      const needle = value.toLowerCase();
+      switch (field) {
+        case 'company': {
+          const company = doc.company || '';
+          return company.toLowerCase().includes(needle) ||
+            this.canonicalize(company) === this.canonicalize(value);
+        }
+        case 'type':
+          return (doc.types || []).some(type => type.toLowerCase() === needle);
+        case 'cfr': {
+          // cfr:211 matches the part, cfr:211.192 the section and its paragraphs
+          const bare = needle.replace(/^21\s*cfr\s*/, '');
+          return (doc.citations || []).some(c =>
+            c.type === 'cfr' && (c.part === bare || c.section === bare || (c.section || '').startsWith(bare + '('))
+          );
+        }
+        case 'office':
+          return !!doc.office && (normalizeOffice(doc.office).toLowerCase() === needle ||
+            doc.office.toLowerCase().includes(needle));
+        case 'topic':
+          // topic:cgmp matches every tag under CGMP
+          return matchesTaxonomy(doc.taxonomy, needle);
+        case 'source':
+          return (doc.sourceCategory || '').toLowerCase() === needle;
+        case 'kind':
+          return doc.kind === needle;
+        case 'severity':
+          return (doc.severity || 0) >= parseFloat(value);
+        case 'after':
+          return new Date(doc.date) >= new Date(value);
+        case 'before':
+          return new Date(doc.date) <= new Date(value);
+        default:
+          return true;
+      }
+    }));
+  }
+
+  // Whether `doc` passes any single one of `filters`
+  matchesAnyFilter(doc, filters) {
+    return Object.entries(filters).some(([field, values]) =>
+      values.some(value => this.matchesFilters(doc, { [field]: [value] })));
+  }
+
+  // { total, results: [{ doc, score, highlight }], facets, query }.
+  // `within` (a Set of document ids) restricts the search to those documents,
+  // `fields` (names from SEARCH_FIELDS) the text terms to those fields.
+  search(query, { limit = 50, offset = 0, sort = 'relevance', within = null, fields = SEARCH_FIELDS } = {}) {
+    const unknown = fields.filter(field => !SEARCH_FIELDS.includes(field));
+    if (unknown.length > 0) throw new Error(`Unknown search field: ${unknown.join(', ')}`);
+
+    const parsed = parseQuery(query);
+    const required = [
+      ...parsed.terms.map(term => this.scoreTerm(term, fields)),
+      ...parsed.phrases.map(({ phrase }) => this.scorePhrase(phrase, fields))
+    ];
+
+    // Every term and phrase must match; no text terms means filters only. A
+    // query with nothing left (only stopwords) matches nothing.
+    let candidates;
+    if (required.length > 0) {
+      const [smallest, ...rest] = [...required].sort((a, b) => a.size - b.size);
+      candidates = Array.from(smallest.keys()).filter(docIndex => rest.every(scores => scores.has(docIndex)));
+    } else if (Object.keys(parsed.filters).length > 0 || Object.keys(parsed.excludedFilters).length > 0 ||
+      parsed.excluded.length > 0) {
+      candidates = this.docs.map((_, docIndex) => docIndex);
+    } else {
+      candidates = [];
+    }
+
+    const excluded = new Set();
+    parsed.excluded.forEach(entry => {
+      const scores = entry.phrase ? this.scorePhrase(entry.phrase, fields) : this.scoreTerm(entry, fields);
+      scores.forEach((_, docIndex) => excluded.add(docIndex));
+    });
+
+    const hits = candidates
+      .filter(docIndex => !this.hidden.has(this.docs[docIndex].id))
+      .filter(docIndex => !within || within.has(this.docs[docIndex].id))
+      .filter(docIndex => !excluded.has(docIndex))
+      .filter(docIndex => this.matchesFilters(this.docs[docIndex], parsed.filters))
+      .filter(docIndex => !this.matchesAnyFilter(this.docs[docIndex], parsed.excludedFilters))
+      .map(docIndex => ({
+        docIndex,
+        score: required.reduce((sum, scores) => sum + (scores.get(docIndex) || 0), 0)
+      }));
+
+    const byDate = (a, b) => new Date(this.docs[b.docIndex].date || 0) - new Date(this.docs[a.docIndex].date || 0);
+    hits.sort(sort === 'date' || required.length === 0 ? byDate : (a, b) => b.score - a.score || byDate(a, b));
+
+    const highlightTerms = this.highlightTerms(parsed);
+    return {
+      query: parsed,
+      total: hits.length,
+      facets: this.facets(hits.map(hit => this.docs[hit.docIndex])),
+      results: hits.slice(offset, offset + limit).map(hit => ({
+        doc: this.docs[hit.docIndex],
+        score: Math.round(hit.score * 1000) / 1000,
+        highlight: this.highlight(this.docs[hit.docIndex], highlightTerms)
+      }))
+    };
+  }
+
+  highlightTerms(parsed) {
+    const terms = new Set();
+    parsed.terms.forEach(term => this.expand(term).forEach(e => terms.add(e.term)));
+    parsed.phrases.forEach(({ phrase }) => phrase.forEach(token => terms.add(token)));
+    return terms;
+  }
+
+  // Title and the best snippet with matched terms wrapped in <mark>
+  highlight(doc, terms) {
+    const mark = (text, from = 0, to = text.length) => {
+      let html = '';
+      let cursor = from;
+      tokenize(text).forEach(({ term, start, end }) => {
+        if (start < from || end > to || !terms.has(term)) return;
+        html += escapeHtml(text.slice(cursor, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        cursor = end;
+      });
+      return html + escapeHtml(text.slice(cursor, to));
+    };
+
+    let snippet = null;
+    for (const field of ['summary', 'body', 'title']) {
+      const text = doc[field] || '';
+      const first = tokenize(text).find(token => terms.has(token.term));
+      if (!first) continue;
+
+      const start = Math.max(0, text.lastIndexOf(' ', Math.max(0, first.start - SNIPPET_LENGTH / 3)) + 1);
+      const end = Math.min(text.length, start + SNIPPET_LENGTH);
+      snippet = { field, html: (start > 0 ? '…' : '') + mark(text, start, end) + (end < text.length ? '…' : '') };
+      break;
+    }
+
+    const fallback = doc.summary ? 'summary' : doc.body ? 'body' : null;
+    if (!snippet && fallback) {
+      snippet = { field: fallback, html: escapeHtml(doc[fallback].slice(0, SNIPPET_LENGTH)) };
+    }
+
+    return { title: mark(doc.title || ''), snippet };
+  }
+
+  facets(docs) {
+    const count = (values, limit) => {
+      const counts = new Map();
+      values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      return Array.from(counts, ([value, n]) => ({ value, count: n }))
+        .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+        .slice(0, limit);
+    };
+
+    return {
+      type: count(docs.flatMap(doc => doc.types || [])),
+      source: count(docs.map(doc => doc.sourceCategory)),
+      kind: count(docs.map(doc => doc.kind)),
+      company: count(docs.map(doc => doc.company).filter(c => c !== 'TBD' && c !== 'Unknown Company'), FACET_LIMIT),
+      office: count(docs.map(doc => doc.office && normalizeOffice(doc.office)), FACET_LIMIT),
+      cfr: count(docs.flatMap(doc => Array.from(new Set((doc.citations || [])
+        .filter(c => c.type === 'cfr')
+        .map(c => `21 CFR ${c.part}`)))), FACET_LIMIT),
+      topic: count(docs.flatMap(doc => Array.from(new Set(tagIds(doc.taxonomy).map(id => atDepth(id, 1)))))),
+      year: count(docs.map(doc => {
+        const year = new Date(doc.date).getUTCFullYear();
+        return isNaN(year) ? null : String(year);
+      }))
+    };
+  }
+}
+
+// Query and fields for a search route's scope (`all`, `title`, `summary` or
+// `company`); null for an unknown scope. The company scope is a company:
+// filter, so it also matches the company's aliases.
+function scopedQuery(q, scope = 'all') {
+  switch (scope) {
+    case 'all': return { query: q, fields: SEARCH_FIELDS };
+    case 'title': return { query: q, fields: ['title'] };
+    case 'summary': return { query: q, fields: ['summary'] };
+    case 'company': return { query: `company:"${q.replace(/"/g, '')}"`, fields: SEARCH_FIELDS };
+    default: return null;
+  }
+}
+
+// Search document for an item; `letter` is its archived warning letter, if any
+function itemDocument(item, { letter = null, documentText = '' } = {}) {
+  const observations = (item.observations || []).map(o => o.text).join('\n');
+  return {
+    id: item.id,
+    kind: 'item',
+    title: item.title,
+    company: item.canonical_company || item.company,
+    summary: item.summary,
+    body: [letter?.letterContent, documentText, observations].filter(Boolean).join('\n\n'),
+    date: item.date,
+    types: item.types || [],
+    sourceCategory: item.sourceCategory,
+    office: item.issuingOffice || letter?.issuingOffice || null,
+    severity: item.severity,
+    citations: letter?.citations?.length ? letter.citations : (item.citations || []),
+    taxonomy: item.taxonomy || letter?.taxonomy || [],
+    source: item
+  };
+}
+
+// Search document for an archived letter no item points to
+function letterDocument(letter) {
+  const company = letter.companyName || letter.recipient?.company || null;
+  const letterDate = new Date(letter.letterDate);
+  return {
+    id: `letter:${letter.marcsNumber}`,
+    kind: 'letter',
+    title: letter.title,
+    company,
+    summary: '',
+    body: letter.letterContent || '',
+    date: isNaN(letterDate) ? letter.archivedAt : letterDate.toISOString(),
+    types: ['warning_letter'],
+    sourceCategory: 'official',
+    office: letter.issuingOffice || null,
+    severity: null,
+    citations: letter.citations || [],
+    taxonomy: letter.taxonomy || [],
+    source: {
+      id: `letter:${letter.marcsNumber}`,
+      title: letter.title,
+      link: letter.url,
+      company,
+      date: letter.letterDate,
+      types: ['warning_letter'],
+      source: 'FDA Warning Letter Archive',
+      sourceCategory: 'official',
+      marcsNumber: letter.marcsNumber,
+      issuingOffice: letter.issuingOffice
+    }
+  };
+}
+
+module.exports = {
+  SearchIndex,
+  SEARCH_FIELDS,
+  parseQuery,
+  scopedQuery,
+  tokenize,
+  itemDocument,
+  letterDocument
+};
@@ -0,0 +1,371 @@
+// sec-edgar.js — SEC EDGAR filer lookup and 8-K disclosure parsing
+// EDGAR identifies filers by CIK, not by ticker. The ticker -> CIK table is
+// imported from SEC's public company_tickers.json; a company's 8-K filings come
+// from the EDGAR Atom feed for its CIK, and each filing's full submission text
+// is scanned for FDA actions the company disclosed (complete response letters,
+// warning letters, clinical holds, consent decrees...). Given a fixture
+// directory, the client reads every response from disk instead of SEC.
+
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const COMPANY_TICKERS_URL = 'https://www.sec.gov/files/company_tickers.json';
+const EDGAR_BROWSE_URL = 'https://www.sec.gov/cgi-bin/browse-edgar';
+const EDGAR_ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+
+// SEC allows 10 requests a second and blocks clients without a contact User-Agent
+const REQUEST_INTERVAL_MS = 150;
+const MAX_SUBMISSION_CHARS = 500000;
+const MAX_EXCERPT_LENGTH = 500;
+
+// ---------------------------
+// Identifiers
+// ---------------------------
+
+// EDGAR CIKs are 10 digits, zero padded
+function padCik(value) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  return digits ? digits.padStart(10, '0') : null;
+}
+
+const FILER_SUFFIXES = new Set([
+  'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'plc', 'ltd', 'limited',
+  'ag', 'sa', 'nv', 'se', 'llc', 'lp', 'the'
+]);
+
+// "PFIZER INC" and "Pfizer Inc." -> "pfizer"; "Merck & Co., Inc." -> "merck"
+function normalizeFilerName(name) {
+  return (name || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !FILER_SUFFIXES.has(word))
+    .join(' ')
+    .replace(/ and$/, '');
+}
+
+// ---------------------------
+// Ticker -> CIK registry
+// ---------------------------
+class CikRegistry {
+  constructor(file) {
+    this.file = file;
+    this.filers = new Map();  // cik -> { cik, title, tickers }
+    this.tickers = new Map(); // ticker -> cik
+    this.names = new Map();   // normalized title -> cik
+    this.importedAt = null;
+    this.source = null;
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.load(data.filers || []);
+      this.importedAt = data.importedAt || null;
+      this.source = data.source || null;
+    } catch {
+      // No file yet - import SEC's ticker file to fill it
+    }
+    console.log(`✅ SEC CIK registry initialized: ${this.filers.size} filers`);
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify({
+      importedAt: this.importedAt,
+      source: this.source,
+      filers: Array.from(this.filers.values())
+    }, null, 2));
+  }
+
+  get size() {
+    return this.filers.size;
+  }
+
+  load(filers) {
+    this.filers.clear();
+    this.tickers.clear();
+    this.names.clear();
+    filers.forEach(filer => {
+      this.filers.set(filer.cik, filer);
+      filer.tickers.forEach(ticker => this.tickers.set(ticker, filer.cik));
+      const name = normalizeFilerName(filer.title);
+      if (name && !this.names.has(name)) this.names.set(name, filer.cik);
+    });
+  }
+
+  // Replace the table with SEC's company_tickers.json ({ "0": { cik_str, ticker, title } })
+  // or company_tickers_exchange.json ({ fields, data }). Returns the filer and ticker counts.
+  importTickers(data, source = COMPANY_TICKERS_URL) {
+    let rows = [];
+    if (Array.isArray(data?.fields) && Array.isArray(data?.data)) {
+      const field = name => data.fields.indexOf(name);
+      rows = data.data.map(row => ({ cik_str: row[field('cik')], title: row[field('name')], ticker: row[field('ticker')] }));
+    } else if (data && typeof data === 'object') {
+      rows = Array.isArray(data) ? data : Object.values(data);
+    }
+
+    const filers = new Map();
+    rows.forEach(row => {
+      const cik = padCik(row?.cik_str ?? row?.cik);
+      const ticker = (row?.ticker || '').toString().trim().toUpperCase();
+      if (!cik || !ticker) return;
+      const filer = filers.get(cik) || { cik, title: (row.title || '').trim(), tickers: [] };
+      if (!filer.tickers.includes(ticker)) filer.tickers.push(ticker);
+      filers.set(cik, filer);
+    });
+    if (filers.size === 0) throw new Error('Not an SEC company tickers file: no cik_str/ticker rows found');
+
+    this.load(Array.from(filers.values()));
+    this.importedAt = new Date().toISOString();
+    this.source = source;
+    return { filers: this.filers.size, tickers: this.tickers.size };
+  }
+
+  byCik(cik) {
+    return this.filers.get(padCik(cik)) || null;
+  }
+
+  byTicker(ticker) {
+    const cik = this.tickers.get((ticker || '').trim().toUpperCase());
+    return cik ? this.filers.get(cik) : null;
+  }
+
+  byName(name) {
+    const cik = this.names.get(normalizeFilerName(name));
+    return cik ? this.filers.get(cik) : null;
+  }
+
+  // The filer for a company, by CIK, then ticker, then exact (normalized) name.
+  // Returns { cik, title, tickers, matchedBy } or null.
+  lookup({ cik, ticker, name } = {}) {
+    const matches = [
+      ['cik', cik && this.byCik(cik)],
+      ['ticker', ticker && this.byTicker(ticker)],
+      ['name', name && this.byName(name)]
+    ];
+    const [matchedBy, filer] = matches.find(([, found]) => found) || [];
+    return filer ? { ...filer, matchedBy } : null;
+  }
+}
+
+// ---------------------------
+// Fetching
+// ---------------------------
+
+// Fixture files: company_tickers.json, <10-digit CIK>.atom (the 8-K feed) and
+// <accession number>.txt (a filing's full submission text)
+function createEdgarClient({ userAgent, fixtureDir = null, timeout = 30000 } = {}) {
+  let lastRequestAt = 0;
+
+  async function get(url, params = {}) {
+    const wait = lastRequestAt + REQUEST_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+    lastRequestAt = Date.now();
+
+    const response = await axios.get(url, {
+      params,
+      headers: { 'User-Agent': userAgent, 'Accept-Encoding': 'gzip, deflate' },
+      timeout
+    });
+    return response.data;
+  }
+
+  async function readFixture(file) {
+    return fs.readFile(path.join(fixtureDir, file), 'utf8');
+  }
+
+  return {
+    fixtureMode: !!fixtureDir,
+
+    async fetchCompanyTickers() {
+      if (fixtureDir) return JSON.parse(await readFixture('company_tickers.json'));
+      return get(COMPANY_TICKERS_URL);
+    },
+
+    // Latest filings of one type for a CIK, newest first
+    async fetchFilings(cik, { type = '8-K', count = 40 } = {}) {
+      const padded = padCik(cik);
+      const xml = fixtureDir
+        ? await readFixture(`${padded}.atom`)
+        : await get(EDGAR_BROWSE_URL, { action: 'getcompany', CIK: padded, type, dateb: '', owner: 'include', count, output: 'atom' });
+      return parseFilingFeed(xml, padded);
+    },
+
+    async fetchSubmission(filing) {
+      const text = fixtureDir
+        ? await readFixture(`${filing.accessionNumber}.txt`)
+        : await get(submissionUrl(filing));
+      return parseSubmission(text);
+    }
+  };
+}
+
+// The complete submission text file sits next to the filing index
+function submissionUrl(filing) {
+  if (/-index\.html?$/i.test(filing.filingHref || '')) {
+    return filing.filingHref.replace(/-index\.html?$/i, '.txt');
+  }
+  const cik = parseInt(filing.cik, 10);
+  return `${EDGAR_ARCHIVES_URL}/${cik}/${filing.accessionNumber.replace(/-/g, '')}/${filing.accessionNumber}.txt`;
+}
+
+// ---------------------------
+// Parsing
+// ---------------------------
+function parseFilingFeed(xml, cik) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const filings = [];
+
+  $('entry').each((i, elem) => {
+    const entry = $(elem);
+    const field = name => entry.find(name).first().text().trim();
+    const accessionNumber = field('accession-number') ||
+      (field('id').match(/accession-number=([\d-]+)/) || [])[1];
+    if (!accessionNumber) return;
+
+    filings.push({
+      cik,
+      accessionNumber,
+      filingType: field('filing-type') || entry.find('category').attr('term') || null,
+      filingDate: field('filing-date') || field('updated').slice(0, 10) || null,
+      filingHref: field('filing-href') || entry.find('link').attr('href') || null,
+      items: (field('items-desc').match(/\d+\.\d+/g) || []),
+      title: field('title')
+    });
+  });
+
+  return {
+    cik,
+    companyName: $('company-info conformed-name').first().text().trim() || null,
+    filings
+  };
+}
+
+// Document text with one line per block element
+function documentText(body) {
+  let text = body;
+  if (/<(?:html|p|div|td|br)\b/i.test(body)) {
+    const $ = cheerio.load(body);
+    $('script, style').remove();
+    $('br').replaceWith('\n');
+    $('p, div, li, tr, h1, h2, h3, h4, h5, h6').each((i, elem) => {
+      $(elem).append('\n');
+    });
+    text = $.root().text();
+  }
+
+  return text
+    .replace(/&nbsp;|&#160;/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// The 8-K body and its EX-99 exhibits (press releases) from a full submission.
+// A file without <DOCUMENT> blocks is read as a single 8-K body.
+function parseSubmission(raw) {
+  const text = (raw || '').slice(0, MAX_SUBMISSION_CHARS);
+  const blocks = text.split(/<DOCUMENT>/i).slice(1);
+  if (blocks.length === 0) return [{ type: '8-K', filename: null, text: documentText(text) }];
+
+  return blocks
+    .map(block => ({
+      type: ((block.match(/<TYPE>([^\n<]+)/i) || [])[1] || '').trim().toUpperCase(),
+      filename: ((block.match(/<FILENAME>([^\n<]+)/i) || [])[1] || '').trim() || null,
+      body: (block.match(/<TEXT>([\s\S]*?)(?:<\/TEXT>|$)/i) || [])[1] || ''
+    }))
+    .filter(doc => /^8-K(?:\/A)?$/.test(doc.type) || /^EX-99/.test(doc.type))
+    .map(({ type, filename, body }) => ({ type, filename, text: documentText(body) }));
+}
+
+// ---------------------------
+// Disclosure detection
+// ---------------------------
+
+// `fdaContext`: the term also names non-FDA actions (an FTC warning letter, an
+// EPA consent decree), so the clause it appears in must mention FDA and no
+// other agency
+const DISCLOSURE_PATTERNS = [
+  { type: 'crl', label: 'Complete Response Letter', pattern: /\bcomplete response letter\b|\bCRL\b/i },
+  { type: 'warning_letter', label: 'Warning Letter', pattern: /\bwarning letter\b/i, fdaContext: true },
+  { type: 'clinical_hold', label: 'Clinical Hold', pattern: /\bclinical hold\b/i },
+  { type: 'consent_decree', label: 'Consent Decree', pattern: /\bconsent decree\b/i, fdaContext: true },
+  { type: 'form_483', label: 'Form 483', pattern: /\bForm (?:FDA[- ])?483\b|\b483 observations\b/i },
+  { type: 'import_alert', label: 'Import Alert', pattern: /\bimport alert\b/i, fdaContext: true }
+];
+
+const FDA_CONTEXT = /\bFDA\b|Food and Drug Administration/i;
+// Other agencies that issue warning letters, consent decrees or alerts. The
+// Department of Justice isn't listed: it files consent decrees on FDA's behalf.
+// Case-sensitive so "sec." or "dea" in ordinary words don't count.
+const OTHER_AGENCY = new RegExp([
+  /\b(?:FTC|EPA|DEA|SEC|OSHA|USDA|CPSC|FCC|CMS|EMA|MHRA)\b/.source,
+  /Federal Trade Commission|Environmental Protection Agency|Drug Enforcement Administration/.source,
+  /Securities and Exchange Commission|Department of Agriculture|Consumer Product Safety Commission/.source,
+  /Centers for Medicare|European Medicines Agency|Health Canada|Attorneys? General/.source
+].join('|'));
+
+// Clauses of a sentence: split at semicolons, dashes and coordinating conjunctions
+const CLAUSE_BREAK = /;|\s[–—-]{1,2}\s|,\s+(?:and|but|while|whereas|although)\s+/;
+
+// Risk factors and forward-looking boilerplate name every FDA action in the
+// abstract; a disclosure states that one happened. Case-sensitive so the month
+// of May doesn't count as speculation.
+const SPECULATIVE = /\b(?:may|might|could|[Rr]isks?|[Uu]ncertaint(?:y|ies)|[Pp]ossib(?:le|ility)|whether|[Nn]o assurance|cannot assure|[Ff]orward-looking)\b/;
+const NEGATED = /\b(?:not|never)\s+(?:yet\s+)?(?:received|been issued|issued)\b/i;
+
+// Lines split into sentences; initials ("U.S.") and "Inc." don't end one
+const SENTENCE_BREAK = /(?<![\s.][A-Z]\.)(?<!\b(?:Inc|Co|Corp|Ltd|No|Mr|Ms|Dr|St)\.)(?<=[.!?])\s+(?=[A-Z"“(])/;
+
+function sentences(text) {
+  return text.split('\n')
+    .flatMap(line => line.split(SENTENCE_BREAK))
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function excerpt(sentence) {
+  return sentence.length > MAX_EXCERPT_LENGTH
+    ? sentence.substring(0, MAX_EXCERPT_LENGTH - 3) + '...'
+    : sentence;
+}
+
+// Whether a clause of `sentence` names the action and FDA, and no other agency
+function fdaStated(sentence, pattern) {
+  return sentence.split(CLAUSE_BREAK).some(clause =>
+    pattern.test(clause) && FDA_CONTEXT.test(clause) && !OTHER_AGENCY.test(clause)
+  );
+}
+
+// FDA actions disclosed in a filing's documents: [{ type, label, excerpt, document }],
+// at most one per type, from the first document that states it
+function detectDisclosures(documents) {
+  const found = new Map();
+
+  documents.forEach(doc => {
+    sentences(doc.text).forEach(sentence => {
+      if (SPECULATIVE.test(sentence) || NEGATED.test(sentence)) return;
+      DISCLOSURE_PATTERNS.forEach(({ type, label, pattern, fdaContext }) => {
+        if (found.has(type) || !pattern.test(sentence)) return;
+        if (fdaContext && !fdaStated(sentence, pattern)) return;
+        found.set(type, { type, label, excerpt: excerpt(sentence), document: doc.type });
+      });
+    });
+  });
+
+  return Array.from(found.values());
+}
+
+module.exports = {
+  COMPANY_TICKERS_URL,
+  CikRegistry,
+  createEdgarClient,
+  padCik,
+  normalizeFilerName,
+  parseFilingFeed,
+  parseSubmission,
+  detectDisclosures
+};
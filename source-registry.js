@@ -0,0 +1,380 @@
+// source-registry.js — Stored feed source registry with per-source health
+// Feed sources live in a JSON file instead of code, so they can be added,
+// disabled or re-prioritized at runtime. Every fetch records its outcome:
+// last success and error, consecutive failures, items per run and latency.
+// Sources that keep failing are disabled automatically.
+
+const fs = require('fs').promises;
+
+const FAILURE_THRESHOLD = 5;   // consecutive failed runs before auto-disable
+const RUN_HISTORY = 20;        // runs kept per source for averages
+
+const EDITABLE_FIELDS = ['url', 'name', 'group', 'category', 'type', 'priority', 'enabled'];
+
+// The OII FOIA reading room is read by the main server's Form 483 connector,
+// not as a news feed. Other sources may share its `foia` type.
+const READING_ROOM_ID = 'fda-oii-foia-electronic-reading-room';
+
+// Default feed sources. They seed the registry on first run; after that
+// sources are managed through /api/sources and these are not read again.
+const DEFAULT_SOURCES = {
+  fda_official: [
+    {
+      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/press-releases/rss.xml',
+      name: 'FDA Press Announcements',
+      category: 'official',
+      priority: 1,
+      type: 'general'
+    },
+    {
+      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/drugs/rss.xml',
+      name: 'FDA CDER Updates',
+      category: 'official',
+      priority: 1,
+      type: 'drugs'
+    },
+    {
+      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/medwatch/rss.xml',
+      name: 'FDA MedWatch Safety',
+      category: 'official',
+      priority: 1,
+      type: 'safety'
+    },
+    {
+      id: READING_ROOM_ID,
+      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/ora-foia-electronic-reading-room/rss.xml',
+      name: 'FDA OII FOIA Electronic Reading Room',
+      category: 'official',
+      priority: 1,
+      type: 'foia'
+    },
+    {
+      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/biologics/rss.xml',
+      name: 'FDA CBER Biologics',
+      category: 'official',
+      priority: 1,
+      type: 'biologics'
+    },
+    {
+      url: 'https://www.accessdata.fda.gov/scripts/cdrh/cfdocs/cfpma/pma-rss.cfm',
+      name: 'FDA CDRH Devices',
+      category: 'official',
+      priority: 1,
+      type: 'devices'
+    }
+  ],
+  
+  trade_press: [
+    {
+      url: 'https://www.fiercepharma.com/rss/xml',
+      name: 'FiercePharma',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.fiercebiotech.com/rss/xml',
+      name: 'FierceBiotech',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.statnews.com/category/pharma/feed/',
+      name: 'STAT News Pharma',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.statnews.com/category/biotech/feed/',
+      name: 'STAT News Biotech',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.biospace.com/FDA.rss',
+      name: 'BioSpace',
+      category: 'trade',
+      priority: 3
+    },
+    {
+      url: 'https://www.raps.org/news-and-articles?rss=Regulatory-Focus',
+      name: 'RAPS Regulatory Focus',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.biopharmadive.com/feeds/news/',
+      name: 'BioPharma Dive',
+      category: 'trade',
+      priority: 3
+    },
+    {
+      url: 'https://endpts.com/feed/',
+      name: 'Endpoints News',
+      category: 'trade',
+      priority: 2
+    },
+    {
+      url: 'https://www.pharmavoice.com/feeds/news',
+      name: 'PharmaVoice',
+      category: 'trade',
+      priority: 3
+    }
+  ],
+  
+  google_news: [
+    {
+      url: 'https://news.google.com/rss/search?q=%22Complete%20Response%20Letter%22%20FDA&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - CRLs',
+      category: 'google',
+      type: 'crl',
+      priority: 3
+    },
+    {
+      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20%22Warning%20Letters%22&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - FDA Warning Letters',
+      category: 'google',
+      type: 'foia',
+      priority: 3
+    },
+    {
+      url: 'https://news.google.com/rss/search?q=site%3Afda.gov%20OPDP%20%28%22Untitled%20Letter%22%20OR%20%22Warning%20Letter%22%29&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - OPDP Letters',
+      category: 'google',
+      type: 'opdp',
+      priority: 3
+    },
+    {
+      url: 'https://news.google.com/rss/search?q=FDA%20%22Form%20483%22%20observations&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - Form 483',
+      category: 'google',
+      type: 'form_483',
+      priority: 3
+    },
+    {
+      url: 'https://news.google.com/rss/search?q=%22Import%20Alert%22%20FDA%20pharmaceutical&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - Import Alerts',
+      category: 'google',
+      type: 'import_alert',
+      priority: 3
+    },
+    {
+      url: 'https://news.google.com/rss/search?q=%22Consent%20Decree%22%20FDA%20pharmaceutical&hl=en-US&gl=US&ceid=US:en',
+      name: 'Google News - Consent Decrees',
+      category: 'google',
+      type: 'consent_decree',
+      priority: 3
+    }
+  ],
+};
+
+// ---------------------------
+// Helpers
+// ---------------------------
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function emptyHealth() {
+  return {
+    lastSuccess: null,
+    lastError: null,
+    lastErrorAt: null,
+    consecutiveFailures: 0,
+    totalRuns: 0,
+    totalFailures: 0,
+    lastItemCount: null,
+    averageItems: null,
+    averageLatencyMs: null,
+    runs: []
+  };
+}
+
+function validateSource(source) {
+  if (!source.name || typeof source.name !== 'string') {
+    throw new Error('Source name is required');
+  }
+  try {
+    const { protocol } = new URL(source.url);
+    if (!['http:', 'https:'].includes(protocol)) throw new Error();
+  } catch {
+    throw new Error('Source url must be a valid http(s) URL');
+  }
+  if (source.priority !== undefined && !Number.isInteger(source.priority)) {
+    throw new Error('Source priority must be an integer');
+  }
+}
+
+function average(values) {
+  return values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+}
+
+// ---------------------------
+// Registry
+// ---------------------------
+class SourceRegistry {
+  constructor(file, defaults = DEFAULT_SOURCES) {
+    this.file = file;
+    this.defaults = defaults; // { group: [source, ...] } seeded on first run
+    this.sources = new Map();  // id -> source
+  }
+
+  async initialize() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      (Array.isArray(data) ? data : []).forEach(source => this.sources.set(source.id, source));
+    } catch {
+      // No registry yet - seeded below
+    }
+
+    if (this.sources.size === 0) {
+      Object.entries(this.defaults).forEach(([group, sources]) => {
+        sources.forEach(source => this.add({ ...source, group }));
+      });
+      await this.save();
+      console.log(`🌱 Seeded source registry with ${this.sources.size} default sources`);
+    }
+
+    console.log(`✅ Source registry initialized: ${this.enabledSources().length} of ${this.sources.size} sources enabled`);
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  list({ group, enabled } = {}) {
+    return Array.from(this.sources.values())
+      .filter(s => !group || s.group === group)
+      .filter(s => enabled === undefined || s.enabled === enabled)
+      .sort((a, b) => (a.priority || 5) - (b.priority || 5) || a.name.localeCompare(b.name));
+  }
+
+  enabledSources(group) {
+    return this.list({ group, enabled: true });
+  }
+
+  // Enabled sources read as news feeds: all but the FOIA reading room
+  feedSources(group) {
+    return this.enabledSources(group).filter(source => source.id !== READING_ROOM_ID);
+  }
+
+  // The FOIA reading room source, while it is enabled
+  readingRoom() {
+    const source = this.get(READING_ROOM_ID);
+    return source?.enabled ? source : null;
+  }
+
+  add(source) {
+    validateSource(source);
+
+    let id = slugify(source.id || source.name);
+    for (let n = 2; this.sources.has(id); n++) {
+      id = `${slugify(source.id || source.name)}-${n}`;
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id,
+      url: source.url,
+      name: source.name,
+      group: source.group || 'custom',
+      category: source.category || 'custom',
+      type: source.type || null,
+      priority: source.priority ?? 5,
+      enabled: source.enabled !== false,
+      disabledReason: null,
+      disabledAt: null,
+      health: emptyHealth(),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.sources.set(id, record);
+    return record;
+  }
+
+  update(id, changes) {
+    const source = this.get(id);
+    if (!source) return null;
+
+    const updated = { ...source };
+    EDITABLE_FIELDS
+      .filter(field => changes[field] !== undefined)
+      .forEach(field => { updated[field] = changes[field]; });
+    validateSource(updated);
+
+    if (changes.enabled === false && source.enabled) {
+      updated.disabledReason = changes.disabledReason || 'Disabled by admin';
+      updated.disabledAt = new Date().toISOString();
+    }
+    // Re-enabling gives the source a clean failure count
+    if (changes.enabled === true && !source.enabled) {
+      updated.disabledReason = null;
+      updated.disabledAt = null;
+      updated.health = { ...updated.health, consecutiveFailures: 0 };
+    }
+    // A new URL starts with a clean failure count too
+    if (changes.url && changes.url !== source.url) {
+      updated.health = { ...updated.health, consecutiveFailures: 0 };
+    }
+
+    updated.updatedAt = new Date().toISOString();
+    this.sources.set(id, updated);
+    return updated;
+  }
+
+  remove(id) {
+    const source = this.get(id);
+    if (source) this.sources.delete(id);
+    return source;
+  }
+
+  // Record one fetch. Returns { source, autoDisabled } - autoDisabled is true
+  // when this failure pushed the source over the threshold.
+  recordRun(id, { ok, items = 0, latencyMs = null, error = null }) {
+    const source = this.get(id);
+    if (!source) return { source: null, autoDisabled: false };
+
+    const now = new Date().toISOString();
+    const health = source.health || emptyHealth();
+    const runs = [{ at: now, ok, items, latencyMs, error: ok ? null : error }, ...health.runs].slice(0, RUN_HISTORY);
+    const successes = runs.filter(run => run.ok);
+
+    source.health = {
+      ...health,
+      lastSuccess: ok ? now : health.lastSuccess,
+      lastError: ok ? health.lastError : error,
+      lastErrorAt: ok ? health.lastErrorAt : now,
+      consecutiveFailures: ok ? 0 : health.consecutiveFailures + 1,
+      totalRuns: health.totalRuns + 1,
+      totalFailures: health.totalFailures + (ok ? 0 : 1),
+      lastItemCount: ok ? items : health.lastItemCount,
+      averageItems: average(successes.map(run => run.items)),
+      averageLatencyMs: average(runs.filter(run => run.latencyMs !== null).map(run => run.latencyMs)),
+      runs
+    };
+
+    let autoDisabled = false;
+    if (!ok && source.enabled && source.health.consecutiveFailures >= FAILURE_THRESHOLD) {
+      source.enabled = false;
+      source.disabledReason = `Auto-disabled after ${source.health.consecutiveFailures} consecutive failures: ${error}`;
+      source.disabledAt = now;
+      autoDisabled = true;
+    }
+
+    return { source, autoDisabled };
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(Array.from(this.sources.values()), null, 2));
+  }
+}
+
+module.exports = {
+  SourceRegistry,
+  DEFAULT_SOURCES,
+  READING_ROOM_ID,
+  FAILURE_THRESHOLD
+};
@@ -9,6 +9,10 @@ const path = require('path');
 const cron = require('node-cron');
 const nodemailer = require('nodemailer');
 const webpush = require('web-push');
+const { extractCitations } = require('./citation-extractor');
+const { tagViolation, categorizeViolation } = require('./violation-taxonomy');
+const { SourceRegistry } = require('./source-registry');
+const { addressesInText, placeLabel } = require('./facility-registry');
 
 const app = express();
 const parser = new Parser({
@@ -68,67 +72,8 @@ const emailTransporter = nodemailer.createTransport({
   }
 });
 
-// Enhanced Feed Sources (keeping original)
-const FEED_SOURCES = {
-  fda_official: [
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/press-releases/rss.xml',
-      name: 'FDA Press Announcements',
-      category: 'official',
-      priority: 1
-    },
-    {
-      url: 'https://www.fda.gov/about-fda/contact-fda/stay-informed/rss-feeds/whats-new-drugs/rss.xml',
-      name: 'FDA CDER Updates',
-      category: 'official',
-      priority: 1
-    }
-  ],
-  
-  trade_press: [
-    {
-      url: 'https://www.fiercepharma.com/rss/xml',
-      name: 'FiercePharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.fiercebiotech.com/rss/xml',
-      name: 'FierceBiotech',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.statnews.com/category/pharma/feed/',
-      name: 'STAT News Pharma',
-      category: 'trade',
-      priority: 2
-    },
-    {
-      url: 'https://www.raps.org/rss/regulatory-focus',
-      name: 'RAPS Regulatory Focus',
-      category: 'trade',
-      priority: 2
-    }
-  ],
-  
-  google_news: [
-    {
-      url: 'https://news.google.com/rss/search?q=%22Complete%20Response%20Letter%22%20FDA&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - CRLs',
-      category: 'google',
-      type: 'crl',
-      priority: 3
-    },
-    {
-      url: 'https://news.google.com/rss/search?q=FDA%20%22Form%20483%22%20observations&hl=en-US&gl=US&ceid=US:en',
-      name: 'Google News - Form 483',
-      category: 'google',
-      type: '483',
-      priority: 3
-    }
-  ]
-};
+// Feed sources come from the registry the main server manages (data/sources.json)
+const sourceRegistry = new SourceRegistry(path.join(DATA_DIR, 'sources.json'));
 
 // Classification system (keeping original)
 const CLASSIFIERS = {
@@ -423,6 +368,7 @@ isValidCompanyName(name) {
       manufacturing: [],
       clinical: [],
       promotional: [],
+      taxonomy: {},
       repeat_offenders: []
     };
 
@@ -453,19 +399,10 @@ isValidCompanyName(name) {
         }
       }
 
+      // Categorize by violation taxonomy; the legacy buckets are its branches
       company.violations.forEach(v => {
-        if (v.summary) {
-          const summary = v.summary.toLowerCase();
-          if (summary.includes('manufactur') || summary.includes('cgmp') || summary.includes('quality')) {
-            patterns.manufacturing.push({ company: name, violation: v });
-          }
-          if (summary.includes('clinical') || summary.includes('trial') || summary.includes('study')) {
-            patterns.clinical.push({ company: name, violation: v });
-          }
-          if (summary.includes('promot') || summary.includes('market') || summary.includes('advertis')) {
-            patterns.promotional.push({ company: name, violation: v });
-          }
-        }
+        const text = `${v.title || ''}\n${v.summary || ''}`;
+        categorizeViolation(patterns, name, v, tagViolation({ text, citations: extractCitations(text) }));
       });
 
       if (company.violations.length >= 3) {
@@ -551,15 +488,14 @@ if (!this.isValidCompanyName(companyName)) {
   extractCompanyDetails(company, text) {
     if (!text) return;
 
-    const facilityPattern = /(?:facility|plant|site|location)\s+(?:in|at|located)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)?),?\s+([A-Z]{2})/gi;
-    let match;
-    while ((match = facilityPattern.exec(text)) !== null) {
-      const facility = `${match[1]}, ${match[2]}`;
+    // Sites the text names, read like facility registry addresses
+    addressesInText(text).map(address => placeLabel(address)).filter(Boolean).forEach(facility => {
       if (!company.facilities.includes(facility)) {
         company.facilities.push(facility);
       }
-    }
+    });
 
+    let match;
     const productPattern = /(?:drug|product|medication|device|treatment)\s+([A-Z][a-z]+(?:\s+[A-Z]?[a-z]+)?)/gi;
     while ((match = productPattern.exec(text)) !== null) {
       const product = match[1];
@@ -1429,6 +1365,7 @@ async function initStorage() {
 
     await companyIntel.initialize();
     await alertSystem.initialize();
+    await sourceRegistry.initialize();
   } catch (error) {
     console.error('Storage init error:', error);
   }
@@ -1553,11 +1490,8 @@ async function aggregateAllSources() {
   const warningLetters = await scrapeFDAWarningLetters();
   allItems.push(...warningLetters);
   
-  const allFeeds = [
-    ...FEED_SOURCES.fda_official,
-    ...FEED_SOURCES.trade_press,
-    ...FEED_SOURCES.google_news
-  ];
+  // The FOIA reading room isn't a news feed; only the main server reads it
+  const allFeeds = sourceRegistry.feedSources();
   
   alertSystem.watchlist.forEach(watch => {
     const ticker = watch.ticker;
@@ -0,0 +1,374 @@
+// violation-taxonomy.js — Hierarchical taxonomy of FDA violation topics
+// Letters, 483 observations and recalls are tagged against the tree in
+// TAXONOMY two ways: the 21 CFR sections and FD&C Act sections they cite map to
+// nodes (a citation goes to the most specific node that claims it), and
+// wording rules catch what the text says without a citation. A document keeps
+// only its most specific tags; ancestors are implied, so a filter on `cgmp`
+// also matches `cgmp/data-integrity/audit-trails`.
+//
+// Node ids are stable paths and are what the API filters on. Bump
+// TAXONOMY_VERSION when the tree or its mappings change, so stored items are
+// retagged.
+
+const TAXONOMY_VERSION = 1;
+
+// { id, label, cfr, fdca, rules, children }. `cfr` entries are a part ('211'),
+// a section ('211.192') or a section with paragraph ('211.113(b)'); `fdca`
+// entries are FD&C Act sections ('505(a)').
+const TAXONOMY = [
+  {
+    id: 'cgmp',
+    label: 'CGMP',
+    cfr: ['210', '211'],
+    rules: [/\b[cC]?GMPs?\b/, /current good manufacturing practice/i],
+    children: [
+      {
+        id: 'data-integrity',
+        label: 'Data integrity',
+        rules: [/data integrity/i, /falsif(?:y|ied|ication)|backdat(?:e|ed|ing)|fabricated (?:data|results)|trial injections?/i],
+        children: [
+          { id: 'audit-trails', label: 'Audit trails', cfr: ['211.68(b)'], rules: [/audit trails?/i] },
+          {
+            id: 'records',
+            label: 'Records and documentation',
+            cfr: ['211.180', '211.186', '211.188'],
+            rules: [/(?:batch|production) records?|incomplete records|uncontrolled (?:forms|records|worksheets)|contemporaneous/i]
+          }
+        ]
+      },
+      {
+        id: 'laboratory-controls',
+        label: 'Laboratory controls',
+        cfr: ['211.160', '211.165', '211.167', '211.194'],
+        rules: [/laboratory controls?|laboratory records/i],
+        children: [
+          {
+            id: 'oos-investigations',
+            label: 'OOS investigations',
+            cfr: ['211.192'],
+            rules: [/out[- ]of[- ]specification|\bOOS\b|unexplained discrepanc/i]
+          },
+          { id: 'stability', label: 'Stability testing', cfr: ['211.166'], rules: [/stability (?:testing|program|data|studies)/i] },
+          { id: 'method-validation', label: 'Method validation', cfr: ['211.165(e)', '211.194(a)(2)'], rules: [/method validation|validated (?:analytical|test) methods?/i] }
+        ]
+      },
+      {
+        id: 'production-controls',
+        label: 'Production and process controls',
+        cfr: ['211.100', '211.101', '211.110', '211.111'],
+        rules: [/production and process controls/i],
+        children: [
+          { id: 'process-validation', label: 'Process validation', cfr: ['211.100(a)'], rules: [/process validation|process performance qualification/i] }
+        ]
+      },
+      { id: 'quality-unit', label: 'Quality unit', cfr: ['211.22'], rules: [/quality (?:control )?unit/i] },
+      {
+        id: 'facilities-equipment',
+        label: 'Facilities and equipment',
+        cfr: ['211.42', '211.46', '211.58', '211.63', '211.65', '211.67', '211.68(a)'],
+        rules: [/equipment (?:maintenance|qualification)|facility design|state of disrepair/i],
+        children: [
+          { id: 'cleaning', label: 'Cleaning and cleaning validation', cfr: ['211.67'], rules: [/cleaning (?:validation|procedures)|cross[- ]contamination/i] }
+        ]
+      },
+      {
+        id: 'components',
+        label: 'Component testing',
+        cfr: ['211.82', '211.84', '211.87'],
+        rules: [/component testing|identity test(?:ing)?|(?:di)?ethylene glycol|\bDEG\b/i]
+      }
+    ]
+  },
+  {
+    id: 'sterility',
+    label: 'Sterility assurance',
+    rules: [/sterility|sterile (?:drug|product|injectable)s?|lack of (?:sterility )?assurance/i],
+    children: [
+      {
+        id: 'aseptic-processing',
+        label: 'Aseptic processing',
+        cfr: ['211.113(b)', '211.42(c)(10)'],
+        rules: [/aseptic(?:ally)?|media fills?|smoke stud(?:y|ies)/i]
+      },
+      { id: 'environmental-monitoring', label: 'Environmental monitoring', rules: [/environmental monitoring|viable (?:air|particulate)/i] },
+      {
+        id: 'microbial-contamination',
+        label: 'Microbial contamination',
+        cfr: ['211.113(a)'],
+        rules: [/microbial contamination|bacterial contamination|endotoxins?|burkholderia|pseudomonas|\bmold\b/i]
+      }
+    ]
+  },
+  {
+    id: 'device-quality',
+    label: 'Device quality system',
+    cfr: ['820'],
+    rules: [/quality system regulation|quality management system regulation/i],
+    children: [
+      { id: 'capa', label: 'CAPA', cfr: ['820.100'], rules: [/\bCAPAs?\b|corrective and preventive actions?/i] },
+      { id: 'complaints', label: 'Complaint handling', cfr: ['820.198'], rules: [/complaint (?:handling|files)/i] },
+      { id: 'design-controls', label: 'Design controls', cfr: ['820.30'], rules: [/design (?:controls?|validation|verification|history file)/i] },
+      { id: 'mdr', label: 'Medical device reporting', cfr: ['803'], rules: [/medical device report(?:s|ing)?/i, /\bMDRs?\b/] }
+    ]
+  },
+  {
+    id: 'labeling',
+    label: 'Labeling/Misbranding',
+    fdca: ['502', '403'],
+    rules: [/misbrand(?:ed|ing)?/i],
+    children: [
+      { id: 'unapproved-new-drug', label: 'Unapproved new drug', fdca: ['505(a)'], rules: [/unapproved new drugs?/i] },
+      {
+        id: 'unapproved-device',
+        label: 'Unapproved device',
+        fdca: ['501(f)', '513(f)', '515(a)'],
+        cfr: ['807.81'],
+        rules: [/without (?:an approved |a )?(?:premarket approval|510\(k\))|unapproved (?:medical )?devices?/i]
+      },
+      { id: 'drug-labeling', label: 'Drug labeling', cfr: ['201'], fdca: ['502(f)'], rules: [/adequate directions for use/i] },
+      {
+        id: 'food-labeling',
+        label: 'Food labeling and allergens',
+        cfr: ['101'],
+        fdca: ['403(w)'],
+        rules: [/nutrition (?:facts|labeling)|undeclared (?:allergens?|milk|eggs?|soy|wheat|peanuts?|tree nuts?|fish|shellfish|sesame|sulfites?)/i]
+      }
+    ]
+  },
+  {
+    id: 'promotion',
+    label: 'Advertising and promotion',
+    cfr: ['202'],
+    rules: [/promotional (?:materials?|claims|communications?)|false or misleading|\bOPDP\b|untitled letter/i],
+    children: [
+      { id: 'risk-omission', label: 'Omitted or minimized risks', rules: [/omits? (?:risk|important safety) information|minimiz(?:es|ing) (?:the )?risks?/i] },
+      { id: 'unsubstantiated-claims', label: 'Unsubstantiated claims', rules: [/unsubstantiated|overstat(?:es|ing) (?:the )?efficacy|superiority claims?/i] }
+    ]
+  },
+  {
+    id: 'clinical',
+    label: 'Clinical research',
+    cfr: ['312', '812'],
+    rules: [/clinical investigators?|bioresearch monitoring|\bBIMO\b/i],
+    children: [
+      { id: 'informed-consent', label: 'Informed consent', cfr: ['50'], rules: [/informed consent/i] },
+      { id: 'irb', label: 'IRB oversight', cfr: ['56'], rules: [/institutional review boards?/i, /\bIRBs?\b/] },
+      {
+        id: 'investigator-obligations',
+        label: 'Investigator obligations',
+        cfr: ['312.60', '312.62', '312.66', '312.68', '812.100', '812.110', '812.140'],
+        rules: [/investigational plan|protocol deviations?/i]
+      },
+      { id: 'glp', label: 'Good laboratory practice', cfr: ['58'], rules: [/good laboratory practices?/i, /\bGLP\b(?!-)/] }
+    ]
+  },
+  {
+    id: 'food-safety',
+    label: 'Food safety',
+    cfr: ['112', '117'],
+    rules: [/food safety plan|insanitary conditions/i],
+    children: [
+      { id: 'haccp', label: 'HACCP', cfr: ['120', '123'], rules: [/\bHACCP\b|hazard analysis and critical control/i] },
+      { id: 'pathogens', label: 'Pathogen contamination', rules: [/listeria|salmonella|e\. coli|\bSTEC\b|cyclospora|botulism/i] },
+      { id: 'dietary-supplements', label: 'Dietary supplement CGMP', cfr: ['111'], rules: [/dietary supplement (?:CGMP|current good manufacturing)/i] },
+      {
+        id: 'fsvp',
+        label: 'Foreign supplier verification',
+        cfr: ['1.502', '1.504', '1.505', '1.506', '1.508', '1.510'],
+        rules: [/foreign supplier verification/i, /\bFSVP\b/]
+      }
+    ]
+  },
+  {
+    id: 'compounding',
+    label: 'Drug compounding',
+    rules: [/\b503[AB]\b|outsourcing facilit(?:y|ies)|compounding pharmac(?:y|ies)|compounded drugs?/i]
+  },
+  {
+    id: 'tobacco',
+    label: 'Tobacco products',
+    rules: [/tobacco products?|e-?cigarettes?|e-liquids?/i, /\bENDS\b/],
+    children: [
+      { id: 'unauthorized-products', label: 'Unauthorized tobacco products', rules: [/(?:without|lack(?:s|ing)?) (?:a )?marketing (?:granted )?(?:order|authorization)|premarket tobacco/i] },
+      { id: 'youth-access', label: 'Sales to minors', rules: [/sales? (?:of tobacco products )?to minors|under the age of 21|age verification/i] }
+    ]
+  }
+];
+
+// ---------------------------
+// Tree
+// ---------------------------
+
+// id -> { id, label, path, depth, parent, cfr, fdca, rules }, ids joined with '/'
+const NODES = new Map();
+
+(function index(nodes, parent) {
+  nodes.forEach(node => {
+    const id = parent ? `${parent.id}/${node.id}` : node.id;
+    const entry = {
+      id,
+      label: node.label,
+      path: parent ? `${parent.path} > ${node.label}` : node.label,
+      depth: parent ? parent.depth + 1 : 1,
+      parent: parent ? parent.id : null,
+      cfr: node.cfr || [],
+      fdca: node.fdca || [],
+      rules: node.rules || []
+    };
+    NODES.set(id, entry);
+    index(node.children || [], entry);
+  });
+})(TAXONOMY, null);
+
+function getNode(id) {
+  return NODES.get(id) || null;
+}
+
+// True when `id` is `ancestor` or sits below it
+function isWithin(id, ancestor) {
+  return id === ancestor || id.startsWith(`${ancestor}/`);
+}
+
+// The node and its ancestors, root first
+function lineage(id) {
+  const chain = [];
+  for (let node = NODES.get(id); node; node = NODES.get(node.parent)) chain.unshift(node.id);
+  return chain;
+}
+
+// The ancestor of `id` at `depth` (the node itself when it is shallower)
+function atDepth(id, depth) {
+  const chain = lineage(id);
+  return chain[Math.min(depth, chain.length) - 1] || null;
+}
+
+// The tree with the number of documents under each node; `tagLists` holds
+// one tag list per document
+function taxonomyTree(tagLists = []) {
+  const build = node => ({
+    id: node.id,
+    label: node.label,
+    path: node.path,
+    cfr: node.cfr,
+    fdca: node.fdca,
+    count: tagLists.filter(tags => tagIds(tags).some(id => isWithin(id, node.id))).length,
+    children: Array.from(NODES.values()).filter(n => n.parent === node.id).map(build)
+  });
+  return Array.from(NODES.values()).filter(n => !n.parent).map(build);
+}
+
+// ---------------------------
+// Tagging
+// ---------------------------
+function citationMatches(entry, citation) {
+  const full = `${citation.section || citation.part || ''}${citation.paragraph || ''}`;
+  if (entry.includes('(')) return full.startsWith(entry);
+  if (citation.type === 'cfr' && !entry.includes('.')) return citation.part === entry;
+  return citation.section === entry;
+}
+
+// Most specific node claiming a citation: deepest, then the longest mapping
+function nodeForCitation(citation) {
+  const field = citation.type === 'cfr' ? 'cfr' : citation.type === 'fdca' ? 'fdca' : null;
+  if (!field) return null;
+
+  let best = null;
+  NODES.forEach(node => {
+    node[field].forEach(entry => {
+      if (!citationMatches(entry, citation)) return;
+      const rank = [node.depth, entry.length];
+      if (!best || rank[0] > best.rank[0] || (rank[0] === best.rank[0] && rank[1] > best.rank[1])) {
+        best = { id: node.id, rank };
+      }
+    });
+  });
+  return best ? best.id : null;
+}
+
+// Keep the most specific tags: a tag whose descendant is also tagged folds its
+// evidence into that descendant
+function mergeTags(tagLists) {
+  const byId = new Map();
+  tagLists.flat().forEach(tag => {
+    const entry = byId.get(tag.id) || { id: tag.id, via: [], evidence: [] };
+    entry.via = Array.from(new Set([...entry.via, ...tag.via]));
+    entry.evidence = Array.from(new Set([...entry.evidence, ...tag.evidence])).slice(0, 5);
+    byId.set(tag.id, entry);
+  });
+
+  const ids = Array.from(byId.keys());
+  return ids
+    .filter(id => !ids.some(other => other !== id && isWithin(other, id)))
+    .map(id => byId.get(id))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Tags for one document: { text, citations } where citations come from
+// citation-extractor. Returns [{ id, via: ['cfr'|'rule'], evidence }].
+function tagViolation({ text = '', citations = [] } = {}) {
+  const tags = [];
+
+  (citations || []).forEach(citation => {
+    const id = nodeForCitation(citation);
+    if (id) tags.push({ id, via: ['cfr'], evidence: [citation.citation] });
+  });
+
+  NODES.forEach(node => {
+    for (const rule of node.rules) {
+      const match = (text || '').match(rule);
+      if (match) {
+        tags.push({ id: node.id, via: ['rule'], evidence: [match[0]] });
+        break;
+      }
+    }
+  });
+
+  return mergeTags(tags);
+}
+
+// Ids of a document's tags (accepts tag objects or ids)
+function tagIds(tags) {
+  return (tags || []).map(tag => (typeof tag === 'string' ? tag : tag.id));
+}
+
+// Does a tagged document fall under `node` (id or comma-separated ids, any of)?
+function matchesTaxonomy(tags, node) {
+  const wanted = String(node || '').split(',').map(id => id.trim()).filter(Boolean);
+  const ids = tagIds(tags);
+  return wanted.length === 0 || wanted.some(want => ids.some(id => isWithin(id, want)));
+}
+
+// The legacy pattern buckets and the taxonomy branches they are made of
+const PATTERN_BUCKETS = {
+  manufacturing: 'cgmp,sterility,device-quality,compounding',
+  clinical: 'clinical',
+  promotional: 'promotion'
+};
+
+// File a company's tagged violation into a detectPatterns() result: under
+// each top-level branch it is tagged in (`patterns.taxonomy`), and into the
+// legacy buckets those branches make up
+function categorizeViolation(patterns, company, violation, tags) {
+  tagIds(tags).forEach(id => {
+    const branch = atDepth(id, 1);
+    patterns.taxonomy[branch] = patterns.taxonomy[branch] || [];
+    patterns.taxonomy[branch].push({ company, violation, tag: id });
+  });
+  Object.entries(PATTERN_BUCKETS)
+    .filter(([, nodes]) => matchesTaxonomy(tags, nodes))
+    .forEach(([bucket]) => patterns[bucket].push({ company, violation }));
+}
+
+module.exports = {
+  TAXONOMY_VERSION,
+  getNode,
+  isWithin,
+  lineage,
+  atDepth,
+  taxonomyTree,
+  tagViolation,
+  mergeTags,
+  tagIds,
+  matchesTaxonomy,
+  categorizeViolation
+};